@@ -0,0 +1,230 @@
+import bindAll from 'lodash.bindall';
+import classNames from 'classnames';
+import {defineMessages, injectIntl, intlShape} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Button from '../button/button.jsx';
+import Dropdown from '../dropdown/dropdown.jsx';
+import AlignTargets from '../../lib/align-targets';
+import {Alignments, Distributions} from '../../helper/align';
+import styles from './align-tools.css';
+
+import alignBottomIcon from './icons/align-bottom.svg';
+import alignCenterIcon from './icons/align-center.svg';
+import alignLeftIcon from './icons/align-left.svg';
+import alignMiddleIcon from './icons/align-middle.svg';
+import alignRightIcon from './icons/align-right.svg';
+import alignTopIcon from './icons/align-top.svg';
+import distributeHorizontalCentersIcon from './icons/distribute-horizontal-centers.svg';
+import distributeHorizontalSpacingIcon from './icons/distribute-horizontal-spacing.svg';
+import distributeVerticalCentersIcon from './icons/distribute-vertical-centers.svg';
+import distributeVerticalSpacingIcon from './icons/distribute-vertical-spacing.svg';
+
+const messages = defineMessages({
+    align: {
+        defaultMessage: 'Align',
+        description: 'Label for the dropdown of commands to line up the selected shapes',
+        id: 'paint.alignTools.align'
+    },
+    distribute: {
+        defaultMessage: 'Distribute',
+        description: 'Heading for the commands to space out the selected shapes evenly',
+        id: 'paint.alignTools.distribute'
+    },
+    relativeTo: {
+        defaultMessage: 'Relative to',
+        description: 'Heading for the choice of what the selected shapes are aligned to',
+        id: 'paint.alignTools.relativeTo'
+    },
+    [Alignments.LEFT]: {
+        defaultMessage: 'Align Left',
+        description: 'Title of the button to line up the left edges of the selected shapes',
+        id: 'paint.alignTools.alignLeft'
+    },
+    [Alignments.CENTER]: {
+        defaultMessage: 'Align Center',
+        description: 'Title of the button to line up the horizontal centers of the selected shapes',
+        id: 'paint.alignTools.alignCenter'
+    },
+    [Alignments.RIGHT]: {
+        defaultMessage: 'Align Right',
+        description: 'Title of the button to line up the right edges of the selected shapes',
+        id: 'paint.alignTools.alignRight'
+    },
+    [Alignments.TOP]: {
+        defaultMessage: 'Align Top',
+        description: 'Title of the button to line up the top edges of the selected shapes',
+        id: 'paint.alignTools.alignTop'
+    },
+    [Alignments.MIDDLE]: {
+        defaultMessage: 'Align Middle',
+        description: 'Title of the button to line up the vertical centers of the selected shapes',
+        id: 'paint.alignTools.alignMiddle'
+    },
+    [Alignments.BOTTOM]: {
+        defaultMessage: 'Align Bottom',
+        description: 'Title of the button to line up the bottom edges of the selected shapes',
+        id: 'paint.alignTools.alignBottom'
+    },
+    [Distributions.HORIZONTAL_CENTERS]: {
+        defaultMessage: 'Distribute Horizontal Centers',
+        description: 'Title of the button to space the centers of the selected shapes evenly from left to right',
+        id: 'paint.alignTools.distributeHorizontalCenters'
+    },
+    [Distributions.HORIZONTAL_SPACING]: {
+        defaultMessage: 'Distribute Horizontal Spacing',
+        description: 'Title of the button to make the gaps between the selected shapes equal from left to right',
+        id: 'paint.alignTools.distributeHorizontalSpacing'
+    },
+    [Distributions.VERTICAL_CENTERS]: {
+        defaultMessage: 'Distribute Vertical Centers',
+        description: 'Title of the button to space the centers of the selected shapes evenly from top to bottom',
+        id: 'paint.alignTools.distributeVerticalCenters'
+    },
+    [Distributions.VERTICAL_SPACING]: {
+        defaultMessage: 'Distribute Vertical Spacing',
+        description: 'Title of the button to make the gaps between the selected shapes equal from top to bottom',
+        id: 'paint.alignTools.distributeVerticalSpacing'
+    },
+    [AlignTargets.SELECTION]: {
+        defaultMessage: 'Selection',
+        description: 'Option to align the selected shapes to the edges of the selection',
+        id: 'paint.alignTools.selection'
+    },
+    [AlignTargets.ARTBOARD]: {
+        defaultMessage: 'Canvas',
+        description: 'Option to align the selected shapes to the edges of the canvas',
+        id: 'paint.alignTools.artboard'
+    },
+    [AlignTargets.ROTATION_CENTER]: {
+        defaultMessage: 'Rotation Center',
+        description: 'Option to align the selected shapes to the costume rotation center',
+        id: 'paint.alignTools.rotationCenter'
+    }
+});
+
+const alignIcons = {
+    [Alignments.LEFT]: alignLeftIcon,
+    [Alignments.CENTER]: alignCenterIcon,
+    [Alignments.RIGHT]: alignRightIcon,
+    [Alignments.TOP]: alignTopIcon,
+    [Alignments.MIDDLE]: alignMiddleIcon,
+    [Alignments.BOTTOM]: alignBottomIcon
+};
+
+const distributeIcons = {
+    [Distributions.HORIZONTAL_CENTERS]: distributeHorizontalCentersIcon,
+    [Distributions.HORIZONTAL_SPACING]: distributeHorizontalSpacingIcon,
+    [Distributions.VERTICAL_CENTERS]: distributeVerticalCentersIcon,
+    [Distributions.VERTICAL_SPACING]: distributeVerticalSpacingIcon
+};
+
+class AlignToolsComponent extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleAlign',
+            'handleChangeAlignTarget',
+            'handleDistribute'
+        ]);
+    }
+    handleAlign (event) {
+        this.props.onAlign(event.currentTarget.getAttribute('data-alignment'));
+    }
+    handleDistribute (event) {
+        this.props.onDistribute(event.currentTarget.getAttribute('data-distribution'));
+    }
+    handleChangeAlignTarget (event) {
+        this.props.onChangeAlignTarget(event.currentTarget.getAttribute('data-align-target'));
+    }
+    render () {
+        const {intl} = this.props;
+        return (
+            <Dropdown
+                className={styles.modUnselect}
+                enterExitTransitionDurationMs={20}
+                popoverContent={
+                    <div className={styles.menu}>
+                        <div className={styles.menuHeading}>
+                            {intl.formatMessage(messages.align)}
+                        </div>
+                        <div className={styles.menuRow}>
+                            {Object.keys(Alignments).map(alignment => (
+                                <Button
+                                    className={classNames(styles.iconButton, {
+                                        [styles.modDisabled]: !this.props.canAlign
+                                    })}
+                                    data-alignment={alignment}
+                                    disabled={!this.props.canAlign}
+                                    key={alignment}
+                                    title={intl.formatMessage(messages[alignment])}
+                                    onClick={this.handleAlign}
+                                >
+                                    <img
+                                        draggable={false}
+                                        src={alignIcons[alignment]}
+                                    />
+                                </Button>
+                            ))}
+                        </div>
+                        <div className={styles.menuHeading}>
+                            {intl.formatMessage(messages.distribute)}
+                        </div>
+                        <div className={styles.menuRow}>
+                            {Object.keys(Distributions).map(distribution => (
+                                <Button
+                                    className={classNames(styles.iconButton, {
+                                        [styles.modDisabled]: !this.props.canDistribute
+                                    })}
+                                    data-distribution={distribution}
+                                    disabled={!this.props.canDistribute}
+                                    key={distribution}
+                                    title={intl.formatMessage(messages[distribution])}
+                                    onClick={this.handleDistribute}
+                                >
+                                    <img
+                                        draggable={false}
+                                        src={distributeIcons[distribution]}
+                                    />
+                                </Button>
+                            ))}
+                        </div>
+                        <div className={styles.menuHeading}>
+                            {intl.formatMessage(messages.relativeTo)}
+                        </div>
+                        <div className={styles.menuRow}>
+                            {Object.keys(AlignTargets).map(alignTarget => (
+                                <Button
+                                    className={classNames(styles.targetButton, {
+                                        [styles.modToggled]: this.props.alignTarget === alignTarget
+                                    })}
+                                    data-align-target={alignTarget}
+                                    key={alignTarget}
+                                    onClick={this.handleChangeAlignTarget}
+                                >
+                                    {intl.formatMessage(messages[alignTarget])}
+                                </Button>
+                            ))}
+                        </div>
+                    </div>
+                }
+                tipSize={.01}
+            >
+                {intl.formatMessage(messages.align)}
+            </Dropdown>
+        );
+    }
+}
+
+AlignToolsComponent.propTypes = {
+    alignTarget: PropTypes.oneOf(Object.keys(AlignTargets)).isRequired,
+    canAlign: PropTypes.bool.isRequired,
+    canDistribute: PropTypes.bool.isRequired,
+    intl: intlShape,
+    onAlign: PropTypes.func.isRequired,
+    onChangeAlignTarget: PropTypes.func.isRequired,
+    onDistribute: PropTypes.func.isRequired
+};
+
+export default injectIntl(AlignToolsComponent);
@@ -0,0 +1,26 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import ToolSelectComponent from '../tool-select-base/tool-select-base.jsx';
+
+import magicWandIcon from './magic-wand.svg';
+
+const BitMagicWandComponent = props => (
+    <ToolSelectComponent
+        imgDescriptor={{
+            defaultMessage: 'Magic Wand',
+            description: 'Label for the magic wand tool, which selects areas of similar color',
+            id: 'paint.magicWandMode.magicWand'
+        }}
+        imgSrc={magicWandIcon}
+        isSelected={props.isSelected}
+        onMouseDown={props.onMouseDown}
+    />
+);
+
+BitMagicWandComponent.propTypes = {
+    isSelected: PropTypes.bool.isRequired,
+    onMouseDown: PropTypes.func.isRequired
+};
+
+export default BitMagicWandComponent;
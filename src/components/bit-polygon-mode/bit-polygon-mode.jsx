@@ -0,0 +1,26 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import ToolSelectComponent from '../tool-select-base/tool-select-base.jsx';
+
+import polygonIcon from './polygon.svg';
+
+const BitPolygonComponent = props => (
+    <ToolSelectComponent
+        imgDescriptor={{
+            defaultMessage: 'Polygon',
+            description: 'Label for the polygon tool, which draws regular polygons and stars',
+            id: 'paint.polygonMode.polygon'
+        }}
+        imgSrc={polygonIcon}
+        isSelected={props.isSelected}
+        onMouseDown={props.onMouseDown}
+    />
+);
+
+BitPolygonComponent.propTypes = {
+    isSelected: PropTypes.bool.isRequired,
+    onMouseDown: PropTypes.func.isRequired
+};
+
+export default BitPolygonComponent;
@@ -1,27 +1,26 @@
 import React from 'react';
+import PropTypes from 'prop-types';
 
-import {ComingSoonTooltip} from '../coming-soon/coming-soon.jsx';
 import ToolSelectComponent from '../tool-select-base/tool-select-base.jsx';
 
 import selectIcon from './marquee.svg';
 
-const BitSelectComponent = () => (
-    <ComingSoonTooltip
-        place="right"
-        tooltipId="bit-select-mode"
-    >
-        <ToolSelectComponent
-            disabled
-            imgDescriptor={{
-                defaultMessage: 'Select',
-                description: 'Label for the select tool, which allows selecting, moving, and resizing shapes',
-                id: 'paint.selectMode.select'
-            }}
-            imgSrc={selectIcon}
-            isSelected={false}
-            onMouseDown={function () {}} // eslint-disable-line react/jsx-no-bind
-        />
-    </ComingSoonTooltip>
+const BitSelectComponent = props => (
+    <ToolSelectComponent
+        imgDescriptor={{
+            defaultMessage: 'Select',
+            description: 'Label for the select tool, which allows selecting, moving, and resizing shapes',
+            id: 'paint.selectMode.select'
+        }}
+        imgSrc={selectIcon}
+        isSelected={props.isSelected}
+        onMouseDown={props.onMouseDown}
+    />
 );
 
+BitSelectComponent.propTypes = {
+    isSelected: PropTypes.bool.isRequired,
+    onMouseDown: PropTypes.func.isRequired
+};
+
 export default BitSelectComponent;
@@ -3,12 +3,19 @@ import PropTypes from 'prop-types';
 import classNames from 'classnames';
 
 import {MIXED} from '../../helper/style-path';
+import {getCSSGradient, isGradient} from '../../lib/gradient-types';
 
 import noFillIcon from './no-fill.svg';
 import mixedFillIcon from './mixed-fill.svg';
 import styles from './color-button.css';
 
-const colorToBackground = color => {
+// Whether to show a gradient preview rather than a single color
+const showsGradient = (color, gradient) => color !== MIXED && !!gradient && isGradient(gradient.gradientType);
+
+const colorToBackground = (color, gradient) => {
+    if (showsGradient(color, gradient)) {
+        return getCSSGradient(gradient.gradientType, gradient.stops, gradient.angle);
+    }
     if (color === MIXED || color === null) return 'white';
     return color;
 };
@@ -23,10 +30,10 @@ const ColorButtonComponent = props => (
                 [styles.outlineSwatch]: props.outline && !(props.color === MIXED)
             })}
             style={{
-                background: colorToBackground(props.color)
+                background: colorToBackground(props.color, props.gradient)
             }}
         >
-            {props.color === null ? (
+            {props.color === null && !showsGradient(props.color, props.gradient) ? (
                 <img
                     className={styles.swatchIcon}
                     draggable={false}
@@ -46,6 +53,14 @@ const ColorButtonComponent = props => (
 
 ColorButtonComponent.propTypes = {
     color: PropTypes.string,
+    gradient: PropTypes.shape({
+        angle: PropTypes.number,
+        gradientType: PropTypes.string,
+        stops: PropTypes.arrayOf(PropTypes.shape({
+            color: PropTypes.string,
+            offset: PropTypes.number
+        }))
+    }),
     onClick: PropTypes.func.isRequired,
     outline: PropTypes.bool.isRequired
 };
@@ -1,10 +1,13 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import bindAll from 'lodash.bindall';
 import {FormattedMessage} from 'react-intl';
 import classNames from 'classnames';
 import parseColor from 'parse-color';
 
 import Slider from '../forms/slider.jsx';
+import GradientTypes from '../../lib/gradient-types';
+import {getCSSGradient, isGradient} from '../../lib/gradient-types';
 
 import styles from './color-picker.css';
 
@@ -17,6 +20,19 @@ const hsvToHex = (h, s, v) =>
 ;
 
 class ColorPickerComponent extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeGradientType',
+            'handleSelectGradientStop'
+        ]);
+    }
+    handleChangeGradientType (event) {
+        this.props.onChangeGradientType(event.currentTarget.getAttribute('data-gradient-type'));
+    }
+    handleSelectGradientStop (event) {
+        this.props.onSelectGradientStop(Number(event.currentTarget.getAttribute('data-stop-index')));
+    }
     _makeBackground (channel) {
         const stops = [];
         // Generate the color slider background CSS gradients by adding
@@ -32,15 +48,149 @@ class ColorPickerComponent extends React.Component {
             case 'brightness':
                 stops.push(hsvToHex(this.props.hue, this.props.saturation, n));
                 break;
+            case 'alpha': {
+                const rgb = parseColor(hsvToHex(this.props.hue, this.props.saturation, this.props.brightness)).rgb;
+                stops.push(`rgba(${rgb.join(', ')}, ${n / 100})`);
+                break;
+            }
             default:
                 throw new Error(`Unknown channel for color sliders: ${channel}`);
             }
         }
         return `linear-gradient(to left, ${stops.join(',')})`;
     }
+    _renderGradientTypes () {
+        const {gradient} = this.props;
+        return (
+            <div className={styles.swatchRow}>
+                {Object.keys(GradientTypes).map(gradientType => (
+                    <div
+                        className={styles.swatches}
+                        key={gradientType}
+                    >
+                        <div
+                            className={classNames({
+                                [styles.swatch]: true,
+                                [styles.activeSwatch]: gradient.gradientType === gradientType
+                            })}
+                            data-gradient-type={gradientType}
+                            style={{background: getCSSGradient(gradientType, gradient.stops, gradient.angle)}}
+                            onClick={this.handleChangeGradientType}
+                        />
+                    </div>
+                ))}
+            </div>
+        );
+    }
+    _renderGradientStops () {
+        const {gradient} = this.props;
+        return (
+            <div className={styles.swatchRow}>
+                <div className={classNames(styles.swatches, styles.gradientStops)}>
+                    {gradient.stops.map((stop, index) => (
+                        <div
+                            className={classNames({
+                                [styles.swatch]: true,
+                                [styles.activeSwatch]: gradient.activeStop === index
+                            })}
+                            data-stop-index={index}
+                            key={index}
+                            style={{background: stop.color === null ? 'white' : stop.color}}
+                            onClick={this.handleSelectGradientStop}
+                        >
+                            {stop.color === null ? (
+                                <img
+                                    draggable={false}
+                                    src={noFillIcon}
+                                />
+                            ) : null}
+                        </div>
+                    ))}
+                </div>
+                <div className={classNames(styles.swatches, styles.gradientStops)}>
+                    <div
+                        className={classNames(styles.swatch, styles.textSwatch)}
+                        onClick={this.props.onAddGradientStop}
+                    >
+                        +
+                    </div>
+                    <div
+                        className={classNames(styles.swatch, styles.textSwatch, {
+                            [styles.disabledSwatch]: gradient.stops.length <= 2
+                        })}
+                        onClick={this.props.onRemoveGradientStop}
+                    >
+                        −
+                    </div>
+                </div>
+            </div>
+        );
+    }
+    _renderGradientSliders () {
+        const {gradient} = this.props;
+        return (
+            <div>
+                <div className={styles.row}>
+                    <div className={styles.rowHeader}>
+                        <span className={styles.labelName}>
+                            <FormattedMessage
+                                defaultMessage="Position"
+                                description="Label for the position of a color stop in the gradient"
+                                id="paint.paintEditor.gradientStopPosition"
+                            />
+                        </span>
+                        <span className={styles.labelReadout}>
+                            {Math.round(gradient.stops[gradient.activeStop].offset * 100)}
+                        </span>
+                    </div>
+                    <div className={styles.rowSlider}>
+                        <Slider
+                            background={getCSSGradient(GradientTypes.HORIZONTAL, gradient.stops)}
+                            value={gradient.stops[gradient.activeStop].offset * 100}
+                            onChange={this.props.onChangeGradientStopOffset}
+                        />
+                    </div>
+                </div>
+                {gradient.gradientType === GradientTypes.LINEAR ? (
+                    <div className={styles.row}>
+                        <div className={styles.rowHeader}>
+                            <span className={styles.labelName}>
+                                <FormattedMessage
+                                    defaultMessage="Direction"
+                                    description="Label for the direction of a linear gradient, in degrees"
+                                    id="paint.paintEditor.gradientAngle"
+                                />
+                            </span>
+                            <span className={styles.labelReadout}>
+                                {Math.round(gradient.angle)}
+                            </span>
+                        </div>
+                        <div className={styles.rowSlider}>
+                            <Slider
+                                value={gradient.angle / 3.6}
+                                onChange={this.props.onChangeGradientAngle}
+                            />
+                        </div>
+                    </div>
+                ) : null}
+            </div>
+        );
+    }
     render () {
         return (
             <div className={styles.colorPickerContainer}>
+                {this.props.gradient ? (
+                    <div>
+                        {this._renderGradientTypes()}
+                        {isGradient(this.props.gradient.gradientType) ? (
+                            <div>
+                                {this._renderGradientStops()}
+                                {this._renderGradientSliders()}
+                            </div>
+                        ) : null}
+                        <div className={styles.divider} />
+                    </div>
+                ) : null}
                 <div className={styles.row}>
                     <div className={styles.rowHeader}>
                         <span className={styles.labelName}>
@@ -104,6 +254,27 @@ class ColorPickerComponent extends React.Component {
                         />
                     </div>
                 </div>
+                <div className={styles.row}>
+                    <div className={styles.rowHeader}>
+                        <span className={styles.labelName}>
+                            <FormattedMessage
+                                defaultMessage="Opacity"
+                                description="Label for the alpha component in the color picker"
+                                id="paint.paintEditor.alpha"
+                            />
+                        </span>
+                        <span className={styles.labelReadout}>
+                            {Math.round(this.props.alpha)}
+                        </span>
+                    </div>
+                    <div className={styles.rowSlider}>
+                        <Slider
+                            background={this._makeBackground('alpha')}
+                            value={this.props.alpha}
+                            onChange={this.props.onAlphaChange}
+                        />
+                    </div>
+                </div>
                 <div className={styles.divider} />
                 <div className={styles.swatchRow}>
                     <div className={styles.swatches}>
@@ -141,14 +312,31 @@ class ColorPickerComponent extends React.Component {
 }
 
 ColorPickerComponent.propTypes = {
+    alpha: PropTypes.number.isRequired,
     brightness: PropTypes.number.isRequired,
     color: PropTypes.string,
+    gradient: PropTypes.shape({
+        activeStop: PropTypes.number.isRequired,
+        angle: PropTypes.number.isRequired,
+        gradientType: PropTypes.oneOf(Object.keys(GradientTypes)).isRequired,
+        stops: PropTypes.arrayOf(PropTypes.shape({
+            color: PropTypes.string,
+            offset: PropTypes.number.isRequired
+        })).isRequired
+    }),
     hue: PropTypes.number.isRequired,
     isEyeDropping: PropTypes.bool.isRequired,
     onActivateEyeDropper: PropTypes.func.isRequired,
+    onAddGradientStop: PropTypes.func,
+    onAlphaChange: PropTypes.func.isRequired,
     onBrightnessChange: PropTypes.func.isRequired,
+    onChangeGradientAngle: PropTypes.func,
+    onChangeGradientStopOffset: PropTypes.func,
+    onChangeGradientType: PropTypes.func,
     onHueChange: PropTypes.func.isRequired,
+    onRemoveGradientStop: PropTypes.func,
     onSaturationChange: PropTypes.func.isRequired,
+    onSelectGradientStop: PropTypes.func,
     onTransparent: PropTypes.func.isRequired,
     saturation: PropTypes.number.isRequired
 };
@@ -5,6 +5,7 @@ import {defineMessages, injectIntl, intlShape} from 'react-intl';
 
 import ColorButton from './color-button/color-button.jsx';
 import ColorPicker from '../containers/color-picker.jsx';
+import ColorPickerComponent from './color-picker/color-picker.jsx';
 import InputGroup from './input-group/input-group.jsx';
 import Label from './forms/label.jsx';
 
@@ -25,7 +26,14 @@ const FillColorIndicatorComponent = props => (
             body={
                 <ColorPicker
                     color={props.fillColor}
+                    gradient={props.fillGradient}
+                    onAddGradientStop={props.onAddGradientStop}
                     onChangeColor={props.onChangeFillColor}
+                    onChangeGradientAngle={props.onChangeGradientAngle}
+                    onChangeGradientStopOffset={props.onChangeGradientStopOffset}
+                    onChangeGradientType={props.onChangeGradientType}
+                    onRemoveGradientStop={props.onRemoveGradientStop}
+                    onSelectGradientStop={props.onSelectGradientStop}
                 />
             }
             isOpen={props.fillColorModalVisible}
@@ -35,6 +43,7 @@ const FillColorIndicatorComponent = props => (
             <Label text={props.intl.formatMessage(messages.fill)}>
                 <ColorButton
                     color={props.fillColor}
+                    gradient={props.fillGradient}
                     onClick={props.onOpenFillColor}
                 />
             </Label>
@@ -47,10 +56,17 @@ FillColorIndicatorComponent.propTypes = {
     disabled: PropTypes.bool.isRequired,
     fillColor: PropTypes.string,
     fillColorModalVisible: PropTypes.bool.isRequired,
+    fillGradient: ColorPickerComponent.propTypes.gradient,
     intl: intlShape,
+    onAddGradientStop: PropTypes.func.isRequired,
     onChangeFillColor: PropTypes.func.isRequired,
+    onChangeGradientAngle: PropTypes.func.isRequired,
+    onChangeGradientStopOffset: PropTypes.func.isRequired,
+    onChangeGradientType: PropTypes.func.isRequired,
     onCloseFillColor: PropTypes.func.isRequired,
-    onOpenFillColor: PropTypes.func.isRequired
+    onOpenFillColor: PropTypes.func.isRequired,
+    onRemoveGradientStop: PropTypes.func.isRequired,
+    onSelectGradientStop: PropTypes.func.isRequired
 };
 
 export default injectIntl(FillColorIndicatorComponent);
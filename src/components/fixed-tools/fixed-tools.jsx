@@ -7,6 +7,7 @@ import MediaQuery from 'react-responsive';
 import {shouldShowGroup, shouldShowUngroup} from '../../helper/group';
 import {shouldShowBringForward, shouldShowSendBackward} from '../../helper/order';
 
+import AlignTools from '../../containers/align-tools.jsx';
 import BufferedInputHOC from '../forms/buffered-input-hoc.jsx';
 import Button from '../button/button.jsx';
 import ButtonGroup from '../button-group/button-group.jsx';
@@ -192,6 +193,15 @@ const FixedToolsComponent = props => {
                 </InputGroup> : null
             }
 
+            {/* Align/Distribute */}
+            {isVector(props.format) ?
+                <InputGroup className={styles.modDashedBorder}>
+                    <AlignTools
+                        onUpdateImage={props.onUpdateImage}
+                    />
+                </InputGroup> : null
+            }
+
             {isVector(props.format) ?
                 <MediaQuery minWidth={layout.fullSizeEditorMinWidth}>
                     <InputGroup className={styles.row}>
@@ -296,6 +306,7 @@ FixedToolsComponent.propTypes = {
     onSendToFront: PropTypes.func.isRequired,
     onUndo: PropTypes.func.isRequired,
     onUngroup: PropTypes.func.isRequired,
+    onUpdateImage: PropTypes.func.isRequired,
     onUpdateName: PropTypes.func.isRequired
 };
 
@@ -26,8 +26,9 @@ export default function (Input) {
                 e.target.blur();
             }
         }
-        handleFlush () {
+        handleFlush (e) {
             this.setState({value: null});
+            if (this.props.onBlur) this.props.onBlur(e);
         }
         handleChange (e) {
             const isNumeric = typeof this.props.value === 'number';
@@ -61,6 +62,7 @@ export default function (Input) {
     LiveInput.propTypes = {
         max: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
         min: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+        onBlur: PropTypes.func,
         onSubmit: PropTypes.func.isRequired,
         value: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
     };
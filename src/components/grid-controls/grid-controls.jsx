@@ -0,0 +1,134 @@
+import classNames from 'classnames';
+import {defineMessages, injectIntl, intlShape} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Button from '../button/button.jsx';
+import Dropdown from '../dropdown/dropdown.jsx';
+import Input from '../forms/input.jsx';
+import Label from '../forms/label.jsx';
+import LiveInputHOC from '../forms/live-input-hoc.jsx';
+import {MAX_GRID_SPACING, MAX_GRID_SUBDIVISIONS, MIN_GRID_SPACING} from '../../reducers/grid';
+import styles from './grid-controls.css';
+
+import gridIcon from './icons/grid.svg';
+import snapToGridIcon from './icons/snap-to-grid.svg';
+
+const LiveInput = LiveInputHOC(Input);
+
+const messages = defineMessages({
+    grid: {
+        defaultMessage: 'Grid',
+        description: 'Title of the dropdown of options for the grid drawn over the canvas',
+        id: 'paint.gridControls.grid'
+    },
+    showGrid: {
+        defaultMessage: 'Show Grid',
+        description: 'Label of the button that shows or hides the grid over the canvas',
+        id: 'paint.gridControls.showGrid'
+    },
+    snapToGrid: {
+        defaultMessage: 'Snap to Grid',
+        description: 'Label of the button that makes moved, resized and drawn shapes line up with the grid',
+        id: 'paint.gridControls.snapToGrid'
+    },
+    spacing: {
+        defaultMessage: 'Spacing',
+        description: 'Label of the input for the distance between the lines of the grid',
+        id: 'paint.gridControls.spacing'
+    },
+    subdivisions: {
+        defaultMessage: 'Subdivisions',
+        description: 'Label of the input for how many smaller cells each cell of the grid is split into',
+        id: 'paint.gridControls.subdivisions'
+    }
+});
+
+const GridControlsComponent = props => (
+    <Dropdown
+        className={styles.modUnselect}
+        enterExitTransitionDurationMs={20}
+        popoverContent={
+            <div className={styles.menu}>
+                <div className={styles.menuRow}>
+                    <Button
+                        className={classNames(styles.toggleButton, {
+                            [styles.modToggled]: props.grid.showGrid
+                        })}
+                        onClick={props.onToggleShowGrid}
+                    >
+                        <img
+                            draggable={false}
+                            src={gridIcon}
+                        />
+                        {props.intl.formatMessage(messages.showGrid)}
+                    </Button>
+                </div>
+                <div className={styles.menuRow}>
+                    <Button
+                        className={classNames(styles.toggleButton, {
+                            [styles.modToggled]: props.grid.snapToGrid
+                        })}
+                        onClick={props.onToggleSnapToGrid}
+                    >
+                        <img
+                            draggable={false}
+                            src={snapToGridIcon}
+                        />
+                        {props.intl.formatMessage(messages.snapToGrid)}
+                    </Button>
+                </div>
+                <div className={styles.menuRow}>
+                    <Label text={props.intl.formatMessage(messages.spacing)}>
+                        <LiveInput
+                            small
+                            className={styles.numberInput}
+                            max={MAX_GRID_SPACING}
+                            min={MIN_GRID_SPACING}
+                            type="number"
+                            value={props.grid.spacing}
+                            onSubmit={props.onChangeSpacing}
+                        />
+                    </Label>
+                </div>
+                <div className={styles.menuRow}>
+                    <Label text={props.intl.formatMessage(messages.subdivisions)}>
+                        <LiveInput
+                            small
+                            className={styles.numberInput}
+                            max={MAX_GRID_SUBDIVISIONS}
+                            min={1}
+                            type="number"
+                            value={props.grid.subdivisions}
+                            onSubmit={props.onChangeSubdivisions}
+                        />
+                    </Label>
+                </div>
+            </div>
+        }
+        tipSize={.01}
+    >
+        <img
+            className={styles.dropdownIcon}
+            draggable={false}
+            src={props.grid.snapToGrid ? snapToGridIcon : gridIcon}
+            title={props.intl.formatMessage(messages.grid)}
+        />
+    </Dropdown>
+);
+
+GridControlsComponent.propTypes = {
+    grid: PropTypes.shape({
+        showGrid: PropTypes.bool,
+        snapToGrid: PropTypes.bool,
+        spacing: PropTypes.number,
+        subdivisions: PropTypes.number
+    }).isRequired,
+    intl: intlShape,
+    onChangeSpacing: PropTypes.func.isRequired,
+    onChangeSubdivisions: PropTypes.func.isRequired,
+    onToggleShowGrid: PropTypes.func.isRequired,
+    onToggleSnapToGrid: PropTypes.func.isRequired
+};
+
+export default injectIntl(GridControlsComponent);
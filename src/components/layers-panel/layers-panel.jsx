@@ -0,0 +1,226 @@
+import bindAll from 'lodash.bindall';
+import classNames from 'classnames';
+import {defineMessages, injectIntl, intlShape} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Button from '../button/button.jsx';
+import NameInput from '../name-input/name-input.jsx';
+import styles from './layers-panel.css';
+
+import addLayerIcon from './icons/add-layer.svg';
+import deleteLayerIcon from './icons/delete-layer.svg';
+import hiddenIcon from './icons/hidden.svg';
+import layerDownIcon from './icons/layer-down.svg';
+import layerUpIcon from './icons/layer-up.svg';
+import lockedIcon from './icons/locked.svg';
+import unlockedIcon from './icons/unlocked.svg';
+import visibleIcon from './icons/visible.svg';
+
+const messages = defineMessages({
+    layers: {
+        defaultMessage: 'Layers',
+        description: 'Heading of the panel that lists the layers of the costume',
+        id: 'paint.layersPanel.layers'
+    },
+    defaultName: {
+        defaultMessage: 'Layer {number}',
+        description: 'Name shown for a layer that has not been given a name',
+        id: 'paint.layersPanel.defaultName'
+    },
+    hide: {
+        defaultMessage: 'Hide Layer',
+        description: 'Title of the button that hides a layer',
+        id: 'paint.layersPanel.hide'
+    },
+    show: {
+        defaultMessage: 'Show Layer',
+        description: 'Title of the button that shows a hidden layer',
+        id: 'paint.layersPanel.show'
+    },
+    lock: {
+        defaultMessage: 'Lock Layer',
+        description: 'Title of the button that locks a layer so its shapes can not be selected or changed',
+        id: 'paint.layersPanel.lock'
+    },
+    unlock: {
+        defaultMessage: 'Unlock Layer',
+        description: 'Title of the button that unlocks a locked layer',
+        id: 'paint.layersPanel.unlock'
+    },
+    addLayer: {
+        defaultMessage: 'New Layer',
+        description: 'Title of the button that adds a layer above the current one',
+        id: 'paint.layersPanel.addLayer'
+    },
+    deleteLayer: {
+        defaultMessage: 'Delete Layer',
+        description: 'Title of the button that deletes the current layer and everything in it',
+        id: 'paint.layersPanel.deleteLayer'
+    },
+    moveUp: {
+        defaultMessage: 'Move Layer Up',
+        description: 'Title of the button that moves the current layer in front of the one above it',
+        id: 'paint.layersPanel.moveUp'
+    },
+    moveDown: {
+        defaultMessage: 'Move Layer Down',
+        description: 'Title of the button that moves the current layer behind the one below it',
+        id: 'paint.layersPanel.moveDown'
+    }
+});
+
+class LayersPanelComponent extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleActivateLayer',
+            'handleAddLayer',
+            'handleToggleLocked',
+            'handleToggleVisible'
+        ]);
+    }
+    getDefaultName (index) {
+        return this.props.intl.formatMessage(messages.defaultName, {number: index + 1});
+    }
+    getLayerId (event) {
+        return Number(event.currentTarget.getAttribute('data-layer-id'));
+    }
+    handleActivateLayer (event) {
+        this.props.onActivateLayer(this.getLayerId(event));
+    }
+    handleAddLayer () {
+        this.props.onAddLayer(this.getDefaultName(this.props.layers.length));
+    }
+    handleToggleVisible (event) {
+        // Don't also activate the layer
+        event.stopPropagation();
+        this.props.onToggleVisible(this.getLayerId(event));
+    }
+    handleToggleLocked (event) {
+        event.stopPropagation();
+        this.props.onToggleLocked(this.getLayerId(event));
+    }
+    render () {
+        const {intl, layers} = this.props;
+        const activeIndex = layers.findIndex(layer => layer.active);
+        const activeLayer = layers[activeIndex];
+        // Paper orders layers from bottom to top, but the topmost layer is listed first
+        const listedLayers = layers.map((layer, index) => ({...layer, index: index})).reverse();
+        return (
+            <div className={styles.layersPanel}>
+                <div className={styles.heading}>
+                    {intl.formatMessage(messages.layers)}
+                </div>
+                <div className={styles.layerList}>
+                    {listedLayers.map(layer => (
+                        <div
+                            className={classNames(styles.layer, {
+                                [styles.modActive]: layer.active,
+                                [styles.modHidden]: !layer.visible
+                            })}
+                            data-layer-id={layer.id}
+                            key={layer.id}
+                            onClick={this.handleActivateLayer}
+                        >
+                            <Button
+                                className={styles.iconButton}
+                                data-layer-id={layer.id}
+                                title={intl.formatMessage(layer.visible ? messages.hide : messages.show)}
+                                onClick={this.handleToggleVisible}
+                            >
+                                <img
+                                    draggable={false}
+                                    src={layer.visible ? visibleIcon : hiddenIcon}
+                                />
+                            </Button>
+                            <Button
+                                className={styles.iconButton}
+                                data-layer-id={layer.id}
+                                title={intl.formatMessage(layer.locked ? messages.unlock : messages.lock)}
+                                onClick={this.handleToggleLocked}
+                            >
+                                <img
+                                    draggable={false}
+                                    src={layer.locked ? lockedIcon : unlockedIcon}
+                                />
+                            </Button>
+                            <NameInput
+                                id={layer.id}
+                                placeholder={this.getDefaultName(layer.index)}
+                                value={layer.name}
+                                onRename={this.props.onRenameLayer}
+                            />
+                        </div>
+                    ))}
+                </div>
+                <div className={styles.buttonRow}>
+                    <Button
+                        className={styles.iconButton}
+                        title={intl.formatMessage(messages.addLayer)}
+                        onClick={this.handleAddLayer}
+                    >
+                        <img
+                            draggable={false}
+                            src={addLayerIcon}
+                        />
+                    </Button>
+                    <Button
+                        className={styles.iconButton}
+                        disabled={!activeLayer || activeIndex === layers.length - 1}
+                        title={intl.formatMessage(messages.moveUp)}
+                        onClick={this.props.onMoveUp}
+                    >
+                        <img
+                            draggable={false}
+                            src={layerUpIcon}
+                        />
+                    </Button>
+                    <Button
+                        className={styles.iconButton}
+                        disabled={!activeLayer || activeIndex === 0}
+                        title={intl.formatMessage(messages.moveDown)}
+                        onClick={this.props.onMoveDown}
+                    >
+                        <img
+                            draggable={false}
+                            src={layerDownIcon}
+                        />
+                    </Button>
+                    <Button
+                        className={styles.iconButton}
+                        disabled={!activeLayer || layers.length < 2}
+                        title={intl.formatMessage(messages.deleteLayer)}
+                        onClick={this.props.onDeleteLayer}
+                    >
+                        <img
+                            draggable={false}
+                            src={deleteLayerIcon}
+                        />
+                    </Button>
+                </div>
+            </div>
+        );
+    }
+}
+
+LayersPanelComponent.propTypes = {
+    intl: intlShape,
+    layers: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.number.isRequired,
+        name: PropTypes.string,
+        visible: PropTypes.bool,
+        locked: PropTypes.bool,
+        active: PropTypes.bool
+    })).isRequired,
+    onActivateLayer: PropTypes.func.isRequired,
+    onAddLayer: PropTypes.func.isRequired,
+    onDeleteLayer: PropTypes.func.isRequired,
+    onMoveDown: PropTypes.func.isRequired,
+    onMoveUp: PropTypes.func.isRequired,
+    onRenameLayer: PropTypes.func.isRequired,
+    onToggleLocked: PropTypes.func.isRequired,
+    onToggleVisible: PropTypes.func.isRequired
+};
+
+export default injectIntl(LayersPanelComponent);
@@ -8,8 +8,19 @@ import {changeBrushSize} from '../../reducers/brush-mode';
 import {changeBrushSize as changeEraserSize} from '../../reducers/eraser-mode';
 import {changeBitBrushSize} from '../../reducers/bit-brush-size';
 import {changeBitEraserSize} from '../../reducers/bit-eraser-size';
+import {changeBitFillTolerance, MAX_TOLERANCE} from '../../reducers/bit-fill-mode';
+import {setShapesFilled} from '../../reducers/fill-bitmap-shapes';
+import {
+    changePolygonInnerRadius,
+    changePolygonIsStar,
+    changePolygonSides,
+    MAX_INNER_RADIUS,
+    MAX_SIDES,
+    MIN_SIDES
+} from '../../reducers/polygon-mode';
 
 import FontDropdown from '../../containers/font-dropdown.jsx';
+import SelectSimilar from '../../containers/select-similar.jsx';
 import LiveInputHOC from '../forms/live-input-hoc.jsx';
 import {defineMessages, injectIntl, intlShape} from 'react-intl';
 import Input from '../forms/input.jsx';
@@ -25,14 +36,44 @@ import pasteIcon from './icons/paste.svg';
 
 import bitBrushIcon from '../bit-brush-mode/brush.svg';
 import bitEraserIcon from '../bit-eraser-mode/eraser.svg';
+import bitFillIcon from '../bit-fill-mode/fill.svg';
 import bitLineIcon from '../bit-line-mode/line.svg';
+import asymmetricHandlesIcon from './icons/asymmetric-handles.svg';
+import breakPathIcon from './icons/break-path.svg';
+import brokenHandlesIcon from './icons/broken-handles.svg';
 import brushIcon from '../brush-mode/brush.svg';
+import cornerRadiusIcon from './icons/corner-radius.svg';
 import curvedPointIcon from './icons/curved-point.svg';
 import eraserIcon from '../eraser-mode/eraser.svg';
+import excludeIcon from './icons/exclude.svg';
+import featherIcon from './icons/feather.svg';
+import filledIcon from './icons/filled.svg';
 import flipHorizontalIcon from './icons/flip-horizontal.svg';
 import flipVerticalIcon from './icons/flip-vertical.svg';
+import innerRadiusIcon from './icons/inner-radius.svg';
+import intersectIcon from './icons/intersect.svg';
+import joinEndpointsIcon from './icons/join-endpoints.svg';
+import lassoIcon from './icons/lasso.svg';
+import joinMiterIcon from '../stroke-style-indicator/icons/join-miter.svg';
+import joinRoundIcon from '../stroke-style-indicator/icons/join-round.svg';
+import magicWandIcon from '../bit-magic-wand-mode/magic-wand.svg';
+import offsetPathIcon from './icons/offset-path.svg';
+import outlineStrokeIcon from './icons/outline-stroke.svg';
+import outlinedIcon from './icons/outlined.svg';
+import polygonIcon from './icons/polygon.svg';
+import simplifyIcon from './icons/simplify.svg';
+import smoothIcon from './icons/smooth.svg';
+import starIcon from './icons/star.svg';
 import straightPointIcon from './icons/straight-point.svg';
+import subtractFrontIcon from './icons/subtract-front.svg';
+import symmetricHandlesIcon from './icons/symmetric-handles.svg';
+import uniteIcon from './icons/unite.svg';
 
+import {MAX_CORNER_RADIUS} from '../../reducers/rounded-rect-mode';
+import {MAX_SIMPLIFY_TOLERANCE, MIN_SIMPLIFY_TOLERANCE} from '../../reducers/simplify';
+import {changeOffsetDistance, changeOffsetJoin, MAX_OFFSET_DISTANCE} from '../../reducers/offset-path';
+import {StrokeJoins} from '../../lib/stroke-styles';
+import {HandleModes} from '../../helper/handle-modes';
 import {MAX_STROKE_WIDTH} from '../../reducers/stroke-width';
 
 const LiveInput = LiveInputHOC(Input);
@@ -53,6 +94,61 @@ const ModeToolsComponent = props => {
             description: 'Label for the eraser size input',
             id: 'paint.modeTools.eraserSize'
         },
+        tolerance: {
+            defaultMessage: 'Tolerance',
+            description: 'Label for how similar colors must be to the clicked color to get filled or selected',
+            id: 'paint.modeTools.tolerance'
+        },
+        feather: {
+            defaultMessage: 'Feather',
+            description: 'Label for the button that toggles softening the edges of paint bucket fills',
+            id: 'paint.modeTools.feather'
+        },
+        outlineSize: {
+            defaultMessage: 'Outline size',
+            description: 'Label for the input setting the outline thickness of bitmap rectangles and ovals',
+            id: 'paint.modeTools.outlineSize'
+        },
+        filled: {
+            defaultMessage: 'Filled',
+            description: 'Label for the button that makes the rectangle and oval tools draw filled shapes',
+            id: 'paint.modeTools.filled'
+        },
+        outlined: {
+            defaultMessage: 'Outlined',
+            description: 'Label for the button that makes the rectangle and oval tools draw outlines',
+            id: 'paint.modeTools.outlined'
+        },
+        polygon: {
+            defaultMessage: 'Polygon',
+            description: 'Label for the button that makes the polygon tool draw regular polygons',
+            id: 'paint.modeTools.polygon'
+        },
+        star: {
+            defaultMessage: 'Star',
+            description: 'Label for the button that makes the polygon tool draw stars',
+            id: 'paint.modeTools.star'
+        },
+        sides: {
+            defaultMessage: 'Sides',
+            description: 'Label for the input setting how many sides the polygon tool draws',
+            id: 'paint.modeTools.sides'
+        },
+        points: {
+            defaultMessage: 'Points',
+            description: 'Label for the input setting how many points the stars drawn by the polygon tool have',
+            id: 'paint.modeTools.points'
+        },
+        innerRadius: {
+            defaultMessage: 'Inner radius',
+            description: 'Label for the input setting how far in the inner corners of stars are, as a percentage',
+            id: 'paint.modeTools.innerRadius'
+        },
+        cornerRadius: {
+            defaultMessage: 'Corner radius',
+            description: 'Label for the input setting how round the corners of rounded rectangles are',
+            id: 'paint.modeTools.cornerRadius'
+        },
         copy: {
             defaultMessage: 'Copy',
             description: 'Label for the copy button',
@@ -73,6 +169,76 @@ const ModeToolsComponent = props => {
             description: 'Label for the button that converts selected points to sharp points',
             id: 'paint.modeTools.pointed'
         },
+        lassoSelect: {
+            defaultMessage: 'Lasso',
+            description: 'Label for the button that toggles selecting by drawing a freehand line around things',
+            id: 'paint.modeTools.lassoSelect'
+        },
+        symmetricHandles: {
+            defaultMessage: 'Symmetric',
+            description: 'Label for the button that makes the handles of the selected points mirror each other',
+            id: 'paint.modeTools.symmetricHandles'
+        },
+        asymmetricHandles: {
+            defaultMessage: 'Asymmetric',
+            description: 'Label for the button that keeps the handles of the selected points in line',
+            id: 'paint.modeTools.asymmetricHandles'
+        },
+        brokenHandles: {
+            defaultMessage: 'Broken',
+            description: 'Label for the button that lets the handles of the selected points move on their own',
+            id: 'paint.modeTools.brokenHandles'
+        },
+        joinEndpoints: {
+            defaultMessage: 'Join',
+            description: 'Label for the button that joins the two selected end points of lines',
+            id: 'paint.modeTools.joinEndpoints'
+        },
+        breakPath: {
+            defaultMessage: 'Break',
+            description: 'Label for the button that breaks the selected shapes apart at the selected points',
+            id: 'paint.modeTools.breakPath'
+        },
+        simplify: {
+            defaultMessage: 'Simplify',
+            description: 'Label for the button that removes points from the selected shapes while keeping their shape',
+            id: 'paint.modeTools.simplify'
+        },
+        simplifyTolerance: {
+            defaultMessage: 'Simplify tolerance',
+            description: 'Label for the slider of how far simplified shapes may stray from the original shapes',
+            id: 'paint.modeTools.simplifyTolerance'
+        },
+        smooth: {
+            defaultMessage: 'Smooth',
+            description: 'Label for the button that turns the points of the selected shapes into flowing curves',
+            id: 'paint.modeTools.smooth'
+        },
+        outlineStroke: {
+            defaultMessage: 'Outline Stroke',
+            description: 'Label for the button that turns the outlines of the selected shapes into filled shapes',
+            id: 'paint.modeTools.outlineStroke'
+        },
+        offsetPath: {
+            defaultMessage: 'Offset Path',
+            description: 'Label for the button that grows or shrinks the selected shapes by the offset distance',
+            id: 'paint.modeTools.offsetPath'
+        },
+        offsetDistance: {
+            defaultMessage: 'Offset distance',
+            description: 'Label for the slider of how far to grow the selected shapes, or to shrink them if negative',
+            id: 'paint.modeTools.offsetDistance'
+        },
+        roundOffsetJoin: {
+            defaultMessage: 'Round',
+            description: 'Label for the button that makes offset paths round off the corners they grow around',
+            id: 'paint.modeTools.roundOffsetJoin'
+        },
+        miterOffsetJoin: {
+            defaultMessage: 'Sharp',
+            description: 'Label for the button that makes offset paths keep the corners they grow around sharp',
+            id: 'paint.modeTools.miterOffsetJoin'
+        },
         flipHorizontal: {
             defaultMessage: 'Flip Horizontal',
             description: 'Label for the button to flip the image horizontally',
@@ -82,9 +248,249 @@ const ModeToolsComponent = props => {
             defaultMessage: 'Flip Vertical',
             description: 'Label for the button to flip the image vertically',
             id: 'paint.modeTools.flipVertical'
+        },
+        unite: {
+            defaultMessage: 'Unite',
+            description: 'Label for the button to merge the selected shapes into one',
+            id: 'paint.modeTools.unite'
+        },
+        intersect: {
+            defaultMessage: 'Intersect',
+            description: 'Label for the button to keep only where the selected shapes overlap',
+            id: 'paint.modeTools.intersect'
+        },
+        subtractFront: {
+            defaultMessage: 'Subtract',
+            description: 'Label for the button to cut the selected shapes in front out of the one at the back',
+            id: 'paint.modeTools.subtractFront'
+        },
+        exclude: {
+            defaultMessage: 'Exclude',
+            description: 'Label for the button to remove where the selected shapes overlap',
+            id: 'paint.modeTools.exclude'
+        },
+        fill: {
+            defaultMessage: 'Fill',
+            description: 'Label for the button to fill the selected area with the fill color',
+            id: 'paint.modeTools.fill'
+        },
+        delete: {
+            defaultMessage: 'Delete',
+            description: 'Label for the button to delete the selected area',
+            id: 'paint.modeTools.delete'
         }
     });
 
+    const bitmapShapeTools = () => (
+        <div className={styles.modeTools}>
+            <InputGroup
+                className={classNames(styles.modLabeledIconHeight, {
+                    [styles.modDashedBorder]: !props.fillBitmapShapes
+                })}
+            >
+                <LabeledIconButton
+                    className={classNames({[styles.modToggled]: props.fillBitmapShapes})}
+                    imgSrc={filledIcon}
+                    title={props.intl.formatMessage(messages.filled)}
+                    onClick={props.onFillShapes}
+                />
+                <LabeledIconButton
+                    className={classNames({[styles.modToggled]: !props.fillBitmapShapes})}
+                    imgSrc={outlinedIcon}
+                    title={props.intl.formatMessage(messages.outlined)}
+                    onClick={props.onOutlineShapes}
+                />
+            </InputGroup>
+            {props.fillBitmapShapes ? null : (
+                <InputGroup className={styles.modeTools}>
+                    <div>
+                        <img
+                            alt={props.intl.formatMessage(messages.outlineSize)}
+                            className={styles.modeToolsIcon}
+                            draggable={false}
+                            src={bitBrushIcon}
+                        />
+                    </div>
+                    <LiveInput
+                        range
+                        small
+                        max={MAX_STROKE_WIDTH}
+                        min="1"
+                        type="number"
+                        value={props.bitBrushSize}
+                        onSubmit={props.onBitBrushSliderChange}
+                    />
+                </InputGroup>
+            )}
+        </div>
+    );
+
+    const cornerRadiusTools = () => (
+        <InputGroup className={styles.modeTools}>
+            <div>
+                <img
+                    alt={props.intl.formatMessage(messages.cornerRadius)}
+                    className={styles.modeToolsIcon}
+                    draggable={false}
+                    src={cornerRadiusIcon}
+                />
+            </div>
+            <LiveInput
+                range
+                small
+                max={MAX_CORNER_RADIUS}
+                min={0}
+                type="number"
+                value={props.cornerRadius}
+                onSubmit={props.onCornerRadiusChange}
+            />
+        </InputGroup>
+    );
+
+    const toleranceTools = icon => (
+        <InputGroup className={styles.modeTools}>
+            <div>
+                <img
+                    alt={props.intl.formatMessage(messages.tolerance)}
+                    className={styles.modeToolsIcon}
+                    draggable={false}
+                    src={icon}
+                />
+            </div>
+            <LiveInput
+                range
+                small
+                max={MAX_TOLERANCE}
+                min="0"
+                type="number"
+                value={props.bitFillTolerance}
+                onSubmit={props.onBitFillToleranceChange}
+            />
+        </InputGroup>
+    );
+
+    const lassoTools = () => (
+        <InputGroup className={classNames(styles.modeTools, styles.modLabeledIconHeight)}>
+            <LabeledIconButton
+                className={classNames({[styles.modToggled]: props.lassoSelect})}
+                imgSrc={lassoIcon}
+                title={props.intl.formatMessage(messages.lassoSelect)}
+                onClick={props.onLassoSelectToggle}
+            />
+        </InputGroup>
+    );
+
+    const handleModeTools = () => (
+        <InputGroup className={classNames(styles.modeTools, styles.modLabeledIconHeight)}>
+            <LabeledIconButton
+                className={classNames({[styles.modToggled]: props.selectedHandleMode === HandleModes.SYMMETRIC})}
+                disabled={!props.canSetHandleModes}
+                imgSrc={symmetricHandlesIcon}
+                title={props.intl.formatMessage(messages.symmetricHandles)}
+                onClick={props.onSymmetricHandles}
+            />
+            <LabeledIconButton
+                className={classNames({[styles.modToggled]: props.selectedHandleMode === HandleModes.ASYMMETRIC})}
+                disabled={!props.canSetHandleModes}
+                imgSrc={asymmetricHandlesIcon}
+                title={props.intl.formatMessage(messages.asymmetricHandles)}
+                onClick={props.onAsymmetricHandles}
+            />
+            <LabeledIconButton
+                className={classNames({[styles.modToggled]: props.selectedHandleMode === HandleModes.BROKEN})}
+                disabled={!props.canSetHandleModes}
+                imgSrc={brokenHandlesIcon}
+                title={props.intl.formatMessage(messages.brokenHandles)}
+                onClick={props.onBrokenHandles}
+            />
+        </InputGroup>
+    );
+
+    const endpointTools = () => (
+        <InputGroup className={classNames(styles.modeTools, styles.modLabeledIconHeight)}>
+            <LabeledIconButton
+                disabled={!props.canJoinEndpoints}
+                imgSrc={joinEndpointsIcon}
+                title={props.intl.formatMessage(messages.joinEndpoints)}
+                onClick={props.onJoinEndpoints}
+            />
+            <LabeledIconButton
+                disabled={!props.canBreakPath}
+                imgSrc={breakPathIcon}
+                title={props.intl.formatMessage(messages.breakPath)}
+                onClick={props.onBreakPath}
+            />
+        </InputGroup>
+    );
+
+    const simplifyTools = () => (
+        <InputGroup className={classNames(styles.modeTools, styles.modLabeledIconHeight)}>
+            <LabeledIconButton
+                disabled={!props.canSimplifySelection}
+                imgSrc={simplifyIcon}
+                title={props.intl.formatMessage(messages.simplify)}
+                onClick={props.onSimplify}
+            />
+            <LiveInput
+                range
+                small
+                disabled={!props.canSimplifySelection}
+                max={MAX_SIMPLIFY_TOLERANCE}
+                min={MIN_SIMPLIFY_TOLERANCE}
+                title={props.intl.formatMessage(messages.simplifyTolerance)}
+                type="number"
+                value={props.simplifyTolerance}
+                onBlur={props.onSimplifyToleranceCommit}
+                onSubmit={props.onSimplifyToleranceChange}
+            />
+            <LabeledIconButton
+                disabled={!props.canSimplifySelection}
+                imgSrc={smoothIcon}
+                title={props.intl.formatMessage(messages.smooth)}
+                onClick={props.onSmooth}
+            />
+        </InputGroup>
+    );
+
+    const offsetTools = () => (
+        <InputGroup className={classNames(styles.modeTools, styles.modLabeledIconHeight)}>
+            <LabeledIconButton
+                disabled={!props.canOutlineSelectedStrokes}
+                imgSrc={outlineStrokeIcon}
+                title={props.intl.formatMessage(messages.outlineStroke)}
+                onClick={props.onOutlineStroke}
+            />
+            <LabeledIconButton
+                disabled={!props.canOffsetSelection}
+                imgSrc={offsetPathIcon}
+                title={props.intl.formatMessage(messages.offsetPath)}
+                onClick={props.onOffsetPath}
+            />
+            <LiveInput
+                range
+                small
+                max={MAX_OFFSET_DISTANCE}
+                min={-MAX_OFFSET_DISTANCE}
+                title={props.intl.formatMessage(messages.offsetDistance)}
+                type="number"
+                value={props.offsetDistance}
+                onSubmit={props.onOffsetDistanceChange}
+            />
+            <LabeledIconButton
+                className={classNames({[styles.modToggled]: props.offsetJoin === StrokeJoins.ROUND})}
+                imgSrc={joinRoundIcon}
+                title={props.intl.formatMessage(messages.roundOffsetJoin)}
+                onClick={props.onRoundOffsetJoin}
+            />
+            <LabeledIconButton
+                className={classNames({[styles.modToggled]: props.offsetJoin === StrokeJoins.MITER})}
+                imgSrc={joinMiterIcon}
+                title={props.intl.formatMessage(messages.miterOffsetJoin)}
+                onClick={props.onMiterOffsetJoin}
+            />
+        </InputGroup>
+    );
+
     switch (props.mode) {
     case Modes.BRUSH:
         /* falls through */
@@ -148,6 +554,94 @@ const ModeToolsComponent = props => {
             </div>
         );
     }
+    case Modes.BIT_FILL:
+        return (
+            <div className={classNames(props.className, styles.modeTools)}>
+                {toleranceTools(bitFillIcon)}
+                <LabeledIconButton
+                    className={classNames({[styles.modToggled]: props.bitFillFeather})}
+                    imgSrc={featherIcon}
+                    title={props.intl.formatMessage(messages.feather)}
+                    onClick={props.onBitFillFeatherToggle}
+                />
+            </div>
+        );
+    case Modes.BIT_OVAL:
+        /* falls through */
+    case Modes.BIT_RECT:
+        return (
+            <div className={classNames(props.className, styles.modeTools)}>
+                {bitmapShapeTools()}
+            </div>
+        );
+    case Modes.BIT_POLYGON:
+        /* falls through */
+    case Modes.POLYGON:
+        return (
+            <div className={classNames(props.className, styles.modeTools)}>
+                <InputGroup className={classNames(styles.modDashedBorder, styles.modLabeledIconHeight)}>
+                    <LabeledIconButton
+                        className={classNames({[styles.modToggled]: !props.polygonIsStar})}
+                        imgSrc={polygonIcon}
+                        title={props.intl.formatMessage(messages.polygon)}
+                        onClick={props.onPolygonShapes}
+                    />
+                    <LabeledIconButton
+                        className={classNames({[styles.modToggled]: props.polygonIsStar})}
+                        imgSrc={starIcon}
+                        title={props.intl.formatMessage(messages.star)}
+                        onClick={props.onStarShapes}
+                    />
+                </InputGroup>
+                <InputGroup className={styles.modeTools}>
+                    <div>
+                        <img
+                            alt={props.intl.formatMessage(props.polygonIsStar ? messages.points : messages.sides)}
+                            className={styles.modeToolsIcon}
+                            draggable={false}
+                            src={props.polygonIsStar ? starIcon : polygonIcon}
+                        />
+                    </div>
+                    <LiveInput
+                        range
+                        small
+                        max={MAX_SIDES}
+                        min={MIN_SIDES}
+                        type="number"
+                        value={props.polygonSides}
+                        onSubmit={props.onPolygonSidesChange}
+                    />
+                </InputGroup>
+                {props.polygonIsStar ? (
+                    <InputGroup className={styles.modeTools}>
+                        <div>
+                            <img
+                                alt={props.intl.formatMessage(messages.innerRadius)}
+                                className={styles.modeToolsIcon}
+                                draggable={false}
+                                src={innerRadiusIcon}
+                            />
+                        </div>
+                        <LiveInput
+                            range
+                            small
+                            max={MAX_INNER_RADIUS}
+                            min={1}
+                            type="number"
+                            value={props.polygonInnerRadius}
+                            onSubmit={props.onPolygonInnerRadiusChange}
+                        />
+                    </InputGroup>
+                ) : null}
+                {props.mode === Modes.BIT_POLYGON ? bitmapShapeTools() : null}
+            </div>
+        );
+    case Modes.ROUNDED_RECT:
+        return (
+            <div className={classNames(props.className, styles.modeTools)}>
+                {cornerRadiusTools()}
+            </div>
+        );
     case Modes.RESHAPE:
         return (
             <div className={classNames(props.className, styles.modeTools)}>
@@ -163,8 +657,14 @@ const ModeToolsComponent = props => {
                     title={props.intl.formatMessage(messages.pointed)}
                     onClick={props.onPointPoints}
                 />
+                {handleModeTools()}
+                {endpointTools()}
+                {simplifyTools()}
+                {lassoTools()}
             </div>
         );
+    case Modes.BIT_SELECT:
+        /* falls through */
     case Modes.SELECT:
         return (
             <div className={classNames(props.className, styles.modeTools)}>
@@ -194,6 +694,74 @@ const ModeToolsComponent = props => {
                         onClick={props.onFlipVertical}
                     />
                 </InputGroup>
+                {props.mode === Modes.SELECT ? (
+                    <InputGroup className={classNames(styles.modLabeledIconHeight)}>
+                        <LabeledIconButton
+                            disabled={!props.canCombineSelection}
+                            imgSrc={uniteIcon}
+                            title={props.intl.formatMessage(messages.unite)}
+                            onClick={props.onUnite}
+                        />
+                        <LabeledIconButton
+                            disabled={!props.canCombineSelection}
+                            imgSrc={intersectIcon}
+                            title={props.intl.formatMessage(messages.intersect)}
+                            onClick={props.onIntersect}
+                        />
+                        <LabeledIconButton
+                            disabled={!props.canCombineSelection}
+                            imgSrc={subtractFrontIcon}
+                            title={props.intl.formatMessage(messages.subtractFront)}
+                            onClick={props.onSubtractFront}
+                        />
+                        <LabeledIconButton
+                            disabled={!props.canCombineSelection}
+                            imgSrc={excludeIcon}
+                            title={props.intl.formatMessage(messages.exclude)}
+                            onClick={props.onExclude}
+                        />
+                    </InputGroup>
+                ) : null}
+                {props.mode === Modes.SELECT ? simplifyTools() : null}
+                {props.mode === Modes.SELECT ? offsetTools() : null}
+                {props.mode === Modes.SELECT && props.hasSelectedRoundedRects ? cornerRadiusTools() : null}
+                {props.mode === Modes.SELECT ? lassoTools() : null}
+                {props.mode === Modes.SELECT ? (
+                    <InputGroup>
+                        <SelectSimilar />
+                    </InputGroup>
+                ) : null}
+            </div>
+        );
+    case Modes.BIT_MAGIC_WAND:
+        return (
+            <div className={classNames(props.className, styles.modeTools)}>
+                <InputGroup className={classNames(styles.modDashedBorder, styles.modLabeledIconHeight)}>
+                    <LabeledIconButton
+                        imgSrc={copyIcon}
+                        title={props.intl.formatMessage(messages.copy)}
+                        onClick={props.onCopyToClipboard}
+                    />
+                    <LabeledIconButton
+                        disabled={!(props.clipboardItems.length > 0)}
+                        imgSrc={pasteIcon}
+                        title={props.intl.formatMessage(messages.paste)}
+                        onClick={props.onPasteFromClipboard}
+                    />
+                </InputGroup>
+                <InputGroup className={classNames(styles.modLabeledIconHeight)}>
+                    <LabeledIconButton
+                        imgSrc={bitFillIcon}
+                        title={props.intl.formatMessage(messages.fill)}
+                        onClick={props.onFillMask}
+                    />
+                    <LabeledIconButton
+                        imgSrc={bitEraserIcon}
+                        title={props.intl.formatMessage(messages.delete)}
+                        onClick={props.onDeleteMask}
+                    />
+                </InputGroup>
+                {toleranceTools(magicWandIcon)}
             </div>
         );
     case Modes.BIT_TEXT:
@@ -219,26 +787,76 @@ const ModeToolsComponent = props => {
 ModeToolsComponent.propTypes = {
     bitBrushSize: PropTypes.number,
     bitEraserSize: PropTypes.number,
+    bitFillFeather: PropTypes.bool,
+    bitFillTolerance: PropTypes.number,
     brushValue: PropTypes.number,
+    canBreakPath: PropTypes.bool,
+    canCombineSelection: PropTypes.bool,
+    canJoinEndpoints: PropTypes.bool,
+    canOffsetSelection: PropTypes.bool,
+    canOutlineSelectedStrokes: PropTypes.bool,
+    canSetHandleModes: PropTypes.bool,
+    canSimplifySelection: PropTypes.bool,
     className: PropTypes.string,
     clipboardItems: PropTypes.arrayOf(PropTypes.array),
+    cornerRadius: PropTypes.number,
     eraserValue: PropTypes.number,
+    fillBitmapShapes: PropTypes.bool,
     format: PropTypes.oneOf(Object.keys(Formats)).isRequired,
+    hasSelectedRoundedRects: PropTypes.bool,
     hasSelectedUncurvedPoints: PropTypes.bool,
     hasSelectedUnpointedPoints: PropTypes.bool,
     intl: intlShape.isRequired,
+    lassoSelect: PropTypes.bool,
     mode: PropTypes.string.isRequired,
+    onAsymmetricHandles: PropTypes.func.isRequired,
     onBitBrushSliderChange: PropTypes.func.isRequired,
+    onBitFillFeatherToggle: PropTypes.func.isRequired,
+    onBitFillToleranceChange: PropTypes.func.isRequired,
+    onBreakPath: PropTypes.func.isRequired,
+    onBrokenHandles: PropTypes.func.isRequired,
     onBrushSliderChange: PropTypes.func.isRequired,
     onCopyToClipboard: PropTypes.func.isRequired,
+    onCornerRadiusChange: PropTypes.func.isRequired,
     onCurvePoints: PropTypes.func.isRequired,
+    onDeleteMask: PropTypes.func.isRequired,
     onEraserSliderChange: PropTypes.func,
+    onExclude: PropTypes.func.isRequired,
     onFlipHorizontal: PropTypes.func.isRequired,
+    onFillMask: PropTypes.func.isRequired,
+    onFillShapes: PropTypes.func.isRequired,
     onFlipVertical: PropTypes.func.isRequired,
+    onIntersect: PropTypes.func.isRequired,
+    onJoinEndpoints: PropTypes.func.isRequired,
+    onLassoSelectToggle: PropTypes.func.isRequired,
+    onMiterOffsetJoin: PropTypes.func.isRequired,
+    onOffsetDistanceChange: PropTypes.func.isRequired,
+    onOffsetPath: PropTypes.func.isRequired,
+    onOutlineShapes: PropTypes.func.isRequired,
+    onOutlineStroke: PropTypes.func.isRequired,
     onPasteFromClipboard: PropTypes.func.isRequired,
     onPointPoints: PropTypes.func.isRequired,
+    onPolygonInnerRadiusChange: PropTypes.func.isRequired,
+    onPolygonShapes: PropTypes.func.isRequired,
+    onPolygonSidesChange: PropTypes.func.isRequired,
+    onRoundOffsetJoin: PropTypes.func.isRequired,
+    onSimplify: PropTypes.func.isRequired,
+    onSimplifyToleranceChange: PropTypes.func.isRequired,
+    onSimplifyToleranceCommit: PropTypes.func.isRequired,
+    onSmooth: PropTypes.func.isRequired,
+    onStarShapes: PropTypes.func.isRequired,
+    onSubtractFront: PropTypes.func.isRequired,
+    onSymmetricHandles: PropTypes.func.isRequired,
+    onUnite: PropTypes.func.isRequired,
     onUpdateImage: PropTypes.func.isRequired,
-    selectedItems: PropTypes.arrayOf(PropTypes.instanceOf(paper.Item))
+    offsetDistance: PropTypes.number,
+    offsetJoin: PropTypes.string,
+    polygonInnerRadius: PropTypes.number,
+    polygonIsStar: PropTypes.bool,
+    polygonSides: PropTypes.number,
+    selectedHandleMode: PropTypes.oneOf(Object.keys(HandleModes)),
+    selectedItems: PropTypes.arrayOf(PropTypes.instanceOf(paper.Item)),
+    simplifyTolerance: PropTypes.number
 };
 
 const mapStateToProps = state => ({
@@ -246,10 +864,20 @@ const mapStateToProps = state => ({
     format: state.scratchPaint.format,
     bitBrushSize: state.scratchPaint.bitBrushSize,
     bitEraserSize: state.scratchPaint.bitEraserSize,
+    bitFillFeather: state.scratchPaint.bitFillMode.feather,
+    bitFillTolerance: state.scratchPaint.bitFillMode.tolerance,
     brushValue: state.scratchPaint.brushMode.brushSize,
     clipboardItems: state.scratchPaint.clipboard.items,
     eraserValue: state.scratchPaint.eraserMode.brushSize,
-    selectedItems: state.scratchPaint.selectedItems
+    fillBitmapShapes: state.scratchPaint.fillBitmapShapes,
+    lassoSelect: state.scratchPaint.lassoSelect,
+    offsetDistance: state.scratchPaint.offsetPath.distance,
+    offsetJoin: state.scratchPaint.offsetPath.join,
+    polygonInnerRadius: state.scratchPaint.polygonMode.innerRadius,
+    polygonIsStar: state.scratchPaint.polygonMode.isStar,
+    polygonSides: state.scratchPaint.polygonMode.sides,
+    selectedItems: state.scratchPaint.selectedItems,
+    simplifyTolerance: state.scratchPaint.simplify.tolerance
 });
 const mapDispatchToProps = dispatch => ({
     onBrushSliderChange: brushSize => {
@@ -261,8 +889,38 @@ const mapDispatchToProps = dispatch => ({
     onBitEraserSliderChange: eraserSize => {
         dispatch(changeBitEraserSize(eraserSize));
     },
+    onBitFillToleranceChange: tolerance => {
+        dispatch(changeBitFillTolerance(tolerance));
+    },
     onEraserSliderChange: eraserSize => {
         dispatch(changeEraserSize(eraserSize));
+    },
+    onFillShapes: () => {
+        dispatch(setShapesFilled(true));
+    },
+    onMiterOffsetJoin: () => {
+        dispatch(changeOffsetJoin(StrokeJoins.MITER));
+    },
+    onOffsetDistanceChange: distance => {
+        dispatch(changeOffsetDistance(distance));
+    },
+    onOutlineShapes: () => {
+        dispatch(setShapesFilled(false));
+    },
+    onPolygonInnerRadiusChange: innerRadius => {
+        dispatch(changePolygonInnerRadius(innerRadius));
+    },
+    onPolygonShapes: () => {
+        dispatch(changePolygonIsStar(false));
+    },
+    onPolygonSidesChange: sides => {
+        dispatch(changePolygonSides(sides));
+    },
+    onRoundOffsetJoin: () => {
+        dispatch(changeOffsetJoin(StrokeJoins.ROUND));
+    },
+    onStarShapes: () => {
+        dispatch(changePolygonIsStar(true));
     }
 });
 
@@ -0,0 +1,47 @@
+import bindAll from 'lodash.bindall';
+import classNames from 'classnames';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import BufferedInputHOC from '../forms/buffered-input-hoc.jsx';
+import Input from '../forms/input.jsx';
+import styles from './name-input.css';
+
+const BufferedInput = BufferedInputHOC(Input);
+
+/**
+ * Name field of a layer or item, which passes the id of what it names along with the new name.
+ */
+class NameInput extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleSubmit'
+        ]);
+    }
+    handleSubmit (name) {
+        this.props.onRename(this.props.id, name);
+    }
+    render () {
+        return (
+            <BufferedInput
+                small
+                className={classNames(styles.nameInput, this.props.className)}
+                placeholder={this.props.placeholder}
+                type="text"
+                value={this.props.value}
+                onSubmit={this.handleSubmit}
+            />
+        );
+    }
+}
+
+NameInput.propTypes = {
+    className: PropTypes.string,
+    id: PropTypes.number.isRequired,
+    onRename: PropTypes.func.isRequired,
+    placeholder: PropTypes.string,
+    value: PropTypes.string
+};
+
+export default NameInput;
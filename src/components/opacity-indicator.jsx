@@ -0,0 +1,45 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {defineMessages, injectIntl, intlShape} from 'react-intl';
+
+import Input from './forms/input.jsx';
+import InputGroup from './input-group/input-group.jsx';
+import Label from './forms/label.jsx';
+import LiveInputHOC from './forms/live-input-hoc.jsx';
+
+import {MAX_OPACITY} from '../reducers/opacity';
+
+const messages = defineMessages({
+    opacity: {
+        id: 'paint.paintEditor.opacity',
+        description: 'Label for the opacity of the selected shapes, from 0 (invisible) to 100 (solid)',
+        defaultMessage: 'Opacity'
+    }
+});
+
+const LiveInput = LiveInputHOC(Input);
+const OpacityIndicatorComponent = props => (
+    <InputGroup disabled={props.disabled}>
+        <Label text={props.intl.formatMessage(messages.opacity)}>
+            <LiveInput
+                range
+                small
+                disabled={props.disabled}
+                max={MAX_OPACITY}
+                min={0}
+                type="number"
+                value={props.opacity === null ? MAX_OPACITY : props.opacity}
+                onSubmit={props.onChangeOpacity}
+            />
+        </Label>
+    </InputGroup>
+);
+
+OpacityIndicatorComponent.propTypes = {
+    disabled: PropTypes.bool.isRequired,
+    intl: intlShape,
+    onChangeOpacity: PropTypes.func.isRequired,
+    opacity: PropTypes.number
+};
+
+export default injectIntl(OpacityIndicatorComponent);
@@ -0,0 +1,271 @@
+import bindAll from 'lodash.bindall';
+import classNames from 'classnames';
+import {defineMessages, injectIntl, intlShape} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Button from '../button/button.jsx';
+import NameInput from '../name-input/name-input.jsx';
+import {OutlineItemTypes} from '../../helper/outline';
+import styles from './outline-panel.css';
+
+import expandIcon from './icons/expand.svg';
+import hiddenIcon from '../layers-panel/icons/hidden.svg';
+import lockedIcon from '../layers-panel/icons/locked.svg';
+import unlockedIcon from '../layers-panel/icons/unlocked.svg';
+import visibleIcon from '../layers-panel/icons/visible.svg';
+
+const messages = defineMessages({
+    outline: {
+        defaultMessage: 'Objects',
+        description: 'Heading of the panel that lists the shapes in the current layer',
+        id: 'paint.outlinePanel.outline'
+    },
+    empty: {
+        defaultMessage: 'Nothing in this layer yet',
+        description: 'Shown in the list of shapes when the current layer is empty',
+        id: 'paint.outlinePanel.empty'
+    },
+    expand: {
+        defaultMessage: 'Show Contents',
+        description: 'Title of the button that lists the shapes inside a group',
+        id: 'paint.outlinePanel.expand'
+    },
+    hide: {
+        defaultMessage: 'Hide',
+        description: 'Title of the button that hides a shape',
+        id: 'paint.outlinePanel.hide'
+    },
+    show: {
+        defaultMessage: 'Show',
+        description: 'Title of the button that shows a hidden shape',
+        id: 'paint.outlinePanel.show'
+    },
+    lock: {
+        defaultMessage: 'Lock',
+        description: 'Title of the button that locks a shape and the groups it is in against selecting or changing',
+        id: 'paint.outlinePanel.lock'
+    },
+    unlock: {
+        defaultMessage: 'Unlock',
+        description: 'Title of the button that unlocks a locked shape',
+        id: 'paint.outlinePanel.unlock'
+    },
+    [OutlineItemTypes.ARROW]: {
+        defaultMessage: 'Arrow',
+        description: 'Name shown for an unnamed line with arrowheads',
+        id: 'paint.outlinePanel.arrow'
+    },
+    [OutlineItemTypes.COMPOUND_PATH]: {
+        defaultMessage: 'Compound Shape',
+        description: 'Name shown for an unnamed shape made of several outlines, such as a shape with a hole',
+        id: 'paint.outlinePanel.compoundPath'
+    },
+    [OutlineItemTypes.GROUP]: {
+        defaultMessage: 'Group',
+        description: 'Name shown for an unnamed group of shapes',
+        id: 'paint.outlinePanel.group'
+    },
+    [OutlineItemTypes.IMAGE]: {
+        defaultMessage: 'Image',
+        description: 'Name shown for an unnamed bitmap image',
+        id: 'paint.outlinePanel.image'
+    },
+    [OutlineItemTypes.PATH]: {
+        defaultMessage: 'Shape',
+        description: 'Name shown for an unnamed shape or line',
+        id: 'paint.outlinePanel.path'
+    },
+    [OutlineItemTypes.SHAPE]: {
+        defaultMessage: 'Shape',
+        description: 'Name shown for an unnamed rectangle or ellipse',
+        id: 'paint.outlinePanel.shape'
+    },
+    [OutlineItemTypes.TEXT]: {
+        defaultMessage: 'Text',
+        description: 'Name shown for an unnamed text box',
+        id: 'paint.outlinePanel.text'
+    }
+});
+
+// Indentation of each level of the tree, in rem
+const INDENT = 1;
+
+class OutlinePanelComponent extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleDragEnd',
+            'handleDragOver',
+            'handleDragStart',
+            'handleDrop',
+            'handleSelectItem',
+            'handleToggleExpanded',
+            'handleToggleLocked',
+            'handleToggleVisible'
+        ]);
+        this.state = {
+            draggedId: null,
+            expandedIds: {}
+        };
+    }
+    getItemId (event) {
+        return Number(event.currentTarget.getAttribute('data-item-id'));
+    }
+    handleSelectItem (event) {
+        this.props.onSelectItem(this.getItemId(event), event.shiftKey);
+    }
+    handleToggleExpanded (event) {
+        // Don't also select the item
+        event.stopPropagation();
+        const id = this.getItemId(event);
+        this.setState({
+            expandedIds: {...this.state.expandedIds, [id]: !this.state.expandedIds[id]}
+        });
+    }
+    handleToggleVisible (event) {
+        event.stopPropagation();
+        this.props.onToggleVisible(this.getItemId(event));
+    }
+    handleToggleLocked (event) {
+        event.stopPropagation();
+        this.props.onToggleLocked(this.getItemId(event));
+    }
+    handleDragStart (event) {
+        const id = this.getItemId(event);
+        // Firefox only starts dragging if there is data
+        event.dataTransfer.setData('text/plain', `${id}`);
+        event.dataTransfer.effectAllowed = 'move';
+        this.setState({draggedId: id});
+    }
+    handleDragEnd () {
+        this.setState({draggedId: null});
+    }
+    handleDragOver (event) {
+        if (this.state.draggedId !== null) {
+            // Allow dropping
+            event.preventDefault();
+        }
+    }
+    handleDrop (event) {
+        event.preventDefault();
+        if (this.state.draggedId !== null) {
+            this.props.onMoveItem(this.state.draggedId, this.getItemId(event));
+        }
+        this.setState({draggedId: null});
+    }
+    renderNodes (nodes, depth) {
+        const {intl} = this.props;
+        const rows = [];
+        for (const node of nodes) {
+            const expanded = !!(node.children && this.state.expandedIds[node.id]);
+            rows.push(
+                <div
+                    draggable
+                    className={classNames(styles.item, {
+                        [styles.modSelected]: node.selected,
+                        [styles.modHidden]: !node.visible
+                    })}
+                    data-item-id={node.id}
+                    key={node.id}
+                    style={{paddingLeft: `${depth * INDENT}rem`}}
+                    onClick={this.handleSelectItem}
+                    onDragEnd={this.handleDragEnd}
+                    onDragOver={this.handleDragOver}
+                    onDragStart={this.handleDragStart}
+                    onDrop={this.handleDrop}
+                >
+                    {node.children ? (
+                        <Button
+                            className={classNames(styles.iconButton, {
+                                [styles.modExpanded]: expanded
+                            })}
+                            data-item-id={node.id}
+                            title={intl.formatMessage(messages.expand)}
+                            onClick={this.handleToggleExpanded}
+                        >
+                            <img
+                                draggable={false}
+                                src={expandIcon}
+                            />
+                        </Button>
+                    ) : (
+                        <div className={styles.iconSpacer} />
+                    )}
+                    <Button
+                        className={styles.iconButton}
+                        data-item-id={node.id}
+                        title={intl.formatMessage(node.visible ? messages.hide : messages.show)}
+                        onClick={this.handleToggleVisible}
+                    >
+                        <img
+                            draggable={false}
+                            src={node.visible ? visibleIcon : hiddenIcon}
+                        />
+                    </Button>
+                    <Button
+                        className={styles.iconButton}
+                        data-item-id={node.id}
+                        title={intl.formatMessage(node.locked ? messages.unlock : messages.lock)}
+                        onClick={this.handleToggleLocked}
+                    >
+                        <img
+                            draggable={false}
+                            src={node.locked ? lockedIcon : unlockedIcon}
+                        />
+                    </Button>
+                    <NameInput
+                        id={node.id}
+                        placeholder={intl.formatMessage(messages[node.type])}
+                        value={node.name}
+                        onRename={this.props.onRenameItem}
+                    />
+                </div>
+            );
+            if (expanded) {
+                rows.push(...this.renderNodes(node.children, depth + 1));
+            }
+        }
+        return rows;
+    }
+    render () {
+        const {intl, outline} = this.props;
+        return (
+            <div className={styles.outlinePanel}>
+                <div className={styles.heading}>
+                    {intl.formatMessage(messages.outline)}
+                </div>
+                <div className={styles.itemList}>
+                    {outline.length ? this.renderNodes(outline, 0) : (
+                        <div className={styles.empty}>
+                            {intl.formatMessage(messages.empty)}
+                        </div>
+                    )}
+                </div>
+            </div>
+        );
+    }
+}
+
+const nodeShape = {
+    id: PropTypes.number.isRequired,
+    name: PropTypes.string,
+    type: PropTypes.oneOf(Object.keys(OutlineItemTypes)),
+    visible: PropTypes.bool,
+    locked: PropTypes.bool,
+    selected: PropTypes.bool
+};
+// Child nodes have the same shape
+nodeShape.children = PropTypes.arrayOf(PropTypes.shape(nodeShape));
+
+OutlinePanelComponent.propTypes = {
+    intl: intlShape,
+    onMoveItem: PropTypes.func.isRequired,
+    onRenameItem: PropTypes.func.isRequired,
+    onSelectItem: PropTypes.func.isRequired,
+    onToggleLocked: PropTypes.func.isRequired,
+    onToggleVisible: PropTypes.func.isRequired,
+    outline: PropTypes.arrayOf(PropTypes.shape(nodeShape)).isRequired
+};
+
+export default injectIntl(OutlinePanelComponent);
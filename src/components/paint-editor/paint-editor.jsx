@@ -10,9 +10,11 @@ import BitBrushMode from '../../containers/bit-brush-mode.jsx';
 import BitLineMode from '../../containers/bit-line-mode.jsx';
 import BitOvalMode from '../../containers/bit-oval-mode.jsx';
 import BitRectMode from '../../containers/bit-rect-mode.jsx';
+import BitPolygonMode from '../../containers/bit-polygon-mode.jsx';
 import BitFillMode from '../../containers/bit-fill-mode.jsx';
 import BitEraserMode from '../../containers/bit-eraser-mode.jsx';
-import BitSelectMode from '../../components/bit-select-mode/bit-select-mode.jsx';
+import BitSelectMode from '../../containers/bit-select-mode.jsx';
+import BitMagicWandMode from '../../containers/bit-magic-wand-mode.jsx';
 import Box from '../box/box.jsx';
 import Button from '../button/button.jsx';
 import ButtonGroup from '../button-group/button-group.jsx';
@@ -20,18 +22,30 @@ import BrushMode from '../../containers/brush-mode.jsx';
 import EraserMode from '../../containers/eraser-mode.jsx';
 import FillColorIndicatorComponent from '../../containers/fill-color-indicator.jsx';
 import FillMode from '../../containers/fill-mode.jsx';
+import GridControls from '../../containers/grid-controls.jsx';
 import InputGroup from '../input-group/input-group.jsx';
+import LayersPanel from '../../containers/layers-panel.jsx';
 import LineMode from '../../containers/line-mode.jsx';
 import Loupe from '../loupe/loupe.jsx';
 import FixedToolsComponent from '../fixed-tools/fixed-tools.jsx';
 import ModeToolsContainer from '../../containers/mode-tools.jsx';
+import OpacityIndicatorComponent from '../../containers/opacity-indicator.jsx';
+import OutlinePanel from '../../containers/outline-panel.jsx';
 import OvalMode from '../../containers/oval-mode.jsx';
+import PenMode from '../../containers/pen-mode.jsx';
+import PolygonMode from '../../containers/polygon-mode.jsx';
 import RectMode from '../../containers/rect-mode.jsx';
 import ReshapeMode from '../../containers/reshape-mode.jsx';
+import RotationCenter from '../../containers/rotation-center.jsx';
+import RoundedRectMode from '../../containers/rounded-rect-mode.jsx';
+import Rulers from '../../containers/rulers.jsx';
+import ScissorsMode from '../../containers/scissors-mode.jsx';
 import SelectMode from '../../containers/select-mode.jsx';
 import StrokeColorIndicatorComponent from '../../containers/stroke-color-indicator.jsx';
+import StrokeStyleIndicatorComponent from '../../containers/stroke-style-indicator.jsx';
 import StrokeWidthIndicatorComponent from '../../containers/stroke-width-indicator.jsx';
 import TextMode from '../../containers/text-mode.jsx';
+import TransformPanel from '../../containers/transform-panel.jsx';
 
 import Formats from '../../lib/format';
 import {isBitmap, isVector} from '../../lib/format';
@@ -100,6 +114,14 @@ const PaintEditorComponent = props => (
                             <StrokeWidthIndicatorComponent
                                 onUpdateImage={props.onUpdateImage}
                             />
+                            {/* dashes, caps, joins and arrowheads */}
+                            <StrokeStyleIndicatorComponent
+                                onUpdateImage={props.onUpdateImage}
+                            />
+                            {/* opacity of the selected items */}
+                            <OpacityIndicatorComponent
+                                onUpdateImage={props.onUpdateImage}
+                            />
                         </InputGroup>
                         <InputGroup className={styles.modModeTools}>
                             <ModeToolsContainer
@@ -148,6 +170,9 @@ const PaintEditorComponent = props => (
                     <EraserMode
                         onUpdateImage={props.onUpdateImage}
                     />
+                    <ScissorsMode
+                        onUpdateImage={props.onUpdateImage}
+                    />
                     <FillMode
                         onUpdateImage={props.onUpdateImage}
                     />
@@ -158,12 +183,21 @@ const PaintEditorComponent = props => (
                     <LineMode
                         onUpdateImage={props.onUpdateImage}
                     />
+                    <PenMode
+                        onUpdateImage={props.onUpdateImage}
+                    />
                     <OvalMode
                         onUpdateImage={props.onUpdateImage}
                     />
                     <RectMode
                         onUpdateImage={props.onUpdateImage}
                     />
+                    <RoundedRectMode
+                        onUpdateImage={props.onUpdateImage}
+                    />
+                    <PolygonMode
+                        onUpdateImage={props.onUpdateImage}
+                    />
                 </div>
             ) : null}
 
@@ -181,6 +215,9 @@ const PaintEditorComponent = props => (
                     <BitRectMode
                         onUpdateImage={props.onUpdateImage}
                     />
+                    <BitPolygonMode
+                        onUpdateImage={props.onUpdateImage}
+                    />
                     <TextMode
                         isBitmap
                         textArea={props.textArea}
@@ -192,11 +229,16 @@ const PaintEditorComponent = props => (
                     <BitEraserMode
                         onUpdateImage={props.onUpdateImage}
                     />
-                    <BitSelectMode />
+                    <BitSelectMode
+                        onUpdateImage={props.onUpdateImage}
+                    />
+                    <BitMagicWandMode
+                        onUpdateImage={props.onUpdateImage}
+                    />
                 </div>
             ) : null}
 
-            <div>
+            <div className={styles.canvasArea}>
                 {/* Canvas */}
                 <div
                     className={classNames(
@@ -213,6 +255,10 @@ const PaintEditorComponent = props => (
                         rotationCenterY={props.rotationCenterY}
                         onUpdateImage={props.onUpdateImage}
                     />
+                    <Rulers />
+                    <RotationCenter
+                        onUpdateImage={props.onUpdateImage}
+                    />
                     <textarea
                         className={styles.textArea}
                         ref={props.setTextArea}
@@ -260,6 +306,9 @@ const PaintEditorComponent = props => (
                                 </span>
                             </Button> : null
                     }
+                    <InputGroup className={styles.gridControls}>
+                        <GridControls />
+                    </InputGroup>
                     {/* Zoom controls */}
                     <InputGroup className={styles.zoomControls}>
                         <ButtonGroup>
@@ -300,6 +349,21 @@ const PaintEditorComponent = props => (
                     </InputGroup>
                 </div>
             </div>
+            <div className={styles.sidePanels}>
+                <TransformPanel
+                    onUpdateImage={props.onUpdateImage}
+                />
+                {isVector(props.format) ?
+                    <LayersPanel
+                        onUpdateImage={props.onUpdateImage}
+                    /> : null
+                }
+                {isVector(props.format) ?
+                    <OutlinePanel
+                        onUpdateImage={props.onUpdateImage}
+                    /> : null
+                }
+            </div>
         </div>
     </div>
 );
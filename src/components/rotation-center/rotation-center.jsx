@@ -0,0 +1,56 @@
+import classNames from 'classnames';
+import {defineMessages, injectIntl, intlShape} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import styles from './rotation-center.css';
+
+// Size of the paper canvas, in CSS pixels
+const CANVAS_WIDTH = 480;
+const CANVAS_HEIGHT = 360;
+
+const messages = defineMessages({
+    rotationCenter: {
+        defaultMessage: 'Drag to set the costume center',
+        description: 'Title of the handle on the point that the costume rotates around',
+        id: 'paint.rotationCenter.rotationCenter'
+    }
+});
+
+// Handle over the rotation center crosshair drawn on the canvas, which can be dragged to move it
+const RotationCenterComponent = props => {
+    const {rotationCenter, viewBounds} = props;
+    const left = (rotationCenter.x * viewBounds.a) + viewBounds.tx;
+    const top = (rotationCenter.y * viewBounds.d) + viewBounds.ty;
+    if (left < 0 || left > CANVAS_WIDTH || top < 0 || top > CANVAS_HEIGHT) return null;
+    return (
+        <div className={styles.overlay}>
+            <div
+                className={classNames(styles.handle, {
+                    [styles.modDragging]: props.dragging
+                })}
+                style={{left: `${left}px`, top: `${top}px`}}
+                title={props.intl.formatMessage(messages.rotationCenter)}
+                onMouseDown={props.onMouseDown}
+            />
+        </div>
+    );
+};
+
+RotationCenterComponent.propTypes = {
+    dragging: PropTypes.bool,
+    intl: intlShape,
+    onMouseDown: PropTypes.func.isRequired,
+    rotationCenter: PropTypes.shape({
+        x: PropTypes.number,
+        y: PropTypes.number
+    }).isRequired,
+    viewBounds: PropTypes.shape({
+        a: PropTypes.number,
+        d: PropTypes.number,
+        tx: PropTypes.number,
+        ty: PropTypes.number
+    }).isRequired
+};
+
+export default injectIntl(RotationCenterComponent);
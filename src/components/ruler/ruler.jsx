@@ -0,0 +1,112 @@
+import bindAll from 'lodash.bindall';
+import classNames from 'classnames';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import styles from './ruler.css';
+
+/** Thickness of a ruler, in CSS pixels */
+const RULER_SIZE = 16;
+/** Smallest distance between labeled ticks, in CSS pixels */
+const MIN_LABEL_SPACING = 40;
+/** Distances between labeled ticks to choose from, in costume pixels */
+const LABEL_STEPS = [1, 2, 5, 10, 25, 50, 100, 250, 500];
+const MINOR_TICKS_PER_LABEL = 5;
+const TICK_COLOR = '#575e75';
+
+/**
+ * Ruler along one edge of the canvas, labeled in costume pixels from the top left of the art board.
+ * It is drawn on its own canvas so that it can follow zooming and scrolling.
+ */
+class Ruler extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'setCanvas'
+        ]);
+    }
+    componentDidMount () {
+        this.draw();
+    }
+    componentDidUpdate () {
+        this.draw();
+    }
+    setCanvas (canvas) {
+        this.canvas = canvas;
+    }
+    draw () {
+        const {horizontal, length, offset, scale} = this.props;
+        const pixelRatio = window.devicePixelRatio || 1;
+        this.canvas.width = (horizontal ? length : RULER_SIZE) * pixelRatio;
+        this.canvas.height = (horizontal ? RULER_SIZE : length) * pixelRatio;
+        const context = this.canvas.getContext('2d');
+        context.scale(pixelRatio, pixelRatio);
+        context.strokeStyle = TICK_COLOR;
+        context.fillStyle = TICK_COLOR;
+        context.lineWidth = 1;
+        context.font = '9px "Helvetica Neue", Helvetica, sans-serif';
+        context.textBaseline = 'top';
+
+        // The art board is drawn at twice the size of the costume
+        const pixelsPerUnit = scale * 2;
+        const labelStep = LABEL_STEPS.find(step => step * pixelsPerUnit >= MIN_LABEL_SPACING) ||
+            LABEL_STEPS[LABEL_STEPS.length - 1];
+        const tickStep = labelStep / MINOR_TICKS_PER_LABEL;
+        const firstUnit = -offset / pixelsPerUnit;
+        const lastUnit = (length - offset) / pixelsPerUnit;
+
+        context.beginPath();
+        for (let i = Math.ceil(firstUnit / tickStep); i * tickStep <= lastUnit; i++) {
+            const isLabeled = i % MINOR_TICKS_PER_LABEL === 0;
+            // Offset by half a pixel so that the 1px lines are crisp
+            const position = Math.round((i * tickStep * pixelsPerUnit) + offset) + 0.5;
+            const tickLength = isLabeled ? RULER_SIZE : RULER_SIZE / 4;
+            if (horizontal) {
+                context.moveTo(position, RULER_SIZE);
+                context.lineTo(position, RULER_SIZE - tickLength);
+            } else {
+                context.moveTo(RULER_SIZE, position);
+                context.lineTo(RULER_SIZE - tickLength, position);
+            }
+            if (isLabeled) {
+                const label = `${Math.round(i * tickStep)}`;
+                if (horizontal) {
+                    context.fillText(label, position + 2, 1);
+                } else {
+                    context.save();
+                    context.translate(1, position - 2);
+                    context.rotate(-Math.PI / 2);
+                    context.fillText(label, 0, 0);
+                    context.restore();
+                }
+            }
+        }
+        context.stroke();
+    }
+    render () {
+        return (
+            <canvas
+                className={classNames(styles.ruler, this.props.className)}
+                ref={this.setCanvas}
+                style={this.props.horizontal ?
+                    {width: `${this.props.length}px`, height: `${RULER_SIZE}px`} :
+                    {width: `${RULER_SIZE}px`, height: `${this.props.length}px`}}
+                onMouseDown={this.props.onMouseDown}
+            />
+        );
+    }
+}
+
+Ruler.propTypes = {
+    className: PropTypes.string,
+    horizontal: PropTypes.bool.isRequired,
+    length: PropTypes.number.isRequired, // Length of the ruler in CSS pixels
+    offset: PropTypes.number.isRequired, // Position of the art board's edge on the ruler, in CSS pixels
+    onMouseDown: PropTypes.func,
+    scale: PropTypes.number.isRequired // CSS pixels per unit of paper coordinates
+};
+
+export {
+    Ruler as default,
+    RULER_SIZE
+};
@@ -0,0 +1,93 @@
+import classNames from 'classnames';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Ruler from '../ruler/ruler.jsx';
+import styles from './rulers.css';
+
+// Size of the paper canvas, in CSS pixels
+const CANVAS_WIDTH = 480;
+const CANVAS_HEIGHT = 360;
+
+const RulersComponent = props => {
+    const {draggedGuide, rulerGuides, viewBounds} = props;
+    const guides = [];
+    for (const horizontal of [true, false]) {
+        const positions = horizontal ? rulerGuides.horizontal : rulerGuides.vertical;
+        positions.forEach((position, index) => {
+            if (draggedGuide && draggedGuide.horizontal === horizontal && draggedGuide.index === index) return;
+            guides.push({horizontal: horizontal, index: index, position: position});
+        });
+    }
+    if (draggedGuide && !draggedGuide.removing) {
+        guides.push({...draggedGuide, dragging: true});
+    }
+    return (
+        <div>
+            <div className={styles.corner} />
+            <Ruler
+                horizontal
+                className={styles.topRuler}
+                length={CANVAS_WIDTH}
+                offset={viewBounds.tx}
+                scale={viewBounds.a}
+                onMouseDown={props.onStartNewHorizontalGuide}
+            />
+            <Ruler
+                className={styles.leftRuler}
+                horizontal={false}
+                length={CANVAS_HEIGHT}
+                offset={viewBounds.ty}
+                scale={viewBounds.d}
+                onMouseDown={props.onStartNewVerticalGuide}
+            />
+            <div className={styles.guideOverlay}>
+                {guides.map(guide => {
+                    const screenPosition = guide.horizontal ?
+                        (guide.position * viewBounds.d) + viewBounds.ty :
+                        (guide.position * viewBounds.a) + viewBounds.tx;
+                    if (screenPosition < 0 ||
+                            screenPosition > (guide.horizontal ? CANVAS_HEIGHT : CANVAS_WIDTH)) {
+                        return null;
+                    }
+                    return (
+                        <div
+                            className={classNames(guide.horizontal ? styles.horizontalGuide : styles.verticalGuide, {
+                                [styles.modDragging]: guide.dragging
+                            })}
+                            data-horizontal={guide.horizontal}
+                            data-index={guide.dragging ? '' : guide.index}
+                            key={guide.dragging ? 'dragging' : `${guide.horizontal}-${guide.index}`}
+                            style={guide.horizontal ? {top: `${screenPosition}px`} : {left: `${screenPosition}px`}}
+                            onMouseDown={props.onStartMoveGuide}
+                        />
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+RulersComponent.propTypes = {
+    draggedGuide: PropTypes.shape({
+        horizontal: PropTypes.bool,
+        index: PropTypes.number,
+        position: PropTypes.number,
+        removing: PropTypes.bool
+    }),
+    onStartMoveGuide: PropTypes.func.isRequired,
+    onStartNewHorizontalGuide: PropTypes.func.isRequired,
+    onStartNewVerticalGuide: PropTypes.func.isRequired,
+    rulerGuides: PropTypes.shape({
+        horizontal: PropTypes.arrayOf(PropTypes.number),
+        vertical: PropTypes.arrayOf(PropTypes.number)
+    }).isRequired,
+    viewBounds: PropTypes.shape({
+        a: PropTypes.number,
+        d: PropTypes.number,
+        tx: PropTypes.number,
+        ty: PropTypes.number
+    }).isRequired
+};
+
+export default RulersComponent;
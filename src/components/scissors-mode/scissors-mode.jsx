@@ -0,0 +1,25 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import ToolSelectComponent from '../tool-select-base/tool-select-base.jsx';
+
+import scissorsIcon from './scissors.svg';
+
+const ScissorsModeComponent = props => (
+    <ToolSelectComponent
+        imgDescriptor={{
+            defaultMessage: 'Scissors',
+            description: 'Label for the scissors tool, which cuts paths and slices shapes along a line',
+            id: 'paint.scissorsMode.scissors'
+        }}
+        imgSrc={scissorsIcon}
+        isSelected={props.isSelected}
+        onMouseDown={props.onMouseDown}
+    />
+);
+
+ScissorsModeComponent.propTypes = {
+    isSelected: PropTypes.bool.isRequired,
+    onMouseDown: PropTypes.func.isRequired
+};
+
+export default ScissorsModeComponent;
@@ -0,0 +1,103 @@
+import bindAll from 'lodash.bindall';
+import classNames from 'classnames';
+import {defineMessages, injectIntl, intlShape} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Button from '../button/button.jsx';
+import Dropdown from '../dropdown/dropdown.jsx';
+import {SimilarProperties} from '../../helper/select-similar';
+import styles from './select-similar.css';
+
+const messages = defineMessages({
+    select: {
+        defaultMessage: 'Select',
+        description: 'Label for the dropdown of commands that change which shapes are selected',
+        id: 'paint.selectSimilar.select'
+    },
+    [SimilarProperties.FILL_COLOR]: {
+        defaultMessage: 'Same Fill Color',
+        description: 'Command to also select the shapes that have the same fill color as the selected shapes',
+        id: 'paint.selectSimilar.fillColor'
+    },
+    [SimilarProperties.STROKE_COLOR]: {
+        defaultMessage: 'Same Outline Color',
+        description: 'Command to also select the shapes that have the same outline color as the selected shapes',
+        id: 'paint.selectSimilar.strokeColor'
+    },
+    [SimilarProperties.STROKE_WIDTH]: {
+        defaultMessage: 'Same Outline Width',
+        description: 'Command to also select the shapes that have the same outline width as the selected shapes',
+        id: 'paint.selectSimilar.strokeWidth'
+    },
+    [SimilarProperties.OBJECT_TYPE]: {
+        defaultMessage: 'Same Object Type',
+        description: 'Command to also select the shapes of the same kind as the selected ones, like text or groups',
+        id: 'paint.selectSimilar.objectType'
+    },
+    invert: {
+        defaultMessage: 'Invert Selection',
+        description: 'Command to select the shapes that are not selected, and deselect the ones that are',
+        id: 'paint.selectSimilar.invert'
+    }
+});
+
+class SelectSimilarComponent extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleSelectSimilar'
+        ]);
+    }
+    handleSelectSimilar (event) {
+        this.props.onSelectSimilar(event.currentTarget.getAttribute('data-property'));
+    }
+    render () {
+        const {intl} = this.props;
+        return (
+            <Dropdown
+                className={styles.modUnselect}
+                enterExitTransitionDurationMs={20}
+                popoverContent={
+                    <div className={styles.menu}>
+                        {Object.keys(SimilarProperties).map(property => (
+                            <Button
+                                className={classNames(styles.menuItem, {
+                                    [styles.modDisabled]: !this.props.canSelectSimilar
+                                })}
+                                data-property={property}
+                                disabled={!this.props.canSelectSimilar}
+                                key={property}
+                                onClick={this.handleSelectSimilar}
+                            >
+                                {intl.formatMessage(messages[property])}
+                            </Button>
+                        ))}
+                        <Button
+                            className={classNames(styles.menuItem, styles.modSeparated, {
+                                [styles.modDisabled]: !this.props.canInvertSelection
+                            })}
+                            disabled={!this.props.canInvertSelection}
+                            onClick={this.props.onInvertSelection}
+                        >
+                            {intl.formatMessage(messages.invert)}
+                        </Button>
+                    </div>
+                }
+                tipSize={.01}
+            >
+                {intl.formatMessage(messages.select)}
+            </Dropdown>
+        );
+    }
+}
+
+SelectSimilarComponent.propTypes = {
+    canInvertSelection: PropTypes.bool.isRequired,
+    canSelectSimilar: PropTypes.bool.isRequired,
+    intl: intlShape,
+    onInvertSelection: PropTypes.func.isRequired,
+    onSelectSimilar: PropTypes.func.isRequired
+};
+
+export default injectIntl(SelectSimilarComponent);
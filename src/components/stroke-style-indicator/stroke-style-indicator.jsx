@@ -0,0 +1,291 @@
+import bindAll from 'lodash.bindall';
+import classNames from 'classnames';
+import {defineMessages, injectIntl, intlShape} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import Button from '../button/button.jsx';
+import Dropdown from '../dropdown/dropdown.jsx';
+import {DashPatterns, StrokeCaps, StrokeJoins} from '../../lib/stroke-styles';
+import styles from './stroke-style-indicator.css';
+
+import arrowheadEndIcon from './icons/arrowhead-end.svg';
+import arrowheadStartIcon from './icons/arrowhead-start.svg';
+import capButtIcon from './icons/cap-butt.svg';
+import capRoundIcon from './icons/cap-round.svg';
+import capSquareIcon from './icons/cap-square.svg';
+import dashDashDotIcon from './icons/dash-dash-dot.svg';
+import dashDashedIcon from './icons/dash-dashed.svg';
+import dashDottedIcon from './icons/dash-dotted.svg';
+import dashSolidIcon from './icons/dash-solid.svg';
+import joinBevelIcon from './icons/join-bevel.svg';
+import joinMiterIcon from './icons/join-miter.svg';
+import joinRoundIcon from './icons/join-round.svg';
+
+const messages = defineMessages({
+    strokeStyle: {
+        defaultMessage: 'Outline Style',
+        description: 'Title of the dropdown of options for the dashes, ends, corners and arrowheads of outlines',
+        id: 'paint.strokeStyle.strokeStyle'
+    },
+    dashes: {
+        defaultMessage: 'Dashes',
+        description: 'Heading for the choice of dash pattern for outlines',
+        id: 'paint.strokeStyle.dashes'
+    },
+    caps: {
+        defaultMessage: 'Ends',
+        description: 'Heading for the choice of shape for the ends of outlines',
+        id: 'paint.strokeStyle.caps'
+    },
+    joins: {
+        defaultMessage: 'Corners',
+        description: 'Heading for the choice of shape for the corners of outlines',
+        id: 'paint.strokeStyle.joins'
+    },
+    arrowheads: {
+        defaultMessage: 'Arrowheads',
+        description: 'Heading for the toggles that add arrowheads to the ends of lines',
+        id: 'paint.strokeStyle.arrowheads'
+    },
+    [DashPatterns.SOLID]: {
+        defaultMessage: 'Solid',
+        description: 'Title of the button to make outlines solid',
+        id: 'paint.strokeStyle.solid'
+    },
+    [DashPatterns.DASHED]: {
+        defaultMessage: 'Dashed',
+        description: 'Title of the button to make outlines dashed',
+        id: 'paint.strokeStyle.dashed'
+    },
+    [DashPatterns.DOTTED]: {
+        defaultMessage: 'Dotted',
+        description: 'Title of the button to make outlines dotted',
+        id: 'paint.strokeStyle.dotted'
+    },
+    [DashPatterns.DASH_DOT]: {
+        defaultMessage: 'Dash Dot',
+        description: 'Title of the button to make outlines alternate between dashes and dots',
+        id: 'paint.strokeStyle.dashDot'
+    },
+    buttCap: {
+        defaultMessage: 'Flat Ends',
+        description: 'Title of the button to make outlines end exactly at their end points',
+        id: 'paint.strokeStyle.buttCap'
+    },
+    roundCap: {
+        defaultMessage: 'Round Ends',
+        description: 'Title of the button to give outlines rounded ends',
+        id: 'paint.strokeStyle.roundCap'
+    },
+    squareCap: {
+        defaultMessage: 'Square Ends',
+        description: 'Title of the button to give outlines square ends that reach past their end points',
+        id: 'paint.strokeStyle.squareCap'
+    },
+    miterJoin: {
+        defaultMessage: 'Sharp Corners',
+        description: 'Title of the button to give outlines pointed corners',
+        id: 'paint.strokeStyle.miterJoin'
+    },
+    roundJoin: {
+        defaultMessage: 'Round Corners',
+        description: 'Title of the button to give outlines rounded corners',
+        id: 'paint.strokeStyle.roundJoin'
+    },
+    bevelJoin: {
+        defaultMessage: 'Beveled Corners',
+        description: 'Title of the button to give outlines corners that are cut off',
+        id: 'paint.strokeStyle.bevelJoin'
+    },
+    startArrowhead: {
+        defaultMessage: 'Start Arrowhead',
+        description: 'Title of the button to toggle an arrowhead at the start of lines',
+        id: 'paint.strokeStyle.startArrowhead'
+    },
+    endArrowhead: {
+        defaultMessage: 'End Arrowhead',
+        description: 'Title of the button to toggle an arrowhead at the end of lines',
+        id: 'paint.strokeStyle.endArrowhead'
+    }
+});
+
+const dashIcons = {
+    [DashPatterns.SOLID]: dashSolidIcon,
+    [DashPatterns.DASHED]: dashDashedIcon,
+    [DashPatterns.DOTTED]: dashDottedIcon,
+    [DashPatterns.DASH_DOT]: dashDashDotIcon
+};
+
+const caps = [
+    {strokeCap: StrokeCaps.BUTT, icon: capButtIcon, message: messages.buttCap},
+    {strokeCap: StrokeCaps.ROUND, icon: capRoundIcon, message: messages.roundCap},
+    {strokeCap: StrokeCaps.SQUARE, icon: capSquareIcon, message: messages.squareCap}
+];
+
+const joins = [
+    {strokeJoin: StrokeJoins.MITER, icon: joinMiterIcon, message: messages.miterJoin},
+    {strokeJoin: StrokeJoins.ROUND, icon: joinRoundIcon, message: messages.roundJoin},
+    {strokeJoin: StrokeJoins.BEVEL, icon: joinBevelIcon, message: messages.bevelJoin}
+];
+
+class StrokeStyleIndicatorComponent extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeDashPattern',
+            'handleChangeStrokeCap',
+            'handleChangeStrokeJoin',
+            'handleToggleEndArrowhead',
+            'handleToggleStartArrowhead'
+        ]);
+    }
+    handleChangeDashPattern (event) {
+        this.props.onChangeDashPattern(event.currentTarget.getAttribute('data-dash-pattern'));
+    }
+    handleChangeStrokeCap (event) {
+        this.props.onChangeStrokeCap(event.currentTarget.getAttribute('data-stroke-cap'));
+    }
+    handleChangeStrokeJoin (event) {
+        this.props.onChangeStrokeJoin(event.currentTarget.getAttribute('data-stroke-join'));
+    }
+    handleToggleStartArrowhead () {
+        this.props.onChangeArrowheads(!this.props.strokeStyle.startArrowhead, this.props.strokeStyle.endArrowhead);
+    }
+    handleToggleEndArrowhead () {
+        this.props.onChangeArrowheads(this.props.strokeStyle.startArrowhead, !this.props.strokeStyle.endArrowhead);
+    }
+    render () {
+        const {intl, strokeStyle} = this.props;
+        return (
+            <Dropdown
+                className={classNames(styles.modUnselect, {
+                    [styles.modDisabled]: this.props.disabled
+                })}
+                enterExitTransitionDurationMs={20}
+                popoverContent={
+                    <div className={styles.menu}>
+                        <div className={styles.menuHeading}>
+                            {intl.formatMessage(messages.dashes)}
+                        </div>
+                        <div className={styles.menuRow}>
+                            {Object.keys(DashPatterns).map(dashPattern => (
+                                <Button
+                                    className={classNames(styles.iconButton, {
+                                        [styles.modToggled]: strokeStyle.dashPattern === dashPattern
+                                    })}
+                                    data-dash-pattern={dashPattern}
+                                    key={dashPattern}
+                                    title={intl.formatMessage(messages[dashPattern])}
+                                    onClick={this.handleChangeDashPattern}
+                                >
+                                    <img
+                                        draggable={false}
+                                        src={dashIcons[dashPattern]}
+                                    />
+                                </Button>
+                            ))}
+                        </div>
+                        <div className={styles.menuHeading}>
+                            {intl.formatMessage(messages.caps)}
+                        </div>
+                        <div className={styles.menuRow}>
+                            {caps.map(cap => (
+                                <Button
+                                    className={classNames(styles.iconButton, {
+                                        [styles.modToggled]: strokeStyle.strokeCap === cap.strokeCap
+                                    })}
+                                    data-stroke-cap={cap.strokeCap}
+                                    key={cap.strokeCap}
+                                    title={intl.formatMessage(cap.message)}
+                                    onClick={this.handleChangeStrokeCap}
+                                >
+                                    <img
+                                        draggable={false}
+                                        src={cap.icon}
+                                    />
+                                </Button>
+                            ))}
+                        </div>
+                        <div className={styles.menuHeading}>
+                            {intl.formatMessage(messages.joins)}
+                        </div>
+                        <div className={styles.menuRow}>
+                            {joins.map(join => (
+                                <Button
+                                    className={classNames(styles.iconButton, {
+                                        [styles.modToggled]: strokeStyle.strokeJoin === join.strokeJoin
+                                    })}
+                                    data-stroke-join={join.strokeJoin}
+                                    key={join.strokeJoin}
+                                    title={intl.formatMessage(join.message)}
+                                    onClick={this.handleChangeStrokeJoin}
+                                >
+                                    <img
+                                        draggable={false}
+                                        src={join.icon}
+                                    />
+                                </Button>
+                            ))}
+                        </div>
+                        <div className={styles.menuHeading}>
+                            {intl.formatMessage(messages.arrowheads)}
+                        </div>
+                        <div className={styles.menuRow}>
+                            <Button
+                                className={classNames(styles.iconButton, {
+                                    [styles.modToggled]: strokeStyle.startArrowhead
+                                })}
+                                title={intl.formatMessage(messages.startArrowhead)}
+                                onClick={this.handleToggleStartArrowhead}
+                            >
+                                <img
+                                    draggable={false}
+                                    src={arrowheadStartIcon}
+                                />
+                            </Button>
+                            <Button
+                                className={classNames(styles.iconButton, {
+                                    [styles.modToggled]: strokeStyle.endArrowhead
+                                })}
+                                title={intl.formatMessage(messages.endArrowhead)}
+                                onClick={this.handleToggleEndArrowhead}
+                            >
+                                <img
+                                    draggable={false}
+                                    src={arrowheadEndIcon}
+                                />
+                            </Button>
+                        </div>
+                    </div>
+                }
+                tipSize={.01}
+            >
+                <img
+                    className={styles.dropdownIcon}
+                    draggable={false}
+                    src={dashIcons[strokeStyle.dashPattern] || dashSolidIcon}
+                    title={intl.formatMessage(messages.strokeStyle)}
+                />
+            </Dropdown>
+        );
+    }
+}
+
+StrokeStyleIndicatorComponent.propTypes = {
+    disabled: PropTypes.bool.isRequired,
+    intl: intlShape,
+    onChangeArrowheads: PropTypes.func.isRequired,
+    onChangeDashPattern: PropTypes.func.isRequired,
+    onChangeStrokeCap: PropTypes.func.isRequired,
+    onChangeStrokeJoin: PropTypes.func.isRequired,
+    strokeStyle: PropTypes.shape({
+        dashPattern: PropTypes.oneOf(Object.keys(DashPatterns)),
+        strokeCap: PropTypes.string,
+        strokeJoin: PropTypes.string,
+        startArrowhead: PropTypes.bool,
+        endArrowhead: PropTypes.bool
+    }).isRequired
+};
+
+export default injectIntl(StrokeStyleIndicatorComponent);
@@ -0,0 +1,184 @@
+import classNames from 'classnames';
+import {defineMessages, injectIntl, intlShape} from 'react-intl';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import BufferedInputHOC from '../forms/buffered-input-hoc.jsx';
+import Button from '../button/button.jsx';
+import Input from '../forms/input.jsx';
+import Label from '../forms/label.jsx';
+import styles from './transform-panel.css';
+
+import aspectLockedIcon from './icons/aspect-locked.svg';
+import aspectUnlockedIcon from './icons/aspect-unlocked.svg';
+
+const BufferedInput = BufferedInputHOC(Input);
+
+const messages = defineMessages({
+    transform: {
+        defaultMessage: 'Transform',
+        description: 'Heading of the panel that shows the position, size and rotation of the selection',
+        id: 'paint.transformPanel.transform'
+    },
+    empty: {
+        defaultMessage: 'Select something to move, resize or rotate it',
+        description: 'Shown in the transform panel when nothing is selected',
+        id: 'paint.transformPanel.empty'
+    },
+    x: {
+        defaultMessage: 'X',
+        description: 'Label of the input for the x position of the center of the selection',
+        id: 'paint.transformPanel.x'
+    },
+    y: {
+        defaultMessage: 'Y',
+        description: 'Label of the input for the y position of the center of the selection',
+        id: 'paint.transformPanel.y'
+    },
+    width: {
+        defaultMessage: 'W',
+        description: 'Label of the input for the width of the selection',
+        id: 'paint.transformPanel.width'
+    },
+    height: {
+        defaultMessage: 'H',
+        description: 'Label of the input for the height of the selection',
+        id: 'paint.transformPanel.height'
+    },
+    rotation: {
+        defaultMessage: 'Rotation',
+        description: 'Label of the input for how far the selection is rotated, in degrees clockwise',
+        id: 'paint.transformPanel.rotation'
+    },
+    setRotationCenter: {
+        defaultMessage: 'Set Costume Center',
+        description: 'Label of the button that moves the point the costume rotates around to the selection',
+        id: 'paint.transformPanel.setRotationCenter'
+    },
+    lockAspect: {
+        defaultMessage: 'Keep Proportions',
+        description: 'Title of the button that keeps the width and height of the selection in proportion',
+        id: 'paint.transformPanel.lockAspect'
+    },
+    unlockAspect: {
+        defaultMessage: 'Resize Width and Height Separately',
+        description: 'Title of the button that lets the width and height of the selection be changed separately',
+        id: 'paint.transformPanel.unlockAspect'
+    }
+});
+
+const TransformPanelComponent = props => {
+    const {intl, transform} = props;
+    return (
+        <div className={styles.transformPanel}>
+            <div className={styles.heading}>
+                {intl.formatMessage(messages.transform)}
+            </div>
+            {transform ? (
+                <div className={styles.fields}>
+                    <div className={styles.row}>
+                        <Label text={intl.formatMessage(messages.x)}>
+                            <BufferedInput
+                                small
+                                className={styles.numberInput}
+                                type="number"
+                                value={transform.x}
+                                onSubmit={props.onChangeX}
+                            />
+                        </Label>
+                        <Label text={intl.formatMessage(messages.y)}>
+                            <BufferedInput
+                                small
+                                className={styles.numberInput}
+                                type="number"
+                                value={transform.y}
+                                onSubmit={props.onChangeY}
+                            />
+                        </Label>
+                    </div>
+                    <div className={styles.row}>
+                        <Label text={intl.formatMessage(messages.width)}>
+                            <BufferedInput
+                                small
+                                className={styles.numberInput}
+                                disabled={!transform.resizable}
+                                min="0"
+                                type="number"
+                                value={transform.width}
+                                onSubmit={props.onChangeWidth}
+                            />
+                        </Label>
+                        <Label text={intl.formatMessage(messages.height)}>
+                            <BufferedInput
+                                small
+                                className={styles.numberInput}
+                                disabled={!transform.resizable}
+                                min="0"
+                                type="number"
+                                value={transform.height}
+                                onSubmit={props.onChangeHeight}
+                            />
+                        </Label>
+                        <Button
+                            className={classNames(styles.iconButton, {
+                                [styles.modToggled]: props.aspectLocked
+                            })}
+                            title={intl.formatMessage(props.aspectLocked ? messages.unlockAspect : messages.lockAspect)}
+                            onClick={props.onToggleAspectLocked}
+                        >
+                            <img
+                                draggable={false}
+                                src={props.aspectLocked ? aspectLockedIcon : aspectUnlockedIcon}
+                            />
+                        </Button>
+                    </div>
+                    <div className={styles.row}>
+                        <Label text={intl.formatMessage(messages.rotation)}>
+                            <BufferedInput
+                                small
+                                className={styles.numberInput}
+                                type="number"
+                                value={transform.rotation}
+                                onSubmit={props.onChangeRotation}
+                            />
+                        </Label>
+                    </div>
+                    <div className={styles.row}>
+                        <Button
+                            className={styles.textButton}
+                            onClick={props.onSetRotationCenter}
+                        >
+                            {intl.formatMessage(messages.setRotationCenter)}
+                        </Button>
+                    </div>
+                </div>
+            ) : (
+                <div className={styles.empty}>
+                    {intl.formatMessage(messages.empty)}
+                </div>
+            )}
+        </div>
+    );
+};
+
+TransformPanelComponent.propTypes = {
+    aspectLocked: PropTypes.bool.isRequired,
+    intl: intlShape,
+    onChangeHeight: PropTypes.func.isRequired,
+    onChangeRotation: PropTypes.func.isRequired,
+    onChangeWidth: PropTypes.func.isRequired,
+    onChangeX: PropTypes.func.isRequired,
+    onChangeY: PropTypes.func.isRequired,
+    onSetRotationCenter: PropTypes.func.isRequired,
+    onToggleAspectLocked: PropTypes.func.isRequired,
+    transform: PropTypes.shape({
+        x: PropTypes.number,
+        y: PropTypes.number,
+        width: PropTypes.number,
+        height: PropTypes.number,
+        rotation: PropTypes.number,
+        resizable: PropTypes.bool
+    })
+};
+
+export default injectIntl(TransformPanelComponent);
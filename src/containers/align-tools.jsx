@@ -0,0 +1,78 @@
+import bindAll from 'lodash.bindall';
+import {connect} from 'react-redux';
+import paper from '@scratch/paper';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import AlignToolsComponent from '../components/align-tools/align-tools.jsx';
+import AlignTargets from '../lib/align-targets';
+import {alignSelection, distributeSelection} from '../helper/align';
+import {getSelectedLeafItems, getSelectedRootItems} from '../helper/selection';
+import {changeAlignTarget} from '../reducers/align-target';
+import {setSelectedItems} from '../reducers/selected-items';
+
+class AlignTools extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleAlign',
+            'handleDistribute'
+        ]);
+    }
+    handleAlign (alignment) {
+        if (alignSelection(alignment, this.props.alignTarget, this.props.onUpdateImage)) {
+            // Update the bounding box
+            this.props.setSelectedItems();
+        }
+    }
+    handleDistribute (distribution) {
+        if (distributeSelection(distribution, this.props.alignTarget, this.props.onUpdateImage)) {
+            this.props.setSelectedItems();
+        }
+    }
+    render () {
+        const numItems = getSelectedRootItems().length;
+        const isArtBoard = this.props.alignTarget === AlignTargets.ARTBOARD;
+        // Aligning one item to its own bounds, or spreading two items across their own bounds, does nothing
+        const canAlign = numItems > 1 || (numItems === 1 && this.props.alignTarget !== AlignTargets.SELECTION);
+        const canDistribute = numItems > 2 || (numItems === 2 && isArtBoard);
+        return (
+            <AlignToolsComponent
+                alignTarget={this.props.alignTarget}
+                canAlign={canAlign}
+                canDistribute={canDistribute}
+                onAlign={this.handleAlign}
+                onChangeAlignTarget={this.props.onChangeAlignTarget}
+                onDistribute={this.handleDistribute}
+            />
+        );
+    }
+}
+
+AlignTools.propTypes = {
+    alignTarget: PropTypes.oneOf(Object.keys(AlignTargets)).isRequired,
+    onChangeAlignTarget: PropTypes.func.isRequired,
+    onUpdateImage: PropTypes.func.isRequired,
+    // Listen on selected items to update whether the commands are enabled
+    selectedItems: // eslint-disable-line react/no-unused-prop-types
+        PropTypes.arrayOf(PropTypes.instanceOf(paper.Item)),
+    setSelectedItems: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+    alignTarget: state.scratchPaint.alignTarget,
+    selectedItems: state.scratchPaint.selectedItems
+});
+const mapDispatchToProps = dispatch => ({
+    onChangeAlignTarget: alignTarget => {
+        dispatch(changeAlignTarget(alignTarget));
+    },
+    setSelectedItems: () => {
+        dispatch(setSelectedItems(getSelectedLeafItems()));
+    }
+});
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(AlignTools);
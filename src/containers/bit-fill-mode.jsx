@@ -27,8 +27,16 @@ class BitFillMode extends React.Component {
         }
     }
     componentWillReceiveProps (nextProps) {
-        if (this.tool && nextProps.color !== this.props.color) {
-            this.tool.setColor(nextProps.color);
+        if (this.tool) {
+            if (nextProps.color !== this.props.color) {
+                this.tool.setColor(nextProps.color);
+            }
+            if (nextProps.tolerance !== this.props.tolerance) {
+                this.tool.setTolerance(nextProps.tolerance);
+            }
+            if (nextProps.feather !== this.props.feather) {
+                this.tool.setFeather(nextProps.feather);
+            }
         }
 
         if (nextProps.isFillModeActive && !this.props.isFillModeActive) {
@@ -49,6 +57,8 @@ class BitFillMode extends React.Component {
         }
         this.tool = new FillTool(this.props.onUpdateImage);
         this.tool.setColor(this.props.color);
+        this.tool.setTolerance(this.props.tolerance);
+        this.tool.setFeather(this.props.feather);
         this.tool.activate();
     }
     deactivateTool () {
@@ -69,14 +79,18 @@ class BitFillMode extends React.Component {
 BitFillMode.propTypes = {
     clearSelectedItems: PropTypes.func.isRequired,
     color: PropTypes.string,
+    feather: PropTypes.bool.isRequired,
     handleMouseDown: PropTypes.func.isRequired,
     isFillModeActive: PropTypes.bool.isRequired,
     onChangeFillColor: PropTypes.func.isRequired,
-    onUpdateImage: PropTypes.func.isRequired
+    onUpdateImage: PropTypes.func.isRequired,
+    tolerance: PropTypes.number.isRequired
 };
 
 const mapStateToProps = state => ({
     color: state.scratchPaint.color.fillColor,
+    feather: state.scratchPaint.bitFillMode.feather,
+    tolerance: state.scratchPaint.bitFillMode.tolerance,
     isFillModeActive: state.scratchPaint.mode === Modes.BIT_FILL
 });
 const mapDispatchToProps = dispatch => ({
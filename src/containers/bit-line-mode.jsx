@@ -8,6 +8,7 @@ import {MIXED} from '../helper/style-path';
 import {changeFillColor, DEFAULT_COLOR} from '../reducers/fill-color';
 import {changeMode} from '../reducers/modes';
 import {clearSelectedItems} from '../reducers/selected-items';
+import {getRulerGuides} from '../reducers/ruler-guides';
 import {clearSelection} from '../helper/selection';
 
 import BitLineModeComponent from '../components/bit-line-mode/bit-line-mode.jsx';
@@ -27,6 +28,12 @@ class BitLineMode extends React.Component {
         }
     }
     componentWillReceiveProps (nextProps) {
+        if (this.tool && nextProps.grid !== this.props.grid) {
+            this.tool.setGrid(nextProps.grid);
+        }
+        if (this.tool && nextProps.rulerGuides !== this.props.rulerGuides) {
+            this.tool.setRulerGuides(nextProps.rulerGuides);
+        }
         if (this.tool && nextProps.color !== this.props.color) {
             this.tool.setColor(nextProps.color);
         }
@@ -56,6 +63,8 @@ class BitLineMode extends React.Component {
         );
         this.tool.setColor(color);
         this.tool.setLineSize(this.props.bitBrushSize);
+        this.tool.setGrid(this.props.grid);
+        this.tool.setRulerGuides(this.props.rulerGuides);
 
         this.tool.activate();
     }
@@ -78,16 +87,27 @@ BitLineMode.propTypes = {
     bitBrushSize: PropTypes.number.isRequired,
     clearSelectedItems: PropTypes.func.isRequired,
     color: PropTypes.string,
+    grid: PropTypes.shape({
+        snapToGrid: PropTypes.bool,
+        spacing: PropTypes.number,
+        subdivisions: PropTypes.number
+    }),
     handleMouseDown: PropTypes.func.isRequired,
     isBitLineModeActive: PropTypes.bool.isRequired,
     onChangeFillColor: PropTypes.func.isRequired,
-    onUpdateImage: PropTypes.func.isRequired
+    onUpdateImage: PropTypes.func.isRequired,
+    rulerGuides: PropTypes.shape({
+        horizontal: PropTypes.arrayOf(PropTypes.number),
+        vertical: PropTypes.arrayOf(PropTypes.number)
+    })
 };
 
 const mapStateToProps = state => ({
     bitBrushSize: state.scratchPaint.bitBrushSize,
     color: state.scratchPaint.color.fillColor,
-    isBitLineModeActive: state.scratchPaint.mode === Modes.BIT_LINE
+    grid: state.scratchPaint.grid,
+    isBitLineModeActive: state.scratchPaint.mode === Modes.BIT_LINE,
+    rulerGuides: getRulerGuides(state.scratchPaint.rulerGuides)
 });
 const mapDispatchToProps = dispatch => ({
     clearSelectedItems: () => {
@@ -0,0 +1,101 @@
+import paper from '@scratch/paper';
+import PropTypes from 'prop-types';
+import React from 'react';
+import {connect} from 'react-redux';
+import bindAll from 'lodash.bindall';
+import Modes from '../lib/modes';
+
+import {changeMode} from '../reducers/modes';
+import {clearSelectedItems, setSelectedItems} from '../reducers/selected-items';
+import {clearSelection, getSelectedLeafItems} from '../helper/selection';
+import MagicWandTool from '../helper/bit-tools/magic-wand-tool';
+import MagicWandModeComponent from '../components/bit-magic-wand-mode/bit-magic-wand-mode.jsx';
+
+class BitMagicWandMode extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'activateTool',
+            'deactivateTool'
+        ]);
+    }
+    componentDidMount () {
+        if (this.props.isMagicWandModeActive) {
+            this.activateTool(this.props);
+        }
+    }
+    componentWillReceiveProps (nextProps) {
+        if (this.tool) {
+            if (nextProps.selectedItems !== this.props.selectedItems) {
+                this.tool.onSelectionChanged(nextProps.selectedItems);
+            }
+            if (nextProps.tolerance !== this.props.tolerance) {
+                this.tool.setTolerance(nextProps.tolerance);
+            }
+        }
+
+        if (nextProps.isMagicWandModeActive && !this.props.isMagicWandModeActive) {
+            this.activateTool();
+        } else if (!nextProps.isMagicWandModeActive && this.props.isMagicWandModeActive) {
+            this.deactivateTool();
+        }
+    }
+    shouldComponentUpdate (nextProps) {
+        return nextProps.isMagicWandModeActive !== this.props.isMagicWandModeActive;
+    }
+    activateTool () {
+        clearSelection(this.props.clearSelectedItems);
+        this.tool = new MagicWandTool(
+            this.props.setSelectedItems,
+            this.props.clearSelectedItems,
+            this.props.onUpdateImage
+        );
+        this.tool.setTolerance(this.props.tolerance);
+        this.tool.activate();
+    }
+    deactivateTool () {
+        this.tool.deactivateTool();
+        this.tool.remove();
+        this.tool = null;
+    }
+    render () {
+        return (
+            <MagicWandModeComponent
+                isSelected={this.props.isMagicWandModeActive}
+                onMouseDown={this.props.handleMouseDown}
+            />
+        );
+    }
+}
+
+BitMagicWandMode.propTypes = {
+    clearSelectedItems: PropTypes.func.isRequired,
+    handleMouseDown: PropTypes.func.isRequired,
+    isMagicWandModeActive: PropTypes.bool.isRequired,
+    onUpdateImage: PropTypes.func.isRequired,
+    selectedItems: PropTypes.arrayOf(PropTypes.instanceOf(paper.Item)),
+    setSelectedItems: PropTypes.func.isRequired,
+    tolerance: PropTypes.number.isRequired
+};
+
+const mapStateToProps = state => ({
+    isMagicWandModeActive: state.scratchPaint.mode === Modes.BIT_MAGIC_WAND,
+    selectedItems: state.scratchPaint.selectedItems,
+    tolerance: state.scratchPaint.bitFillMode.tolerance
+});
+const mapDispatchToProps = dispatch => ({
+    clearSelectedItems: () => {
+        dispatch(clearSelectedItems());
+    },
+    setSelectedItems: () => {
+        dispatch(setSelectedItems(getSelectedLeafItems()));
+    },
+    handleMouseDown: () => {
+        dispatch(changeMode(Modes.BIT_MAGIC_WAND));
+    }
+});
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(BitMagicWandMode);
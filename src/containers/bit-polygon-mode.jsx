@@ -0,0 +1,151 @@
+import paper from '@scratch/paper';
+import PropTypes from 'prop-types';
+import React from 'react';
+import {connect} from 'react-redux';
+import bindAll from 'lodash.bindall';
+import Modes from '../lib/modes';
+import {MIXED} from '../helper/style-path';
+
+import {changeFillColor, DEFAULT_COLOR} from '../reducers/fill-color';
+import {changeMode} from '../reducers/modes';
+import {clearSelectedItems, setSelectedItems} from '../reducers/selected-items';
+import {getRulerGuides} from '../reducers/ruler-guides';
+import {clearSelection, getSelectedLeafItems} from '../helper/selection';
+import PolygonTool from '../helper/bit-tools/polygon-tool';
+import PolygonModeComponent from '../components/bit-polygon-mode/bit-polygon-mode.jsx';
+
+class BitPolygonMode extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'activateTool',
+            'deactivateTool'
+        ]);
+    }
+    componentDidMount () {
+        if (this.props.isPolygonModeActive) {
+            this.activateTool(this.props);
+        }
+    }
+    componentWillReceiveProps (nextProps) {
+        if (this.tool && nextProps.grid !== this.props.grid) {
+            this.tool.setGrid(nextProps.grid);
+        }
+        if (this.tool && nextProps.rulerGuides !== this.props.rulerGuides) {
+            this.tool.setRulerGuides(nextProps.rulerGuides);
+        }
+        if (this.tool && nextProps.color !== this.props.color) {
+            this.tool.setColor(nextProps.color);
+        }
+        if (this.tool && nextProps.filled !== this.props.filled) {
+            this.tool.setFilled(nextProps.filled);
+        }
+        if (this.tool && nextProps.thickness !== this.props.thickness) {
+            this.tool.setThickness(nextProps.thickness);
+        }
+        if (this.tool && nextProps.polygonState !== this.props.polygonState) {
+            this.tool.setPolygonState(nextProps.polygonState);
+        }
+        if (this.tool && nextProps.selectedItems !== this.props.selectedItems) {
+            this.tool.onSelectionChanged(nextProps.selectedItems);
+        }
+
+        if (nextProps.isPolygonModeActive && !this.props.isPolygonModeActive) {
+            this.activateTool();
+        } else if (!nextProps.isPolygonModeActive && this.props.isPolygonModeActive) {
+            this.deactivateTool();
+        }
+    }
+    shouldComponentUpdate (nextProps) {
+        return nextProps.isPolygonModeActive !== this.props.isPolygonModeActive;
+    }
+    activateTool () {
+        clearSelection(this.props.clearSelectedItems);
+        // Force the default brush color if fill is MIXED or transparent
+        const fillColorPresent = this.props.color !== MIXED && this.props.color !== null;
+        if (!fillColorPresent) {
+            this.props.onChangeFillColor(DEFAULT_COLOR);
+        }
+        this.tool = new PolygonTool(
+            this.props.setSelectedItems,
+            this.props.clearSelectedItems,
+            this.props.onUpdateImage);
+        this.tool.setColor(this.props.color);
+        this.tool.setFilled(this.props.filled);
+        this.tool.setThickness(this.props.thickness);
+        this.tool.setPolygonState(this.props.polygonState);
+        this.tool.setGrid(this.props.grid);
+        this.tool.setRulerGuides(this.props.rulerGuides);
+        this.tool.activate();
+    }
+    deactivateTool () {
+        this.tool.deactivateTool();
+        this.tool.remove();
+        this.tool = null;
+    }
+    render () {
+        return (
+            <PolygonModeComponent
+                isSelected={this.props.isPolygonModeActive}
+                onMouseDown={this.props.handleMouseDown}
+            />
+        );
+    }
+}
+
+BitPolygonMode.propTypes = {
+    clearSelectedItems: PropTypes.func.isRequired,
+    color: PropTypes.string,
+    filled: PropTypes.bool.isRequired,
+    grid: PropTypes.shape({
+        snapToGrid: PropTypes.bool,
+        spacing: PropTypes.number,
+        subdivisions: PropTypes.number
+    }),
+    handleMouseDown: PropTypes.func.isRequired,
+    isPolygonModeActive: PropTypes.bool.isRequired,
+    onChangeFillColor: PropTypes.func.isRequired,
+    onUpdateImage: PropTypes.func.isRequired,
+    polygonState: PropTypes.shape({
+        sides: PropTypes.number,
+        isStar: PropTypes.bool,
+        innerRadius: PropTypes.number
+    }).isRequired,
+    rulerGuides: PropTypes.shape({
+        horizontal: PropTypes.arrayOf(PropTypes.number),
+        vertical: PropTypes.arrayOf(PropTypes.number)
+    }),
+    selectedItems: PropTypes.arrayOf(PropTypes.instanceOf(paper.Item)),
+    setSelectedItems: PropTypes.func.isRequired,
+    thickness: PropTypes.number.isRequired
+};
+
+const mapStateToProps = state => ({
+    color: state.scratchPaint.color.fillColor,
+    filled: state.scratchPaint.fillBitmapShapes,
+    grid: state.scratchPaint.grid,
+    isPolygonModeActive: state.scratchPaint.mode === Modes.BIT_POLYGON,
+    polygonState: state.scratchPaint.polygonMode,
+    rulerGuides: getRulerGuides(state.scratchPaint.rulerGuides),
+    selectedItems: state.scratchPaint.selectedItems,
+    thickness: state.scratchPaint.bitBrushSize
+});
+const mapDispatchToProps = dispatch => ({
+    clearSelectedItems: () => {
+        dispatch(clearSelectedItems());
+    },
+    setSelectedItems: () => {
+        dispatch(setSelectedItems(getSelectedLeafItems()));
+    },
+    handleMouseDown: () => {
+        dispatch(changeMode(Modes.BIT_POLYGON));
+    },
+    onChangeFillColor: fillColor => {
+        dispatch(changeFillColor(fillColor));
+    }
+});
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(BitPolygonMode);
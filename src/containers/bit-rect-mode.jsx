@@ -9,6 +9,7 @@ import {MIXED} from '../helper/style-path';
 import {changeFillColor, DEFAULT_COLOR} from '../reducers/fill-color';
 import {changeMode} from '../reducers/modes';
 import {clearSelectedItems, setSelectedItems} from '../reducers/selected-items';
+import {getRulerGuides} from '../reducers/ruler-guides';
 import {clearSelection, getSelectedLeafItems} from '../helper/selection';
 import RectTool from '../helper/bit-tools/rect-tool';
 import RectModeComponent from '../components/bit-rect-mode/bit-rect-mode.jsx';
@@ -27,9 +28,21 @@ class BitRectMode extends React.Component {
         }
     }
     componentWillReceiveProps (nextProps) {
+        if (this.tool && nextProps.grid !== this.props.grid) {
+            this.tool.setGrid(nextProps.grid);
+        }
+        if (this.tool && nextProps.rulerGuides !== this.props.rulerGuides) {
+            this.tool.setRulerGuides(nextProps.rulerGuides);
+        }
         if (this.tool && nextProps.color !== this.props.color) {
             this.tool.setColor(nextProps.color);
         }
+        if (this.tool && nextProps.filled !== this.props.filled) {
+            this.tool.setFilled(nextProps.filled);
+        }
+        if (this.tool && nextProps.thickness !== this.props.thickness) {
+            this.tool.setThickness(nextProps.thickness);
+        }
         if (this.tool && nextProps.selectedItems !== this.props.selectedItems) {
             this.tool.onSelectionChanged(nextProps.selectedItems);
         }
@@ -55,6 +68,10 @@ class BitRectMode extends React.Component {
             this.props.clearSelectedItems,
             this.props.onUpdateImage);
         this.tool.setColor(this.props.color);
+        this.tool.setFilled(this.props.filled);
+        this.tool.setThickness(this.props.thickness);
+        this.tool.setGrid(this.props.grid);
+        this.tool.setRulerGuides(this.props.rulerGuides);
         this.tool.activate();
     }
     deactivateTool () {
@@ -75,18 +92,33 @@ class BitRectMode extends React.Component {
 BitRectMode.propTypes = {
     clearSelectedItems: PropTypes.func.isRequired,
     color: PropTypes.string,
+    filled: PropTypes.bool.isRequired,
+    grid: PropTypes.shape({
+        snapToGrid: PropTypes.bool,
+        spacing: PropTypes.number,
+        subdivisions: PropTypes.number
+    }),
     handleMouseDown: PropTypes.func.isRequired,
     isRectModeActive: PropTypes.bool.isRequired,
     onChangeFillColor: PropTypes.func.isRequired,
     onUpdateImage: PropTypes.func.isRequired,
+    rulerGuides: PropTypes.shape({
+        horizontal: PropTypes.arrayOf(PropTypes.number),
+        vertical: PropTypes.arrayOf(PropTypes.number)
+    }),
     selectedItems: PropTypes.arrayOf(PropTypes.instanceOf(paper.Item)),
-    setSelectedItems: PropTypes.func.isRequired
+    setSelectedItems: PropTypes.func.isRequired,
+    thickness: PropTypes.number.isRequired
 };
 
 const mapStateToProps = state => ({
     color: state.scratchPaint.color.fillColor,
+    filled: state.scratchPaint.fillBitmapShapes,
+    grid: state.scratchPaint.grid,
     isRectModeActive: state.scratchPaint.mode === Modes.BIT_RECT,
-    selectedItems: state.scratchPaint.selectedItems
+    selectedItems: state.scratchPaint.selectedItems,
+    thickness: state.scratchPaint.bitBrushSize,
+    rulerGuides: getRulerGuides(state.scratchPaint.rulerGuides)
 });
 const mapDispatchToProps = dispatch => ({
     clearSelectedItems: () => {
@@ -28,9 +28,17 @@ const hsvToHex = (h, s, v) =>
     parseColor(`hsv(${3.6 * h}, ${s}, ${v})`).hex
 ;
 
+// Opaque colors stay hex codes. Semi-transparent ones are rgba(), with alpha scaled down from [0, 100].
+const hsvaToColor = (h, s, v, a) => {
+    const hex = hsvToHex(h, s, v);
+    if (a >= 100) return hex;
+    return `rgba(${parseColor(hex).rgb.join(', ')}, ${Math.round(a) / 100})`;
+};
+
 // Important! This component ignores new color props except when isEyeDropping
 // This is to make the HSV <=> RGB conversion stable. The sliders manage their
-// own changes until unmounted or color changes with props.isEyeDropping = true.
+// own changes until unmounted or color changes with props.isEyeDropping = true,
+// or until a different gradient stop is selected.
 class ColorPicker extends React.Component {
     constructor (props) {
         super(props);
@@ -39,6 +47,9 @@ class ColorPicker extends React.Component {
             'handleHueChange',
             'handleSaturationChange',
             'handleBrightnessChange',
+            'handleAlphaChange',
+            'handleChangeGradientAngle',
+            'handleChangeGradientStopOffset',
             'handleTransparent',
             'handleActivateEyeDropper'
         ]);
@@ -47,17 +58,32 @@ class ColorPicker extends React.Component {
         this.state = {
             hue: hsv[0],
             saturation: hsv[1],
-            brightness: hsv[2]
+            brightness: hsv[2],
+            alpha: this.getAlpha(props.color)
         };
     }
     componentWillReceiveProps (newProps) {
-        if (this.props.isEyeDropping && this.props.color !== newProps.color) {
+        const oldGradient = this.props.gradient;
+        const newGradient = newProps.gradient;
+        if (oldGradient && newGradient && (oldGradient.activeStop !== newGradient.activeStop ||
+                oldGradient.stops.length !== newGradient.stops.length)) {
+            // A different gradient stop is being edited, so show its color
+            const stopColor = newGradient.stops[newGradient.activeStop].color;
+            const hsv = this.getHsv(stopColor);
+            this.setState({
+                hue: hsv[0],
+                saturation: hsv[1],
+                brightness: hsv[2],
+                alpha: this.getAlpha(stopColor)
+            });
+        } else if (this.props.isEyeDropping && this.props.color !== newProps.color) {
             // color set by eye dropper, so update slider states
             const hsv = this.getHsv(newProps.color);
             this.setState({
                 hue: hsv[0],
                 saturation: hsv[1],
-                brightness: hsv[2]
+                brightness: hsv[2],
+                alpha: this.getAlpha(newProps.color)
             });
         }
     }
@@ -67,6 +93,12 @@ class ColorPicker extends React.Component {
         return isTransparent || isMixed ?
             [50, 100, 100] : colorStringToHsv(color);
     }
+    getAlpha (color) {
+        const isTransparent = color === null;
+        const isMixed = color === MIXED;
+        // Picking a color after transparent should give a visible color
+        return isTransparent || isMixed ? 100 : parseColor(color).rgba[3] * 100;
+    }
     handleHueChange (hue) {
         this.setState({hue: hue}, () => {
             this.handleColorChange();
@@ -82,13 +114,26 @@ class ColorPicker extends React.Component {
             this.handleColorChange();
         });
     }
+    handleAlphaChange (alpha) {
+        this.setState({alpha: alpha}, () => {
+            this.handleColorChange();
+        });
+    }
     handleColorChange () {
-        this.props.onChangeColor(hsvToHex(
+        this.props.onChangeColor(hsvaToColor(
             this.state.hue,
             this.state.saturation,
-            this.state.brightness
+            this.state.brightness,
+            this.state.alpha
         ));
     }
+    handleChangeGradientAngle (value) {
+        // Scale from the slider's [0, 100] to degrees
+        this.props.onChangeGradientAngle(value * 3.6);
+    }
+    handleChangeGradientStopOffset (value) {
+        this.props.onChangeGradientStopOffset(value / 100);
+    }
     handleTransparent () {
         this.props.onChangeColor(null);
     }
@@ -101,16 +146,25 @@ class ColorPicker extends React.Component {
     render () {
         return (
             <ColorPickerComponent
+                alpha={this.state.alpha}
                 brightness={this.state.brightness}
                 color={this.props.color}
+                gradient={this.props.gradient}
                 hue={this.state.hue}
                 isEyeDropping={this.props.isEyeDropping}
                 saturation={this.state.saturation}
                 onActivateEyeDropper={this.handleActivateEyeDropper}
+                onAddGradientStop={this.props.onAddGradientStop}
+                onAlphaChange={this.handleAlphaChange}
                 onBrightnessChange={this.handleBrightnessChange}
                 onChangeColor={this.props.onChangeColor}
+                onChangeGradientAngle={this.handleChangeGradientAngle}
+                onChangeGradientStopOffset={this.handleChangeGradientStopOffset}
+                onChangeGradientType={this.props.onChangeGradientType}
                 onHueChange={this.handleHueChange}
+                onRemoveGradientStop={this.props.onRemoveGradientStop}
                 onSaturationChange={this.handleSaturationChange}
+                onSelectGradientStop={this.props.onSelectGradientStop}
                 onTransparent={this.handleTransparent}
             />
         );
@@ -119,9 +173,16 @@ class ColorPicker extends React.Component {
 
 ColorPicker.propTypes = {
     color: PropTypes.string,
+    gradient: ColorPickerComponent.propTypes.gradient,
     isEyeDropping: PropTypes.bool.isRequired,
     onActivateEyeDropper: PropTypes.func.isRequired,
-    onChangeColor: PropTypes.func.isRequired
+    onAddGradientStop: PropTypes.func,
+    onChangeColor: PropTypes.func.isRequired,
+    onChangeGradientAngle: PropTypes.func,
+    onChangeGradientStopOffset: PropTypes.func,
+    onChangeGradientType: PropTypes.func,
+    onRemoveGradientStop: PropTypes.func,
+    onSelectGradientStop: PropTypes.func
 };
 
 const mapStateToProps = state => ({
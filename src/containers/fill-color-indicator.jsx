@@ -3,11 +3,23 @@ import PropTypes from 'prop-types';
 import React from 'react';
 import bindAll from 'lodash.bindall';
 import {changeFillColor} from '../reducers/fill-color';
+import {
+    addGradientStop,
+    changeGradientAngle,
+    changeGradientStopOffset,
+    changeGradientType,
+    removeGradientStop,
+    selectGradientStop
+} from '../reducers/fill-gradient';
 import {openFillColor, closeFillColor} from '../reducers/modals';
 import Modes from '../lib/modes';
+import Formats from '../lib/format';
+import {isVector} from '../lib/format';
+import {isGradient} from '../lib/gradient-types';
 
+import ColorPickerComponent from '../components/color-picker/color-picker.jsx';
 import FillColorIndicatorComponent from '../components/fill-color-indicator.jsx';
-import {applyFillColorToSelection} from '../helper/style-path';
+import {applyFillColorToSelection, MIXED} from '../helper/style-path';
 
 class FillColorIndicator extends React.Component {
     constructor (props) {
@@ -21,7 +33,23 @@ class FillColorIndicator extends React.Component {
         this._hasChanged = false;
     }
     componentWillReceiveProps (newProps) {
-        const {fillColorModalVisible, onUpdateImage} = this.props;
+        const {fillColorModalVisible, fillGradient, onUpdateImage} = this.props;
+        const newGradient = newProps.fillGradient;
+        if (newGradient.activeStop !== fillGradient.activeStop ||
+                newGradient.stops.length !== fillGradient.stops.length) {
+            // The fill color is the color of the active gradient stop
+            const stopColor = newGradient.stops[newGradient.activeStop].color;
+            if (stopColor !== newProps.fillColor) this.props.onChangeFillColor(stopColor);
+        }
+        if (isVector(newProps.format) && fillColorModalVisible && newProps.fillColorModalVisible &&
+                newGradient !== fillGradient &&
+                (isGradient(newGradient.gradientType) ||
+                    (isGradient(fillGradient.gradientType) && newProps.fillColor !== MIXED))) {
+            // Gradients depend on more than the fill color, so apply them once the state has changed.
+            const isDifferent = applyFillColorToSelection(
+                newProps.fillColor, newProps.textEditTarget, newGradient);
+            this._hasChanged = this._hasChanged || isDifferent;
+        }
         if (fillColorModalVisible && !newProps.fillColorModalVisible) {
             // Submit the new SVG, which also stores a single undo/redo action.
             if (this._hasChanged) onUpdateImage();
@@ -30,10 +58,16 @@ class FillColorIndicator extends React.Component {
     }
     handleChangeFillColor (newColor) {
         // Apply color and update redux, but do not update svg until picker closes.
-        const isDifferent = applyFillColorToSelection(newColor, this.props.textEditTarget);
-        this._hasChanged = this._hasChanged || isDifferent;
+        if (!this.isGradientFill()) {
+            const isDifferent = applyFillColorToSelection(newColor, this.props.textEditTarget);
+            this._hasChanged = this._hasChanged || isDifferent;
+        }
         this.props.onChangeFillColor(newColor);
     }
+    isGradientFill () {
+        // Bitmaps can only be filled with solid colors
+        return isVector(this.props.format) && isGradient(this.props.fillGradient.gradientType);
+    }
     handleCloseFillColor () {
         if (!this.props.isEyeDropping) {
             this.props.onCloseFillColor();
@@ -43,6 +77,7 @@ class FillColorIndicator extends React.Component {
         return (
             <FillColorIndicatorComponent
                 {...this.props}
+                fillGradient={isVector(this.props.format) ? this.props.fillGradient : null}
                 onChangeFillColor={this.handleChangeFillColor}
                 onCloseFillColor={this.handleCloseFillColor}
             />
@@ -54,14 +89,34 @@ const mapStateToProps = state => ({
     disabled: state.scratchPaint.mode === Modes.LINE,
     fillColor: state.scratchPaint.color.fillColor,
     fillColorModalVisible: state.scratchPaint.modals.fillColor,
+    fillGradient: state.scratchPaint.color.fillGradient,
+    format: state.scratchPaint.format,
     isEyeDropping: state.scratchPaint.color.eyeDropper.active,
     textEditTarget: state.scratchPaint.textEditTarget
 });
 
 const mapDispatchToProps = dispatch => ({
+    onAddGradientStop: () => {
+        dispatch(addGradientStop());
+    },
     onChangeFillColor: fillColor => {
         dispatch(changeFillColor(fillColor));
     },
+    onChangeGradientAngle: angle => {
+        dispatch(changeGradientAngle(angle));
+    },
+    onChangeGradientStopOffset: offset => {
+        dispatch(changeGradientStopOffset(offset));
+    },
+    onChangeGradientType: gradientType => {
+        dispatch(changeGradientType(gradientType));
+    },
+    onRemoveGradientStop: () => {
+        dispatch(removeGradientStop());
+    },
+    onSelectGradientStop: index => {
+        dispatch(selectGradientStop(index));
+    },
     onOpenFillColor: () => {
         dispatch(openFillColor());
     },
@@ -74,6 +129,8 @@ FillColorIndicator.propTypes = {
     disabled: PropTypes.bool.isRequired,
     fillColor: PropTypes.string,
     fillColorModalVisible: PropTypes.bool.isRequired,
+    fillGradient: ColorPickerComponent.propTypes.gradient,
+    format: PropTypes.oneOf(Object.keys(Formats)),
     isEyeDropping: PropTypes.bool.isRequired,
     onChangeFillColor: PropTypes.func.isRequired,
     onCloseFillColor: PropTypes.func.isRequired,
@@ -31,6 +31,9 @@ class FillMode extends React.Component {
         if (this.tool && nextProps.fillColor !== this.props.fillColor) {
             this.tool.setFillColor(nextProps.fillColor);
         }
+        if (this.tool && nextProps.fillGradient !== this.props.fillGradient) {
+            this.tool.setFillGradient(nextProps.fillGradient);
+        }
         if (this.tool && nextProps.hoveredItemId !== this.props.hoveredItemId) {
             this.tool.setPrevHoveredItemId(nextProps.hoveredItemId);
         }
@@ -56,6 +59,7 @@ class FillMode extends React.Component {
             this.props.onUpdateImage
         );
         this.tool.setFillColor(this.props.fillColor === MIXED ? DEFAULT_COLOR : this.props.fillColor);
+        this.tool.setFillGradient(this.props.fillGradient);
         this.tool.setPrevHoveredItemId(this.props.hoveredItemId);
         this.tool.activate();
     }
@@ -78,6 +82,9 @@ FillMode.propTypes = {
     clearHoveredItem: PropTypes.func.isRequired,
     clearSelectedItems: PropTypes.func.isRequired,
     fillColor: PropTypes.string,
+    fillGradient: PropTypes.shape({
+        gradientType: PropTypes.string.isRequired
+    }),
     handleMouseDown: PropTypes.func.isRequired,
     hoveredItemId: PropTypes.number,
     isFillModeActive: PropTypes.bool.isRequired,
@@ -89,6 +96,7 @@ FillMode.propTypes = {
 const mapStateToProps = state => ({
     fillModeState: state.scratchPaint.fillMode,
     fillColor: state.scratchPaint.color.fillColor,
+    fillGradient: state.scratchPaint.color.fillGradient,
     hoveredItemId: state.scratchPaint.hoveredItemId,
     isFillModeActive: state.scratchPaint.mode === Modes.FILL
 });
@@ -0,0 +1,69 @@
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import GridControlsComponent from '../components/grid-controls/grid-controls.jsx';
+import {changeGridSpacing, changeGridSubdivisions, setShowGrid, setSnapToGrid} from '../reducers/grid';
+
+class GridControls extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleToggleShowGrid',
+            'handleToggleSnapToGrid'
+        ]);
+    }
+    handleToggleShowGrid () {
+        this.props.onSetShowGrid(!this.props.grid.showGrid);
+    }
+    handleToggleSnapToGrid () {
+        this.props.onSetSnapToGrid(!this.props.grid.snapToGrid);
+    }
+    render () {
+        return (
+            <GridControlsComponent
+                grid={this.props.grid}
+                onChangeSpacing={this.props.onChangeSpacing}
+                onChangeSubdivisions={this.props.onChangeSubdivisions}
+                onToggleShowGrid={this.handleToggleShowGrid}
+                onToggleSnapToGrid={this.handleToggleSnapToGrid}
+            />
+        );
+    }
+}
+
+const mapStateToProps = state => ({
+    grid: state.scratchPaint.grid
+});
+const mapDispatchToProps = dispatch => ({
+    onChangeSpacing: spacing => {
+        dispatch(changeGridSpacing(spacing));
+    },
+    onChangeSubdivisions: subdivisions => {
+        dispatch(changeGridSubdivisions(subdivisions));
+    },
+    onSetShowGrid: showGrid => {
+        dispatch(setShowGrid(showGrid));
+    },
+    onSetSnapToGrid: snapToGrid => {
+        dispatch(setSnapToGrid(snapToGrid));
+    }
+});
+
+GridControls.propTypes = {
+    grid: PropTypes.shape({
+        showGrid: PropTypes.bool,
+        snapToGrid: PropTypes.bool,
+        spacing: PropTypes.number,
+        subdivisions: PropTypes.number
+    }).isRequired,
+    onChangeSpacing: PropTypes.func.isRequired,
+    onChangeSubdivisions: PropTypes.func.isRequired,
+    onSetShowGrid: PropTypes.func.isRequired,
+    onSetSnapToGrid: PropTypes.func.isRequired
+};
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(GridControls);
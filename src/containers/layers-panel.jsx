@@ -0,0 +1,133 @@
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import LayersPanelComponent from '../components/layers-panel/layers-panel.jsx';
+
+import {
+    activatePaintingLayer,
+    addPaintingLayer,
+    getActivePaintingLayer,
+    getPaintingLayerById,
+    getPaintingLayerStates,
+    movePaintingLayer,
+    removePaintingLayer
+} from '../helper/layer';
+import {clearSelection} from '../helper/selection';
+import {setItemName} from '../helper/item';
+import {clearSelectedItems} from '../reducers/selected-items';
+import {setLayers} from '../reducers/layers';
+
+class LayersPanel extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleActivateLayer',
+            'handleAddLayer',
+            'handleDeleteLayer',
+            'handleMoveDown',
+            'handleMoveUp',
+            'handleRenameLayer',
+            'handleToggleLocked',
+            'handleToggleVisible'
+        ]);
+    }
+    // Items in a layer that is hidden, locked or deleted can't stay selected
+    deselectLayer (layer) {
+        if (layer.getItems({selected: true}).length) {
+            clearSelection(this.props.clearSelectedItems);
+        }
+    }
+    handleActivateLayer (id) {
+        const layer = getPaintingLayerById(id);
+        if (!layer || layer === getActivePaintingLayer()) return;
+        activatePaintingLayer(layer);
+        this.props.updateLayers();
+    }
+    handleAddLayer (name) {
+        addPaintingLayer(name);
+        this.props.onUpdateImage();
+    }
+    handleDeleteLayer () {
+        const layer = getActivePaintingLayer();
+        this.deselectLayer(layer);
+        if (removePaintingLayer(layer)) {
+            this.props.onUpdateImage();
+        }
+    }
+    handleMoveUp () {
+        if (movePaintingLayer(getActivePaintingLayer(), true /* up */)) {
+            this.props.onUpdateImage();
+        }
+    }
+    handleMoveDown () {
+        if (movePaintingLayer(getActivePaintingLayer(), false /* up */)) {
+            this.props.onUpdateImage();
+        }
+    }
+    handleRenameLayer (id, name) {
+        const layer = getPaintingLayerById(id);
+        if (layer && setItemName(layer, name)) {
+            this.props.onUpdateImage();
+        }
+    }
+    handleToggleVisible (id) {
+        const layer = getPaintingLayerById(id);
+        if (!layer) return;
+        if (layer.visible) this.deselectLayer(layer);
+        layer.visible = !layer.visible;
+        this.props.onUpdateImage();
+    }
+    handleToggleLocked (id) {
+        const layer = getPaintingLayerById(id);
+        if (!layer) return;
+        if (!layer.locked) this.deselectLayer(layer);
+        layer.locked = !layer.locked;
+        this.props.onUpdateImage();
+    }
+    render () {
+        return (
+            <LayersPanelComponent
+                layers={this.props.layers}
+                onActivateLayer={this.handleActivateLayer}
+                onAddLayer={this.handleAddLayer}
+                onDeleteLayer={this.handleDeleteLayer}
+                onMoveDown={this.handleMoveDown}
+                onMoveUp={this.handleMoveUp}
+                onRenameLayer={this.handleRenameLayer}
+                onToggleLocked={this.handleToggleLocked}
+                onToggleVisible={this.handleToggleVisible}
+            />
+        );
+    }
+}
+
+const mapStateToProps = state => ({
+    layers: state.scratchPaint.layers
+});
+const mapDispatchToProps = dispatch => ({
+    clearSelectedItems: () => {
+        dispatch(clearSelectedItems());
+    },
+    updateLayers: () => {
+        dispatch(setLayers(getPaintingLayerStates()));
+    }
+});
+
+LayersPanel.propTypes = {
+    clearSelectedItems: PropTypes.func.isRequired,
+    layers: PropTypes.arrayOf(PropTypes.shape({
+        id: PropTypes.number.isRequired,
+        name: PropTypes.string,
+        visible: PropTypes.bool,
+        locked: PropTypes.bool,
+        active: PropTypes.bool
+    })).isRequired,
+    onUpdateImage: PropTypes.func.isRequired,
+    updateLayers: PropTypes.func.isRequired
+};
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(LayersPanel);
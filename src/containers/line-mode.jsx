@@ -5,13 +5,15 @@ import {connect} from 'react-redux';
 import bindAll from 'lodash.bindall';
 import Modes from '../lib/modes';
 import {clearSelection} from '../helper/selection';
-import {endPointHit, touching} from '../helper/snapping';
+import {endPointHit, snapPoint, touching} from '../helper/snapping';
 import {drawHitPoint, removeHitPoint} from '../helper/guides';
 import {stylePath} from '../helper/style-path';
+import {setArrowheads} from '../helper/arrowheads';
 import {changeStrokeColor} from '../reducers/stroke-color';
 import {changeStrokeWidth} from '../reducers/stroke-width';
 import {changeMode} from '../reducers/modes';
 import {clearSelectedItems} from '../reducers/selected-items';
+import {getRulerGuides} from '../reducers/ruler-guides';
 import {MIXED} from '../helper/style-path';
 import {snapDeltaToAngle} from '../helper/math';
 
@@ -96,7 +98,11 @@ class LineMode extends React.Component {
         this.hitResult = endPointHit(event.point, LineMode.SNAP_TOLERANCE);
         if (this.hitResult) {
             this.path = this.hitResult.path;
-            stylePath(this.path, this.props.colorState.strokeColor, this.props.colorState.strokeWidth);
+            stylePath(
+                this.path,
+                this.props.colorState.strokeColor,
+                this.props.colorState.strokeWidth,
+                this.props.colorState.strokeStyle);
             if (this.hitResult.isFirst) {
                 this.path.reverse();
             }
@@ -108,10 +114,15 @@ class LineMode extends React.Component {
         // If not near other path, start a new path
         if (!this.path) {
             this.path = new paper.Path();
-            stylePath(this.path, this.props.colorState.strokeColor, this.props.colorState.strokeWidth);
+            stylePath(
+                this.path,
+                this.props.colorState.strokeColor,
+                this.props.colorState.strokeWidth,
+                this.props.colorState.strokeStyle);
 
-            this.path.add(event.point);
-            this.path.add(event.point); // Add second point, which is what will move when dragged
+            const startPoint = snapPoint(event.point, this.props.grid, this.props.rulerGuides);
+            this.path.add(startPoint);
+            this.path.add(startPoint); // Add second point, which is what will move when dragged
         }
     }
     drawHitPoint (hitResult) {
@@ -142,7 +153,7 @@ class LineMode extends React.Component {
         }
 
         // If shift is held, act like event.point always lies on a straight or 45 degree line from the last point
-        let endPoint = event.point;
+        let endPoint = snapPoint(event.point, this.props.grid, this.props.rulerGuides);
         if (event.modifiers.shift) {
             const line = event.point.subtract(this.path.lastSegment.previous.point);
             endPoint = this.path.lastSegment.previous.point.add(snapDeltaToAngle(line, Math.PI / 4));
@@ -220,6 +231,10 @@ class LineMode extends React.Component {
         }
 
         if (this.path) {
+            const {startArrowhead, endArrowhead} = this.props.colorState.strokeStyle;
+            if (!this.path.closed && (startArrowhead || endArrowhead)) {
+                setArrowheads(this.path, startArrowhead, endArrowhead);
+            }
             this.props.onUpdateImage();
             this.path = null;
         }
@@ -251,18 +266,36 @@ LineMode.propTypes = {
     colorState: PropTypes.shape({
         fillColor: PropTypes.string,
         strokeColor: PropTypes.string,
+        strokeStyle: PropTypes.shape({
+            dashPattern: PropTypes.string,
+            strokeCap: PropTypes.string,
+            strokeJoin: PropTypes.string,
+            startArrowhead: PropTypes.bool,
+            endArrowhead: PropTypes.bool
+        }),
         strokeWidth: PropTypes.number
     }).isRequired,
+    grid: PropTypes.shape({
+        snapToGrid: PropTypes.bool,
+        spacing: PropTypes.number,
+        subdivisions: PropTypes.number
+    }),
     handleMouseDown: PropTypes.func.isRequired,
     isLineModeActive: PropTypes.bool.isRequired,
     onChangeStrokeColor: PropTypes.func.isRequired,
     onChangeStrokeWidth: PropTypes.func.isRequired,
-    onUpdateImage: PropTypes.func.isRequired
+    onUpdateImage: PropTypes.func.isRequired,
+    rulerGuides: PropTypes.shape({
+        horizontal: PropTypes.arrayOf(PropTypes.number),
+        vertical: PropTypes.arrayOf(PropTypes.number)
+    })
 };
 
 const mapStateToProps = state => ({
     colorState: state.scratchPaint.color,
-    isLineModeActive: state.scratchPaint.mode === Modes.LINE
+    grid: state.scratchPaint.grid,
+    isLineModeActive: state.scratchPaint.mode === Modes.LINE,
+    rulerGuides: getRulerGuides(state.scratchPaint.rulerGuides)
 });
 const mapDispatchToProps = dispatch => ({
     clearSelectedItems: () => {
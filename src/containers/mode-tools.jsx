@@ -7,8 +7,30 @@ import bindAll from 'lodash.bindall';
 import ModeToolsComponent from '../components/mode-tools/mode-tools.jsx';
 import {clearSelectedItems, setSelectedItems} from '../reducers/selected-items';
 import {incrementPasteOffset, setClipboardItems} from '../reducers/clipboard';
-import {clearSelection, getSelectedLeafItems, getSelectedRootItems, getAllRootItems} from '../helper/selection';
+import {changeBitFillFeather} from '../reducers/bit-fill-mode';
+import {changeCornerRadius} from '../reducers/rounded-rect-mode';
+import {setLassoSelect} from '../reducers/lasso-select';
+import {changeSimplifyTolerance} from '../reducers/simplify';
+import {
+    clearSelection, getSelectedLeafItems, getSelectedRootItems, getAllSelectableRootItems
+} from '../helper/selection';
 import {HANDLE_RATIO, ensureClockwise} from '../helper/math';
+import {fillMask, getMaskedImage} from '../helper/bitmap';
+import {getMarchingAnts, removeMarchingAnts} from '../helper/guides';
+import {getRaster} from '../helper/layer';
+import {BooleanOperations, canCombineSelection, combineSelection} from '../helper/boolean';
+import {applyCornerRadiusToSelection, getSelectedCornerRadius} from '../helper/rounded-rect';
+import {canSimplifySelection, simplifySelection, smoothSelection} from '../helper/simplify';
+import {
+    canOffsetSelection, canOutlineSelectedStrokes, offsetSelection, outlineSelectedStrokes
+} from '../helper/offset';
+import {
+    HandleModes, canSetSelectedHandleModes, getSelectedHandleMode, setHandleMode, setSelectedHandleModes
+} from '../helper/handle-modes';
+import {breakPathsAtSelectedPoints, canBreakPathsAtSelectedPoints} from '../helper/cut';
+import {canJoinSelectedEndpoints, joinSelectedEndpoints} from '../helper/join';
+import {scaleItemRotation} from '../helper/transform';
+import Modes from '../lib/modes';
 
 class ModeTools extends React.Component {
     constructor (props) {
@@ -18,13 +40,39 @@ class ModeTools extends React.Component {
             '_getSelectedUnpointedPoints',
             'hasSelectedUncurvedPoints',
             'hasSelectedUnpointedPoints',
+            'handleAsymmetricHandles',
+            'handleBitFillFeatherToggle',
+            'handleBreakPath',
+            'handleBrokenHandles',
+            'handleChangeCornerRadius',
             'handleCopyToClipboard',
             'handleCurvePoints',
+            'handleDeleteMask',
+            'handleExclude',
+            'handleFillMask',
             'handleFlipHorizontal',
             'handleFlipVertical',
+            'handleIntersect',
+            'handleJoinEndpoints',
+            'handleLassoSelectToggle',
+            'handleOffsetPath',
+            'handleOutlineStroke',
             'handlePasteFromClipboard',
-            'handlePointPoints'
+            'handlePointPoints',
+            'handleSimplify',
+            'handleSimplifyToleranceChange',
+            'handleSimplifyToleranceCommit',
+            'handleSmooth',
+            'handleSubtractFront',
+            'handleSymmetricHandles',
+            'handleUnite'
         ]);
+        // Whether the selection shows a simplify preview that hasn't been saved yet
+        this._hasSimplifyPreview = false;
+    }
+    componentWillReceiveProps (newProps) {
+        // The tolerance input goes away without losing focus when the mode changes
+        if (newProps.mode !== this.props.mode) this.handleSimplifyToleranceCommit();
     }
     _getSelectedUncurvedPoints () {
         const items = [];
@@ -113,6 +161,7 @@ class ModeTools extends React.Component {
             } else if (point.handleOut.length > 0 && prev) {
                 point.handleIn = point.handleOut.multiply(-1);
             }
+            setHandleMode(point, HandleModes.SYMMETRIC);
             changed = true;
         }
         if (changed) {
@@ -136,13 +185,41 @@ class ModeTools extends React.Component {
             this.props.onUpdateImage();
         }
     }
+    _handleSetHandleModes (mode) {
+        if (setSelectedHandleModes(mode)) {
+            this.props.setSelectedItems();
+            this.props.onUpdateImage();
+        }
+    }
+    handleSymmetricHandles () {
+        this._handleSetHandleModes(HandleModes.SYMMETRIC);
+    }
+    handleAsymmetricHandles () {
+        this._handleSetHandleModes(HandleModes.ASYMMETRIC);
+    }
+    handleBrokenHandles () {
+        this._handleSetHandleModes(HandleModes.BROKEN);
+    }
+    handleJoinEndpoints () {
+        if (joinSelectedEndpoints()) {
+            this.props.setSelectedItems();
+            this.props.onUpdateImage();
+        }
+    }
+    handleBreakPath () {
+        if (breakPathsAtSelectedPoints()) {
+            this.props.setSelectedItems();
+            this.props.onUpdateImage();
+        }
+    }
     _handleFlip (horizontalScale, verticalScale) {
         let selectedItems = getSelectedRootItems();
         if (selectedItems.length === 0) {
             // If nothing is selected, select everything
-            selectedItems = getAllRootItems();
+            selectedItems = getAllSelectableRootItems();
         }
-        // Record old indices
+        // Record old layers and indices
+        const layers = selectedItems.map(item => item.layer);
         for (const item of selectedItems) {
             item.data.index = item.index;
         }
@@ -152,10 +229,13 @@ class ModeTools extends React.Component {
         // Flip
         itemGroup.scale(horizontalScale, verticalScale);
         ensureClockwise(itemGroup);
+        for (const item of selectedItems) {
+            scaleItemRotation(item, horizontalScale, verticalScale);
+        }
 
         // Remove flipped item from group and insert at old index. Must insert from bottom index up.
         for (let i = 0; i < selectedItems.length; i++) {
-            itemGroup.layer.insertChild(selectedItems[i].data.index, selectedItems[i]);
+            layers[i].insertChild(selectedItems[i].data.index, selectedItems[i]);
             selectedItems[i].data.index = null;
         }
         itemGroup.remove();
@@ -168,9 +248,100 @@ class ModeTools extends React.Component {
     handleFlipVertical () {
         this._handleFlip(1, -1);
     }
+    _handleCombine (operation) {
+        combineSelection(
+            operation, this.props.clearSelectedItems, this.props.setSelectedItems, this.props.onUpdateImage);
+    }
+    handleUnite () {
+        this._handleCombine(BooleanOperations.UNITE);
+    }
+    handleIntersect () {
+        this._handleCombine(BooleanOperations.INTERSECT);
+    }
+    handleSubtractFront () {
+        this._handleCombine(BooleanOperations.SUBTRACT_FRONT);
+    }
+    handleExclude () {
+        this._handleCombine(BooleanOperations.EXCLUDE);
+    }
+    handleBitFillFeatherToggle () {
+        this.props.changeBitFillFeather(!this.props.bitFillFeather);
+    }
+    handleLassoSelectToggle () {
+        this.props.setLassoSelect(!this.props.lassoSelect);
+    }
+    handleChangeCornerRadius (cornerRadius) {
+        this.props.changeCornerRadius(cornerRadius);
+        applyCornerRadiusToSelection(cornerRadius, this.props.onUpdateImage);
+    }
+    handleSimplify () {
+        if (simplifySelection(this.props.mode, this.props.simplifyTolerance)) {
+            this.props.setSelectedItems();
+            this.props.onUpdateImage();
+        }
+    }
+    handleSimplifyToleranceChange (tolerance) {
+        this.props.changeSimplifyTolerance(tolerance);
+        // Previews the tolerance on the selection, which is simplified again from how it was before. The
+        // image isn't updated until the tolerance is chosen, so that the preview makes a single undo step.
+        if (simplifySelection(this.props.mode, tolerance)) {
+            this._hasSimplifyPreview = true;
+            this.props.setSelectedItems();
+        }
+    }
+    handleSimplifyToleranceCommit () {
+        if (this._hasSimplifyPreview) {
+            this._hasSimplifyPreview = false;
+            this.props.onUpdateImage();
+        }
+    }
+    handleSmooth () {
+        if (smoothSelection(this.props.mode)) {
+            this.props.setSelectedItems();
+            this.props.onUpdateImage();
+        }
+    }
+    handleOutlineStroke () {
+        if (outlineSelectedStrokes()) {
+            this.props.setSelectedItems();
+            this.props.onUpdateImage();
+        }
+    }
+    handleOffsetPath () {
+        if (offsetSelection(this.props.offsetDistance, this.props.offsetJoin)) {
+            this.props.setSelectedItems();
+            this.props.onUpdateImage();
+        }
+    }
+    handleFillMask () {
+        const ants = getMarchingAnts();
+        if (!ants) return;
+        // Null color means transparent because that is the standard in vector
+        const color = this.props.fillColor ? this.props.fillColor : 'rgba(0,0,0,0)';
+        if (fillMask(ants.data.pixelMask, color, getRaster().getContext(true /* modify */))) {
+            this.props.onUpdateImage();
+        }
+    }
+    handleDeleteMask () {
+        const ants = getMarchingAnts();
+        if (!ants) return;
+        fillMask(ants.data.pixelMask, 'rgba(0,0,0,0)', getRaster().getContext(true /* modify */));
+        removeMarchingAnts();
+        this.props.onUpdateImage();
+    }
     handleCopyToClipboard () {
         const selectedItems = getSelectedRootItems();
-        if (selectedItems.length > 0) {
+        const ants = getMarchingAnts();
+        if (selectedItems.length === 0 && ants) {
+            // Copy the pixels under the magic wand's mask as a bitmap
+            const pixelMask = ants.data.pixelMask;
+            const raster = new paper.Raster({
+                source: getMaskedImage(pixelMask, getRaster().getContext()),
+                position: pixelMask.bounds.center,
+                insert: false
+            });
+            this.props.setClipboardItems([raster.exportJSON({asString: false})]);
+        } else if (selectedItems.length > 0) {
             const clipboardItems = [];
             for (let i = 0; i < selectedItems.length; i++) {
                 const jsonItem = selectedItems[i].exportJSON({asString: false});
@@ -198,16 +369,47 @@ class ModeTools extends React.Component {
         }
     }
     render () {
+        const selectedCornerRadius = getSelectedCornerRadius();
         return (
             <ModeToolsComponent
+                canBreakPath={canBreakPathsAtSelectedPoints()}
+                canCombineSelection={canCombineSelection()}
+                canJoinEndpoints={canJoinSelectedEndpoints()}
+                canOffsetSelection={canOffsetSelection()}
+                canOutlineSelectedStrokes={canOutlineSelectedStrokes()}
+                canSetHandleModes={canSetSelectedHandleModes()}
+                canSimplifySelection={canSimplifySelection(this.props.mode)}
+                cornerRadius={selectedCornerRadius === null ? this.props.cornerRadius : selectedCornerRadius}
+                hasSelectedRoundedRects={selectedCornerRadius !== null}
                 hasSelectedUncurvedPoints={this.hasSelectedUncurvedPoints()}
                 hasSelectedUnpointedPoints={this.hasSelectedUnpointedPoints()}
+                selectedHandleMode={getSelectedHandleMode()}
+                onAsymmetricHandles={this.handleAsymmetricHandles}
+                onBitFillFeatherToggle={this.handleBitFillFeatherToggle}
+                onBreakPath={this.handleBreakPath}
+                onBrokenHandles={this.handleBrokenHandles}
                 onCopyToClipboard={this.handleCopyToClipboard}
+                onCornerRadiusChange={this.handleChangeCornerRadius}
                 onCurvePoints={this.handleCurvePoints}
+                onDeleteMask={this.handleDeleteMask}
+                onExclude={this.handleExclude}
+                onFillMask={this.handleFillMask}
                 onFlipHorizontal={this.handleFlipHorizontal}
                 onFlipVertical={this.handleFlipVertical}
+                onIntersect={this.handleIntersect}
+                onJoinEndpoints={this.handleJoinEndpoints}
+                onLassoSelectToggle={this.handleLassoSelectToggle}
+                onOffsetPath={this.handleOffsetPath}
+                onOutlineStroke={this.handleOutlineStroke}
                 onPasteFromClipboard={this.handlePasteFromClipboard}
                 onPointPoints={this.handlePointPoints}
+                onSimplify={this.handleSimplify}
+                onSimplifyToleranceChange={this.handleSimplifyToleranceChange}
+                onSimplifyToleranceCommit={this.handleSimplifyToleranceCommit}
+                onSmooth={this.handleSmooth}
+                onSubtractFront={this.handleSubtractFront}
+                onSymmetricHandles={this.handleSymmetricHandles}
+                onUnite={this.handleUnite}
                 onUpdateImage={this.props.onUpdateImage}
             />
         );
@@ -215,27 +417,59 @@ class ModeTools extends React.Component {
 }
 
 ModeTools.propTypes = {
+    bitFillFeather: PropTypes.bool,
+    changeBitFillFeather: PropTypes.func.isRequired,
+    changeCornerRadius: PropTypes.func.isRequired,
+    changeSimplifyTolerance: PropTypes.func.isRequired,
     clearSelectedItems: PropTypes.func.isRequired,
     clipboardItems: PropTypes.arrayOf(PropTypes.array),
+    cornerRadius: PropTypes.number.isRequired,
+    fillColor: PropTypes.string,
     incrementPasteOffset: PropTypes.func.isRequired,
+    lassoSelect: PropTypes.bool,
+    mode: PropTypes.oneOf(Object.keys(Modes)),
+    offsetDistance: PropTypes.number.isRequired,
+    offsetJoin: PropTypes.string.isRequired,
     onUpdateImage: PropTypes.func.isRequired,
     pasteOffset: PropTypes.number,
     // Listen on selected items to update hasSelectedPoints
     selectedItems:
         PropTypes.arrayOf(PropTypes.instanceOf(paper.Item)), // eslint-disable-line react/no-unused-prop-types
     setClipboardItems: PropTypes.func.isRequired,
-    setSelectedItems: PropTypes.func.isRequired
+    setLassoSelect: PropTypes.func.isRequired,
+    setSelectedItems: PropTypes.func.isRequired,
+    simplifyTolerance: PropTypes.number.isRequired
 };
 
 const mapStateToProps = state => ({
+    bitFillFeather: state.scratchPaint.bitFillMode.feather,
     clipboardItems: state.scratchPaint.clipboard.items,
+    cornerRadius: state.scratchPaint.roundedRectMode.cornerRadius,
+    fillColor: state.scratchPaint.color.fillColor,
+    lassoSelect: state.scratchPaint.lassoSelect,
+    mode: state.scratchPaint.mode,
+    offsetDistance: state.scratchPaint.offsetPath.distance,
+    offsetJoin: state.scratchPaint.offsetPath.join,
     pasteOffset: state.scratchPaint.clipboard.pasteOffset,
-    selectedItems: state.scratchPaint.selectedItems
+    selectedItems: state.scratchPaint.selectedItems,
+    simplifyTolerance: state.scratchPaint.simplify.tolerance
 });
 const mapDispatchToProps = dispatch => ({
+    changeBitFillFeather: feather => {
+        dispatch(changeBitFillFeather(feather));
+    },
+    changeCornerRadius: cornerRadius => {
+        dispatch(changeCornerRadius(cornerRadius));
+    },
+    changeSimplifyTolerance: tolerance => {
+        dispatch(changeSimplifyTolerance(tolerance));
+    },
     setClipboardItems: items => {
         dispatch(setClipboardItems(items));
     },
+    setLassoSelect: lassoSelect => {
+        dispatch(setLassoSelect(lassoSelect));
+    },
     incrementPasteOffset: () => {
         dispatch(incrementPasteOffset());
     },
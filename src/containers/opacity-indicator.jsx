@@ -0,0 +1,54 @@
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import {changeOpacity} from '../reducers/opacity';
+import OpacityIndicatorComponent from '../components/opacity-indicator.jsx';
+import {applyOpacityToSelection} from '../helper/style-path';
+
+class OpacityIndicator extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeOpacity'
+        ]);
+    }
+    handleChangeOpacity (newOpacity) {
+        if (applyOpacityToSelection(newOpacity)) {
+            this.props.onUpdateImage();
+        }
+        this.props.onChangeOpacity(newOpacity);
+    }
+    render () {
+        return (
+            <OpacityIndicatorComponent
+                disabled={this.props.disabled}
+                opacity={this.props.opacity}
+                onChangeOpacity={this.handleChangeOpacity}
+            />
+        );
+    }
+}
+
+const mapStateToProps = state => ({
+    // Opacity belongs to items, so there's nothing to change without a selection
+    disabled: !state.scratchPaint.selectedItems.length,
+    opacity: state.scratchPaint.opacity
+});
+const mapDispatchToProps = dispatch => ({
+    onChangeOpacity: opacity => {
+        dispatch(changeOpacity(opacity));
+    }
+});
+
+OpacityIndicator.propTypes = {
+    disabled: PropTypes.bool.isRequired,
+    onChangeOpacity: PropTypes.func.isRequired,
+    onUpdateImage: PropTypes.func.isRequired,
+    opacity: PropTypes.number
+};
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(OpacityIndicator);
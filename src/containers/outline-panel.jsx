@@ -0,0 +1,118 @@
+import paper from '@scratch/paper';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import OutlinePanelComponent from '../components/outline-panel/outline-panel.jsx';
+
+import {getOutline, getOutlineItemById, moveOutlineItem} from '../helper/outline';
+import {clearSelection, getSelectedLeafItems, isLockedOrHidden, setItemSelection} from '../helper/selection';
+import {setItemName} from '../helper/item';
+import {clearSelectedItems, setSelectedItems} from '../reducers/selected-items';
+import Modes from '../lib/modes';
+
+class OutlinePanel extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleMoveItem',
+            'handleRenameItem',
+            'handleSelectItem',
+            'handleToggleLocked',
+            'handleToggleVisible'
+        ]);
+    }
+    // Items that are hidden or locked can't stay selected
+    deselectItem (item) {
+        if (item.selected) {
+            clearSelection(this.props.clearSelectedItems);
+        }
+    }
+    handleSelectItem (id, addToSelection) {
+        const item = getOutlineItemById(id);
+        if (!item || isLockedOrHidden(item)) return;
+        if (!addToSelection) {
+            clearSelection(this.props.clearSelectedItems);
+        }
+        if (this.props.mode === Modes.RESHAPE) {
+            // Reshaping works on the paths themselves, so don't select the groups they are in
+            item.selected = true;
+        } else {
+            setItemSelection(item, true);
+        }
+        this.props.setSelectedItems();
+    }
+    handleMoveItem (id, targetId) {
+        const item = getOutlineItemById(id);
+        const target = getOutlineItemById(targetId);
+        if (item && target && moveOutlineItem(item, target)) {
+            // The selection bounds may have changed if the item moved into or out of a selected group
+            this.props.setSelectedItems();
+            this.props.onUpdateImage();
+        }
+    }
+    handleRenameItem (id, name) {
+        const item = getOutlineItemById(id);
+        if (item && setItemName(item, name)) {
+            this.props.onUpdateImage();
+        }
+    }
+    handleToggleVisible (id) {
+        const item = getOutlineItemById(id);
+        if (!item) return;
+        if (item.visible) this.deselectItem(item);
+        item.visible = !item.visible;
+        this.props.onUpdateImage();
+    }
+    handleToggleLocked (id) {
+        const item = getOutlineItemById(id);
+        if (!item) return;
+        if (!item.locked) this.deselectItem(item);
+        item.locked = !item.locked;
+        this.props.onUpdateImage();
+    }
+    render () {
+        // The outline is read from the project whenever the layers or selection change
+        return (
+            <OutlinePanelComponent
+                outline={getOutline()}
+                onMoveItem={this.handleMoveItem}
+                onRenameItem={this.handleRenameItem}
+                onSelectItem={this.handleSelectItem}
+                onToggleLocked={this.handleToggleLocked}
+                onToggleVisible={this.handleToggleVisible}
+            />
+        );
+    }
+}
+
+const mapStateToProps = state => ({
+    layers: state.scratchPaint.layers,
+    mode: state.scratchPaint.mode,
+    selectedItems: state.scratchPaint.selectedItems
+});
+const mapDispatchToProps = dispatch => ({
+    clearSelectedItems: () => {
+        dispatch(clearSelectedItems());
+    },
+    setSelectedItems: () => {
+        dispatch(setSelectedItems(getSelectedLeafItems()));
+    }
+});
+
+OutlinePanel.propTypes = {
+    clearSelectedItems: PropTypes.func.isRequired,
+    layers: PropTypes.arrayOf(PropTypes.shape({ // eslint-disable-line react/no-unused-prop-types
+        id: PropTypes.number.isRequired
+    })).isRequired,
+    mode: PropTypes.oneOf(Object.keys(Modes)),
+    onUpdateImage: PropTypes.func.isRequired,
+    selectedItems: // eslint-disable-line react/no-unused-prop-types
+        PropTypes.arrayOf(PropTypes.instanceOf(paper.Item)),
+    setSelectedItems: PropTypes.func.isRequired
+};
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(OutlinePanel);
@@ -10,6 +10,7 @@ import {changeFillColor, DEFAULT_COLOR} from '../reducers/fill-color';
 import {changeStrokeColor} from '../reducers/stroke-color';
 import {changeMode} from '../reducers/modes';
 import {clearSelectedItems, setSelectedItems} from '../reducers/selected-items';
+import {getRulerGuides} from '../reducers/ruler-guides';
 
 import {clearSelection, getSelectedLeafItems} from '../helper/selection';
 import OvalTool from '../helper/tools/oval-tool';
@@ -29,6 +30,12 @@ class OvalMode extends React.Component {
         }
     }
     componentWillReceiveProps (nextProps) {
+        if (this.tool && nextProps.grid !== this.props.grid) {
+            this.tool.setGrid(nextProps.grid);
+        }
+        if (this.tool && nextProps.rulerGuides !== this.props.rulerGuides) {
+            this.tool.setRulerGuides(nextProps.rulerGuides);
+        }
         if (this.tool && nextProps.colorState !== this.props.colorState) {
             this.tool.setColorState(nextProps.colorState);
         }
@@ -68,6 +75,8 @@ class OvalMode extends React.Component {
             this.props.onUpdateImage
         );
         this.tool.setColorState(this.props.colorState);
+        this.tool.setGrid(this.props.grid);
+        this.tool.setRulerGuides(this.props.rulerGuides);
         this.tool.activate();
     }
     deactivateTool () {
@@ -92,19 +101,30 @@ OvalMode.propTypes = {
         strokeColor: PropTypes.string,
         strokeWidth: PropTypes.number
     }).isRequired,
+    grid: PropTypes.shape({
+        snapToGrid: PropTypes.bool,
+        spacing: PropTypes.number,
+        subdivisions: PropTypes.number
+    }),
     handleMouseDown: PropTypes.func.isRequired,
     isOvalModeActive: PropTypes.bool.isRequired,
     onChangeFillColor: PropTypes.func.isRequired,
     onChangeStrokeColor: PropTypes.func.isRequired,
     onUpdateImage: PropTypes.func.isRequired,
+    rulerGuides: PropTypes.shape({
+        horizontal: PropTypes.arrayOf(PropTypes.number),
+        vertical: PropTypes.arrayOf(PropTypes.number)
+    }),
     selectedItems: PropTypes.arrayOf(PropTypes.instanceOf(paper.Item)),
     setSelectedItems: PropTypes.func.isRequired
 };
 
 const mapStateToProps = state => ({
     colorState: state.scratchPaint.color,
+    grid: state.scratchPaint.grid,
     isOvalModeActive: state.scratchPaint.mode === Modes.OVAL,
-    selectedItems: state.scratchPaint.selectedItems
+    selectedItems: state.scratchPaint.selectedItems,
+    rulerGuides: getRulerGuides(state.scratchPaint.rulerGuides)
 });
 const mapDispatchToProps = dispatch => ({
     clearSelectedItems: () => {
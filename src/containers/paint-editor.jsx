@@ -12,16 +12,20 @@ import {clearSelectedItems, setSelectedItems} from '../reducers/selected-items';
 import {deactivateEyeDropper} from '../reducers/eye-dropper';
 import {setTextEditTarget} from '../reducers/text-edit-target';
 import {updateViewBounds} from '../reducers/view-bounds';
+import {setLayers} from '../reducers/layers';
+import {updateRotationCenter} from '../reducers/rotation-center';
 
-import {getRaster, hideGuideLayers, showGuideLayers} from '../helper/layer';
+import {
+    getPaintingLayers, getPaintingLayersBounds, getPaintingLayerStates, getRaster, hideGuideLayers, showGuideLayers
+} from '../helper/layer';
 import {convertToBitmap, convertToVector, getHitBounds} from '../helper/bitmap';
 import {performUndo, performRedo, performSnapshot, shouldShowUndo, shouldShowRedo} from '../helper/undo';
 import {bringToFront, sendBackward, sendToBack, bringForward} from '../helper/order';
 import {groupSelection, ungroupSelection} from '../helper/group';
+import {updateAllArrowheads} from '../helper/arrowheads';
 import {scaleWithStrokes} from '../helper/math';
 import {getSelectedLeafItems} from '../helper/selection';
-import {ART_BOARD_WIDTH, ART_BOARD_HEIGHT, SVG_ART_BOARD_WIDTH, SVG_ART_BOARD_HEIGHT} from '../helper/view';
-import {resetZoom, zoomOnSelection} from '../helper/view';
+import {getRotationCenter, resetZoom, zoomOnSelection} from '../helper/view';
 import EyeDropperTool from '../helper/tools/eye-dropper';
 
 import Modes from '../lib/modes';
@@ -127,6 +131,9 @@ class PaintEditor extends React.Component {
             case Modes.BIT_RECT:
                 this.props.changeMode(Modes.RECT);
                 break;
+            case Modes.BIT_POLYGON:
+                this.props.changeMode(Modes.POLYGON);
+                break;
             case Modes.BIT_TEXT:
                 this.props.changeMode(Modes.TEXT);
                 break;
@@ -136,6 +143,11 @@ class PaintEditor extends React.Component {
             case Modes.BIT_ERASER:
                 this.props.changeMode(Modes.ERASER);
                 break;
+            case Modes.BIT_SELECT:
+                /* falls through */
+            case Modes.BIT_MAGIC_WAND:
+                this.props.changeMode(Modes.SELECT);
+                break;
             default:
                 this.props.changeMode(Modes.BRUSH);
             }
@@ -144,15 +156,22 @@ class PaintEditor extends React.Component {
             case Modes.BRUSH:
                 this.props.changeMode(Modes.BIT_BRUSH);
                 break;
+            case Modes.PEN:
+                /* falls through */
             case Modes.LINE:
                 this.props.changeMode(Modes.BIT_LINE);
                 break;
             case Modes.OVAL:
                 this.props.changeMode(Modes.BIT_OVAL);
                 break;
+            case Modes.ROUNDED_RECT:
+                /* falls through */
             case Modes.RECT:
                 this.props.changeMode(Modes.BIT_RECT);
                 break;
+            case Modes.POLYGON:
+                this.props.changeMode(Modes.BIT_POLYGON);
+                break;
             case Modes.TEXT:
                 this.props.changeMode(Modes.BIT_TEXT);
                 break;
@@ -162,6 +181,9 @@ class PaintEditor extends React.Component {
             case Modes.ERASER:
                 this.props.changeMode(Modes.BIT_ERASER);
                 break;
+            case Modes.SELECT:
+                this.props.changeMode(Modes.BIT_SELECT);
+                break;
             default:
                 this.props.changeMode(Modes.BIT_BRUSH);
             }
@@ -173,19 +195,26 @@ class PaintEditor extends React.Component {
         if (this.isSwitchingFormats) {
             actualFormat = BitmapModes[this.props.mode] ? Formats.BITMAP : Formats.VECTOR;
         }
+        // Read before the guide layers that keep it are hidden
+        const rotationCenter = getRotationCenter();
         if (isBitmap(actualFormat)) {
             const rect = getHitBounds(getRaster());
             this.props.onUpdateImage(
                 false /* isVector */,
                 getRaster().getImageData(rect),
-                (ART_BOARD_WIDTH / 2) - rect.x,
-                (ART_BOARD_HEIGHT / 2) - rect.y);
+                rotationCenter.x - rect.x,
+                rotationCenter.y - rect.y);
         } else if (isVector(actualFormat)) {
+            // Arrowheads follow their paths, which may have been edited since they were drawn
+            updateAllArrowheads();
             const guideLayers = hideGuideLayers(true /* includeRaster */);
 
             // Export at 0.5x
-            scaleWithStrokes(paper.project.activeLayer, .5, new paper.Point());
-            const bounds = paper.project.activeLayer.bounds;
+            const paintingLayers = getPaintingLayers();
+            for (const layer of paintingLayers) {
+                scaleWithStrokes(layer, .5, new paper.Point());
+            }
+            const bounds = getPaintingLayersBounds();
             // @todo generate view box
             this.props.onUpdateImage(
                 true /* isVector */,
@@ -194,10 +223,12 @@ class PaintEditor extends React.Component {
                     bounds: 'content',
                     matrix: new paper.Matrix().translate(-bounds.x, -bounds.y)
                 }),
-                (SVG_ART_BOARD_WIDTH / 2) - bounds.x,
-                (SVG_ART_BOARD_HEIGHT / 2) - bounds.y);
-            scaleWithStrokes(paper.project.activeLayer, 2, new paper.Point());
-            paper.project.activeLayer.applyMatrix = true;
+                (rotationCenter.x / 2) - bounds.x,
+                (rotationCenter.y / 2) - bounds.y);
+            for (const layer of paintingLayers) {
+                scaleWithStrokes(layer, 2, new paper.Point());
+                layer.applyMatrix = true;
+            }
 
             showGuideLayers(guideLayers);
         }
@@ -205,6 +236,8 @@ class PaintEditor extends React.Component {
         if (!skipSnapshot) {
             performSnapshot(this.props.undoSnapshot, actualFormat);
         }
+        this.props.updateLayers();
+        this.props.updateRotationCenter();
     }
     handleUndo () {
         performUndo(this.props.undoState, this.props.onUndo, this.props.setSelectedItems, this.handleUpdateImage);
@@ -394,6 +427,8 @@ PaintEditor.propTypes = {
         stack: PropTypes.arrayOf(PropTypes.object).isRequired,
         pointer: PropTypes.number.isRequired
     }),
+    updateLayers: PropTypes.func.isRequired,
+    updateRotationCenter: PropTypes.func.isRequired,
     updateViewBounds: PropTypes.func.isRequired
 };
 
@@ -417,10 +452,14 @@ const mapDispatchToProps = dispatch => ({
             dispatch(changeMode(Modes.BRUSH));
         } else if (event.key === 'l') {
             dispatch(changeMode(Modes.LINE));
+        } else if (event.key === 'p') {
+            dispatch(changeMode(Modes.PEN));
         } else if (event.key === 's') {
             dispatch(changeMode(Modes.SELECT));
         } else if (event.key === 'w') {
             dispatch(changeMode(Modes.RESHAPE));
+        } else if (event.key === 'k') {
+            dispatch(changeMode(Modes.SCISSORS));
         } else if (event.key === 'f') {
             dispatch(changeMode(Modes.FILL));
         } else if (event.key === 't') {
@@ -462,6 +501,12 @@ const mapDispatchToProps = dispatch => ({
     undoSnapshot: snapshot => {
         dispatch(undoSnapshot(snapshot));
     },
+    updateLayers: () => {
+        dispatch(setLayers(getPaintingLayerStates()));
+    },
+    updateRotationCenter: () => {
+        dispatch(updateRotationCenter(getRotationCenter()));
+    },
     updateViewBounds: matrix => {
         dispatch(updateViewBounds(matrix));
     }
@@ -8,15 +8,24 @@ import Modes from '../lib/modes';
 import log from '../log/log';
 
 import {performSnapshot} from '../helper/undo';
+import {drawGrid} from '../helper/grid';
 import {undoSnapshot, clearUndoState} from '../reducers/undo';
 import {isGroup, ungroupItems} from '../helper/group';
-import {clearRaster, getRaster, setupLayers} from '../helper/layer';
+import {
+    clearRaster, getPaintingLayerStates, getRaster, importPaintingLayers, resetPaintingLayers, setupLayers
+} from '../helper/layer';
 import {deleteSelection, getSelectedLeafItems} from '../helper/selection';
 import {clearSelectedItems, setSelectedItems} from '../reducers/selected-items';
-import {ART_BOARD_WIDTH, ART_BOARD_HEIGHT, pan, resetZoom, zoomOnFixedPoint} from '../helper/view';
+import {
+    ART_BOARD_WIDTH, ART_BOARD_HEIGHT, getRotationCenter, pan, resetRotationCenter, resetZoom, zoomOnFixedPoint
+} from '../helper/view';
 import {ensureClockwise, scaleWithStrokes} from '../helper/math';
+import {expandImportedShapes} from '../helper/rounded-rect';
 import {clearHoveredItem} from '../reducers/hover';
 import {clearPasteOffset} from '../reducers/clipboard';
+import {setLayers} from '../reducers/layers';
+import {updateRotationCenter} from '../reducers/rotation-center';
+import {setRulerGuidesImageId} from '../reducers/ruler-guides';
 import {updateViewBounds} from '../reducers/view-bounds';
 import {changeFormat} from '../reducers/format';
 
@@ -37,6 +46,7 @@ class PaperCanvas extends React.Component {
         document.addEventListener('keydown', this.handleKeyDown);
         paper.setup(this.canvas);
         resetZoom();
+        this.props.updateViewBounds(paper.view.matrix);
 
         const context = this.canvas.getContext('2d');
         context.webkitImageSmoothingEnabled = false;
@@ -46,11 +56,20 @@ class PaperCanvas extends React.Component {
         paper.settings.handleSize = 0;
         // Make layers.
         setupLayers();
+        drawGrid(this.props.grid);
+        this.props.setRulerGuidesImageId(this.props.imageId);
+        this.props.updateLayers();
+        this.props.updateRotationCenter();
         this.importImage(
             this.props.imageFormat, this.props.image, this.props.rotationCenterX, this.props.rotationCenterY);
     }
     componentWillReceiveProps (newProps) {
+        // The grid is centered on the rotation center
+        if (this.props.grid !== newProps.grid || this.props.rotationCenter !== newProps.rotationCenter) {
+            drawGrid(newProps.grid);
+        }
         if (this.props.imageId !== newProps.imageId) {
+            this.props.setRulerGuidesImageId(newProps.imageId);
             this.switchCostume(
                 newProps.imageFormat, newProps.image, newProps.rotationCenterX, newProps.rotationCenterY);
         }
@@ -75,10 +94,15 @@ class PaperCanvas extends React.Component {
         for (const layer of paper.project.layers) {
             if (layer.data.isRasterLayer) {
                 clearRaster();
-            } else if (!layer.data.isBackgroundGuideLayer) {
+            } else if (!layer.data.isBackgroundGuideLayer && !layer.data.isPaintingLayer) {
                 layer.removeChildren();
             }
         }
+        resetPaintingLayers();
+        this.props.updateLayers();
+        // Costumes are imported with their rotation center at the center of the art board
+        resetRotationCenter();
+        this.props.updateRotationCenter();
         this.props.clearUndo();
         this.props.clearSelectedItems();
         this.props.clearHoveredItem();
@@ -144,7 +168,6 @@ class PaperCanvas extends React.Component {
         }
 
         paper.project.importSVG(svg, {
-            expandShapes: true,
             onLoad: function (item) {
                 if (!item) {
                     log.error('SVG import failed:');
@@ -169,6 +192,9 @@ class PaperCanvas extends React.Component {
                     mask.remove();
                 }
 
+                // Rounded rectangles stay shapes so that their corner radius can still be changed
+                expandImportedShapes(item);
+
                 // Reduce single item nested in groups
                 if (item instanceof paper.Group && item.children.length === 1) {
                     item = item.reduce();
@@ -189,7 +215,12 @@ class PaperCanvas extends React.Component {
                     item.translate(new paper.Point(ART_BOARD_WIDTH / 2, ART_BOARD_HEIGHT / 2)
                         .subtract(itemWidth, itemHeight));
                 }
-                if (isGroup(item)) {
+                // Costumes drawn with several layers are split back into them
+                if (importPaintingLayers(item)) {
+                    paperCanvas.props.updateLayers();
+                }
+                // Keep an arrow's path and arrowheads together if it's the only thing in the costume
+                if (item.parent && isGroup(item) && !item.data.isArrowheadGroup) {
                     // Fixes an issue where we may export empty groups
                     for (const child of item.children) {
                         if (isGroup(child) && child.children.length === 0) {
@@ -259,6 +290,11 @@ PaperCanvas.propTypes = {
     clearPasteOffset: PropTypes.func.isRequired,
     clearSelectedItems: PropTypes.func.isRequired,
     clearUndo: PropTypes.func.isRequired,
+    grid: PropTypes.shape({
+        showGrid: PropTypes.bool,
+        spacing: PropTypes.number,
+        subdivisions: PropTypes.number
+    }).isRequired,
     image: PropTypes.oneOfType([
         PropTypes.string,
         PropTypes.instanceOf(HTMLImageElement)
@@ -267,15 +303,21 @@ PaperCanvas.propTypes = {
     imageId: PropTypes.string,
     mode: PropTypes.oneOf(Object.keys(Modes)),
     onUpdateImage: PropTypes.func.isRequired,
+    rotationCenter: PropTypes.instanceOf(paper.Point), // eslint-disable-line react/no-unused-prop-types
     rotationCenterX: PropTypes.number,
     rotationCenterY: PropTypes.number,
+    setRulerGuidesImageId: PropTypes.func.isRequired,
     setSelectedItems: PropTypes.func.isRequired,
     undoSnapshot: PropTypes.func.isRequired,
+    updateLayers: PropTypes.func.isRequired,
+    updateRotationCenter: PropTypes.func.isRequired,
     updateViewBounds: PropTypes.func.isRequired
 };
 const mapStateToProps = state => ({
     mode: state.scratchPaint.mode,
-    format: state.scratchPaint.format
+    format: state.scratchPaint.format,
+    grid: state.scratchPaint.grid,
+    rotationCenter: state.scratchPaint.rotationCenter
 });
 const mapDispatchToProps = dispatch => ({
     undoSnapshot: snapshot => {
@@ -299,6 +341,16 @@ const mapDispatchToProps = dispatch => ({
     changeFormat: format => {
         dispatch(changeFormat(format));
     },
+    updateLayers: () => {
+        dispatch(setLayers(getPaintingLayerStates()));
+    },
+    updateRotationCenter: () => {
+        dispatch(updateRotationCenter(getRotationCenter()));
+    },
+    setRulerGuidesImageId: imageId => {
+        // The playground and tests may not give costumes an ID
+        dispatch(setRulerGuidesImageId(typeof imageId === 'string' ? imageId : null));
+    },
     updateViewBounds: matrix => {
         dispatch(updateViewBounds(matrix));
     }
@@ -7,6 +7,7 @@ import Modes from '../lib/modes';
 import {changeMode} from '../reducers/modes';
 import {clearHoveredItem, setHoveredItem} from '../reducers/hover';
 import {clearSelectedItems, setSelectedItems} from '../reducers/selected-items';
+import {getRulerGuides} from '../reducers/ruler-guides';
 import {getSelectedLeafItems} from '../helper/selection';
 
 import ReshapeTool from '../helper/selection-tools/reshape-tool';
@@ -26,6 +27,15 @@ class ReshapeMode extends React.Component {
         }
     }
     componentWillReceiveProps (nextProps) {
+        if (this.tool && nextProps.grid !== this.props.grid) {
+            this.tool.setGrid(nextProps.grid);
+        }
+        if (this.tool && nextProps.rulerGuides !== this.props.rulerGuides) {
+            this.tool.setRulerGuides(nextProps.rulerGuides);
+        }
+        if (this.tool && nextProps.lassoSelect !== this.props.lassoSelect) {
+            this.tool.setLassoSelect(nextProps.lassoSelect);
+        }
         if (this.tool && nextProps.hoveredItemId !== this.props.hoveredItemId) {
             this.tool.setPrevHoveredItemId(nextProps.hoveredItemId);
         }
@@ -48,6 +58,9 @@ class ReshapeMode extends React.Component {
             this.props.onUpdateImage
         );
         this.tool.setPrevHoveredItemId(this.props.hoveredItemId);
+        this.tool.setGrid(this.props.grid);
+        this.tool.setRulerGuides(this.props.rulerGuides);
+        this.tool.setLassoSelect(this.props.lassoSelect);
         this.tool.activate();
     }
     deactivateTool () {
@@ -69,17 +82,30 @@ class ReshapeMode extends React.Component {
 ReshapeMode.propTypes = {
     clearHoveredItem: PropTypes.func.isRequired,
     clearSelectedItems: PropTypes.func.isRequired,
+    grid: PropTypes.shape({
+        snapToGrid: PropTypes.bool,
+        spacing: PropTypes.number,
+        subdivisions: PropTypes.number
+    }),
     handleMouseDown: PropTypes.func.isRequired,
     hoveredItemId: PropTypes.number,
     isReshapeModeActive: PropTypes.bool.isRequired,
+    lassoSelect: PropTypes.bool,
     onUpdateImage: PropTypes.func.isRequired,
+    rulerGuides: PropTypes.shape({
+        horizontal: PropTypes.arrayOf(PropTypes.number),
+        vertical: PropTypes.arrayOf(PropTypes.number)
+    }),
     setHoveredItem: PropTypes.func.isRequired,
     setSelectedItems: PropTypes.func.isRequired
 };
 
 const mapStateToProps = state => ({
+    grid: state.scratchPaint.grid,
     isReshapeModeActive: state.scratchPaint.mode === Modes.RESHAPE,
-    hoveredItemId: state.scratchPaint.hoveredItemId
+    hoveredItemId: state.scratchPaint.hoveredItemId,
+    lassoSelect: state.scratchPaint.lassoSelect,
+    rulerGuides: getRulerGuides(state.scratchPaint.rulerGuides)
 });
 const mapDispatchToProps = dispatch => ({
     setHoveredItem: hoveredItemId => {
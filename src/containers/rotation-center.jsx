@@ -0,0 +1,103 @@
+import paper from '@scratch/paper';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import RotationCenterComponent from '../components/rotation-center/rotation-center.jsx';
+
+import Modes from '../lib/modes';
+import {snapPoint} from '../helper/snapping';
+import {setRotationCenter} from '../helper/view';
+import {getRulerGuides} from '../reducers/ruler-guides';
+
+/**
+ * Lets the costume's rotation center be dragged in the select modes. The new center is reported through
+ * onUpdateImage once it is dropped.
+ */
+class RotationCenter extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleMouseDown',
+            'handleMouseMove',
+            'handleMouseUp'
+        ]);
+        this.state = {
+            draggedCenter: null
+        };
+    }
+    componentWillUnmount () {
+        this.removeListeners();
+    }
+    removeListeners () {
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('mouseup', this.handleMouseUp);
+    }
+    getDraggedCenter (event) {
+        const canvasRect = paper.view.element.getBoundingClientRect();
+        const point = paper.view.viewToProject(
+            new paper.Point(event.clientX - canvasRect.left, event.clientY - canvasRect.top));
+        return snapPoint(point.round(), this.props.grid, this.props.rulerGuides);
+    }
+    handleMouseDown (event) {
+        if (event.button > 0) return; // only first mouse button
+        event.preventDefault();
+        this.setState({draggedCenter: this.props.rotationCenter});
+        document.addEventListener('mousemove', this.handleMouseMove);
+        document.addEventListener('mouseup', this.handleMouseUp);
+    }
+    handleMouseMove (event) {
+        const draggedCenter = this.getDraggedCenter(event);
+        setRotationCenter(draggedCenter);
+        this.setState({draggedCenter: draggedCenter});
+    }
+    handleMouseUp () {
+        this.removeListeners();
+        // The rotation center is already where it was dropped
+        const moved = !this.state.draggedCenter.equals(this.props.rotationCenter);
+        this.setState({draggedCenter: null});
+        if (moved) {
+            this.props.onUpdateImage();
+        }
+    }
+    render () {
+        const {mode, rotationCenter} = this.props;
+        if (!rotationCenter || (mode !== Modes.SELECT && mode !== Modes.BIT_SELECT)) return null;
+        return (
+            <RotationCenterComponent
+                dragging={this.state.draggedCenter !== null}
+                rotationCenter={this.state.draggedCenter || rotationCenter}
+                viewBounds={this.props.viewBounds}
+                onMouseDown={this.handleMouseDown}
+            />
+        );
+    }
+}
+
+const mapStateToProps = state => ({
+    grid: state.scratchPaint.grid,
+    mode: state.scratchPaint.mode,
+    rotationCenter: state.scratchPaint.rotationCenter,
+    rulerGuides: getRulerGuides(state.scratchPaint.rulerGuides),
+    viewBounds: state.scratchPaint.viewBounds
+});
+
+RotationCenter.propTypes = {
+    grid: PropTypes.shape({
+        snapToGrid: PropTypes.bool,
+        spacing: PropTypes.number,
+        subdivisions: PropTypes.number
+    }).isRequired,
+    mode: PropTypes.oneOf(Object.keys(Modes)),
+    onUpdateImage: PropTypes.func.isRequired,
+    rotationCenter: PropTypes.instanceOf(paper.Point),
+    rulerGuides: PropTypes.shape({
+        horizontal: PropTypes.arrayOf(PropTypes.number),
+        vertical: PropTypes.arrayOf(PropTypes.number)
+    }).isRequired,
+    viewBounds: PropTypes.instanceOf(paper.Matrix).isRequired
+};
+
+export default connect(
+    mapStateToProps
+)(RotationCenter);
@@ -0,0 +1,127 @@
+import paper from '@scratch/paper';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import RulersComponent from '../components/rulers/rulers.jsx';
+import {addRulerGuide, getRulerGuides, moveRulerGuide, removeRulerGuide} from '../reducers/ruler-guides';
+
+/**
+ * Rulers along the top and left of the paper canvas. Dragging from a ruler onto the canvas adds a guide,
+ * and dragging a guide back onto its ruler removes it.
+ */
+class Rulers extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleMouseMove',
+            'handleMouseUp',
+            'handleStartMoveGuide',
+            'handleStartNewHorizontalGuide',
+            'handleStartNewVerticalGuide'
+        ]);
+        this.state = {
+            draggedGuide: null
+        };
+    }
+    componentWillUnmount () {
+        this.removeListeners();
+    }
+    removeListeners () {
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('mouseup', this.handleMouseUp);
+    }
+    startDrag (horizontal, index, event) {
+        if (event.button > 0) return; // only first mouse button
+        event.preventDefault();
+        this.setState({draggedGuide: this.getDraggedGuide(horizontal, index, event)});
+        document.addEventListener('mousemove', this.handleMouseMove);
+        document.addEventListener('mouseup', this.handleMouseUp);
+    }
+    getDraggedGuide (horizontal, index, event) {
+        const canvasRect = paper.view.element.getBoundingClientRect();
+        const point = paper.view.viewToProject(
+            new paper.Point(event.clientX - canvasRect.left, event.clientY - canvasRect.top));
+        // Guides are placed on whole costume pixels, which are 2 units of the art board
+        const position = Math.round((horizontal ? point.y : point.x) / 2) * 2;
+        return {
+            horizontal: horizontal,
+            index: index,
+            position: position,
+            // Past the ruler the guide came from
+            removing: horizontal ? event.clientY < canvasRect.top : event.clientX < canvasRect.left
+        };
+    }
+    handleStartNewHorizontalGuide (event) {
+        this.startDrag(true /* horizontal */, null /* index */, event);
+    }
+    handleStartNewVerticalGuide (event) {
+        this.startDrag(false /* horizontal */, null /* index */, event);
+    }
+    handleStartMoveGuide (event) {
+        const index = event.currentTarget.getAttribute('data-index');
+        if (!index) return;
+        this.startDrag(event.currentTarget.getAttribute('data-horizontal') === 'true', Number(index), event);
+    }
+    handleMouseMove (event) {
+        const {horizontal, index} = this.state.draggedGuide;
+        this.setState({draggedGuide: this.getDraggedGuide(horizontal, index, event)});
+    }
+    handleMouseUp (event) {
+        this.removeListeners();
+        const {horizontal, index} = this.state.draggedGuide;
+        const draggedGuide = this.getDraggedGuide(horizontal, index, event);
+        if (draggedGuide.removing) {
+            if (index !== null) this.props.onRemoveGuide(horizontal, index);
+        } else if (index === null) {
+            this.props.onAddGuide(horizontal, draggedGuide.position);
+        } else {
+            this.props.onMoveGuide(horizontal, index, draggedGuide.position);
+        }
+        this.setState({draggedGuide: null});
+    }
+    render () {
+        return (
+            <RulersComponent
+                draggedGuide={this.state.draggedGuide}
+                rulerGuides={this.props.rulerGuides}
+                viewBounds={this.props.viewBounds}
+                onStartMoveGuide={this.handleStartMoveGuide}
+                onStartNewHorizontalGuide={this.handleStartNewHorizontalGuide}
+                onStartNewVerticalGuide={this.handleStartNewVerticalGuide}
+            />
+        );
+    }
+}
+
+const mapStateToProps = state => ({
+    rulerGuides: getRulerGuides(state.scratchPaint.rulerGuides),
+    viewBounds: state.scratchPaint.viewBounds
+});
+const mapDispatchToProps = dispatch => ({
+    onAddGuide: (horizontal, position) => {
+        dispatch(addRulerGuide(horizontal, position));
+    },
+    onMoveGuide: (horizontal, index, position) => {
+        dispatch(moveRulerGuide(horizontal, index, position));
+    },
+    onRemoveGuide: (horizontal, index) => {
+        dispatch(removeRulerGuide(horizontal, index));
+    }
+});
+
+Rulers.propTypes = {
+    onAddGuide: PropTypes.func.isRequired,
+    onMoveGuide: PropTypes.func.isRequired,
+    onRemoveGuide: PropTypes.func.isRequired,
+    rulerGuides: PropTypes.shape({
+        horizontal: PropTypes.arrayOf(PropTypes.number),
+        vertical: PropTypes.arrayOf(PropTypes.number)
+    }).isRequired,
+    viewBounds: PropTypes.instanceOf(paper.Matrix).isRequired
+};
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(Rulers);
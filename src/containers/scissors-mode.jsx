@@ -0,0 +1,79 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import {connect} from 'react-redux';
+import bindAll from 'lodash.bindall';
+import Modes from '../lib/modes';
+
+import {changeMode} from '../reducers/modes';
+import {setSelectedItems} from '../reducers/selected-items';
+import {getSelectedLeafItems} from '../helper/selection';
+
+import ScissorsTool from '../helper/tools/scissors-tool';
+import ScissorsModeComponent from '../components/scissors-mode/scissors-mode.jsx';
+
+class ScissorsMode extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'activateTool',
+            'deactivateTool'
+        ]);
+    }
+    componentDidMount () {
+        if (this.props.isScissorsModeActive) {
+            this.activateTool(this.props);
+        }
+    }
+    componentWillReceiveProps (nextProps) {
+        if (nextProps.isScissorsModeActive && !this.props.isScissorsModeActive) {
+            this.activateTool();
+        } else if (!nextProps.isScissorsModeActive && this.props.isScissorsModeActive) {
+            this.deactivateTool();
+        }
+    }
+    shouldComponentUpdate (nextProps) {
+        return nextProps.isScissorsModeActive !== this.props.isScissorsModeActive;
+    }
+    activateTool () {
+        // The selection is kept, since it picks which shapes the knife slices
+        this.tool = new ScissorsTool(this.props.setSelectedItems, this.props.onUpdateImage);
+        this.tool.activate();
+    }
+    deactivateTool () {
+        this.tool.deactivateTool();
+        this.tool.remove();
+        this.tool = null;
+    }
+    render () {
+        return (
+            <ScissorsModeComponent
+                isSelected={this.props.isScissorsModeActive}
+                onMouseDown={this.props.handleMouseDown}
+            />
+        );
+    }
+}
+
+ScissorsMode.propTypes = {
+    handleMouseDown: PropTypes.func.isRequired,
+    isScissorsModeActive: PropTypes.bool.isRequired,
+    onUpdateImage: PropTypes.func.isRequired,
+    setSelectedItems: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+    isScissorsModeActive: state.scratchPaint.mode === Modes.SCISSORS
+});
+const mapDispatchToProps = dispatch => ({
+    setSelectedItems: () => {
+        dispatch(setSelectedItems(getSelectedLeafItems()));
+    },
+    handleMouseDown: () => {
+        dispatch(changeMode(Modes.SCISSORS));
+    }
+});
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(ScissorsMode);
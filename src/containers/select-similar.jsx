@@ -0,0 +1,61 @@
+import bindAll from 'lodash.bindall';
+import {connect} from 'react-redux';
+import paper from '@scratch/paper';
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import SelectSimilarComponent from '../components/select-similar/select-similar.jsx';
+import {canInvertSelection, canSelectSimilar, invertSelection, selectSimilar} from '../helper/select-similar';
+import {getSelectedLeafItems} from '../helper/selection';
+import {setSelectedItems} from '../reducers/selected-items';
+
+class SelectSimilar extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleInvertSelection',
+            'handleSelectSimilar'
+        ]);
+    }
+    handleSelectSimilar (property) {
+        if (selectSimilar(property)) {
+            this.props.setSelectedItems();
+        }
+    }
+    handleInvertSelection () {
+        if (invertSelection()) {
+            this.props.setSelectedItems();
+        }
+    }
+    render () {
+        return (
+            <SelectSimilarComponent
+                canInvertSelection={canInvertSelection()}
+                canSelectSimilar={canSelectSimilar()}
+                onInvertSelection={this.handleInvertSelection}
+                onSelectSimilar={this.handleSelectSimilar}
+            />
+        );
+    }
+}
+
+SelectSimilar.propTypes = {
+    // Listen on selected items to update whether the commands are enabled
+    selectedItems: // eslint-disable-line react/no-unused-prop-types
+        PropTypes.arrayOf(PropTypes.instanceOf(paper.Item)),
+    setSelectedItems: PropTypes.func.isRequired
+};
+
+const mapStateToProps = state => ({
+    selectedItems: state.scratchPaint.selectedItems
+});
+const mapDispatchToProps = dispatch => ({
+    setSelectedItems: () => {
+        dispatch(setSelectedItems(getSelectedLeafItems()));
+    }
+});
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(SelectSimilar);
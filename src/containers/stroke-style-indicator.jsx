@@ -0,0 +1,107 @@
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import {changeArrowheads, changeDashPattern, changeStrokeCap, changeStrokeJoin} from '../reducers/stroke-style';
+import StrokeStyleIndicatorComponent from '../components/stroke-style-indicator/stroke-style-indicator.jsx';
+import {applyStrokeStyleToSelection} from '../helper/style-path';
+import {getSelectedLeafItems} from '../helper/selection';
+import {setSelectedItems} from '../reducers/selected-items';
+import Modes from '../lib/modes';
+
+class StrokeStyleIndicator extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeArrowheads',
+            'handleChangeDashPattern',
+            'handleChangeStrokeCap',
+            'handleChangeStrokeJoin'
+        ]);
+    }
+    applyToSelection (strokeStyle) {
+        if (applyStrokeStyleToSelection(strokeStyle, this.props.textEditTarget)) {
+            this.props.onUpdateImage();
+            return true;
+        }
+        return false;
+    }
+    handleChangeDashPattern (dashPattern) {
+        this.applyToSelection({dashPattern: dashPattern});
+        this.props.onChangeDashPattern(dashPattern);
+    }
+    handleChangeStrokeCap (strokeCap) {
+        this.applyToSelection({strokeCap: strokeCap});
+        this.props.onChangeStrokeCap(strokeCap);
+    }
+    handleChangeStrokeJoin (strokeJoin) {
+        this.applyToSelection({strokeJoin: strokeJoin});
+        this.props.onChangeStrokeJoin(strokeJoin);
+    }
+    handleChangeArrowheads (startArrowhead, endArrowhead) {
+        if (this.applyToSelection({startArrowhead: startArrowhead, endArrowhead: endArrowhead})) {
+            // Arrowheads are added to the selection along with the groups that hold them
+            this.props.setSelectedItems();
+        }
+        this.props.onChangeArrowheads(startArrowhead, endArrowhead);
+    }
+    render () {
+        return (
+            <StrokeStyleIndicatorComponent
+                disabled={this.props.disabled}
+                strokeStyle={this.props.strokeStyle}
+                onChangeArrowheads={this.handleChangeArrowheads}
+                onChangeDashPattern={this.handleChangeDashPattern}
+                onChangeStrokeCap={this.handleChangeStrokeCap}
+                onChangeStrokeJoin={this.handleChangeStrokeJoin}
+            />
+        );
+    }
+}
+
+const mapStateToProps = state => ({
+    disabled: state.scratchPaint.mode === Modes.BRUSH ||
+        state.scratchPaint.mode === Modes.TEXT,
+    strokeStyle: state.scratchPaint.color.strokeStyle,
+    textEditTarget: state.scratchPaint.textEditTarget
+});
+const mapDispatchToProps = dispatch => ({
+    onChangeArrowheads: (startArrowhead, endArrowhead) => {
+        dispatch(changeArrowheads(startArrowhead, endArrowhead));
+    },
+    onChangeDashPattern: dashPattern => {
+        dispatch(changeDashPattern(dashPattern));
+    },
+    onChangeStrokeCap: strokeCap => {
+        dispatch(changeStrokeCap(strokeCap));
+    },
+    onChangeStrokeJoin: strokeJoin => {
+        dispatch(changeStrokeJoin(strokeJoin));
+    },
+    setSelectedItems: () => {
+        dispatch(setSelectedItems(getSelectedLeafItems()));
+    }
+});
+
+StrokeStyleIndicator.propTypes = {
+    disabled: PropTypes.bool.isRequired,
+    onChangeArrowheads: PropTypes.func.isRequired,
+    onChangeDashPattern: PropTypes.func.isRequired,
+    onChangeStrokeCap: PropTypes.func.isRequired,
+    onChangeStrokeJoin: PropTypes.func.isRequired,
+    onUpdateImage: PropTypes.func.isRequired,
+    strokeStyle: PropTypes.shape({
+        dashPattern: PropTypes.string,
+        strokeCap: PropTypes.string,
+        strokeJoin: PropTypes.string,
+        startArrowhead: PropTypes.bool,
+        endArrowhead: PropTypes.bool
+    }).isRequired,
+    setSelectedItems: PropTypes.func.isRequired,
+    textEditTarget: PropTypes.number
+};
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(StrokeStyleIndicator);
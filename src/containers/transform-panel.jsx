@@ -0,0 +1,121 @@
+import paper from '@scratch/paper';
+import {connect} from 'react-redux';
+import PropTypes from 'prop-types';
+import React from 'react';
+import bindAll from 'lodash.bindall';
+import TransformPanelComponent from '../components/transform-panel/transform-panel.jsx';
+
+import {getSelectedLeafItems} from '../helper/selection';
+import {centerRotationOnSelection, getSelectionTransform, setSelectionTransform} from '../helper/transform';
+import {setSelectedItems} from '../reducers/selected-items';
+import Modes from '../lib/modes';
+
+class TransformPanel extends React.Component {
+    constructor (props) {
+        super(props);
+        bindAll(this, [
+            'handleChangeHeight',
+            'handleChangeRotation',
+            'handleChangeWidth',
+            'handleChangeX',
+            'handleChangeY',
+            'handleSetRotationCenter',
+            'handleToggleAspectLocked'
+        ]);
+        this.state = {
+            aspectLocked: false
+        };
+    }
+    // Only the modes with a bounding box can move, resize and rotate the selection
+    getTransform () {
+        if (this.props.mode !== Modes.SELECT && this.props.mode !== Modes.BIT_SELECT) return null;
+        return getSelectionTransform();
+    }
+    applyTransform (transform) {
+        // All of the changes are made before updating the image, so they are undone together
+        if (setSelectionTransform(transform)) {
+            // Redraws the bounding box
+            this.props.setSelectedItems();
+            this.props.onUpdateImage();
+        }
+    }
+    handleChangeX (x) {
+        this.applyTransform({x: x});
+    }
+    handleChangeY (y) {
+        this.applyTransform({y: y});
+    }
+    handleChangeWidth (width) {
+        const transform = this.getTransform();
+        if (!transform) return;
+        if (this.state.aspectLocked && transform.width) {
+            this.applyTransform({width: width, height: transform.height * width / transform.width});
+        } else {
+            this.applyTransform({width: width});
+        }
+    }
+    handleChangeHeight (height) {
+        const transform = this.getTransform();
+        if (!transform) return;
+        if (this.state.aspectLocked && transform.height) {
+            this.applyTransform({width: transform.width * height / transform.height, height: height});
+        } else {
+            this.applyTransform({height: height});
+        }
+    }
+    handleChangeRotation (rotation) {
+        this.applyTransform({rotation: rotation});
+    }
+    handleSetRotationCenter () {
+        if (centerRotationOnSelection()) {
+            this.props.onUpdateImage();
+        }
+    }
+    handleToggleAspectLocked () {
+        this.setState({aspectLocked: !this.state.aspectLocked});
+    }
+    render () {
+        // The transform is read from the project whenever the image or selection change
+        return (
+            <TransformPanelComponent
+                aspectLocked={this.state.aspectLocked}
+                transform={this.getTransform()}
+                onChangeHeight={this.handleChangeHeight}
+                onChangeRotation={this.handleChangeRotation}
+                onChangeWidth={this.handleChangeWidth}
+                onChangeX={this.handleChangeX}
+                onChangeY={this.handleChangeY}
+                onSetRotationCenter={this.handleSetRotationCenter}
+                onToggleAspectLocked={this.handleToggleAspectLocked}
+            />
+        );
+    }
+}
+
+const mapStateToProps = state => ({
+    mode: state.scratchPaint.mode,
+    selectedItems: state.scratchPaint.selectedItems,
+    undoState: state.scratchPaint.undo
+});
+const mapDispatchToProps = dispatch => ({
+    setSelectedItems: () => {
+        dispatch(setSelectedItems(getSelectedLeafItems()));
+    }
+});
+
+TransformPanel.propTypes = {
+    mode: PropTypes.oneOf(Object.keys(Modes)),
+    onUpdateImage: PropTypes.func.isRequired,
+    selectedItems: // eslint-disable-line react/no-unused-prop-types
+        PropTypes.arrayOf(PropTypes.instanceOf(paper.Item)),
+    setSelectedItems: PropTypes.func.isRequired,
+    // Changes with every undo snapshot, so the panel follows the selection as it is edited
+    undoState: PropTypes.shape({ // eslint-disable-line react/no-unused-prop-types
+        pointer: PropTypes.number.isRequired
+    })
+};
+
+export default connect(
+    mapStateToProps,
+    mapDispatchToProps
+)(TransformPanel);
@@ -0,0 +1,173 @@
+import paper from '@scratch/paper';
+import keyMirror from 'keymirror';
+import AlignTargets from '../lib/align-targets';
+import {getSelectedRootItems} from './selection';
+import {ART_BOARD_HEIGHT, ART_BOARD_WIDTH, getRotationCenter} from './view';
+
+const Alignments = keyMirror({
+    LEFT: null,
+    CENTER: null,
+    RIGHT: null,
+    TOP: null,
+    MIDDLE: null,
+    BOTTOM: null
+});
+
+const Distributions = keyMirror({
+    HORIZONTAL_CENTERS: null,
+    HORIZONTAL_SPACING: null,
+    VERTICAL_CENTERS: null,
+    VERTICAL_SPACING: null
+});
+
+const _getArtBoardBounds = function () {
+    return new paper.Rectangle(0, 0, ART_BOARD_WIDTH, ART_BOARD_HEIGHT);
+};
+
+const _getSelectionBounds = function (items) {
+    let rect = null;
+    for (const item of items) {
+        rect = rect ? rect.unite(item.bounds) : item.bounds;
+    }
+    return rect;
+};
+
+/**
+ * @param {!Array<paper.Item>} items Items being aligned
+ * @param {!string} alignTarget One of AlignTargets
+ * @return {paper.Rectangle} Bounds to align the items to. For the rotation center, the bounds have no size.
+ */
+const _getTargetBounds = function (items, alignTarget) {
+    switch (alignTarget) {
+    case AlignTargets.ARTBOARD:
+        return _getArtBoardBounds();
+    case AlignTargets.ROTATION_CENTER:
+        return new paper.Rectangle(getRotationCenter(), getRotationCenter());
+    default:
+        return _getSelectionBounds(items);
+    }
+};
+
+/**
+ * @param {!paper.Rectangle} bounds Bounds of the item to move
+ * @param {!paper.Rectangle} target Bounds to align to
+ * @param {!string} alignment One of Alignments
+ * @return {paper.Point} How far to move the item
+ */
+const _getAlignmentDelta = function (bounds, target, alignment) {
+    switch (alignment) {
+    case Alignments.LEFT:
+        return new paper.Point(target.left - bounds.left, 0);
+    case Alignments.CENTER:
+        return new paper.Point(target.center.x - bounds.center.x, 0);
+    case Alignments.RIGHT:
+        return new paper.Point(target.right - bounds.right, 0);
+    case Alignments.TOP:
+        return new paper.Point(0, target.top - bounds.top);
+    case Alignments.MIDDLE:
+        return new paper.Point(0, target.center.y - bounds.center.y);
+    case Alignments.BOTTOM:
+        return new paper.Point(0, target.bottom - bounds.bottom);
+    }
+};
+
+/**
+ * Lines up the edges or centers of the selected items.
+ * @param {!string} alignment One of Alignments
+ * @param {!string} alignTarget One of AlignTargets. What to line the items up with.
+ * @param {!function} onUpdateImage Function to let listeners know that SVG has changed.
+ * @return {boolean} Whether any items moved
+ */
+const alignSelection = function (alignment, alignTarget, onUpdateImage) {
+    const items = getSelectedRootItems();
+    if (items.length === 0 || !(alignment in Alignments)) return false;
+
+    const target = _getTargetBounds(items, alignTarget);
+    let changed = false;
+    for (const item of items) {
+        const delta = _getAlignmentDelta(item.bounds, target, alignment);
+        if (!delta.isZero()) {
+            item.translate(delta);
+            changed = true;
+        }
+    }
+    if (changed) onUpdateImage();
+    return changed;
+};
+
+/**
+ * Spaces out the selected items evenly, either so that their centers are the same distance apart, or so
+ * that the gaps between them are the same size. Relative to the selection, the outermost items stay where
+ * they are. Relative to the art board, the items are spread across all of it. Items can't be spread
+ * across the rotation center, so it's treated like the selection.
+ * @param {!string} distribution One of Distributions
+ * @param {!string} alignTarget One of AlignTargets. What to spread the items across.
+ * @param {!function} onUpdateImage Function to let listeners know that SVG has changed.
+ * @return {boolean} Whether any items moved
+ */
+const distributeSelection = function (distribution, alignTarget, onUpdateImage) {
+    const items = getSelectedRootItems();
+    if (items.length < 2 || !(distribution in Distributions)) return false;
+
+    const isHorizontal = distribution === Distributions.HORIZONTAL_CENTERS ||
+        distribution === Distributions.HORIZONTAL_SPACING;
+    const isSpacing = distribution === Distributions.HORIZONTAL_SPACING ||
+        distribution === Distributions.VERTICAL_SPACING;
+    const axis = isHorizontal ? 'x' : 'y';
+    const start = isHorizontal ? 'left' : 'top';
+    const size = isHorizontal ? 'width' : 'height';
+    const target = alignTarget === AlignTargets.ARTBOARD ? _getArtBoardBounds() : _getSelectionBounds(items);
+
+    const sortedItems = items.slice();
+    if (isSpacing) {
+        sortedItems.sort((a, b) => a.bounds[start] - b.bounds[start]);
+    } else {
+        sortedItems.sort((a, b) => a.bounds.center[axis] - b.bounds.center[axis]);
+    }
+
+    // Where the start edge of each item should go
+    const newStarts = [];
+    if (isSpacing) {
+        let totalSize = 0;
+        for (const item of sortedItems) {
+            totalSize += item.bounds[size];
+        }
+        const gap = (target[size] - totalSize) / (sortedItems.length - 1);
+        let nextStart = target[start];
+        for (const item of sortedItems) {
+            newStarts.push(nextStart);
+            nextStart += item.bounds[size] + gap;
+        }
+    } else {
+        const first = sortedItems[0].bounds;
+        const last = sortedItems[sortedItems.length - 1].bounds;
+        let firstCenter = first.center[axis];
+        let lastCenter = last.center[axis];
+        if (alignTarget === AlignTargets.ARTBOARD) {
+            firstCenter = target[start] + (first[size] / 2);
+            lastCenter = target[start] + target[size] - (last[size] / 2);
+        }
+        const step = (lastCenter - firstCenter) / (sortedItems.length - 1);
+        for (let i = 0; i < sortedItems.length; i++) {
+            newStarts.push(firstCenter + (step * i) - (sortedItems[i].bounds[size] / 2));
+        }
+    }
+
+    let changed = false;
+    for (let i = 0; i < sortedItems.length; i++) {
+        const distance = newStarts[i] - sortedItems[i].bounds[start];
+        if (distance !== 0) {
+            sortedItems[i].translate(isHorizontal ? new paper.Point(distance, 0) : new paper.Point(0, distance));
+            changed = true;
+        }
+    }
+    if (changed) onUpdateImage();
+    return changed;
+};
+
+export {
+    Alignments,
+    Distributions,
+    alignSelection,
+    distributeSelection
+};
@@ -0,0 +1,149 @@
+import paper from '@scratch/paper';
+import {getItems, getSelectedLeafItems} from './selection';
+import {StrokeCaps} from '../lib/stroke-styles';
+
+/**
+ * Arrowheads are filled triangles at the ends of an open path. The path and its arrowheads are kept
+ * together in a group, and the path's data.arrowheads records which ends have them, so they can be
+ * redrawn whenever the path changes. Since that state is in the items' data, it survives export and
+ * import of the SVG.
+ */
+
+// Arrowhead length, in multiples of the stroke width
+const ARROWHEAD_RATIO = 4;
+const MIN_ARROWHEAD_SIZE = 8;
+
+const _isArrowheadGroup = function (item) {
+    return item instanceof paper.Group && item.data && item.data.isArrowheadGroup;
+};
+
+/**
+ * @param {paper.Item} item Item to check
+ * @return {boolean} Whether the item is an arrowhead drawn for another path. Arrowheads take their
+ *     style from that path rather than being styled on their own.
+ */
+const isArrowhead = function (item) {
+    return !!(item && item.data && item.data.isArrowhead && _isArrowheadGroup(item.parent));
+};
+
+/**
+ * @param {paper.Item} item Item to check
+ * @return {boolean} Whether the item is a path that arrowheads are drawn for
+ */
+const hasArrowheads = function (item) {
+    return !!(item && item.data && item.data.arrowheads && _isArrowheadGroup(item.parent));
+};
+
+const _makeArrowhead = function (path, atStart) {
+    const offset = atStart ? 0 : path.length;
+    const point = path.getPointAt(offset);
+    let direction = path.getTangentAt(offset);
+    if (!point || !direction || direction.isZero()) return null;
+    // Point away from the path
+    if (atStart) direction = direction.multiply(-1);
+
+    const size = Math.max(MIN_ARROWHEAD_SIZE, ARROWHEAD_RATIO * path.strokeWidth);
+    // Round and square caps reach past the end of the path, so move the tip out to cover them
+    const tip = path.strokeCap === StrokeCaps.BUTT ?
+        point : point.add(direction.multiply(path.strokeWidth / 2));
+    const base = tip.subtract(direction.multiply(size));
+    const side = direction.rotate(90).multiply(size / 2);
+    return new paper.Path({
+        segments: [tip, base.add(side), base.subtract(side)],
+        closed: true,
+        fillColor: path.strokeColor,
+        data: {isArrowhead: true},
+        insert: false
+    });
+};
+
+/**
+ * Redraw the arrowheads of a path to match its current shape and stroke.
+ * @param {!paper.Path} path A path with arrowheads
+ */
+const updateArrowheads = function (path) {
+    const group = path.parent;
+    if (!_isArrowheadGroup(group)) return;
+    for (const child of group.children.slice()) {
+        if (child.data.isArrowhead) child.remove();
+    }
+    // Closed paths have no ends to put arrowheads on
+    if (path.closed || path.length === 0) return;
+    const {start, end} = path.data.arrowheads;
+    for (const atStart of [true, false]) {
+        if (atStart ? !start : !end) continue;
+        const arrowhead = _makeArrowhead(path, atStart);
+        if (arrowhead) {
+            arrowhead.insertAbove(path);
+            arrowhead.selected = path.selected;
+        }
+    }
+};
+
+/**
+ * Add or remove arrowheads on a path.
+ * @param {!paper.Path} path The path
+ * @param {boolean} start Whether the path should have an arrowhead at its first point
+ * @param {boolean} end Whether the path should have an arrowhead at its last point
+ * @return {boolean} Whether anything changed
+ */
+const setArrowheads = function (path, start, end) {
+    if (!(path instanceof paper.Path)) return false;
+    const old = hasArrowheads(path) ? path.data.arrowheads : {start: false, end: false};
+    if (old.start === start && old.end === end) return false;
+
+    if (!start && !end) {
+        const group = path.parent;
+        delete path.data.arrowheads;
+        if (_isArrowheadGroup(group)) {
+            path.insertAbove(group);
+            group.remove();
+        }
+        return true;
+    }
+    if (!_isArrowheadGroup(path.parent)) {
+        const group = new paper.Group({data: {isArrowheadGroup: true}});
+        group.insertAbove(path);
+        group.addChild(path);
+        group.selected = path.selected;
+    }
+    path.data.arrowheads = {start: start, end: end};
+    updateArrowheads(path);
+    return true;
+};
+
+/**
+ * Redraw the arrowheads of the selected paths, so that they follow the paths while they are being edited.
+ */
+const updateSelectedArrowheads = function () {
+    for (const item of getSelectedLeafItems()) {
+        if (hasArrowheads(item)) updateArrowheads(item);
+    }
+};
+
+/**
+ * Redraw all arrowheads in the project, so that they follow changes to their paths. Paths whose
+ * arrowhead group was taken apart lose their arrowheads, which are left as ordinary shapes.
+ */
+const updateAllArrowheads = function () {
+    const paths = getItems({
+        class: paper.Path,
+        match: item => item.data && item.data.arrowheads
+    });
+    for (const path of paths) {
+        if (hasArrowheads(path)) {
+            updateArrowheads(path);
+        } else {
+            delete path.data.arrowheads;
+        }
+    }
+};
+
+export {
+    hasArrowheads,
+    isArrowhead,
+    setArrowheads,
+    updateAllArrowheads,
+    updateArrowheads,
+    updateSelectedArrowheads
+};
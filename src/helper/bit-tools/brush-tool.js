@@ -1,7 +1,8 @@
 import paper from '@scratch/paper';
 import {getRaster} from '../layer';
-import {forEachLinePoint, getBrushMark} from '../bitmap';
+import {drawToRaster, forEachLinePoint, getBrushMark, splitAlpha} from '../bitmap';
 import {getGuideLayer} from '../layer';
+import {ART_BOARD_WIDTH, ART_BOARD_HEIGHT} from '../view';
 
 /**
  * Tool for drawing with the bitmap brush and eraser
@@ -27,9 +28,15 @@ class BrushTool extends paper.Tool {
         this.active = false;
         this.lastPoint = null;
         this.cursorPreview = null;
+        this.alpha = 1;
+        // Raster to which brush strokes are drawn, before they're copied to the bitmap
+        this.drawTarget = null;
     }
     setColor (color) {
-        this.color = color;
+        // Strokes are drawn opaque, and made translucent as a whole. See splitAlpha
+        const opaque = splitAlpha(color);
+        this.color = opaque.color;
+        this.alpha = opaque.alpha;
         this.tmpCanvas = getBrushMark(this.size, this.color, this.isEraser);
     }
     setBrushSize (size) {
@@ -40,13 +47,14 @@ class BrushTool extends paper.Tool {
     // Draw a brush mark at the given point
     draw (x, y) {
         const roundedUpRadius = Math.ceil(this.size / 2);
-        const context = getRaster().getContext('2d');
+        const point = new paper.Point(~~x - roundedUpRadius, ~~y - roundedUpRadius);
         if (this.isEraser) {
+            const context = getRaster().getContext('2d');
             context.globalCompositeOperation = 'destination-out';
-        }
-        getRaster().drawImage(this.tmpCanvas, new paper.Point(~~x - roundedUpRadius, ~~y - roundedUpRadius));
-        if (this.isEraser) {
+            getRaster().drawImage(this.tmpCanvas, point);
             context.globalCompositeOperation = 'source-over';
+        } else {
+            this.drawTarget.drawImage(this.tmpCanvas, point);
         }
     }
     updateCursorIfNeeded () {
@@ -71,6 +79,7 @@ class BrushTool extends paper.Tool {
             this.cursorPreview.parent = getGuideLayer();
             this.cursorPreview.data.isHelperItem = true;
         }
+        this.cursorPreview.opacity = this.isEraser ? 1 : this.alpha;
 
         this.lastSize = this.size;
         this.lastColor = this.color;
@@ -87,6 +96,18 @@ class BrushTool extends paper.Tool {
             this.cursorPreview.remove();
         }
 
+        if (!this.isEraser) {
+            const tmpCanvas = document.createElement('canvas');
+            tmpCanvas.width = ART_BOARD_WIDTH;
+            tmpCanvas.height = ART_BOARD_HEIGHT;
+            this.drawTarget = new paper.Raster(tmpCanvas);
+            this.drawTarget.parent = getGuideLayer();
+            this.drawTarget.guide = true;
+            this.drawTarget.locked = true;
+            this.drawTarget.position = getRaster().position;
+            this.drawTarget.opacity = this.alpha;
+        }
+
         this.draw(event.point.x, event.point.y);
         this.lastPoint = event.point;
     }
@@ -100,6 +121,11 @@ class BrushTool extends paper.Tool {
         if (event.event.button > 0 || !this.active) return; // only first mouse button
         
         forEachLinePoint(this.lastPoint, event.point, this.draw.bind(this));
+        if (this.drawTarget) {
+            drawToRaster(this.drawTarget.canvas, this.alpha);
+            this.drawTarget.remove();
+            this.drawTarget = null;
+        }
         this.onUpdateImage();
 
         this.lastPoint = null;
@@ -111,6 +137,10 @@ class BrushTool extends paper.Tool {
     deactivateTool () {
         this.active = false;
         this.tmpCanvas = null;
+        if (this.drawTarget) {
+            this.drawTarget.remove();
+            this.drawTarget = null;
+        }
         if (this.cursorPreview) {
             this.cursorPreview.remove();
             this.cursorPreview = null;
@@ -1,6 +1,7 @@
 import paper from '@scratch/paper';
 import {floodFill, floodFillAll} from '../bitmap';
 import {getRaster} from '../layer';
+import {MAX_TOLERANCE} from '../../reducers/bit-fill-mode';
 
 const TRANSPARENT = 'rgba(0,0,0,0)';
 /**
@@ -17,10 +18,11 @@ class FillTool extends paper.Tool {
         // We have to set these functions instead of just declaring them because
         // paper.js tools hook up the listeners in the setter functions.
         this.onMouseDown = this.handleMouseDown;
-        this.onMouseDrag = this.handleMouseDrag;
         this.onMouseUp = this.handleMouseUp;
 
         this.color = null;
+        this.tolerance = 0;
+        this.feather = false;
         this.changed = false;
         this.active = false;
     }
@@ -28,21 +30,26 @@ class FillTool extends paper.Tool {
         // Null color means transparent because that is the standard in vector
         this.color = color ? color : TRANSPARENT;
     }
-    handleMouseDown (event) {
-        const context = getRaster().getContext('2d');
-        if (event.event.shiftKey) {
-            this.changed = floodFillAll(event.point.x, event.point.y, this.color, context) || this.changed;
-        } else {
-            this.changed = floodFill(event.point.x, event.point.y, this.color, context) || this.changed;
-        }
+    /**
+     * @param {number} tolerance How different colors may be from the clicked color and still get
+     *     filled, from 0 (exact match) to MAX_TOLERANCE
+     */
+    setTolerance (tolerance) {
+        this.tolerance = tolerance * 255 / MAX_TOLERANCE;
     }
-    handleMouseDrag (event) {
+    /**
+     * @param {boolean} feather True to soften the edges of fills
+     */
+    setFeather (feather) {
+        this.feather = feather;
+    }
+    handleMouseDown (event) {
+        // Fill once per press. Filling again while dragging would feather the edges of the fill over and
+        // over, and each feathered ring would then match the fill and grow it.
         const context = getRaster().getContext('2d');
-        if (event.event.shiftKey) {
-            this.changed = floodFillAll(event.point.x, event.point.y, this.color, context) || this.changed;
-        } else {
-            this.changed = floodFill(event.point.x, event.point.y, this.color, context) || this.changed;
-        }
+        const fillFunction = event.event.shiftKey ? floodFillAll : floodFill;
+        this.changed = fillFunction(
+            event.point.x, event.point.y, this.color, context, this.tolerance, this.feather) || this.changed;
     }
     handleMouseUp () {
         if (this.changed) {
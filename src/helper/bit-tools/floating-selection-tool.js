@@ -0,0 +1,92 @@
+import paper from '@scratch/paper';
+import {commitSelectionToBitmap} from '../bitmap';
+import {removeMarchingAnts} from '../guides';
+import {getRaster} from '../layer';
+import BoundingBoxTool from '../selection-tools/bounding-box-tool';
+import NudgeTool from '../selection-tools/nudge-tool';
+
+/**
+ * Base for the bitmap tools which lift pixels out of the bitmap into a floating selection. The bounding
+ * box tool can move, scale and rotate the floating selection, which is stamped back onto the bitmap once
+ * it is deselected. Subclasses handle the mouse to pick what is lifted.
+ */
+class FloatingSelectionTool extends paper.Tool {
+    /** The distance within which mouse events count as a hit against an item */
+    static get TOLERANCE () {
+        return 2;
+    }
+    /**
+     * @param {!Modes} mode Current paint editor mode
+     * @param {function} setSelectedItems Callback to set the set of selected items in the Redux state
+     * @param {function} clearSelectedItems Callback to clear the set of selected items in the Redux state
+     * @param {!function} onUpdateImage A callback to call when the image visibly changes
+     */
+    constructor (mode, setSelectedItems, clearSelectedItems, onUpdateImage) {
+        super();
+        this.setSelectedItems = setSelectedItems;
+        this.clearSelectedItems = clearSelectedItems;
+        this.onUpdateImage = onUpdateImage;
+        // The bitmap has a hole where the floating selection was lifted from until the selection is
+        // committed, so moving or scaling the selection doesn't update the image. Committing does, once.
+        const noUpdate = () => {};
+        this.boundingBoxTool = new BoundingBoxTool(mode, setSelectedItems, clearSelectedItems, noUpdate);
+        this.nudgeTool = new NudgeTool(this.boundingBoxTool, noUpdate);
+        this.selection = null;
+        this.active = false;
+
+        // We have to set these functions instead of just declaring them because
+        // paper.js tools hook up the listeners in the setter functions.
+        this.onKeyUp = this.handleKeyUp;
+        this.onKeyDown = this.handleKeyDown;
+    }
+    getHitOptions () {
+        return {
+            segments: false,
+            stroke: true,
+            curves: false,
+            fill: true,
+            guide: false,
+            match: hitResult =>
+                (hitResult.item.data && hitResult.item.data.isHelperItem &&
+                    !hitResult.item.data.isMarchingAnts) ||
+                    hitResult.item === this.selection, // Allow hits on bounding box and selection only
+            tolerance: FloatingSelectionTool.TOLERANCE / paper.view.zoom
+        };
+    }
+    /**
+     * Should be called if the selection changes to update the bounds of the bounding box.
+     * @param {Array<paper.Item>} selectedItems Array of selected items.
+     */
+    onSelectionChanged (selectedItems) {
+        this.boundingBoxTool.onSelectionChanged(selectedItems);
+        if ((!this.selection || !this.selection.parent) &&
+                selectedItems && selectedItems.length === 1 && selectedItems[0] instanceof paper.Raster) {
+            // Infer that an undo or paste occurred and get back the floating selection
+            this.selection = selectedItems[0];
+            removeMarchingAnts();
+        } else if (this.selection && this.selection.parent && !this.selection.selected) {
+            // Selection got deselected
+            this.commitSelection();
+        }
+    }
+    handleKeyDown (event) {
+        this.nudgeTool.onKeyDown(event);
+    }
+    handleKeyUp (event) {
+        this.nudgeTool.onKeyUp(event);
+    }
+    commitSelection () {
+        if (!this.selection || !this.selection.parent) return;
+
+        commitSelectionToBitmap(this.selection, getRaster());
+        this.selection.remove();
+        this.selection = null;
+        this.onUpdateImage();
+    }
+    deactivateTool () {
+        this.commitSelection();
+        this.boundingBoxTool.removeBoundsPath();
+    }
+}
+
+export default FloatingSelectionTool;
@@ -1,8 +1,9 @@
 import paper from '@scratch/paper';
 import {getRaster} from '../layer';
-import {forEachLinePoint, getBrushMark} from '../bitmap';
+import {drawToRaster, forEachLinePoint, getBrushMark, splitAlpha} from '../bitmap';
 import {getGuideLayer} from '../layer';
 import {ART_BOARD_WIDTH, ART_BOARD_HEIGHT} from '../view';
+import {snapPoint} from '../snapping';
 
 /**
  * Tool for drawing lines with the bitmap brush.
@@ -28,9 +29,15 @@ class LineTool extends paper.Tool {
         this.cursorPreview = null;
         // Raster to which to draw
         this.drawTarget = null;
+        this.alpha = 1;
+        this.grid = null;
+        this.rulerGuides = null;
     }
     setColor (color) {
-        this.color = color;
+        // Lines are drawn opaque, and made translucent as a whole. See splitAlpha
+        const opaque = splitAlpha(color);
+        this.color = opaque.color;
+        this.alpha = opaque.alpha;
         this.tmpCanvas = getBrushMark(this.size, this.color);
     }
     setLineSize (size) {
@@ -38,6 +45,18 @@ class LineTool extends paper.Tool {
         this.size = Math.max(1, ~~size);
         this.tmpCanvas = getBrushMark(this.size, this.color);
     }
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap the ends of lines to the grid
+     */
+    setGrid (grid) {
+        this.grid = grid;
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which the ends of lines snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
+    }
     // Draw a brush mark at the given point
     draw (x, y) {
         const roundedUpRadius = Math.ceil(this.size / 2);
@@ -64,12 +83,14 @@ class LineTool extends paper.Tool {
             this.cursorPreview.parent = getGuideLayer();
             this.cursorPreview.data.isHelperItem = true;
         }
+        this.cursorPreview.opacity = this.alpha;
         this.lastSize = this.size;
         this.lastColor = this.color;
     }
     handleMouseMove (event) {
         this.updateCursorIfNeeded();
-        this.cursorPreview.position = new paper.Point(~~event.point.x, ~~event.point.y);
+        const point = snapPoint(event.point, this.grid, this.rulerGuides);
+        this.cursorPreview.position = new paper.Point(~~point.x, ~~point.y);
     }
     handleMouseDown (event) {
         if (event.event.button > 0) return; // only first mouse button
@@ -85,9 +106,10 @@ class LineTool extends paper.Tool {
         this.drawTarget.guide = true;
         this.drawTarget.locked = true;
         this.drawTarget.position = getRaster().position;
+        this.drawTarget.opacity = this.alpha;
 
-        this.draw(event.point.x, event.point.y);
-        this.startPoint = event.point;
+        this.startPoint = snapPoint(event.point, this.grid, this.rulerGuides);
+        this.draw(this.startPoint.x, this.startPoint.y);
     }
     handleMouseDrag (event) {
         if (event.event.button > 0 || !this.active) return; // only first mouse button
@@ -96,14 +118,17 @@ class LineTool extends paper.Tool {
         const context = this.drawTarget.canvas.getContext('2d');
         context.clearRect(0, 0, ART_BOARD_WIDTH, ART_BOARD_HEIGHT);
 
-        forEachLinePoint(this.startPoint, event.point, this.draw.bind(this));
+        forEachLinePoint(this.startPoint, snapPoint(event.point, this.grid, this.rulerGuides), this.draw.bind(this));
     }
     handleMouseUp (event) {
         if (event.event.button > 0 || !this.active) return; // only first mouse button
         
+        const context = this.drawTarget.canvas.getContext('2d');
+        context.clearRect(0, 0, ART_BOARD_WIDTH, ART_BOARD_HEIGHT);
+        const endPoint = snapPoint(event.point, this.grid, this.rulerGuides);
+        forEachLinePoint(this.startPoint, endPoint, this.draw.bind(this));
+        drawToRaster(this.drawTarget.canvas, this.alpha);
         this.drawTarget.remove();
-        this.drawTarget = getRaster();
-        forEachLinePoint(this.startPoint, event.point, this.draw.bind(this));
         this.drawTarget = null;
         this.onUpdateImage();
 
@@ -111,7 +136,7 @@ class LineTool extends paper.Tool {
         this.active = false;
 
         this.updateCursorIfNeeded();
-        this.cursorPreview.position = new paper.Point(~~event.point.x, ~~event.point.y);
+        this.cursorPreview.position = new paper.Point(~~endPoint.x, ~~endPoint.y);
     }
     deactivateTool () {
         this.active = false;
@@ -0,0 +1,119 @@
+import paper from '@scratch/paper';
+import Modes from '../../lib/modes';
+import {fillMask, getColorMask, getMaskedImage, getMaskOutline, maskContains} from '../bitmap';
+import {drawMarchingAnts, getMarchingAnts, removeMarchingAnts} from '../guides';
+import {getRaster} from '../layer';
+import {clearSelection, setItemSelection} from '../selection';
+import FloatingSelectionTool from './floating-selection-tool';
+import {MAX_TOLERANCE} from '../../reducers/bit-fill-mode';
+
+/**
+ * Tool for selecting regions of similar color in the bitmap. Clicking selects the contiguous region
+ * of the clicked color (or, with shift, every pixel of that color) into a pixel mask, outlined by
+ * marching ants. Dragging the mask lifts its pixels into a floating selection which can be moved,
+ * scaled and rotated, and is stamped back onto the bitmap once deselected.
+ */
+class MagicWandTool extends FloatingSelectionTool {
+    /**
+     * @param {function} setSelectedItems Callback to set the set of selected items in the Redux state
+     * @param {function} clearSelectedItems Callback to clear the set of selected items in the Redux state
+     * @param {!function} onUpdateImage A callback to call when the image visibly changes
+     */
+    constructor (setSelectedItems, clearSelectedItems, onUpdateImage) {
+        super(Modes.BIT_MAGIC_WAND, setSelectedItems, clearSelectedItems, onUpdateImage);
+        this.tolerance = 0;
+
+        // We have to set these functions instead of just declaring them because
+        // paper.js tools hook up the listeners in the setter functions.
+        this.onMouseDown = this.handleMouseDown;
+        this.onMouseDrag = this.handleMouseDrag;
+        this.onMouseUp = this.handleMouseUp;
+    }
+    /**
+     * @param {number} tolerance How different colors may be from the clicked color and still get
+     *     selected, from 0 (exact match) to MAX_TOLERANCE
+     */
+    setTolerance (tolerance) {
+        this.tolerance = tolerance * 255 / MAX_TOLERANCE;
+    }
+    handleMouseDown (event) {
+        if (event.event.button > 0) return; // only first mouse button
+        this.active = true;
+
+        this.isBoundingBoxMode = this.boundingBoxTool.onMouseDown(
+            event, false /* clone */, false /* multiselect */, this.getHitOptions());
+        if (this.isBoundingBoxMode) return;
+
+        this.commitSelection();
+        const ants = getMarchingAnts();
+        if (ants && maskContains(ants.data.pixelMask, event.point)) {
+            // Dragging the mask lifts its pixels so they can be moved
+            this.liftMask(ants.data.pixelMask);
+            this.isBoundingBoxMode = this.boundingBoxTool.onMouseDown(
+                event, false /* clone */, false /* multiselect */, this.getHitOptions());
+            return;
+        }
+
+        clearSelection(this.clearSelectedItems);
+        const pixelMask = getColorMask(
+            event.point.x, event.point.y, event.modifiers.shift /* isGlobal */, getRaster().getContext(),
+            this.tolerance);
+        if (pixelMask && pixelMask.bounds.width && pixelMask.bounds.height) {
+            drawMarchingAnts(getMaskOutline(pixelMask), {pixelMask: pixelMask});
+        } else {
+            removeMarchingAnts();
+        }
+    }
+    handleMouseDrag (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+
+        if (this.isBoundingBoxMode) {
+            this.boundingBoxTool.onMouseDrag(event);
+        }
+    }
+    handleMouseUp (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+
+        if (this.isBoundingBoxMode) {
+            this.boundingBoxTool.onMouseUp(event);
+        }
+        this.isBoundingBoxMode = null;
+        this.active = false;
+    }
+    handleKeyDown (event) {
+        if (event.event.target instanceof HTMLInputElement) {
+            // Ignore if a text input field is focused
+            return;
+        }
+        const ants = getMarchingAnts();
+        if (ants && (event.key === 'delete' || event.key === 'backspace')) {
+            fillMask(ants.data.pixelMask, 'rgba(0,0,0,0)', getRaster().getContext(true /* modify */));
+            removeMarchingAnts();
+            this.onUpdateImage();
+            return;
+        }
+        super.handleKeyDown(event);
+    }
+    /**
+     * Move the masked pixels out of the bitmap and into a floating selection.
+     * @param {!PixelMask} pixelMask The pixels to lift
+     */
+    liftMask (pixelMask) {
+        const context = getRaster().getContext(true /* modify */);
+        const selection = new paper.Raster(getMaskedImage(pixelMask, context));
+        fillMask(pixelMask, 'rgba(0,0,0,0)', context);
+        removeMarchingAnts();
+
+        selection.parent = paper.project.activeLayer;
+        selection.position = pixelMask.bounds.center;
+        setItemSelection(selection, true);
+        this.selection = selection;
+        this.setSelectedItems();
+    }
+    deactivateTool () {
+        super.deactivateTool();
+        removeMarchingAnts();
+    }
+}
+
+export default MagicWandTool;
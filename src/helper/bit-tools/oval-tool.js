@@ -1,8 +1,9 @@
 import paper from '@scratch/paper';
 import Modes from '../../lib/modes';
-import {drawEllipse} from '../bitmap';
+import {drawEllipse, drawToRaster, outlineEllipse, splitAlpha} from '../bitmap';
 import {getRaster} from '../layer';
 import {clearSelection} from '../selection';
+import {snapPoint} from '../snapping';
 import BoundingBoxTool from '../selection-tools/bounding-box-tool';
 import NudgeTool from '../selection-tools/nudge-tool';
 
@@ -36,6 +37,10 @@ class OvalTool extends paper.Tool {
 
         this.oval = null;
         this.color = null;
+        this.filled = true;
+        this.thickness = 1;
+        this.grid = null;
+        this.rulerGuides = null;
         this.active = false;
     }
     getHitOptions () {
@@ -68,6 +73,47 @@ class OvalTool extends paper.Tool {
     }
     setColor (color) {
         this.color = color;
+        this.styleOval();
+    }
+    /**
+     * @param {boolean} filled True to draw filled shapes, false to draw outlines
+     */
+    setFilled (filled) {
+        this.filled = filled;
+        this.styleOval();
+    }
+    /**
+     * @param {number} thickness Thickness in pixels of outlines
+     */
+    setThickness (thickness) {
+        this.thickness = thickness;
+        this.styleOval();
+    }
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap drawing, moving and scaling to the grid
+     */
+    setGrid (grid) {
+        this.grid = grid;
+        this.boundingBoxTool.setGrid(grid);
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which drawing, moving and scaling
+     *     snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
+        this.boundingBoxTool.setRulerGuides(rulerGuides);
+    }
+    styleOval () {
+        if (!this.oval) return;
+        if (this.filled) {
+            this.oval.fillColor = this.color;
+            this.oval.strokeColor = null;
+        } else {
+            this.oval.fillColor = null;
+            this.oval.strokeColor = this.color;
+            this.oval.strokeWidth = this.thickness;
+        }
     }
     handleMouseDown (event) {
         if (event.event.button > 0) return; // only first mouse button
@@ -80,10 +126,10 @@ class OvalTool extends paper.Tool {
             clearSelection(this.clearSelectedItems);
             this.commitOval();
             this.oval = new paper.Shape.Ellipse({
-                fillColor: this.color,
                 point: event.downPoint,
                 size: 0
             });
+            this.styleOval();
         }
     }
     handleMouseDrag (event) {
@@ -94,10 +140,10 @@ class OvalTool extends paper.Tool {
             return;
         }
 
-        const downPoint = new paper.Point(event.downPoint.x, event.downPoint.y);
-        const point = new paper.Point(event.point.x, event.point.y);
+        const downPoint = snapPoint(new paper.Point(event.downPoint.x, event.downPoint.y), this.grid, this.rulerGuides);
+        const point = snapPoint(new paper.Point(event.point.x, event.point.y), this.grid, this.rulerGuides);
         if (event.modifiers.shift) {
-            this.oval.size = new paper.Point(event.downPoint.x - event.point.x, event.downPoint.x - event.point.x);
+            this.oval.size = new paper.Point(downPoint.x - point.x, downPoint.x - point.x);
         } else {
             this.oval.size = downPoint.subtract(point);
         }
@@ -136,19 +182,31 @@ class OvalTool extends paper.Tool {
 
         const radiusX = Math.abs(this.oval.size.width / 2);
         const radiusY = Math.abs(this.oval.size.height / 2);
-        const context = getRaster().getContext('2d');
-        context.fillStyle = this.color;
+        const tmpCanvas = document.createElement('canvas');
+        tmpCanvas.width = getRaster().width;
+        tmpCanvas.height = getRaster().height;
+        const context = tmpCanvas.getContext('2d');
+        const {color, alpha} = splitAlpha(this.color);
+        context.fillStyle = color;
 
-        const drew = drawEllipse(
-            this.oval.position.x, this.oval.position.y,
-            radiusX, radiusY,
-            this.oval.matrix,
-            true, /* isFilled */
-            context);
+        const drew = this.filled ?
+            drawEllipse(
+                this.oval.position.x, this.oval.position.y,
+                radiusX, radiusY,
+                this.oval.matrix,
+                true, /* isFilled */
+                context) :
+            outlineEllipse(
+                this.oval.position.x, this.oval.position.y,
+                radiusX, radiusY,
+                this.oval.matrix,
+                this.thickness,
+                context);
 
         this.oval.remove();
         this.oval = null;
         if (drew) {
+            drawToRaster(tmpCanvas, alpha);
             this.onUpdateImage();
         }
     }
@@ -0,0 +1,202 @@
+import paper from '@scratch/paper';
+import Modes from '../../lib/modes';
+import {drawPolygon, drawToRaster, outlinePolygon, splitAlpha} from '../bitmap';
+import {getRaster} from '../layer';
+import {makePolygon} from '../polygon';
+import {clearSelection} from '../selection';
+import {snapPoint} from '../snapping';
+import BoundingBoxTool from '../selection-tools/bounding-box-tool';
+import NudgeTool from '../selection-tools/nudge-tool';
+
+/**
+ * Tool for drawing regular polygons and stars.
+ */
+class PolygonTool extends paper.Tool {
+    static get TOLERANCE () {
+        return 6;
+    }
+    /**
+     * @param {function} setSelectedItems Callback to set the set of selected items in the Redux state
+     * @param {function} clearSelectedItems Callback to clear the set of selected items in the Redux state
+     * @param {!function} onUpdateImage A callback to call when the image visibly changes
+     */
+    constructor (setSelectedItems, clearSelectedItems, onUpdateImage) {
+        super();
+        this.setSelectedItems = setSelectedItems;
+        this.clearSelectedItems = clearSelectedItems;
+        this.onUpdateImage = onUpdateImage;
+        this.boundingBoxTool =
+            new BoundingBoxTool(Modes.BIT_POLYGON, setSelectedItems, clearSelectedItems, onUpdateImage);
+        const nudgeTool = new NudgeTool(this.boundingBoxTool, onUpdateImage);
+
+        // We have to set these functions instead of just declaring them because
+        // paper.js tools hook up the listeners in the setter functions.
+        this.onMouseDown = this.handleMouseDown;
+        this.onMouseDrag = this.handleMouseDrag;
+        this.onMouseUp = this.handleMouseUp;
+        this.onKeyUp = nudgeTool.onKeyUp;
+        this.onKeyDown = nudgeTool.onKeyDown;
+
+        this.polygon = null;
+        this.color = null;
+        this.filled = true;
+        this.thickness = 1;
+        this.polygonState = null;
+        this.grid = null;
+        this.rulerGuides = null;
+        this.active = false;
+    }
+    getHitOptions () {
+        return {
+            segments: false,
+            stroke: true,
+            curves: false,
+            fill: true,
+            guide: false,
+            match: hitResult =>
+                (hitResult.item.data && hitResult.item.data.isHelperItem) ||
+                    hitResult.item === this.polygon, // Allow hits on bounding box and polygon only
+            tolerance: PolygonTool.TOLERANCE / paper.view.zoom
+        };
+    }
+    /**
+     * Should be called if the selection changes to update the bounds of the bounding box.
+     * @param {Array<paper.Item>} selectedItems Array of selected items.
+     */
+    onSelectionChanged (selectedItems) {
+        this.boundingBoxTool.onSelectionChanged(selectedItems);
+        if ((!this.polygon || !this.polygon.parent) &&
+                selectedItems && selectedItems.length === 1 && selectedItems[0] instanceof paper.Path) {
+            // Infer that an undo occurred and get back the active polygon
+            this.polygon = selectedItems[0];
+        } else if (this.polygon && this.polygon.parent && !this.polygon.selected) {
+            // Polygon got deselected
+            this.commitPolygon();
+        }
+    }
+    setColor (color) {
+        this.color = color;
+        this.stylePolygon();
+    }
+    /**
+     * @param {boolean} filled True to draw filled shapes, false to draw outlines
+     */
+    setFilled (filled) {
+        this.filled = filled;
+        this.stylePolygon();
+    }
+    /**
+     * @param {number} thickness Thickness in pixels of outlines
+     */
+    setThickness (thickness) {
+        this.thickness = thickness;
+        this.stylePolygon();
+    }
+    /**
+     * @param {object} polygonState The number of sides and star settings of shapes to draw
+     */
+    setPolygonState (polygonState) {
+        this.polygonState = polygonState;
+    }
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap drawing, moving and scaling to the grid
+     */
+    setGrid (grid) {
+        this.grid = grid;
+        this.boundingBoxTool.setGrid(grid);
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which drawing, moving and scaling
+     *     snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
+        this.boundingBoxTool.setRulerGuides(rulerGuides);
+    }
+    stylePolygon () {
+        if (!this.polygon) return;
+        if (this.filled) {
+            this.polygon.fillColor = this.color;
+            this.polygon.strokeColor = null;
+        } else {
+            this.polygon.fillColor = null;
+            this.polygon.strokeColor = this.color;
+            this.polygon.strokeWidth = this.thickness;
+        }
+    }
+    handleMouseDown (event) {
+        if (event.event.button > 0) return; // only first mouse button
+        this.active = true;
+
+        if (this.boundingBoxTool.onMouseDown(event, false /* clone */, false /* multiselect */, this.getHitOptions())) {
+            this.isBoundingBoxMode = true;
+        } else {
+            this.isBoundingBoxMode = false;
+            clearSelection(this.clearSelectedItems);
+            this.commitPolygon();
+        }
+    }
+    handleMouseDrag (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+
+        if (this.isBoundingBoxMode) {
+            this.boundingBoxTool.onMouseDrag(event);
+            return;
+        }
+
+        if (this.polygon) this.polygon.remove();
+        const downPoint = snapPoint(event.downPoint, this.grid, this.rulerGuides);
+        const point = snapPoint(event.point, this.grid, this.rulerGuides);
+        this.polygon = makePolygon(downPoint, point, this.polygonState, event.modifiers.shift, event.modifiers.alt);
+        this.stylePolygon();
+    }
+    handleMouseUp (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+
+        if (this.isBoundingBoxMode) {
+            this.boundingBoxTool.onMouseUp(event);
+            this.isBoundingBoxMode = null;
+            return;
+        }
+
+        if (this.polygon) {
+            const tolerance = PolygonTool.TOLERANCE / paper.view.zoom;
+            if (this.polygon.bounds.width < tolerance && this.polygon.bounds.height < tolerance) {
+                // Tiny shape created unintentionally?
+                this.polygon.remove();
+                this.polygon = null;
+            } else {
+                this.polygon.selected = true;
+                this.setSelectedItems();
+            }
+        }
+        this.active = false;
+    }
+    commitPolygon () {
+        if (!this.polygon || !this.polygon.parent) return;
+
+        const tmpCanvas = document.createElement('canvas');
+        tmpCanvas.width = getRaster().width;
+        tmpCanvas.height = getRaster().height;
+        const context = tmpCanvas.getContext('2d');
+        const {color, alpha} = splitAlpha(this.color);
+        context.fillStyle = color;
+        const points = this.polygon.segments.map(segment => segment.point);
+        if (this.filled) {
+            drawPolygon(points, context);
+        } else {
+            outlinePolygon(points, this.thickness, context);
+        }
+        drawToRaster(tmpCanvas, alpha);
+
+        this.polygon.remove();
+        this.polygon = null;
+        this.onUpdateImage();
+    }
+    deactivateTool () {
+        this.commitPolygon();
+        this.boundingBoxTool.removeBoundsPath();
+    }
+}
+
+export default PolygonTool;
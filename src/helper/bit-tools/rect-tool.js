@@ -1,8 +1,9 @@
 import paper from '@scratch/paper';
 import Modes from '../../lib/modes';
-import {drawRect} from '../bitmap';
+import {drawRect, drawToRaster, outlineRect, splitAlpha} from '../bitmap';
 import {getRaster} from '../layer';
 import {clearSelection} from '../selection';
+import {snapPoint} from '../snapping';
 import BoundingBoxTool from '../selection-tools/bounding-box-tool';
 import NudgeTool from '../selection-tools/nudge-tool';
 
@@ -36,6 +37,10 @@ class RectTool extends paper.Tool {
 
         this.rect = null;
         this.color = null;
+        this.filled = true;
+        this.thickness = 1;
+        this.grid = null;
+        this.rulerGuides = null;
         this.active = false;
     }
     getHitOptions () {
@@ -68,6 +73,47 @@ class RectTool extends paper.Tool {
     }
     setColor (color) {
         this.color = color;
+        this.styleRect();
+    }
+    /**
+     * @param {boolean} filled True to draw filled shapes, false to draw outlines
+     */
+    setFilled (filled) {
+        this.filled = filled;
+        this.styleRect();
+    }
+    /**
+     * @param {number} thickness Thickness in pixels of outlines
+     */
+    setThickness (thickness) {
+        this.thickness = thickness;
+        this.styleRect();
+    }
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap drawing, moving and scaling to the grid
+     */
+    setGrid (grid) {
+        this.grid = grid;
+        this.boundingBoxTool.setGrid(grid);
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which drawing, moving and scaling
+     *     snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
+        this.boundingBoxTool.setRulerGuides(rulerGuides);
+    }
+    styleRect () {
+        if (!this.rect) return;
+        if (this.filled) {
+            this.rect.fillColor = this.color;
+            this.rect.strokeColor = null;
+        } else {
+            this.rect.fillColor = null;
+            this.rect.strokeColor = this.color;
+            this.rect.strokeWidth = this.thickness;
+        }
     }
     handleMouseDown (event) {
         if (event.event.button > 0) return; // only first mouse button
@@ -89,20 +135,22 @@ class RectTool extends paper.Tool {
             return;
         }
 
-        const dimensions = event.point.subtract(event.downPoint);
-        const baseRect = new paper.Rectangle(event.downPoint, event.point);
+        const downPoint = snapPoint(event.downPoint, this.grid, this.rulerGuides);
+        const point = snapPoint(event.point, this.grid, this.rulerGuides);
+        const dimensions = point.subtract(downPoint);
+        const baseRect = new paper.Rectangle(downPoint, point);
         if (event.modifiers.shift) {
             baseRect.height = baseRect.width;
-            dimensions.y = event.downPoint.y > event.point.y ? -Math.abs(baseRect.width) : Math.abs(baseRect.width);
+            dimensions.y = downPoint.y > point.y ? -Math.abs(baseRect.width) : Math.abs(baseRect.width);
         }
         if (this.rect) this.rect.remove();
         this.rect = new paper.Shape.Rectangle(baseRect);
-        this.rect.fillColor = this.color;
+        this.styleRect();
         
         if (event.modifiers.alt) {
-            this.rect.position = event.downPoint;
+            this.rect.position = downPoint;
         } else {
-            this.rect.position = event.downPoint.add(dimensions.multiply(.5));
+            this.rect.position = downPoint.add(dimensions.multiply(.5));
         }
     }
     handleMouseUp (event) {
@@ -135,9 +183,14 @@ class RectTool extends paper.Tool {
         tmpCanvas.width = getRaster().width;
         tmpCanvas.height = getRaster().height;
         const context = tmpCanvas.getContext('2d');
-        context.fillStyle = this.color;
-        drawRect(this.rect, context);
-        getRaster().drawImage(tmpCanvas, new paper.Point());
+        const {color, alpha} = splitAlpha(this.color);
+        context.fillStyle = color;
+        if (this.filled) {
+            drawRect(this.rect, context);
+        } else {
+            outlineRect(this.rect, this.thickness, context);
+        }
+        drawToRaster(tmpCanvas, alpha);
 
         this.rect.remove();
         this.rect = null;
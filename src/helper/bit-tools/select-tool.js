@@ -0,0 +1,69 @@
+import Modes from '../../lib/modes';
+import FloatingSelectionTool from './floating-selection-tool';
+import SelectionBoxTool from '../selection-tools/selection-box-tool';
+
+/**
+ * paper.Tool that handles the bitmap select mode. Dragging out a marquee lifts the enclosed pixels
+ * out of the bitmap into a floating selection, which the bounding box tool can move, scale and rotate.
+ * The floating selection is stamped back onto the bitmap once it is deselected.
+ */
+class SelectTool extends FloatingSelectionTool {
+    /**
+     * @param {function} setSelectedItems Callback to set the set of selected items in the Redux state
+     * @param {function} clearSelectedItems Callback to clear the set of selected items in the Redux state
+     * @param {!function} onUpdateImage A callback to call when the image visibly changes
+     */
+    constructor (setSelectedItems, clearSelectedItems, onUpdateImage) {
+        super(Modes.BIT_SELECT, setSelectedItems, clearSelectedItems, onUpdateImage);
+        this.selectionBoxTool = new SelectionBoxTool(Modes.BIT_SELECT, setSelectedItems, clearSelectedItems);
+        this.selectionBoxMode = false;
+
+        // We have to set these functions instead of just declaring them because
+        // paper.js tools hook up the listeners in the setter functions.
+        this.onMouseDown = this.handleMouseDown;
+        this.onMouseDrag = this.handleMouseDrag;
+        this.onMouseUp = this.handleMouseUp;
+
+        this.boundingBoxTool.setSelectionBounds();
+    }
+    handleMouseDown (event) {
+        if (event.event.button > 0) return; // only first mouse button
+        this.active = true;
+
+        if (this.boundingBoxTool.onMouseDown(
+            event, false /* clone */, false /* multiselect */, this.getHitOptions())) {
+            this.selectionBoxMode = false;
+        } else {
+            this.commitSelection();
+            this.selectionBoxMode = true;
+            this.selectionBoxTool.onMouseDown(false /* multiselect */);
+        }
+    }
+    handleMouseDrag (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+
+        if (this.selectionBoxMode) {
+            this.selectionBoxTool.onMouseDrag(event);
+        } else {
+            this.boundingBoxTool.onMouseDrag(event);
+        }
+    }
+    handleMouseUp (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+
+        if (this.selectionBoxMode) {
+            this.selectionBoxTool.onMouseUpBitmap(event);
+        } else {
+            this.boundingBoxTool.onMouseUp(event);
+        }
+        this.selectionBoxMode = false;
+        this.active = false;
+    }
+    deactivateTool () {
+        super.deactivateTool();
+        this.boundingBoxTool = null;
+        this.selectionBoxTool = null;
+    }
+}
+
+export default SelectTool;
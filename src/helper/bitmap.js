@@ -1,5 +1,8 @@
 import paper from '@scratch/paper';
-import {clearRaster, getRaster, hideGuideLayers, showGuideLayers} from './layer';
+import {
+    clearRaster, getPaintingLayers, getPaintingLayersBounds, getRaster, hideGuideLayers, resetPaintingLayers,
+    showGuideLayers
+} from './layer';
 import {getGuideColor} from './guides';
 import {inlineSvgFonts} from 'scratch-svg-renderer';
 
@@ -189,21 +192,18 @@ const drawShearedEllipse_ = function (options, context) {
 };
 
 /**
- * Draw an ellipse, given the original axis-aligned radii and
- * an affine transformation. Returns false if the ellipse could
- * not be drawn; for instance, the matrix is non-invertible.
+ * Convert an ellipse, given as the original axis-aligned radii and an affine transformation, to the
+ * options for drawShearedEllipse_. All ellipses are equivalent to some sheared axis-aligned ellipse.
  *
  * @param {!number} positionX Center of ellipse
  * @param {!number} positionY Center of ellipse
  * @param {!number} radiusX x-aligned radius of ellipse
  * @param {!number} radiusY y-aligned radius of ellipse
  * @param {!paper.Matrix} matrix affine transformation matrix
- * @param {?boolean} isFilled true if isFilled
- * @param {!CanvasRenderingContext2D} context for drawing
- * @return {boolean} true if anything was drawn, false if not
+ * @return {?object} options for drawShearedEllipse_, or null if the matrix is non-invertible
  */
-const drawEllipse = function (positionX, positionY, radiusX, radiusY, matrix, isFilled, context) {
-    if (!matrix.isInvertible()) return false;
+const getShearedEllipse_ = function (positionX, positionY, radiusX, radiusY, matrix) {
+    if (!matrix.isInvertible()) return null;
     const inverse = matrix.clone().invert();
 
     // Calculate the ellipse formula
@@ -212,20 +212,122 @@ const drawEllipse = function (positionX, positionY, radiusX, radiusY, matrix, is
     const B = (2 * inverse.a * inverse.c / radiusX / radiusX) + (2 * inverse.b * inverse.d / radiusY / radiusY);
     const C = (inverse.c * inverse.c / radiusX / radiusX) + (inverse.d * inverse.d / radiusY / radiusY);
 
-    // Convert to a sheared ellipse formula. All ellipses are equivalent to some sheared axis-aligned ellipse.
+    // Convert to a sheared ellipse formula.
     // radiusA, radiusB, and slope are parameters of a skewed ellipse with the above formula
     const radiusB = 1 / Math.sqrt(C);
     const radiusA = Math.sqrt(-4 * C / ((B * B) - (4 * A * C)));
     const slope = B / 2 / C;
 
-    return drawShearedEllipse_({
+    return {
         centerX: positionX,
         centerY: positionY,
         radiusX: radiusA,
         radiusY: radiusB,
-        shearSlope: slope,
-        isFilled: isFilled
-    }, context);
+        shearSlope: slope
+    };
+};
+
+/**
+ * Draw an ellipse, given the original axis-aligned radii and
+ * an affine transformation. Returns false if the ellipse could
+ * not be drawn; for instance, the matrix is non-invertible.
+ *
+ * @param {!number} positionX Center of ellipse
+ * @param {!number} positionY Center of ellipse
+ * @param {!number} radiusX x-aligned radius of ellipse
+ * @param {!number} radiusY y-aligned radius of ellipse
+ * @param {!paper.Matrix} matrix affine transformation matrix
+ * @param {?boolean} isFilled true if isFilled
+ * @param {!CanvasRenderingContext2D} context for drawing
+ * @return {boolean} true if anything was drawn, false if not
+ */
+const drawEllipse = function (positionX, positionY, radiusX, radiusY, matrix, isFilled, context) {
+    const options = getShearedEllipse_(positionX, positionY, radiusX, radiusY, matrix);
+    if (!options) return false;
+    options.isFilled = isFilled;
+    return drawShearedEllipse_(options, context);
+};
+
+/**
+ * Draw the outline of a shape by drawing the shape, then cutting a shrunken copy of it out of the middle.
+ * The outline is centered on the shape's edge.
+ * @param {!function} drawShape Given a context and a distance in pixels to grow the shape's edges by,
+ *     draws the filled shape. Returns true if anything was drawn.
+ * @param {!number} thickness Thickness of the outline in pixels
+ * @param {!CanvasRenderingContext2D} context for drawing
+ * @return {boolean} true if anything was drawn, false if not
+ */
+const drawOutline_ = function (drawShape, thickness, context) {
+    const outerCanvas = document.createElement('canvas');
+    outerCanvas.width = context.canvas.width;
+    outerCanvas.height = context.canvas.height;
+    const outerContext = outerCanvas.getContext('2d');
+    outerContext.fillStyle = context.fillStyle;
+    if (!drawShape(outerContext, thickness / 2)) return false;
+
+    const innerCanvas = document.createElement('canvas');
+    innerCanvas.width = outerCanvas.width;
+    innerCanvas.height = outerCanvas.height;
+    // If the shape is thinner than the outline, nothing gets drawn here and the shape stays filled
+    drawShape(innerCanvas.getContext('2d'), -thickness / 2);
+
+    outerContext.globalCompositeOperation = 'destination-out';
+    outerContext.drawImage(innerCanvas, 0, 0);
+    context.drawImage(outerCanvas, 0, 0);
+    return true;
+};
+
+/**
+ * Draw the outline of an ellipse, given the original axis-aligned radii and an affine transformation.
+ * Returns false if the ellipse could not be drawn; for instance, the matrix is non-invertible.
+ *
+ * @param {!number} positionX Center of ellipse
+ * @param {!number} positionY Center of ellipse
+ * @param {!number} radiusX x-aligned radius of ellipse
+ * @param {!number} radiusY y-aligned radius of ellipse
+ * @param {!paper.Matrix} matrix affine transformation matrix
+ * @param {!number} thickness Thickness of the outline in pixels
+ * @param {!CanvasRenderingContext2D} context for drawing
+ * @return {boolean} true if anything was drawn, false if not
+ */
+const outlineEllipse = function (positionX, positionY, radiusX, radiusY, matrix, thickness, context) {
+    const options = getShearedEllipse_(positionX, positionY, radiusX, radiusY, matrix);
+    if (!options) return false;
+    return drawOutline_((shapeContext, grow) => drawShearedEllipse_({
+        centerX: options.centerX,
+        centerY: options.centerY,
+        radiusX: options.radiusX + grow,
+        radiusY: options.radiusY + grow,
+        shearSlope: options.shearSlope,
+        isFilled: true
+    }, shapeContext), thickness, context);
+};
+
+/**
+ * Brush marks and the edges of shapes can land on the same pixels more than once, which would make
+ * semi-transparent colors uneven. So they're drawn in the opaque version of the color, and the alpha
+ * is applied once, when the drawing is copied to the raster with drawToRaster.
+ * @param {?string} color A color string, which would go into context.fillStyle
+ * @return {object} The opaque color, and the alpha of the color from 0 to 1
+ */
+const splitAlpha = function (color) {
+    if (!color) return {color: color, alpha: 1};
+    const paperColor = new paper.Color(color);
+    const alpha = paperColor.alpha;
+    paperColor.alpha = 1;
+    return {color: paperColor.toCSS(true /* hex */), alpha: alpha};
+};
+
+/**
+ * Copy a canvas the size of the raster onto the raster
+ * @param {!HTMLCanvasElement} canvas The drawing to copy
+ * @param {!number} alpha The opacity to give the drawing, from 0 to 1
+ */
+const drawToRaster = function (canvas, alpha) {
+    const context = getRaster().getContext('2d');
+    context.globalAlpha = alpha;
+    context.drawImage(canvas, 0, 0);
+    context.globalAlpha = 1;
 };
 
 /**
@@ -328,7 +430,7 @@ const convertToBitmap = function (clearSelectedItems, onUpdateImage) {
 
     // Export svg
     const guideLayers = hideGuideLayers(true /* includeRaster */);
-    const bounds = paper.project.activeLayer.bounds;
+    const bounds = getPaintingLayersBounds();
     const svg = paper.project.exportSVG({
         bounds: 'content',
         matrix: new paper.Matrix().translate(-bounds.x, -bounds.y)
@@ -349,18 +451,27 @@ const convertToBitmap = function (clearSelectedItems, onUpdateImage) {
                 img,
                 new paper.Point(Math.floor(bounds.topLeft.x), Math.floor(bounds.topLeft.y)));
         }
-        paper.project.activeLayer.removeChildren();
+        // Bitmaps have a single layer
+        resetPaintingLayers();
         onUpdateImage();
     };
     img.onerror = () => {
         // Fallback if browser does not support SVG data URIs in images.
         // The problem with rasterize is that it will anti-alias.
-        const raster = paper.project.activeLayer.rasterize(72, false /* insert */);
+        const visibleItems = [];
+        for (const layer of getPaintingLayers()) {
+            if (!layer.visible) continue;
+            for (const child of layer.children) {
+                visibleItems.push(child.clone({insert: false}));
+            }
+        }
+        const group = new paper.Group({children: visibleItems, insert: false});
+        const raster = group.rasterize(72, false /* insert */);
         raster.onLoad = () => {
             if (raster.canvas.width && raster.canvas.height) {
                 getRaster().drawImage(raster.canvas, raster.bounds.topLeft);
             }
-            paper.project.activeLayer.removeChildren();
+            resetPaintingLayers();
             onUpdateImage();
         };
     };
@@ -382,16 +493,27 @@ const getColor_ = function (x, y, context) {
     return context.getImageData(x, y, 1, 1).data;
 };
 
-const matchesColor_ = function (x, y, imageData, oldColor) {
+/**
+ * @param {!int} x The x coordinate of the pixel
+ * @param {!int} y The y coordinate of the pixel
+ * @param {!ImageData} imageData The image containing the pixel
+ * @param {!Array<int>} color Color to compare against, a length 4 array
+ * @return {int} The largest difference between any RGBA channel of the pixel and of the color, 0 to 255
+ */
+const colorDistance_ = function (x, y, imageData, color) {
     const index = ((y * imageData.width) + x) * 4;
-    return (
-        imageData.data[index + 0] === oldColor[0] &&
-        imageData.data[index + 1] === oldColor[1] &&
-        imageData.data[index + 2] === oldColor[2] &&
-        imageData.data[index + 3 ] === oldColor[3]
+    return Math.max(
+        Math.abs(imageData.data[index + 0] - color[0]),
+        Math.abs(imageData.data[index + 1] - color[1]),
+        Math.abs(imageData.data[index + 2] - color[2]),
+        Math.abs(imageData.data[index + 3] - color[3])
     );
 };
 
+const matchesColor_ = function (x, y, imageData, oldColor, tolerance) {
+    return colorDistance_(x, y, imageData, oldColor) <= (tolerance || 0);
+};
+
 const colorPixel_ = function (x, y, imageData, newColor) {
     const index = ((y * imageData.width) + x) * 4;
     imageData.data[index + 0] = newColor[0];
@@ -400,29 +522,46 @@ const colorPixel_ = function (x, y, imageData, newColor) {
     imageData.data[index + 3] = newColor[3];
 };
 
+/**
+ * Mix a color into a pixel.
+ * @param {!int} x The x coordinate of the pixel
+ * @param {!int} y The y coordinate of the pixel
+ * @param {!ImageData} imageData The image containing the pixel
+ * @param {!Array<int>} newColor Color to mix in, a length 4 array
+ * @param {!number} amount How much of the new color to use, from 0 (none) to 1 (replace the pixel)
+ */
+const blendPixel_ = function (x, y, imageData, newColor, amount) {
+    const index = ((y * imageData.width) + x) * 4;
+    for (let i = 0; i < 4; i++) {
+        imageData.data[index + i] = Math.round(
+            (imageData.data[index + i] * (1 - amount)) + (newColor[i] * amount));
+    }
+};
+
 /**
  * Flood fill beginning at the given point.
  * Based on http://www.williammalone.com/articles/html5-canvas-javascript-paint-bucket-tool/
  *
  * @param {!int} x The x coordinate on the context at which to begin
  * @param {!int} y The y coordinate on the context at which to begin
- * @param {!ImageData} imageData The image data to edit
- * @param {!Array<number>} newColor The color to replace with. A length 4 array [r, g, b, a].
- * @param {!Array<number>} oldColor The color to replace. A length 4 array [r, g, b, a].
- *     This must be different from newColor.
+ * @param {!int} width The width of the area being filled
+ * @param {!int} height The height of the area being filled
+ * @param {!function} shouldFill Given x and y, returns true if the pixel should be filled. Must return
+ *     false for pixels that have already been filled.
+ * @param {!function} fillPixel Given x and y, fills the pixel
  * @param {!Array<Array<int>>} stack The stack of pixels we need to look at
  */
-const floodFillInternal_ = function (x, y, imageData, newColor, oldColor, stack) {
-    while (y > 0 && matchesColor_(x, y - 1, imageData, oldColor)) {
+const floodFillInternal_ = function (x, y, width, height, shouldFill, fillPixel, stack) {
+    while (y > 0 && shouldFill(x, y - 1)) {
         y--;
     }
     let lastLeftMatchedColor = false;
     let lastRightMatchedColor = false;
-    for (; y < imageData.height; y++) {
-        if (!matchesColor_(x, y, imageData, oldColor)) break;
-        colorPixel_(x, y, imageData, newColor);
+    for (; y < height; y++) {
+        if (!shouldFill(x, y)) break;
+        fillPixel(x, y);
         if (x > 0) {
-            if (matchesColor_(x - 1, y, imageData, oldColor)) {
+            if (shouldFill(x - 1, y)) {
                 if (!lastLeftMatchedColor) {
                     stack.push([x - 1, y]);
                     lastLeftMatchedColor = true;
@@ -431,8 +570,8 @@ const floodFillInternal_ = function (x, y, imageData, newColor, oldColor, stack)
                 lastLeftMatchedColor = false;
             }
         }
-        if (x < imageData.width - 1) {
-            if (matchesColor_(x + 1, y, imageData, oldColor)) {
+        if (x < width - 1) {
+            if (shouldFill(x + 1, y)) {
                 if (!lastRightMatchedColor) {
                     stack.push([x + 1, y]);
                     lastRightMatchedColor = true;
@@ -460,16 +599,61 @@ const fillStyleToColor_ = function (fillStyleString) {
 };
 
 /**
- * Flood fill beginning at the given point
- * @param {!number} x The x coordinate on the context at which to begin
- * @param {!number} y The y coordinate on the context at which to begin
+ * Mark every pixel matching the color at the given point.
+ * @param {!int} x The x coordinate of the start color
+ * @param {!int} y The y coordinate of the start color
+ * @param {boolean} isGlobal True to mark every matching pixel, false to mark only the contiguous
+ *     region around the point
+ * @param {number} tolerance How far a pixel's color may be from the start color and still match,
+ *     from 0 (exact match) to 255
+ * @param {!ImageData} imageData The image to search
+ * @return {Uint8Array} One entry per pixel of the image, in row order. 1 if it matched, 0 if not.
+ */
+const getMatchingPixels_ = function (x, y, isGlobal, tolerance, imageData) {
+    const {width, height} = imageData;
+    const oldColor = imageData.data.slice(((y * width) + x) * 4, (((y * width) + x) * 4) + 4);
+    const mask = new Uint8Array(width * height);
+    if (isGlobal) {
+        for (let i = 0; i < width; i++) {
+            for (let j = 0; j < height; j++) {
+                if (matchesColor_(i, j, imageData, oldColor, tolerance)) {
+                    mask[(j * width) + i] = 1;
+                }
+            }
+        }
+        return mask;
+    }
+    const stack = [[x, y]];
+    while (stack.length) {
+        const pop = stack.pop();
+        floodFillInternal_(
+            pop[0], pop[1], width, height,
+            (i, j) => !mask[(j * width) + i] && matchesColor_(i, j, imageData, oldColor, tolerance),
+            (i, j) => {
+                mask[(j * width) + i] = 1;
+            },
+            stack);
+    }
+    return mask;
+};
+
+/**
+ * Fill the matching pixels around the given point
+ * @param {!number} x The x coordinate on the context of the start color
+ * @param {!number} y The y coordinate on the context of the start color
+ * @param {boolean} isGlobal True to fill every matching pixel, false to fill only the contiguous region
  * @param {!string} color A color string, which would go into context.fillStyle
  * @param {!HTMLCanvas2DContext} context The context in which to draw
+ * @param {?number} tolerance How far a pixel's color may be from the start color and still be filled,
+ *     from 0 (exact match) to 255
+ * @param {?boolean} feather True to partially fill the pixels just outside of the filled area, in
+ *     proportion to how similar they are to the start color
  * @return {boolean} True if image changed, false otherwise
  */
-const floodFill = function (x, y, color, context) {
+const fillMatching_ = function (x, y, isGlobal, color, context, tolerance, feather) {
     x = ~~x;
     y = ~~y;
+    if (x < 0 || y < 0 || x >= context.canvas.width || y >= context.canvas.height) return false;
     const newColor = fillStyleToColor_(color);
     const oldColor = getColor_(x, y, context);
     const imageData = context.getImageData(0, 0, context.canvas.width, context.canvas.height);
@@ -479,13 +663,46 @@ const floodFill = function (x, y, color, context) {
             oldColor[3] === newColor[3]) { // no-op
         return false;
     }
-    const stack = [[x, y]];
-    while (stack.length) {
-        const pop = stack.pop();
-        floodFillInternal_(pop[0], pop[1], imageData, newColor, oldColor, stack);
+    const {width, height} = imageData;
+    const mask = getMatchingPixels_(x, y, isGlobal, tolerance, imageData);
+    let changed = false;
+    for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+            if (colorDistance_(i, j, imageData, newColor) === 0) continue;
+            if (mask[(j * width) + i]) {
+                colorPixel_(i, j, imageData, newColor);
+                changed = true;
+            } else if (feather && (
+                (i > 0 && mask[(j * width) + i - 1]) ||
+                (i < width - 1 && mask[(j * width) + i + 1]) ||
+                (j > 0 && mask[((j - 1) * width) + i]) ||
+                (j < height - 1 && mask[((j + 1) * width) + i]))) {
+                // Edge pixels are usually anti-aliased mixes of the old color and the boundary
+                const amount = 1 - (colorDistance_(i, j, imageData, oldColor) / 255);
+                if (amount > 0) {
+                    blendPixel_(i, j, imageData, newColor, amount);
+                    changed = true;
+                }
+            }
+        }
     }
-    context.putImageData(imageData, 0, 0);
-    return true;
+    if (changed) context.putImageData(imageData, 0, 0);
+    return changed;
+};
+
+/**
+ * Flood fill beginning at the given point
+ * @param {!number} x The x coordinate on the context at which to begin
+ * @param {!number} y The y coordinate on the context at which to begin
+ * @param {!string} color A color string, which would go into context.fillStyle
+ * @param {!HTMLCanvas2DContext} context The context in which to draw
+ * @param {?number} tolerance How far a pixel's color may be from the start color and still be filled,
+ *     from 0 (exact match) to 255
+ * @param {?boolean} feather True to soften the edge of the fill
+ * @return {boolean} True if image changed, false otherwise
+ */
+const floodFill = function (x, y, color, context, tolerance, feather) {
+    return fillMatching_(x, y, false /* isGlobal */, color, context, tolerance, feather);
 };
 
 /**
@@ -494,24 +711,162 @@ const floodFill = function (x, y, color, context) {
  * @param {!number} y The y coordinate on the context of the start color
  * @param {!string} color A color string, which would go into context.fillStyle
  * @param {!HTMLCanvas2DContext} context The context in which to draw
+ * @param {?number} tolerance How far a pixel's color may be from the start color and still be filled,
+ *     from 0 (exact match) to 255
+ * @param {?boolean} feather True to soften the edge of the fill
  * @return {boolean} True if image changed, false otherwise
  */
-const floodFillAll = function (x, y, color, context) {
+const floodFillAll = function (x, y, color, context, tolerance, feather) {
+    return fillMatching_(x, y, true /* isGlobal */, color, context, tolerance, feather);
+};
+
+/**
+ * A pixel mask over a canvas, as returned by getColorMask.
+ * @typedef {object} PixelMask
+ * @property {!Uint8Array} mask One entry per pixel of the canvas, in row order. 1 if selected, 0 if not.
+ * @property {!int} width The width of the canvas the mask covers
+ * @property {!int} height The height of the canvas the mask covers
+ * @property {!paper.Rectangle} bounds The smallest rectangle containing every selected pixel
+ */
+
+const getMaskBounds_ = function (mask, width, height) {
+    let left = width;
+    let right = 0;
+    let top = height;
+    let bottom = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (mask[(y * width) + x]) {
+                left = Math.min(left, x);
+                right = Math.max(right, x + 1);
+                top = Math.min(top, y);
+                bottom = Math.max(bottom, y + 1);
+            }
+        }
+    }
+    if (right <= left) return new paper.Rectangle();
+    return new paper.Rectangle(left, top, right - left, bottom - top);
+};
+
+/**
+ * Select the pixels matching the color at the given point, like the paint bucket does, but
+ * without painting them.
+ * @param {!number} x The x coordinate on the context of the start color
+ * @param {!number} y The y coordinate on the context of the start color
+ * @param {boolean} isGlobal True to select every pixel of that color, false to select only
+ *     the contiguous region around the point
+ * @param {!HTMLCanvas2DContext} context The context to select from
+ * @param {?number} tolerance How far a pixel's color may be from the start color and still be selected,
+ *     from 0 (exact match) to 255
+ * @return {?PixelMask} The selected pixels, or null if the point is outside of the canvas
+ */
+const getColorMask = function (x, y, isGlobal, context, tolerance) {
     x = ~~x;
     y = ~~y;
+    const width = context.canvas.width;
+    const height = context.canvas.height;
+    if (x < 0 || y < 0 || x >= width || y >= height) return null;
+
+    const imageData = context.getImageData(0, 0, width, height);
+    const mask = getMatchingPixels_(x, y, isGlobal, tolerance, imageData);
+    return {
+        mask: mask,
+        width: width,
+        height: height,
+        bounds: getMaskBounds_(mask, width, height)
+    };
+};
+
+/**
+ * @param {!PixelMask} pixelMask The mask to check
+ * @param {!paper.Point} point Point in project coordinates
+ * @return {boolean} True if the pixel under the point is selected
+ */
+const maskContains = function (pixelMask, point) {
+    const x = Math.floor(point.x);
+    const y = Math.floor(point.y);
+    if (x < 0 || y < 0 || x >= pixelMask.width || y >= pixelMask.height) return false;
+    return pixelMask.mask[(y * pixelMask.width) + x] === 1;
+};
+
+/**
+ * Trace the edges between selected and unselected pixels. Runs of edges along the same row or
+ * column are merged into single lines.
+ * @param {!PixelMask} pixelMask The mask to outline
+ * @return {paper.CompoundPath} The outline, which has not been inserted into the project
+ */
+const getMaskOutline = function (pixelMask) {
+    const {mask, width, bounds} = pixelMask;
+    const isSelected = (x, y) => x >= bounds.left && x < bounds.right && y >= bounds.top && y < bounds.bottom &&
+        mask[(y * width) + x] === 1;
+    const lines = [];
+    // Horizontal edges, which lie above row y
+    for (let y = bounds.top; y <= bounds.bottom; y++) {
+        let runStart = null;
+        for (let x = bounds.left; x <= bounds.right; x++) {
+            const isEdge = x < bounds.right && isSelected(x, y - 1) !== isSelected(x, y);
+            if (isEdge && runStart === null) {
+                runStart = x;
+            } else if (!isEdge && runStart !== null) {
+                lines.push(new paper.Path.Line({from: [runStart, y], to: [x, y], insert: false}));
+                runStart = null;
+            }
+        }
+    }
+    // Vertical edges, which lie left of column x
+    for (let x = bounds.left; x <= bounds.right; x++) {
+        let runStart = null;
+        for (let y = bounds.top; y <= bounds.bottom; y++) {
+            const isEdge = y < bounds.bottom && isSelected(x - 1, y) !== isSelected(x, y);
+            if (isEdge && runStart === null) {
+                runStart = y;
+            } else if (!isEdge && runStart !== null) {
+                lines.push(new paper.Path.Line({from: [x, runStart], to: [x, y], insert: false}));
+                runStart = null;
+            }
+        }
+    }
+    return new paper.CompoundPath({children: lines, insert: false});
+};
+
+/**
+ * @param {!PixelMask} pixelMask The pixels to copy
+ * @param {!HTMLCanvas2DContext} context The context to copy from
+ * @return {HTMLCanvasElement} A canvas the size of the mask's bounds, containing only the selected pixels
+ */
+const getMaskedImage = function (pixelMask, context) {
+    const {mask, width, bounds} = pixelMask;
+    const imageData = context.getImageData(bounds.x, bounds.y, bounds.width, bounds.height);
+    for (let y = 0; y < bounds.height; y++) {
+        for (let x = 0; x < bounds.width; x++) {
+            if (!mask[((bounds.y + y) * width) + bounds.x + x]) {
+                imageData.data[(((y * bounds.width) + x) * 4) + 3] = 0;
+            }
+        }
+    }
+    const tmpCanvas = document.createElement('canvas');
+    tmpCanvas.width = bounds.width;
+    tmpCanvas.height = bounds.height;
+    tmpCanvas.getContext('2d').putImageData(imageData, 0, 0);
+    return tmpCanvas;
+};
+
+/**
+ * Replace the selected pixels with the given color. Pass a transparent color to delete them.
+ * @param {!PixelMask} pixelMask The pixels to fill
+ * @param {!string} color A color string, which would go into context.fillStyle
+ * @param {!HTMLCanvas2DContext} context The context in which to draw
+ * @return {boolean} True if image changed, false otherwise
+ */
+const fillMask = function (pixelMask, color, context) {
+    const {mask, width, bounds} = pixelMask;
+    if (!bounds.width || !bounds.height) return false;
     const newColor = fillStyleToColor_(color);
-    const oldColor = getColor_(x, y, context);
     const imageData = context.getImageData(0, 0, context.canvas.width, context.canvas.height);
-    if (oldColor[0] === newColor[0] &&
-            oldColor[1] === newColor[1] &&
-            oldColor[2] === newColor[2] &&
-            oldColor[3] === newColor[3]) { // no-op
-        return false;
-    }
-    for (let i = 0; i < imageData.width; i++) {
-        for (let j = 0; j < imageData.height; j++) {
-            if (matchesColor_(i, j, imageData, oldColor)) {
-                colorPixel_(i, j, imageData, newColor);
+    for (let y = bounds.top; y < bounds.bottom; y++) {
+        for (let x = bounds.left; x < bounds.right; x++) {
+            if (mask[(y * width) + x]) {
+                colorPixel_(x, y, imageData, newColor);
             }
         }
     }
@@ -520,26 +875,27 @@ const floodFillAll = function (x, y, color, context) {
 };
 
 /**
- * @param {!paper.Shape.Rectangle} rect The rectangle to draw to the canvas
+ * @param {!paper.Matrix} matrix The rectangle's transformation
+ * @param {!paper.Size} size The rectangle's untransformed size, centered on the origin
  * @param {!HTMLCanvas2DContext} context The context in which to draw
  */
-const drawRect = function (rect, context) {
+const fillTransformedRect_ = function (matrix, size, context) {
     // No rotation component to matrix
-    if (rect.matrix.b === 0 && rect.matrix.c === 0) {
-        const width = rect.size.width * rect.matrix.a;
-        const height = rect.size.height * rect.matrix.d;
+    if (matrix.b === 0 && matrix.c === 0) {
+        const width = size.width * matrix.a;
+        const height = size.height * matrix.d;
         context.fillRect(
-            ~~(rect.matrix.tx - (width / 2)),
-            ~~(rect.matrix.ty - (height / 2)),
+            ~~(matrix.tx - (width / 2)),
+            ~~(matrix.ty - (height / 2)),
             ~~width,
             ~~height);
         return;
     }
-    const startPoint = rect.matrix.transform(new paper.Point(-rect.size.width / 2, -rect.size.height / 2));
-    const widthPoint = rect.matrix.transform(new paper.Point(rect.size.width / 2, -rect.size.height / 2));
-    const heightPoint = rect.matrix.transform(new paper.Point(-rect.size.width / 2, rect.size.height / 2));
-    const endPoint = rect.matrix.transform(new paper.Point(rect.size.width / 2, rect.size.height / 2));
-    const center = rect.matrix.transform(new paper.Point());
+    const startPoint = matrix.transform(new paper.Point(-size.width / 2, -size.height / 2));
+    const widthPoint = matrix.transform(new paper.Point(size.width / 2, -size.height / 2));
+    const heightPoint = matrix.transform(new paper.Point(-size.width / 2, size.height / 2));
+    const endPoint = matrix.transform(new paper.Point(size.width / 2, size.height / 2));
+    const center = matrix.transform(new paper.Point());
     forEachLinePoint(startPoint, widthPoint, (x, y) => {
         context.fillRect(x, y, 1, 1);
     });
@@ -555,14 +911,198 @@ const drawRect = function (rect, context) {
     floodFill(~~center.x, ~~center.y, context.fillStyle, context);
 };
 
+/**
+ * @param {!paper.Shape.Rectangle} rect The rectangle to draw to the canvas
+ * @param {!HTMLCanvas2DContext} context The context in which to draw
+ */
+const drawRect = function (rect, context) {
+    fillTransformedRect_(rect.matrix, rect.size, context);
+};
+
+/**
+ * @param {!paper.Shape.Rectangle} rect The rectangle to outline on the canvas
+ * @param {!number} thickness Thickness of the outline in pixels
+ * @param {!HTMLCanvas2DContext} context The context in which to draw
+ * @return {boolean} true if anything was drawn, false if not
+ */
+const outlineRect = function (rect, thickness, context) {
+    const matrix = rect.matrix;
+    // Pixels per unit along each of the rectangle's axes
+    const scaleX = Math.sqrt((matrix.a * matrix.a) + (matrix.b * matrix.b));
+    const scaleY = Math.sqrt((matrix.c * matrix.c) + (matrix.d * matrix.d));
+    if (!scaleX || !scaleY) return false;
+    return drawOutline_((shapeContext, grow) => {
+        const size = new paper.Size(
+            Math.abs(rect.size.width) + (2 * grow / scaleX),
+            Math.abs(rect.size.height) + (2 * grow / scaleY));
+        if (size.width * scaleX < 1 || size.height * scaleY < 1) return false;
+        fillTransformedRect_(matrix, size, shapeContext);
+        return true;
+    }, thickness, context);
+};
+
+/**
+ * Fill a polygon without antialiasing by filling the pixels whose centers are inside it, row by row,
+ * then drawing its edges so that parts thinner than a pixel still show up.
+ * @param {!Array<paper.Point>} points The corners of the polygon, in order
+ * @param {!HTMLCanvas2DContext} context The context in which to draw
+ * @return {boolean} true if anything was drawn, false if not
+ */
+const drawPolygon = function (points, context) {
+    if (points.length < 3) return false;
+    let top = Infinity;
+    let bottom = -Infinity;
+    for (const point of points) {
+        top = Math.min(top, point.y);
+        bottom = Math.max(bottom, point.y);
+    }
+    for (let y = Math.floor(top); y < bottom; y++) {
+        const centerY = y + 0.5;
+        const crossings = [];
+        for (let i = 0; i < points.length; i++) {
+            const start = points[i];
+            const end = points[(i + 1) % points.length];
+            if ((start.y <= centerY) !== (end.y <= centerY)) {
+                crossings.push(start.x + ((centerY - start.y) * (end.x - start.x) / (end.y - start.y)));
+            }
+        }
+        crossings.sort((a, b) => a - b);
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            const left = Math.round(crossings[i]);
+            const right = Math.round(crossings[i + 1]);
+            if (right > left) {
+                context.fillRect(left, y, right - left, 1);
+            }
+        }
+    }
+    for (let i = 0; i < points.length; i++) {
+        forEachLinePoint(points[i], points[(i + 1) % points.length], (x, y) => {
+            context.fillRect(x, y, 1, 1);
+        });
+    }
+    return true;
+};
+
+/**
+ * Draw the outline of a polygon by stamping a brush mark along each of its edges, so that the outline
+ * is centered on the edges and has round corners.
+ * @param {!Array<paper.Point>} points The corners of the polygon, in order
+ * @param {!number} thickness Thickness of the outline in pixels
+ * @param {!HTMLCanvas2DContext} context The context in which to draw
+ * @return {boolean} true if anything was drawn, false if not
+ */
+const outlinePolygon = function (points, thickness, context) {
+    if (points.length < 2) return false;
+    const brushMark = getBrushMark(thickness, context.fillStyle);
+    const roundedUpRadius = Math.ceil(~~thickness / 2);
+    for (let i = 0; i < points.length; i++) {
+        forEachLinePoint(points[i], points[(i + 1) % points.length], (x, y) => {
+            context.drawImage(brushMark, x - roundedUpRadius, y - roundedUpRadius);
+        });
+    }
+    return true;
+};
+
+/**
+ * Draw a selection which has no rotation or skew. Image smoothing is turned off so that
+ * scaled pixels stay crisp.
+ * @param {!paper.Raster} selection The floating selection to draw
+ * @param {!paper.Raster} bitmap The raster to draw to
+ */
+const commitScaleTransformation_ = function (selection, bitmap) {
+    const matrix = selection.matrix;
+    const width = selection.width;
+    const height = selection.height;
+    const context = bitmap.getContext('2d');
+    context.save();
+    context.imageSmoothingEnabled = false;
+    context.webkitImageSmoothingEnabled = false;
+    context.transform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.tx, matrix.ty);
+    context.drawImage(selection.canvas, -width / 2, -height / 2);
+    context.restore();
+};
+
+/**
+ * Draw a selection with an arbitrary transformation. Each destination pixel is mapped back to
+ * the nearest source pixel, so rotated selections don't get anti-aliased edges.
+ * @param {!paper.Raster} selection The floating selection to draw
+ * @param {!paper.Raster} bitmap The raster to draw to
+ */
+const commitArbitraryTransformation_ = function (selection, bitmap) {
+    const left = Math.max(0, Math.floor(selection.bounds.left));
+    const top = Math.max(0, Math.floor(selection.bounds.top));
+    const right = Math.min(bitmap.width, Math.ceil(selection.bounds.right));
+    const bottom = Math.min(bitmap.height, Math.ceil(selection.bounds.bottom));
+    if (right <= left || bottom <= top) return;
+
+    const sourceWidth = selection.width;
+    const sourceHeight = selection.height;
+    const sourceData = selection.getImageData(new paper.Rectangle(0, 0, sourceWidth, sourceHeight));
+    const tmpCanvas = document.createElement('canvas');
+    tmpCanvas.width = right - left;
+    tmpCanvas.height = bottom - top;
+    const context = tmpCanvas.getContext('2d');
+    const destData = context.createImageData(tmpCanvas.width, tmpCanvas.height);
+
+    const inverse = selection.matrix.clone().invert();
+    for (let y = 0; y < destData.height; y++) {
+        for (let x = 0; x < destData.width; x++) {
+            // Sample at the center of the destination pixel
+            const projectX = left + x + .5;
+            const projectY = top + y + .5;
+            const sourceX = Math.floor((inverse.a * projectX) + (inverse.c * projectY) + inverse.tx +
+                (sourceWidth / 2));
+            const sourceY = Math.floor((inverse.b * projectX) + (inverse.d * projectY) + inverse.ty +
+                (sourceHeight / 2));
+            if (sourceX < 0 || sourceY < 0 || sourceX >= sourceWidth || sourceY >= sourceHeight) continue;
+            const sourceIndex = ((sourceY * sourceWidth) + sourceX) * 4;
+            const destIndex = ((y * destData.width) + x) * 4;
+            destData.data[destIndex + 0] = sourceData.data[sourceIndex + 0];
+            destData.data[destIndex + 1] = sourceData.data[sourceIndex + 1];
+            destData.data[destIndex + 2] = sourceData.data[sourceIndex + 2];
+            destData.data[destIndex + 3] = sourceData.data[sourceIndex + 3];
+        }
+    }
+    context.putImageData(destData, 0, 0);
+    bitmap.drawImage(tmpCanvas, new paper.Point(left, top));
+};
+
+/**
+ * Stamp a floating selection, which may have been moved, scaled or rotated, back onto the bitmap.
+ * @param {!paper.Raster} selection The floating selection to draw
+ * @param {!paper.Raster} bitmap The raster to draw to
+ * @return {boolean} true if anything was drawn, false if not
+ */
+const commitSelectionToBitmap = function (selection, bitmap) {
+    if (!selection.matrix.isInvertible() || !selection.width || !selection.height) return false;
+    if (selection.matrix.b === 0 && selection.matrix.c === 0) {
+        commitScaleTransformation_(selection, bitmap);
+    } else {
+        commitArbitraryTransformation_(selection, bitmap);
+    }
+    return true;
+};
+
 export {
+    commitSelectionToBitmap,
     convertToBitmap,
     convertToVector,
     drawRect,
+    drawToRaster,
+    fillMask,
     floodFill,
     floodFillAll,
     getBrushMark,
+    getColorMask,
     getHitBounds,
+    getMaskedImage,
+    getMaskOutline,
+    maskContains,
     drawEllipse,
-    forEachLinePoint
+    drawPolygon,
+    outlineEllipse,
+    outlinePolygon,
+    outlineRect,
+    forEachLinePoint,
+    splitAlpha
 };
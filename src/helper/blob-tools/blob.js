@@ -2,7 +2,7 @@ import paper from '@scratch/paper';
 import log from '../../log/log';
 import BroadBrushHelper from './broad-brush-helper';
 import SegmentBrushHelper from './segment-brush-helper';
-import {MIXED, styleCursorPreview} from '../../helper/style-path';
+import {MIXED, styleBlob, styleCursorPreview} from '../../helper/style-path';
 import {clearSelection, getItems} from '../../helper/selection';
 import {getGuideLayer} from '../../helper/layer';
 
@@ -49,6 +49,7 @@ class Blobbiness {
      * @param {!boolean} options.isEraser Whether the stroke should be treated as an erase path. If false,
      *     the stroke is an additive path.
      * @param {?string} options.fillColor Color of the brush stroke.
+     * @param {?object} options.fillGradient Gradient of the brush stroke, used instead of fillColor if set.
      * @param {?string} options.strokeColor Color of the brush outline.
      * @param {?number} options.strokeWidth Width of the brush outline.
      */
@@ -75,6 +76,7 @@ class Blobbiness {
      * @param {!boolean} options.isEraser Whether the stroke should be treated as an erase path. If false,
      *     the stroke is an additive path.
      * @param {?string} options.fillColor Color of the brush stroke.
+     * @param {?object} options.fillGradient Gradient of the brush stroke, used instead of fillColor if set.
      * @param {?string} options.strokeColor Color of the brush outline.
      * @param {?number} options.strokeWidth Width of the brush outline.
      */
@@ -138,6 +140,8 @@ class Blobbiness {
             if (blob.options.isEraser) {
                 blob.mergeEraser(lastPath);
             } else {
+                // Restyle now that the stroke is finished, so that gradients span all of it
+                styleBlob(lastPath, blob.options);
                 blob.mergeBrush(lastPath);
             }
 
@@ -196,8 +200,9 @@ class Blobbiness {
         // Get all path items to merge with
         const paths = getItems({
             match: function (item) {
+                // don't merge with nested in group, or with items in other layers
                 return blob.isMergeable(lastPath, item) &&
-                    item.parent instanceof paper.Layer; // don't merge with nested in group
+                    item.parent === lastPath.parent;
             }
         });
 
@@ -0,0 +1,94 @@
+import paper from '@scratch/paper';
+import keyMirror from 'keymirror';
+import {clearSelection, getSelectedRootItems} from './selection';
+
+const BooleanOperations = keyMirror({
+    UNITE: null,
+    INTERSECT: null,
+    SUBTRACT_FRONT: null,
+    EXCLUDE: null
+});
+
+/**
+ * @return {Array<paper.Item>} The selected items that can be combined: closed paths, compound paths and
+ *     shapes such as rounded rectangles, in increasing Z order. Open paths are left out, since combining
+ *     them would close them.
+ */
+const _getCombinableItems = function () {
+    return getSelectedRootItems().filter(item => (item instanceof paper.Path && item.closed) ||
+        item instanceof paper.CompoundPath || item instanceof paper.Shape);
+};
+
+/**
+ * @param {!string} operation One of BooleanOperations
+ * @param {!paper.PathItem} path1 Path to combine into
+ * @param {!paper.PathItem} path2 Path to combine with path1
+ * @return {paper.PathItem} The combined path, not inserted into the project. It has the style of path1.
+ */
+const _combine = function (operation, path1, path2) {
+    const options = {insert: false};
+    switch (operation) {
+    case BooleanOperations.UNITE:
+        return path1.unite(path2, options);
+    case BooleanOperations.INTERSECT:
+        return path1.intersect(path2, options);
+    case BooleanOperations.SUBTRACT_FRONT:
+        return path1.subtract(path2, options);
+    case BooleanOperations.EXCLUDE:
+        return path1.exclude(path2, options);
+    }
+};
+
+/**
+ * Combines the selected paths into one, bottom to top, which takes the place and style of the bottom
+ * path. Shapes, such as rounded rectangles, are combined as paths. Subtract front cuts all of the other
+ * paths out of the bottom path. Other selected items, such as open paths, groups and text, are left as they
+ * are. The result is selected.
+ * @param {!string} operation One of BooleanOperations
+ * @param {!function} clearSelectedItems Function to clear Redux state's selected items
+ * @param {!function} setSelectedItems Function to set Redux state with new list of selected items
+ * @param {!function} onUpdateImage Function to let listeners know that SVG has changed.
+ * @return {boolean} Whether the paths were combined
+ */
+const combineSelection = function (operation, clearSelectedItems, setSelectedItems, onUpdateImage) {
+    if (!(operation in BooleanOperations)) return false;
+    const items = _getCombinableItems();
+    if (items.length < 2) return false;
+
+    // Boolean operations only work on paths, so shapes are combined as paths with the same look
+    const paths = items.map(item => {
+        if (item instanceof paper.Shape) return item.toPath(false);
+        return item;
+    });
+    let result = paths[0];
+    for (let i = 1; i < paths.length; i++) {
+        result = _combine(operation, result, paths[i]);
+    }
+    clearSelection(clearSelectedItems);
+    result.insertAbove(items[0]);
+    for (const item of items) {
+        item.remove();
+    }
+    // Drop what's left of paths which cancel each other out entirely
+    if (result.isEmpty()) {
+        result.remove();
+    } else {
+        result.selected = true;
+    }
+    setSelectedItems();
+    onUpdateImage();
+    return true;
+};
+
+/**
+ * @return {boolean} Whether enough closed paths and shapes are selected to combine them
+ */
+const canCombineSelection = function () {
+    return _getCombinableItems().length >= 2;
+};
+
+export {
+    BooleanOperations,
+    canCombineSelection,
+    combineSelection
+};
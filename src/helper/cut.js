@@ -0,0 +1,330 @@
+import paper from '@scratch/paper';
+import {getSelectedLeafItems, isLockedOrHidden} from './selection';
+import {isCompoundPath, isCompoundPathChild} from './compound-path';
+import {isRoundedRect} from './rounded-rect';
+import {getRecordedHandleModes, recordHandleModes} from './handle-modes';
+
+// Points closer than this, in paper units, are treated as the same point
+const EPSILON = 1e-3;
+// Stops a knife line which keeps finding cuts, which shouldn't happen, from hanging the editor
+const MAX_CUTS = 200;
+
+// Arrows are redrawn from their paths, so cutting them would leave their arrowheads behind
+const _isInArrow = function (item) {
+    for (let parent = item; parent; parent = parent.parent) {
+        if (parent.data && (parent.data.isArrowhead || parent.data.isArrowheadGroup)) return true;
+    }
+    return false;
+};
+
+const _isCuttable = function (item) {
+    return !isLockedOrHidden(item) && !(item.data && item.data.isHelperItem) && !_isInArrow(item);
+};
+
+/**
+ * @param {!paper.Point} point Point to look for a path at
+ * @param {!number} tolerance How far from the point the path may be, in paper units
+ * @return {?paper.CurveLocation} The location on the topmost path near the point, or null if there is none.
+ *     Paths in compound paths are found on their own.
+ */
+const getCutLocation = function (point, tolerance) {
+    const hitResult = paper.project.hitTest(point, {
+        segments: true,
+        stroke: true,
+        curves: true,
+        guides: false,
+        tolerance: tolerance,
+        match: hit => hit.item instanceof paper.Path && _isCuttable(hit.item)
+    });
+    if (!hitResult) return null;
+    const path = hitResult.item;
+    const location = path.getNearestLocation(point);
+    // There is nothing to cut off at the ends of an open path
+    if (!path.closed && (location.offset < EPSILON || location.offset > path.length - EPSILON)) {
+        return null;
+    }
+    return location;
+};
+
+/**
+ * Cut a path in two at a location, like scissors. An open path is split into two open paths with the same
+ * style. A closed path is opened at the location, so that its ends can be pulled apart. Paths in compound
+ * paths stay in them, so that the compound path keeps its holes.
+ * @param {!paper.CurveLocation} location Where to cut, as returned by getCutLocation
+ * @return {boolean} Whether the path was cut
+ */
+const cutPathAt = function (location) {
+    const path = location.path;
+    if (!path) return false;
+    // Splitting moves the points after the cut into a new path, or to the start of a closed one, so their
+    // handle modes are kept by point rather than by index
+    const recorded = getRecordedHandleModes(path);
+    const modes = new Map(path.segments.map((segment, index) => [segment, recorded[index]]));
+    // The new part of an open path gets a copy of the path's style and data
+    const newPath = path.splitAt(location);
+    if (!newPath) return false;
+    for (const part of new Set([path, newPath])) {
+        recordHandleModes(part, part.segments.map(segment => modes.get(segment) || null));
+    }
+    return true;
+};
+
+/**
+ * @return {Array<paper.Segment>} The selected points that a path can be broken at, which are any of its
+ *     points but the ends of an open path
+ */
+const _getSelectedBreakPoints = function () {
+    const points = [];
+    for (const item of getSelectedLeafItems()) {
+        const paths = isCompoundPath(item) ? item.children : [item];
+        for (const path of paths) {
+            if (!(path instanceof paper.Path) || !_isCuttable(path)) continue;
+            for (const segment of path.segments) {
+                if (segment.selected && (path.closed || !(segment.isFirst() || segment.isLast()))) {
+                    points.push(segment);
+                }
+            }
+        }
+    }
+    return points;
+};
+
+/**
+ * Break the selected paths at their selected points. A closed path is opened at its first selected point,
+ * and the rest of the points cut it into separate open paths.
+ * @return {boolean} Whether any path was broken
+ */
+const breakPathsAtSelectedPoints = function () {
+    let changed = false;
+    for (const segment of _getSelectedBreakPoints()) {
+        // Earlier breaks can leave this point at the end of a path
+        if (!segment.path.closed && (segment.isFirst() || segment.isLast())) continue;
+        if (cutPathAt(segment.location)) changed = true;
+    }
+    return changed;
+};
+
+/**
+ * @return {boolean} Whether any selected points can have their paths broken at them
+ */
+const canBreakPathsAtSelectedPoints = function () {
+    return _getSelectedBreakPoints().length > 0;
+};
+
+/**
+ * @param {!paper.PathItem} shape A shape whose paths don't cross each other
+ * @return {Array<paper.Path>} The shape's closed paths
+ */
+const _getRings = function (shape) {
+    return (isCompoundPath(shape) ? shape.children : [shape]).slice();
+};
+
+/**
+ * Sort closed paths into separate shapes. Paths that are inside an even number of other paths are the
+ * outsides of shapes, and the rest are the holes of the smallest shape around them.
+ * @param {Array<paper.Path>} rings Closed paths which don't cross each other
+ * @return {Array<paper.PathItem>} The shapes, not inserted into the project. Shapes with holes are compound
+ *     paths.
+ */
+const _getShapes = function (rings) {
+    const sorted = rings.slice().sort((a, b) => Math.abs(b.area) - Math.abs(a.area));
+    const shapes = [];
+    for (let i = 0; i < sorted.length; i++) {
+        const ring = sorted[i];
+        const point = ring.getInteriorPoint();
+        // Only bigger paths can contain this one
+        const containers = sorted.slice(0, i).filter(other => other.contains(point));
+        const isOutside = containers.length % 2 === 0;
+        ring.clockwise = isOutside;
+        if (isOutside) {
+            shapes.push({outside: ring, holes: []});
+        } else {
+            // The containers are sorted from biggest to smallest
+            const container = containers[containers.length - 1];
+            const shape = shapes.find(candidate => candidate.outside === container);
+            if (shape) shape.holes.push(ring);
+        }
+    }
+    return shapes.map(shape => {
+        if (!shape.holes.length) return shape.outside;
+        return new paper.CompoundPath({children: [shape.outside].concat(shape.holes), insert: false});
+    });
+};
+
+/**
+ * @param {!paper.PathItem} shape The shape to cut
+ * @param {!paper.Path} knife The line to cut along
+ * @return {Array<object>} The parts of the knife line that go across the inside of the shape from one of its
+ *     paths to another point on one of its paths, each with the path that it starts on and the path that it
+ *     ends on. These are the same path for cuts that go all of the way across the shape.
+ */
+const _findCuts = function (shape, knife) {
+    const rings = _getRings(shape);
+    const inside = knife.intersect(shape, {insert: false, trace: false});
+    if (!inside) return [];
+    const lines = isCompoundPath(inside) ? inside.children : [inside];
+    const isOnRing = (ring, point) => ring.getNearestLocation(point).distance < EPSILON;
+    const cuts = [];
+    for (const line of lines) {
+        if (line.length < EPSILON) continue;
+        // Parts of the knife that lie along the edge of the shape, such as where it was already cut, are
+        // not inside it
+        const middle = line.getPointAt(line.length / 2);
+        if (!shape.contains(middle) || rings.some(ring => isOnRing(ring, middle))) continue;
+        const start = rings.find(ring => isOnRing(ring, line.firstSegment.point));
+        const end = rings.find(ring => isOnRing(ring, line.lastSegment.point));
+        // Parts that stop inside the shape don't cut it
+        if (start && end) cuts.push({line: line, start: start, end: end});
+    }
+    return cuts;
+};
+
+/**
+ * @param {!paper.Path} ring A closed path
+ * @param {!paper.Point} point A point on the path
+ * @return {paper.Path} A copy of the path, not inserted into the project, opened so that it starts and ends
+ *     at the point
+ */
+const _openRingAt = function (ring, point) {
+    const opened = ring.clone({insert: false});
+    opened.splitAt(opened.getNearestLocation(point));
+    return opened;
+};
+
+/**
+ * Split a shape in two along a cut that goes all of the way across it. The path that the cut starts and
+ * ends on becomes two paths, each made of one side of the path and the cut.
+ * @param {!paper.PathItem} shape The shape to cut
+ * @param {!object} cut The cut, as returned by _findCuts
+ * @return {Array<paper.PathItem>} The pieces, not inserted into the project
+ */
+const _splitShape = function (shape, cut) {
+    const first = _openRingAt(cut.start, cut.line.firstSegment.point);
+    const second = first.splitAt(first.getNearestLocation(cut.line.lastSegment.point));
+    if (!second) return [shape];
+    first.join(cut.line.clone({insert: false}), EPSILON);
+    second.join(cut.line.clone({insert: false}), EPSILON);
+    const rings = _getRings(shape).filter(ring => ring !== cut.start)
+        .map(ring => ring.clone({insert: false}))
+        .concat([first, second])
+        .filter(ring => ring.closed && Math.abs(ring.area) > EPSILON);
+    return _getShapes(rings);
+};
+
+/**
+ * Join the two paths of a shape that a cut goes between, such as its outside and one of its holes, into one
+ * path which goes along the cut and back. This doesn't change how the shape looks, but a later cut from one
+ * of the paths back to the other then goes all of the way across the shape.
+ * @param {!paper.PathItem} shape The shape to cut
+ * @param {!object} cut The cut, as returned by _findCuts
+ * @return {paper.PathItem} The shape with its paths joined, not inserted into the project
+ */
+const _joinRings = function (shape, cut) {
+    const joined = _openRingAt(cut.start, cut.line.firstSegment.point);
+    joined.join(cut.line.clone({insert: false}), EPSILON);
+    // The other path starts and ends where the cut does, so joining would turn it around. It has to keep
+    // its direction, so that holes stay holes.
+    const end = _openRingAt(cut.end, cut.line.lastSegment.point);
+    joined.lastSegment.handleOut = end.firstSegment.handleOut;
+    joined.addSegments(end.segments.slice(1));
+    // Joining turns the cut around so that it leads back to where the joined path started, and closes it
+    joined.join(cut.line.clone({insert: false}), EPSILON);
+    const rings = _getRings(shape).filter(ring => ring !== cut.start && ring !== cut.end)
+        .map(ring => ring.clone({insert: false}))
+        .concat([joined]);
+    return _getShapes(rings)[0];
+};
+
+/**
+ * @param {!paper.PathItem} shape The shape to cut
+ * @param {!paper.Path} knife The line to cut along
+ * @return {?Array<paper.PathItem>} The shape after making the next cut along the knife line, not inserted
+ *     into the project, or null if there are no more cuts to make
+ */
+const _cutShape = function (shape, knife) {
+    const cuts = _findCuts(shape, knife);
+    const across = cuts.find(cut => cut.start === cut.end);
+    if (across) return _splitShape(shape, across);
+    // Cuts between two paths, such as from the outside to a hole, don't cut anything off on their own.
+    // They are only made if the knife then goes all of the way across the joined path.
+    for (const cut of cuts) {
+        const joined = _joinRings(shape, cut);
+        if (joined && _findCuts(joined, knife).some(next => next.start === next.end)) {
+            return [joined];
+        }
+    }
+    return null;
+};
+
+/**
+ * @param {!paper.Item} item A shape to cut with the knife
+ * @param {!paper.Path} knife The line to cut along
+ * @return {Array<paper.PathItem>} The pieces that the knife cuts the shape into, not inserted into the
+ *     project. There is one piece if the knife doesn't cut all of the way across the shape.
+ */
+const _sliceShape = function (item, knife) {
+    // Untangle paths that cross each other, so that each path is either the outside of a piece or a hole
+    const shape = isRoundedRect(item) ? item.toPath(false) : item.clone({insert: false});
+    const untangled = shape.resolveCrossings().reorient(shape.fillRule === 'nonzero', true /* clockwise */);
+    let pieces = _getShapes(_getRings(untangled).filter(ring => ring.closed));
+    for (let cuts = 0; cuts < MAX_CUTS; cuts++) {
+        let index = -1;
+        let cutPieces = null;
+        while (!cutPieces && ++index < pieces.length) {
+            cutPieces = _cutShape(pieces[index], knife);
+        }
+        if (!cutPieces) break;
+        pieces = pieces.slice(0, index).concat(cutPieces, pieces.slice(index + 1));
+    }
+    return pieces;
+};
+
+/**
+ * @return {Array<paper.Item>} The shapes for the knife to cut, which are the selected closed shapes
+ */
+const _getKnifeTargets = function () {
+    const isClosedShape = item => (isRoundedRect(item) || (item instanceof paper.PathItem && item.closed)) &&
+        !isCompoundPathChild(item) && _isCuttable(item);
+    const selected = getSelectedLeafItems().map(item => {
+        if (isCompoundPathChild(item)) return item.parent;
+        return item;
+    });
+    return Array.from(new Set(selected)).filter(isClosedShape);
+};
+
+/**
+ * Slice the selected closed shapes into separate closed paths along a line, like a knife. Each piece keeps
+ * the fill, stroke and opacity of the shape it was cut from, and the pieces of selected shapes are selected.
+ * @param {!paper.Path} knife The line to cut along. Shapes are only cut where it goes all of the way across.
+ * @return {boolean} Whether any shape was cut
+ */
+const sliceWithKnife = function (knife) {
+    const line = knife.clone({insert: false});
+    let changed = false;
+    for (const item of _getKnifeTargets()) {
+        if (!item.bounds.intersects(line.bounds)) continue;
+        const pieces = _sliceShape(item, line);
+        if (pieces.length < 2) continue;
+        const selected = item.selected;
+        let above = item;
+        for (const piece of pieces) {
+            piece.style = item.style;
+            piece.opacity = item.opacity;
+            piece.blendMode = item.blendMode;
+            piece.insertAbove(above);
+            piece.selected = selected;
+            above = piece;
+        }
+        item.remove();
+        changed = true;
+    }
+    return changed;
+};
+
+export {
+    breakPathsAtSelectedPoints,
+    canBreakPathsAtSelectedPoints,
+    cutPathAt,
+    getCutLocation,
+    sliceWithKnife
+};
@@ -0,0 +1,102 @@
+import paper from '@scratch/paper';
+import {getBackgroundGuideLayer} from './layer';
+import {ART_BOARD_WIDTH, ART_BOARD_HEIGHT, getRotationCenter} from './view';
+
+const GRID_COLOR = '#855cd6';
+const MAJOR_LINE_OPACITY = 0.35;
+const MINOR_LINE_OPACITY = 0.15;
+
+/**
+ * @param {!object} grid Grid state from Redux
+ * @return {number} Distance between the main lines of the grid, in paper units. The art board is
+ *     drawn at twice the size of the costume, so this is twice the grid spacing.
+ */
+const _getMajorStep = function (grid) {
+    return grid.spacing * 2;
+};
+
+/**
+ * @param {!object} grid Grid state from Redux
+ * @return {number} Distance between adjacent lines of the grid, counting subdivisions, in paper units.
+ *     This is the distance that points snap to.
+ */
+const getGridStep = function (grid) {
+    return _getMajorStep(grid) / grid.subdivisions;
+};
+
+// Lines at every multiple of step away from the center, which are within the art board
+const _makeGridLines = function (step, skipEvery) {
+    const center = getRotationCenter();
+    const lines = [];
+    const firstX = center.x - (Math.floor(center.x / step) * step);
+    for (let i = 0, x = firstX; x <= ART_BOARD_WIDTH; i++, x = firstX + (i * step)) {
+        if (skipEvery && Math.round((x - center.x) / step) % skipEvery === 0) continue;
+        lines.push(new paper.Path.Line(new paper.Point(x, 0), new paper.Point(x, ART_BOARD_HEIGHT)));
+    }
+    const firstY = center.y - (Math.floor(center.y / step) * step);
+    for (let i = 0, y = firstY; y <= ART_BOARD_HEIGHT; i++, y = firstY + (i * step)) {
+        if (skipEvery && Math.round((y - center.y) / step) % skipEvery === 0) continue;
+        lines.push(new paper.Path.Line(new paper.Point(0, y), new paper.Point(ART_BOARD_WIDTH, y)));
+    }
+    return new paper.CompoundPath({children: lines, insert: false});
+};
+
+/**
+ * Redraw the grid in the background guide layer, or remove it if it is turned off. The grid lines
+ * are centered on the rotation center and drawn in front of the checkerboard.
+ * @param {!object} grid Grid state from Redux
+ */
+const drawGrid = function (grid) {
+    const backgroundGuideLayer = getBackgroundGuideLayer();
+    if (!backgroundGuideLayer) return;
+    for (const oldGrid of backgroundGuideLayer.getItems({match: item => item.data.isGrid})) {
+        oldGrid.remove();
+    }
+    if (!grid.showGrid) return;
+
+    const majorStep = _getMajorStep(grid);
+    const minorLines = grid.subdivisions > 1 ?
+        _makeGridLines(majorStep / grid.subdivisions, grid.subdivisions /* skipEvery */) : null;
+    const majorLines = _makeGridLines(majorStep);
+    const gridGroup = new paper.Group({insert: false});
+    if (minorLines) {
+        minorLines.strokeColor = GRID_COLOR;
+        minorLines.opacity = MINOR_LINE_OPACITY;
+        gridGroup.addChild(minorLines);
+    }
+    majorLines.strokeColor = GRID_COLOR;
+    majorLines.opacity = MAJOR_LINE_OPACITY;
+    gridGroup.addChild(majorLines);
+    for (const lines of gridGroup.children) {
+        lines.strokeWidth = 1;
+        // Keep the lines thin at any zoom level
+        lines.strokeScaling = false;
+    }
+    gridGroup.guide = true;
+    gridGroup.locked = true;
+    gridGroup.data.isGrid = true;
+    // Above the checkerboard, but below the rotation center marker
+    backgroundGuideLayer.insertChild(1, gridGroup);
+};
+
+/**
+ * @param {!paper.Point} point A point in paper coordinates
+ * @param {?object} grid Grid state from Redux
+ * @return {paper.Point} The nearest point on the grid if snapping to the grid is on, otherwise the
+ *     given point
+ */
+const snapToGrid = function (point, grid) {
+    if (!grid || !grid.snapToGrid) return point;
+    const step = getGridStep(grid);
+    const center = getRotationCenter();
+    return new paper.Point(
+        center.x + (Math.round((point.x - center.x) / step) * step),
+        center.y + (Math.round((point.y - center.y) / step) * step)
+    );
+};
+
+export {
+    drawGrid,
+    getGridStep,
+    snapToGrid
+};
@@ -7,7 +7,16 @@ const isGroup = function (item) {
 };
 
 /**
- * Groups the given items. Other things are then deselected and the new group is selected.
+ * @param {!Array<paper.Item>} items Root level items
+ * @return {boolean} Whether the items can be grouped. Groups can't span painting layers.
+ */
+const _canGroupItems = function (items) {
+    return items.length > 0 && items.every(item => item.parent === items[0].parent);
+};
+
+/**
+ * Groups the given items, at the top of their painting layer. Other things are then deselected and the
+ * new group is selected. Items in different painting layers aren't grouped.
  * @param {!Array<paper.Item>} items Root level items to group
  * @param {!function} clearSelectedItems Function to clear Redux state's selected items
  * @param {!function} setSelectedItems Function to set Redux state with new list of selected items
@@ -15,8 +24,8 @@ const isGroup = function (item) {
  * @return {paper.Group} the group if one is created, otherwise false.
  */
 const groupItems = function (items, clearSelectedItems, setSelectedItems, onUpdateImage) {
-    if (items.length > 0) {
-        const group = new paper.Group(items);
+    if (_canGroupItems(items)) {
+        const group = new paper.Group({children: items, parent: items[0].parent});
         clearSelection(clearSelectedItems);
         setItemSelection(group, true);
         for (let i = 0; i < group.children.length; i++) {
@@ -136,7 +145,7 @@ const isGroupChild = function (item) {
 
 const shouldShowGroup = function () {
     const items = getSelectedRootItems();
-    return items.length > 1;
+    return items.length > 1 && _canGroupItems(items);
 };
 
 const shouldShowUngroup = function () {
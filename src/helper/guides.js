@@ -4,6 +4,7 @@ import {getAllRootItems} from './selection';
 
 const GUIDE_BLUE = '#009dec';
 const GUIDE_GREY = '#aaaaaa';
+const GUIDE_MAGENTA = '#ff00ff';
 
 const setDefaultGuideStyle = function (item) {
     item.strokeWidth = 1 / paper.view.zoom;
@@ -64,6 +65,23 @@ const rectSelect = function (event, color) {
     return rect;
 };
 
+/**
+ * @param {!paper.Point} point Where the lasso starts
+ * @param {?string} color Color of the lasso line, grey by default
+ * @return {paper.Path} The line of a freehand selection lasso, to add points to as it is drawn
+ */
+const lassoSelect = function (point, color) {
+    const lasso = new paper.Path({segments: [point]});
+    const zoom = 1.0 / paper.view.zoom;
+    setDefaultGuideStyle(lasso);
+    lasso.parent = getGuideLayer();
+    lasso.strokeColor = color ? color : GUIDE_GREY;
+    lasso.data.isLassoSelect = true;
+    lasso.data.isHelperItem = true;
+    lasso.dashArray = [3.0 * zoom, 3.0 * zoom];
+    return lasso;
+};
+
 const getGuideColor = function () {
     return GUIDE_BLUE;
 };
@@ -102,6 +120,49 @@ const removeAllGuides = function () {
     _removePaperItemsByTags(['guide']);
 };
 
+const removeMarchingAnts = function () {
+    _removePaperItemsByDataTags(['isMarchingAnts']);
+};
+
+/**
+ * Draw an animated dashed outline, such as the outline of a pixel mask, in the guide layer.
+ * Replaces any marching ants that were drawn before.
+ * @param {!paper.PathItem} outline The outline to trace. This is consumed.
+ * @param {?object} data Data to attach to the marching ants
+ * @return {paper.Group} The marching ants, which animate until they are removed
+ */
+const drawMarchingAnts = function (outline, data) {
+    removeMarchingAnts();
+    const zoom = 1.0 / paper.view.zoom;
+    const background = outline.clone({insert: false});
+    setDefaultGuideStyle(background);
+    background.strokeColor = 'white';
+    background.fillColor = null;
+    setDefaultGuideStyle(outline);
+    outline.strokeColor = 'black';
+    outline.fillColor = null;
+    outline.dashArray = [4.0 * zoom, 4.0 * zoom];
+
+    const ants = new paper.Group([background, outline]);
+    ants.guide = true;
+    ants.parent = getGuideLayer();
+    ants.data = {...data, isMarchingAnts: true, isHelperItem: true};
+    ants.onFrame = function (event) {
+        outline.dashOffset = -(event.count % 8) * zoom;
+    };
+    return ants;
+};
+
+/**
+ * @return {?paper.Group} The marching ants currently drawn, if any
+ */
+const getMarchingAnts = function () {
+    const matches = getGuideLayer().getItems({
+        match: item => item.data && item.data.isMarchingAnts
+    });
+    return matches.length ? matches[0] : null;
+};
+
 const removeHitPoint = function () {
     _removePaperItemsByDataTags(['isHitPoint']);
 };
@@ -119,13 +180,54 @@ const drawHitPoint = function (point) {
     }
 };
 
+const removeSmartGuides = function () {
+    _removePaperItemsByDataTags(['isSmartGuide']);
+};
+
+/**
+ * Draw the smart guides that items snapped to, replacing any that were drawn before. Each guide is a line
+ * through the snapped edge or center that spans both the snapped bounds and the bounds snapped to.
+ * @param {?object} guides Targets snapped to for x and y, as returned by snapToSmartGuides
+ * @param {!paper.Rectangle} bounds Bounds of the items that snapped, after snapping
+ */
+const drawSmartGuides = function (guides, bounds) {
+    removeSmartGuides();
+    if (!guides) return;
+    const lines = [];
+    if (guides.x) {
+        const top = Math.min(bounds.top, guides.x.bounds.top);
+        const bottom = Math.max(bounds.bottom, guides.x.bounds.bottom);
+        lines.push(new paper.Path.Line(
+            new paper.Point(guides.x.value, top), new paper.Point(guides.x.value, bottom)));
+    }
+    if (guides.y) {
+        const left = Math.min(bounds.left, guides.y.bounds.left);
+        const right = Math.max(bounds.right, guides.y.bounds.right);
+        lines.push(new paper.Path.Line(
+            new paper.Point(left, guides.y.value), new paper.Point(right, guides.y.value)));
+    }
+    for (const line of lines) {
+        setDefaultGuideStyle(line);
+        line.parent = getGuideLayer();
+        line.strokeColor = GUIDE_MAGENTA;
+        line.data.isSmartGuide = true;
+        line.data.isHelperItem = true;
+    }
+};
+
 export {
+    drawMarchingAnts,
+    drawSmartGuides,
+    getMarchingAnts,
     hoverItem,
     hoverBounds,
+    lassoSelect,
     rectSelect,
     removeAllGuides,
     removeBoundsHandles,
     removeBoundsPath,
+    removeMarchingAnts,
+    removeSmartGuides,
     drawHitPoint,
     removeHitPoint,
     getGuideColor,
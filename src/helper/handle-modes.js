@@ -0,0 +1,185 @@
+import paper from '@scratch/paper';
+import keyMirror from 'keymirror';
+import {getSelectedLeafItems} from './selection';
+
+/**
+ * Each point of a path has a handle mode, which decides how its two handles move together when one of
+ * them is dragged. A path's data.handleModes records the mode of each of its points by index, so it
+ * survives undo and export of the SVG. Points without a recorded mode, such as points added since, keep
+ * the lengths of their handles apart: they are asymmetric if their handles point in opposite directions,
+ * and broken otherwise. Only points the user made symmetric are symmetric.
+ */
+const HandleModes = keyMirror({
+    // The handles point in opposite directions and have the same length
+    SYMMETRIC: null,
+    // The handles point in opposite directions, but have their own lengths
+    ASYMMETRIC: null,
+    // The handles move on their own
+    BROKEN: null
+});
+
+// Handle lengths closer than this, in paper units, are the same length
+const LENGTH_EPSILON = 1e-2;
+
+const _isAligned = function (segment) {
+    const {handleIn, handleOut} = segment;
+    return !handleIn.isZero() && !handleOut.isZero() &&
+        handleIn.isColinear(handleOut) && handleIn.dot(handleOut) < 0;
+};
+
+const _isSymmetric = function (segment) {
+    return _isAligned(segment) && Math.abs(segment.handleIn.length - segment.handleOut.length) < LENGTH_EPSILON;
+};
+
+/**
+ * @param {!paper.Path} path A path
+ * @return {Array<?HandleModes>} The recorded mode of each point of the path, which is null for points
+ *     without one. Recorded modes no longer line up with the points once points are added or removed, so
+ *     then none are returned.
+ */
+const getRecordedHandleModes = function (path) {
+    const modes = path.data && path.data.handleModes;
+    if (Array.isArray(modes) && modes.length === path.segments.length) return modes.slice();
+    return path.segments.map(() => null);
+};
+
+/**
+ * @param {!paper.Path} path A path
+ * @param {Array<?HandleModes>} modes The mode of each point of the path, or null for points that should
+ *     get the default mode for their handles
+ */
+const recordHandleModes = function (path, modes) {
+    if (modes.length !== path.segments.length || modes.every(mode => !mode)) {
+        delete path.data.handleModes;
+    } else {
+        path.data.handleModes = modes;
+    }
+};
+
+/**
+ * @param {!paper.Segment} segment A point of a path
+ * @return {HandleModes} The point's handle mode. A recorded mode is only used while the handles still
+ *     fit it, so that handles which were changed some other way, like by the Pointed button, aren't held
+ *     to it.
+ */
+const getHandleMode = function (segment) {
+    const recorded = segment.path ? getRecordedHandleModes(segment.path)[segment.index] : null;
+    if (recorded === HandleModes.BROKEN) return recorded;
+    if (recorded === HandleModes.SYMMETRIC && _isSymmetric(segment)) return recorded;
+    return _isAligned(segment) ? HandleModes.ASYMMETRIC : HandleModes.BROKEN;
+};
+
+/**
+ * Give a point a handle mode, turning its handles to fit. Handles that are made to point in opposite
+ * directions point halfway between where they pointed before.
+ * @param {!paper.Segment} segment A point of a path
+ * @param {!HandleModes} mode The new mode
+ */
+const setHandleMode = function (segment, mode) {
+    const {handleIn, handleOut} = segment;
+    if (mode !== HandleModes.BROKEN && !(handleIn.isZero() && handleOut.isZero())) {
+        let direction = handleOut.normalize().subtract(handleIn.normalize());
+        // Handles which point the same way have no halfway between them
+        if (direction.isZero()) direction = handleOut.isZero() ? handleIn.multiply(-1) : handleOut;
+        direction = direction.normalize();
+        let lengthIn = handleIn.length;
+        let lengthOut = handleOut.length;
+        if (mode === HandleModes.SYMMETRIC) {
+            // A point with only one handle gets a matching one on the other side
+            lengthIn = lengthOut = (lengthIn && lengthOut) ? (lengthIn + lengthOut) / 2 : lengthIn + lengthOut;
+        }
+        segment.handleIn = direction.multiply(-lengthIn);
+        segment.handleOut = direction.multiply(lengthOut);
+    }
+    const modes = getRecordedHandleModes(segment.path);
+    modes[segment.index] = mode;
+    recordHandleModes(segment.path, modes);
+};
+
+/**
+ * Move one of a point's handles, moving the other one to fit the point's handle mode.
+ * @param {!paper.Segment} segment A point of a path
+ * @param {!boolean} isHandleIn Whether the handle being moved is the incoming one
+ * @param {!paper.Point} delta How far to move the handle
+ * @param {!HandleModes} mode The handle mode to keep
+ */
+const moveHandle = function (segment, isHandleIn, delta, mode) {
+    const moved = (isHandleIn ? segment.handleIn : segment.handleOut).add(delta);
+    const other = isHandleIn ? segment.handleOut : segment.handleIn;
+    let otherMoved = other;
+    // A handle pulled back onto its point has no direction for the other one to follow
+    if (mode === HandleModes.SYMMETRIC && !moved.isZero()) {
+        otherMoved = moved.multiply(-1);
+    } else if (mode === HandleModes.ASYMMETRIC && !moved.isZero()) {
+        otherMoved = moved.normalize(-other.length);
+    }
+    if (isHandleIn) {
+        segment.handleIn = moved;
+        segment.handleOut = otherMoved;
+    } else {
+        segment.handleOut = moved;
+        segment.handleIn = otherMoved;
+    }
+};
+
+/**
+ * @return {Array<paper.Segment>} The selected points which have handles
+ */
+const _getSelectedCurvedPoints = function () {
+    const points = [];
+    for (const item of getSelectedLeafItems()) {
+        const paths = item instanceof paper.CompoundPath ? item.children : [item];
+        for (const path of paths) {
+            if (!(path instanceof paper.Path)) continue;
+            for (const segment of path.segments) {
+                if (segment.selected && !(segment.handleIn.isZero() && segment.handleOut.isZero())) {
+                    points.push(segment);
+                }
+            }
+        }
+    }
+    return points;
+};
+
+/**
+ * @return {?HandleModes} The handle mode of all of the selected points with handles, or null if they
+ *     have different modes or there are none
+ */
+const getSelectedHandleMode = function () {
+    const modes = new Set(_getSelectedCurvedPoints().map(getHandleMode));
+    return modes.size === 1 ? modes.values().next().value : null;
+};
+
+/**
+ * Give all of the selected points with handles a handle mode.
+ * @param {!HandleModes} mode The new mode
+ * @return {boolean} Whether any point changed
+ */
+const setSelectedHandleModes = function (mode) {
+    let changed = false;
+    for (const segment of _getSelectedCurvedPoints()) {
+        if (getHandleMode(segment) === mode) continue;
+        setHandleMode(segment, mode);
+        changed = true;
+    }
+    return changed;
+};
+
+/**
+ * @return {boolean} Whether any selected points have handles whose mode can be set
+ */
+const canSetSelectedHandleModes = function () {
+    return _getSelectedCurvedPoints().length > 0;
+};
+
+export {
+    HandleModes,
+    canSetSelectedHandleModes,
+    getHandleMode,
+    getRecordedHandleModes,
+    getSelectedHandleMode,
+    moveHandle,
+    recordHandleModes,
+    setHandleMode,
+    setSelectedHandleModes
+};
@@ -64,6 +64,21 @@ const setPositionInView = function (item, pos) {
     item.position.y = paper.view.bounds.y + pos.y;
 };
 
+/**
+ * Name an item or layer. An empty name removes the name.
+ * @param {!paper.Item} item The item to name
+ * @param {?string} name The new name
+ * @return {boolean} Whether the name changed. paper.js doesn't allow names that are numbers.
+ */
+const setItemName = function (item, name) {
+    name = name ? name.trim() : '';
+    if (name === `${Number(name)}` || (item.name || '') === name) {
+        return false;
+    }
+    item.name = name || null;
+    return true;
+};
+
 export {
     isBoundsItem,
     isPathItem,
@@ -74,5 +89,6 @@ export {
     setPivot,
     getPositionInView,
     setPositionInView,
+    setItemName,
     getRootItem
 };
@@ -0,0 +1,95 @@
+import paper from '@scratch/paper';
+import {getSelectedLeafItems} from './selection';
+import {hasArrowheads, isArrowhead} from './arrowheads';
+import {isCompoundPath} from './compound-path';
+import {getRecordedHandleModes, recordHandleModes} from './handle-modes';
+
+// End points closer than this, in paper units, are merged into one point instead of joined by a line
+const MERGE_TOLERANCE = 1e-3;
+
+/**
+ * @return {Array<paper.Segment>} The selected points that are at the ends of open paths. Arrows are left
+ *     out, since their arrowheads are drawn at their ends.
+ */
+const _getSelectedEndpoints = function () {
+    const endpoints = [];
+    for (const item of getSelectedLeafItems()) {
+        const paths = isCompoundPath(item) ? item.children : [item];
+        for (const path of paths) {
+            if (!(path instanceof paper.Path) || path.closed || path.segments.length < 2 ||
+                    isArrowhead(path) || hasArrowheads(path)) {
+                continue;
+            }
+            for (const segment of [path.firstSegment, path.lastSegment]) {
+                if (segment.selected) endpoints.push(segment);
+            }
+        }
+    }
+    return endpoints;
+};
+
+/**
+ * Join the two selected end points of open paths. The ends of the same path are joined by closing it.
+ * The ends of two different paths are joined into one path, which keeps the style of the first one, and
+ * the second path is removed. Ends on top of each other are merged into one point, and ends apart are
+ * joined by a straight line.
+ * @return {boolean} Whether the end points were joined
+ */
+const joinSelectedEndpoints = function () {
+    const endpoints = _getSelectedEndpoints();
+    if (endpoints.length !== 2) return false;
+    const [start, end] = endpoints;
+    const path = start.path;
+    if (path === end.path) {
+        // Closing can merge the last point into the first, so handle modes are kept by point
+        const recorded = getRecordedHandleModes(path);
+        const modes = new Map(path.segments.map((segment, index) => [segment, recorded[index]]));
+        path.closePath(MERGE_TOLERANCE);
+        recordHandleModes(path, path.segments.map(segment => modes.get(segment) || null));
+        return true;
+    }
+
+    // Turn the paths so that the first one ends and the second one starts at the selected points
+    const other = end.path;
+    let modes = getRecordedHandleModes(path);
+    let otherModes = getRecordedHandleModes(other);
+    if (start.isFirst()) {
+        path.reverse();
+        modes = modes.reverse();
+    }
+    if (end.isLast()) {
+        other.reverse();
+        otherModes = otherModes.reverse();
+    }
+    const count = path.segments.length;
+    const otherParent = other.parent;
+    path.join(other, MERGE_TOLERANCE);
+    // Joining closes the path if its ends now meet, merging its last point into its first
+    const closedCount = path.closed ? 1 : 0;
+    if (path.segments.length + closedCount === count + otherModes.length - 1) {
+        // Merged points go back to the default mode for their handles
+        modes = modes.slice(0, -1).concat([null], otherModes.slice(1));
+    } else {
+        modes = modes.concat(otherModes);
+    }
+    if (path.closed) {
+        modes = [null].concat(modes.slice(1, -1));
+    }
+    recordHandleModes(path, modes);
+    if (isCompoundPath(otherParent) && otherParent.children.length === 0) {
+        otherParent.remove();
+    }
+    return true;
+};
+
+/**
+ * @return {boolean} Whether exactly two end points of open paths are selected to join
+ */
+const canJoinSelectedEndpoints = function () {
+    return _getSelectedEndpoints().length === 2;
+};
+
+export {
+    canJoinSelectedEndpoints,
+    joinSelectedEndpoints
+};
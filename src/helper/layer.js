@@ -10,7 +10,21 @@ const _getLayer = function (layerString) {
     }
 };
 
-const _getPaintingLayer = function () {
+/**
+ * @return {Array<paper.Layer>} The layers that hold the user's drawing, from bottom to top
+ */
+const getPaintingLayers = function () {
+    return paper.project.layers.filter(layer => layer.data && layer.data.isPaintingLayer);
+};
+
+/**
+ * @return {paper.Layer} The painting layer that new items are drawn into
+ */
+const getActivePaintingLayer = function () {
+    const activeLayer = paper.project.activeLayer;
+    if (activeLayer && activeLayer.data && activeLayer.data.isPaintingLayer) {
+        return activeLayer;
+    }
     return _getLayer('isPaintingLayer');
 };
 
@@ -38,7 +52,7 @@ const getRaster = function () {
     return _getLayer('isRasterLayer').children[0];
 };
 
-const _getBackgroundGuideLayer = function () {
+const getBackgroundGuideLayer = function () {
     return _getLayer('isBackgroundGuideLayer');
 };
 
@@ -51,8 +65,9 @@ const _makeGuideLayer = function () {
 const getGuideLayer = function () {
     let layer = _getLayer('isGuideLayer');
     if (!layer) {
+        const paintingLayer = getActivePaintingLayer();
         layer = _makeGuideLayer();
-        _getPaintingLayer().activate();
+        paintingLayer.activate();
     }
     return layer;
 };
@@ -63,7 +78,7 @@ const getGuideLayer = function () {
  * @return {object} an object of the removed layers, which should be passed to showGuideLayers to re-add them.
  */
 const hideGuideLayers = function (includeRaster) {
-    const backgroundGuideLayer = _getBackgroundGuideLayer();
+    const backgroundGuideLayer = getBackgroundGuideLayer();
     const guideLayer = getGuideLayer();
     guideLayer.remove();
     backgroundGuideLayer.remove();
@@ -100,7 +115,7 @@ const showGuideLayers = function (guideLayers) {
         paper.project.addLayer(guideLayer);
         guideLayer.bringToFront();
     }
-    if (paper.project.activeLayer !== _getPaintingLayer()) {
+    if (!paper.project.activeLayer.data.isPaintingLayer) {
         log.error(`Wrong active layer`);
         log.error(paper.project.activeLayer.data);
     }
@@ -164,28 +179,183 @@ const _makeBackgroundGuideLayer = function () {
     const vLine = new paper.Path.Line(new paper.Point(0, -7), new paper.Point(0, 7));
     vLine.strokeWidth = 2;
     vLine.strokeColor = '#ccc';
-    vLine.position = new paper.Point(ART_BOARD_WIDTH / 2, ART_BOARD_HEIGHT / 2);
-    vLine.guide = true;
-    vLine.locked = true;
 
     const hLine = new paper.Path.Line(new paper.Point(-7, 0), new paper.Point(7, 0));
     hLine.strokeWidth = 2;
     hLine.strokeColor = '#ccc';
-    hLine.position = new paper.Point(ART_BOARD_WIDTH / 2, ART_BOARD_HEIGHT / 2);
-    hLine.guide = true;
-    hLine.locked = true;
 
     const circle = new paper.Shape.Circle(new paper.Point(0, 0), 5);
     circle.strokeWidth = 2;
     circle.strokeColor = '#ccc';
-    circle.position = new paper.Point(ART_BOARD_WIDTH / 2, ART_BOARD_HEIGHT / 2);
-    circle.guide = true;
-    circle.locked = true;
+
+    // Marks the rotation center, which is moved by moving this group
+    const rotationCenter = new paper.Group([vLine, hLine, circle]);
+    rotationCenter.position = new paper.Point(ART_BOARD_WIDTH / 2, ART_BOARD_HEIGHT / 2);
+    rotationCenter.guide = true;
+    rotationCenter.locked = true;
+    rotationCenter.data.isRotationCenter = true;
 
     guideLayer.data.isBackgroundGuideLayer = true;
     return guideLayer;
 };
 
+/**
+ * Make the given painting layer the one that new items are drawn into.
+ * @param {!paper.Layer} layer A painting layer
+ */
+const activatePaintingLayer = function (layer) {
+    if (layer && layer.data.isPaintingLayer) {
+        layer.activate();
+    }
+};
+
+/**
+ * Add a painting layer directly above the active one, and make it active.
+ * @param {?string} name Name of the new layer
+ * @return {paper.Layer} The new layer
+ */
+const addPaintingLayer = function (name) {
+    const activeLayer = getActivePaintingLayer();
+    const layer = _makePaintingLayer();
+    if (name) layer.name = name;
+    layer.insertAbove(activeLayer);
+    layer.activate();
+    return layer;
+};
+
+/**
+ * Delete a painting layer and everything in it. The last painting layer can't be deleted. If the
+ * deleted layer was active, the layer below it (or above it, if there is none) becomes active.
+ * @param {!paper.Layer} layer A painting layer
+ * @return {boolean} Whether the layer was deleted
+ */
+const removePaintingLayer = function (layer) {
+    const paintingLayers = getPaintingLayers();
+    const index = paintingLayers.indexOf(layer);
+    if (index < 0 || paintingLayers.length < 2) return false;
+    const wasActive = layer === getActivePaintingLayer();
+    layer.remove();
+    if (wasActive) {
+        paintingLayers[index > 0 ? index - 1 : 1].activate();
+    }
+    return true;
+};
+
+/**
+ * Move a painting layer one step up or down among the painting layers.
+ * @param {!paper.Layer} layer A painting layer
+ * @param {boolean} up True to move the layer up, false to move it down
+ * @return {boolean} Whether the layer moved
+ */
+const movePaintingLayer = function (layer, up) {
+    const paintingLayers = getPaintingLayers();
+    const index = paintingLayers.indexOf(layer);
+    const neighbor = paintingLayers[up ? index + 1 : index - 1];
+    if (index < 0 || !neighbor) return false;
+    if (up) {
+        layer.insertAbove(neighbor);
+    } else {
+        layer.insertBelow(neighbor);
+    }
+    return true;
+};
+
+/**
+ * @param {number} id ID of a painting layer
+ * @return {?paper.Layer} The painting layer with that ID
+ */
+const getPaintingLayerById = function (id) {
+    return getPaintingLayers().find(layer => layer.id === id) || null;
+};
+
+/**
+ * @return {paper.Rectangle} The bounds of everything in the painting layers, including hidden ones
+ */
+const getPaintingLayersBounds = function () {
+    let bounds = null;
+    for (const layer of getPaintingLayers()) {
+        if (!layer.hasChildren()) continue;
+        bounds = bounds ? bounds.unite(layer.bounds) : layer.bounds;
+    }
+    return bounds || new paper.Rectangle();
+};
+
+/**
+ * Clear the painting layers, leaving a single empty active one. Used when switching costumes.
+ */
+const resetPaintingLayers = function () {
+    const paintingLayers = getPaintingLayers();
+    for (let i = 1; i < paintingLayers.length; i++) {
+        paintingLayers[i].remove();
+    }
+    const layer = paintingLayers[0];
+    layer.removeChildren();
+    layer.name = null;
+    layer.visible = true;
+    layer.locked = false;
+    layer.activate();
+};
+
+/**
+ * Layers are exported as SVG groups marked with data.isPaintingLayer. If an imported item holds
+ * such groups, turn each of them back into a painting layer with the same name and visibility,
+ * replacing the existing painting layers. Anything else in the imported item is kept in the top
+ * layer, and the item is removed if nothing else is left in it.
+ * @param {!paper.Item} item The item created by importing an SVG
+ * @return {boolean} Whether any layers were imported
+ */
+const importPaintingLayers = function (item) {
+    const isLayerGroup = child => child instanceof paper.Group && child.data && child.data.isPaintingLayer;
+    let layerGroups = [];
+    if (isLayerGroup(item)) {
+        layerGroups = [item];
+    } else if (item.children) {
+        layerGroups = item.children.filter(isLayerGroup);
+    }
+    if (!layerGroups.length) return false;
+
+    const oldLayers = getPaintingLayers();
+    let topLayer = oldLayers[oldLayers.length - 1];
+    for (const group of layerGroups) {
+        const layer = _makePaintingLayer();
+        layer.name = group.name;
+        layer.visible = group.visible;
+        layer.insertAbove(topLayer);
+        // Keep the transforms of the group and of the item holding it
+        const matrix = group.globalMatrix;
+        for (const child of group.removeChildren()) {
+            child.transform(matrix);
+            layer.addChild(child);
+        }
+        group.remove();
+        topLayer = layer;
+    }
+    if (item.parent && item.hasChildren()) {
+        topLayer.addChild(item);
+    } else {
+        item.remove();
+    }
+    for (const oldLayer of oldLayers) {
+        oldLayer.remove();
+    }
+    topLayer.activate();
+    return true;
+};
+
+/**
+ * @return {Array<object>} Descriptions of the painting layers for the layers panel, from bottom to top
+ */
+const getPaintingLayerStates = function () {
+    const activeLayer = getActivePaintingLayer();
+    return getPaintingLayers().map(layer => ({
+        id: layer.id,
+        name: layer.name || '',
+        visible: layer.visible,
+        locked: layer.locked,
+        active: layer === activeLayer
+    }));
+};
+
 const setupLayers = function () {
     const backgroundGuideLayer = _makeBackgroundGuideLayer();
     _makeRasterLayer();
@@ -197,6 +367,18 @@ const setupLayers = function () {
 };
 
 export {
+    activatePaintingLayer,
+    addPaintingLayer,
+    getActivePaintingLayer,
+    getBackgroundGuideLayer,
+    getPaintingLayerById,
+    getPaintingLayers,
+    getPaintingLayersBounds,
+    getPaintingLayerStates,
+    importPaintingLayers,
+    movePaintingLayer,
+    removePaintingLayer,
+    resetPaintingLayers,
     hideGuideLayers,
     showGuideLayers,
     getGuideLayer,
@@ -111,8 +111,13 @@ const _doRecursively = function (item, func) {
 // Make item clockwise. Drill down into groups.
 const ensureClockwise = function (root) {
     _doRecursively(root, item => {
-        if (item instanceof paper.PathItem) {
+        if (item instanceof paper.PathItem && !item.clockwise) {
             item.clockwise = true;
+            // Reversing a path swaps its ends, so swap its arrowheads too
+            const arrowheads = item.data.arrowheads;
+            if (arrowheads) {
+                item.data.arrowheads = {start: arrowheads.end, end: arrowheads.start};
+            }
         }
     });
 };
@@ -120,9 +125,14 @@ const ensureClockwise = function (root) {
 // Scale item and its strokes by factor
 const scaleWithStrokes = function (root, factor, pivot) {
     _doRecursively(root, item => {
+        // Shapes keep their transform, which already scales their strokes
+        if (item instanceof paper.Shape) return;
         if (item.strokeWidth) {
             item.strokeWidth = item.strokeWidth * factor;
         }
+        if (item.dashArray && item.dashArray.length) {
+            item.dashArray = item.dashArray.map(length => length * factor);
+        }
     });
     root.scale(factor, pivot);
 };
@@ -0,0 +1,366 @@
+import paper from '@scratch/paper';
+import {getSelectedRootItems} from './selection';
+import {StrokeCaps, StrokeJoins} from '../lib/stroke-styles';
+
+// Curves are followed in steps of about this many paper units, which is close enough to draw smoothly
+const CURVE_STEP = 4;
+const MAX_CURVE_STEPS = 64;
+// Points closer than this are treated as the same point
+const EPSILON = 1e-4;
+// Bends smaller than this, in degrees, come from following a curve rather than from a corner of the path.
+// They are filled in with a straight line, since a round or mitered join would look the same.
+const SMOOTH_ANGLE = 10;
+// Tolerance of paper's simplify when fitting curves back through the points of followed curves. This keeps
+// the fitted curves within about a paper unit of the points.
+const FIT_TOLERANCE = 0.5;
+// How long mitered corners of offset paths may grow, in multiples of the offset distance, before they are
+// beveled instead
+const OFFSET_MITER_LIMIT = 4;
+
+/**
+ * @param {!paper.Path} path A path, not a compound path
+ * @return {Array<paper.Point>} Points along the path, with the path's own points kept so that its corners
+ *     stay sharp. A closed path doesn't repeat its first point at the end.
+ */
+const _getPolyline = function (path) {
+    const points = [];
+    for (const curve of path.curves) {
+        const steps = curve.isStraight() ? 1 :
+            Math.min(MAX_CURVE_STEPS, Math.max(1, Math.ceil(curve.length / CURVE_STEP)));
+        for (let i = 0; i < steps; i++) {
+            points.push(curve.getPointAtTime(i / steps));
+        }
+    }
+    if (!path.closed && path.lastSegment) {
+        points.push(path.lastSegment.point.clone());
+    }
+    const polyline = points.filter((point, index) => index === 0 || !point.isClose(points[index - 1], EPSILON));
+    if (path.closed && polyline.length > 1 && polyline[0].isClose(polyline[polyline.length - 1], EPSILON)) {
+        polyline.pop();
+    }
+    return polyline;
+};
+
+// Add a corner to a side of a stroke outline, unless the side already ends there
+const _addPoint = function (side, point) {
+    if (!side.lastSegment || !side.lastSegment.point.isClose(point, EPSILON)) {
+        side.add(point);
+    }
+};
+
+/**
+ * Continue one side of a stroke outline around a point of the path, from the edge coming in to the edge
+ * going out.
+ * @param {!paper.Path} side The side of the outline so far
+ * @param {!paper.Point} point The point of the path to go around
+ * @param {!object} edgeIn The edge coming in: its vector, and the offset of this side from it, which is half
+ *     of the stroke width long
+ * @param {!object} edgeOut The edge going out
+ * @param {!boolean} outer Whether this side is on the outside of the bend
+ * @param {!string} join One of StrokeJoins
+ * @param {!number} miterLimit How long a miter may be, in multiples of the stroke width
+ */
+const _addJoin = function (side, point, edgeIn, edgeOut, outer, join, miterLimit) {
+    const offsetIn = edgeIn.offset;
+    const offsetOut = edgeOut.offset;
+    const halfWidth = offsetIn.length;
+    const angle = Math.abs(offsetIn.getDirectedAngle(offsetOut));
+    const bisector = offsetIn.add(offsetOut);
+    const miterRatio = 1 / Math.cos(angle * Math.PI / 360);
+    const start = point.add(offsetIn);
+    const end = point.add(offsetOut);
+    if (!outer) {
+        // The inner sides of the two edges cross, unless the edges are too short for it, since the joins at
+        // both of their ends take some of their length. Then they are joined through the point itself, which
+        // keeps the space between them inside the stroke.
+        const shortestEdge = Math.min(edgeIn.vector.length, edgeOut.vector.length);
+        if (bisector.length > EPSILON && halfWidth * Math.tan(angle * Math.PI / 360) < shortestEdge / 2) {
+            _addPoint(side, point.add(bisector.normalize(halfWidth * miterRatio)));
+        } else {
+            _addPoint(side, start);
+            _addPoint(side, point);
+            _addPoint(side, end);
+        }
+        return;
+    }
+    _addPoint(side, start);
+    if (angle < SMOOTH_ANGLE || join === StrokeJoins.BEVEL) {
+        _addPoint(side, end);
+    } else if (join === StrokeJoins.ROUND) {
+        // A path that doubles back on itself has nothing to bisect, so the join goes around its end
+        const through = bisector.length > EPSILON ? bisector.normalize(halfWidth) :
+            edgeIn.vector.normalize(halfWidth);
+        side.arcTo(point.add(through), end);
+    } else {
+        if (bisector.length > EPSILON && miterRatio <= miterLimit) {
+            _addPoint(side, point.add(bisector.normalize(halfWidth * miterRatio)));
+        }
+        _addPoint(side, end);
+    }
+};
+
+/**
+ * Draw one side of the stroke of a polyline, going forward along it.
+ * @param {Array<paper.Point>} points The polyline
+ * @param {!boolean} closed Whether the polyline is closed
+ * @param {!number} offset How far the side is from the polyline: to its left if positive, to its right if
+ *     negative
+ * @param {!string} join One of StrokeJoins
+ * @param {!number} miterLimit How long a miter may be, in multiples of the stroke width
+ * @return {paper.Path} The side, not inserted into the project
+ */
+const _getSide = function (points, closed, offset, join, miterLimit) {
+    const edgeCount = closed ? points.length : points.length - 1;
+    const edges = [];
+    for (let i = 0; i < edgeCount; i++) {
+        const vector = points[(i + 1) % points.length].subtract(points[i]);
+        edges.push({vector: vector, offset: vector.rotate(-90).normalize(offset)});
+    }
+    const side = new paper.Path({insert: false});
+    if (!closed) {
+        _addPoint(side, points[0].add(edges[0].offset));
+    }
+    // An open side has no joins at its ends
+    const firstJoin = closed ? 0 : 1;
+    for (let i = firstJoin; i < edgeCount; i++) {
+        const edgeIn = edges[(i + edgeCount - 1) % edgeCount];
+        const edgeOut = edges[i];
+        // The left side is on the outside of bends to the right. Exactly one side is outside of a turn back.
+        const bendsLeft = edgeIn.vector.cross(edgeOut.vector) < 0;
+        const outer = offset > 0 ? !bendsLeft : bendsLeft;
+        _addJoin(side, points[i], edgeIn, edgeOut, outer, join, miterLimit);
+    }
+    if (closed) {
+        side.closePath(EPSILON);
+    } else {
+        _addPoint(side, points[points.length - 1].add(edges[edgeCount - 1].offset));
+    }
+    return side;
+};
+
+// Draw the cap at the end of an open stroke, from the end of one side of the stroke to the other
+const _addCap = function (outline, point, direction, to, cap) {
+    const extension = direction.normalize(to.subtract(point).length);
+    if (cap === StrokeCaps.ROUND) {
+        outline.arcTo(point.add(extension), to);
+    } else {
+        if (cap === StrokeCaps.SQUARE) {
+            outline.lineTo(outline.lastSegment.point.add(extension));
+            outline.lineTo(to.add(extension));
+        }
+        outline.lineTo(to);
+    }
+};
+
+/**
+ * @param {!paper.Path} path A path, not a compound path
+ * @param {!number} width Width of the stroke
+ * @param {!string} cap One of StrokeCaps
+ * @param {!string} join One of StrokeJoins
+ * @param {!number} miterLimit How long a miter may be, in multiples of the stroke width
+ * @return {Array<paper.Path>} Paths, not inserted into the project, which together cover the stroke when
+ *     filled with the nonzero fill rule. They may cross themselves and each other.
+ */
+const _getStrokePaths = function (path, width, cap, join, miterLimit) {
+    const points = _getPolyline(path);
+    if (points.length < 2) return [];
+    const halfWidth = width / 2;
+    const closed = path.closed && points.length > 2;
+    const left = _getSide(points, closed, halfWidth, join, miterLimit);
+    const right = _getSide(points, closed, -halfWidth, join, miterLimit);
+    right.reverse();
+    if (closed) {
+        // The two sides go around in opposite directions, so the stroke is the space between them
+        return [left, right];
+    }
+    const first = points[0];
+    const last = points[points.length - 1];
+    _addCap(left, last, last.subtract(points[points.length - 2]), right.firstSegment.point, cap);
+    left.join(right, EPSILON);
+    _addCap(left, first, first.subtract(points[1]), left.firstSegment.point, cap);
+    left.closePath(EPSILON);
+    return [left];
+};
+
+/**
+ * @param {!paper.PathItem} item A path or compound path
+ * @param {!number} width Width of the stroke
+ * @param {!string} cap One of StrokeCaps
+ * @param {!string} join One of StrokeJoins
+ * @param {!number} miterLimit How long a miter may be, in multiples of the stroke width
+ * @return {?paper.CompoundPath} The shape covered by a solid stroke of the item, not inserted into the
+ *     project, or null if the item has no length to stroke
+ */
+const _getStrokeOutline = function (item, width, cap, join, miterLimit) {
+    const paths = item instanceof paper.CompoundPath ? item.children : [item];
+    const outline = new paper.CompoundPath({insert: false, fillRule: 'nonzero'});
+    for (const path of paths) {
+        outline.addChildren(_getStrokePaths(path, width, cap, join, miterLimit));
+    }
+    if (!outline.children.length) return null;
+    // Untangle the sides where they cross, keeping everything inside any of them
+    return outline.resolveCrossings().reorient(true /* nonZero */, true /* clockwise */);
+};
+
+// Whether a point of a path is in the middle of a curve that was followed in straight steps
+const _isSteppedPoint = function (segment) {
+    const previous = segment.previous;
+    const next = segment.next;
+    if (!previous || !next || !segment.curve.isStraight() || !previous.curve.isStraight()) return false;
+    const vectorIn = segment.point.subtract(previous.point);
+    const vectorOut = next.point.subtract(segment.point);
+    return Math.abs(vectorIn.getDirectedAngle(vectorOut)) < SMOOTH_ANGLE;
+};
+
+/**
+ * Fit curves back through the runs of short straight steps in a path that come from following curves, so
+ * that the path has few points. Corners, and curves that are already curves, are kept as they are.
+ * @param {!paper.Path} path A path, not a compound path
+ */
+const _fitSteppedCurves = function (path) {
+    if (path.segments.length < 3) return;
+    const closed = path.closed;
+    if (closed) {
+        // Start the path at a corner, if it has any, and open it there, so that no run wraps around the end.
+        // Paper's own simplify of closed paths strays from them where they close.
+        const start = Math.max(0, path.segments.findIndex(segment => !_isSteppedPoint(segment)));
+        path.segments = path.segments.slice(start).concat(path.segments.slice(0, start));
+        path.closed = false;
+        path.add(path.firstSegment.clone());
+    }
+    const runs = [];
+    let from = null;
+    path.segments.forEach((segment, index) => {
+        if (_isSteppedPoint(segment)) {
+            if (from === null) from = index - 1;
+        } else if (from !== null) {
+            runs.push({from: from, to: index});
+            from = null;
+        }
+    });
+    // Replace the runs from the end of the path, so that the indices of the earlier runs stay the same
+    for (const run of runs.reverse()) {
+        const runPath = new paper.Path({segments: path.segments.slice(run.from, run.to + 1), insert: false});
+        const count = runPath.segments.length;
+        // The handles outside the run belong to the curves on either side of it
+        const handleIn = runPath.firstSegment.handleIn.clone();
+        const handleOut = runPath.lastSegment.handleOut.clone();
+        runPath.simplify(FIT_TOLERANCE);
+        if (runPath.segments.length >= count) continue;
+        runPath.firstSegment.handleIn = handleIn;
+        runPath.lastSegment.handleOut = handleOut;
+        path.removeSegments(run.from, run.to + 1);
+        path.insertSegments(run.from, runPath.segments);
+    }
+    if (closed) {
+        path.firstSegment.handleIn = path.lastSegment.handleIn;
+        path.lastSegment.remove();
+        path.closed = true;
+    }
+};
+
+/**
+ * @param {!paper.PathItem} item A path or compound path made by following curves in straight steps
+ * @return {paper.PathItem} The item, with curves fitted back through its steps
+ */
+const _fitCurves = function (item) {
+    for (const path of item instanceof paper.CompoundPath ? item.children : [item]) {
+        _fitSteppedCurves(path);
+    }
+    return item;
+};
+
+// Put the new item in the old one's place and select it
+const _replaceItem = function (item, replacement) {
+    replacement.insertAbove(item);
+    item.remove();
+    replacement.selected = true;
+};
+
+const _getSelectedPathItems = function () {
+    return getSelectedRootItems().filter(item => item instanceof paper.PathItem);
+};
+
+const _hasStroke = function (item) {
+    return !!(item.strokeColor && item.strokeWidth > 0);
+};
+
+/**
+ * Turn the strokes of the selected paths into filled shapes of the same color, with the same caps and
+ * joins. Dashes are left out, so the whole length of the stroke is outlined. Paths that are also filled keep
+ * their fill, without a stroke, beneath the outline. The outlines are selected.
+ * @return {boolean} Whether any stroke was outlined
+ */
+const outlineSelectedStrokes = function () {
+    let changed = false;
+    for (const item of _getSelectedPathItems().filter(_hasStroke)) {
+        const outline = _getStrokeOutline(item, item.strokeWidth, item.strokeCap, item.strokeJoin, item.miterLimit);
+        if (!outline) continue;
+        _fitCurves(outline);
+        outline.fillColor = item.strokeColor.clone();
+        outline.strokeColor = null;
+        outline.strokeWidth = 0;
+        if (item.fillColor && item.fillColor.alpha > 0) {
+            outline.insertAbove(item);
+            outline.selected = true;
+            item.strokeColor = null;
+            item.strokeWidth = 0;
+            item.dashArray = [];
+        } else {
+            _replaceItem(item, outline);
+        }
+        changed = true;
+    }
+    return changed;
+};
+
+/**
+ * Grow the selected shapes outward, or shrink them inward, by the same distance all around. Open paths are
+ * offset as the shape that their fill covers. The offset shapes keep the style of the shapes they replace,
+ * and are selected.
+ * @param {!number} distance How far to offset the shapes, in paper units. Negative distances shrink them.
+ * @param {!string} join StrokeJoins.ROUND to round the corners that grow outward, or StrokeJoins.MITER to
+ *     keep them sharp
+ * @return {boolean} Whether any shape was offset
+ */
+const offsetSelection = function (distance, join) {
+    if (!distance) return false;
+    let changed = false;
+    for (const item of _getSelectedPathItems()) {
+        const shape = item.clone({insert: false});
+        for (const path of shape instanceof paper.CompoundPath ? shape.children : [shape]) {
+            path.closed = true;
+        }
+        const outline = _getStrokeOutline(shape, Math.abs(distance) * 2, StrokeCaps.BUTT, join, OFFSET_MITER_LIMIT);
+        if (!outline) continue;
+        const offset = distance > 0 ?
+            shape.unite(outline, {insert: false}) :
+            shape.subtract(outline, {insert: false});
+        _replaceItem(item, _fitCurves(offset));
+        // Drop shapes that shrank away entirely
+        if (offset.isEmpty()) offset.remove();
+        changed = true;
+    }
+    return changed;
+};
+
+/**
+ * @return {boolean} Whether any of the selected paths have a stroke to outline
+ */
+const canOutlineSelectedStrokes = function () {
+    return _getSelectedPathItems().some(_hasStroke);
+};
+
+/**
+ * @return {boolean} Whether any paths are selected to offset
+ */
+const canOffsetSelection = function () {
+    return _getSelectedPathItems().length > 0;
+};
+
+export {
+    canOffsetSelection,
+    canOutlineSelectedStrokes,
+    offsetSelection,
+    outlineSelectedStrokes
+};
@@ -0,0 +1,106 @@
+import paper from '@scratch/paper';
+import keyMirror from 'keymirror';
+import {getActivePaintingLayer} from './layer';
+import {isCompoundPath} from './compound-path';
+import {isGroup} from './group';
+
+/** Kinds of items listed in the outline, used to label items that have no name */
+const OutlineItemTypes = keyMirror({
+    ARROW: null,
+    COMPOUND_PATH: null,
+    GROUP: null,
+    IMAGE: null,
+    PATH: null,
+    SHAPE: null,
+    TEXT: null
+});
+
+/**
+ * @param {!paper.Item} item An item
+ * @return {OutlineItemTypes} What kind of item it is
+ */
+const getItemType = function (item) {
+    if (item.data && item.data.isArrowheadGroup) return OutlineItemTypes.ARROW;
+    if (isGroup(item)) return OutlineItemTypes.GROUP;
+    if (isCompoundPath(item)) return OutlineItemTypes.COMPOUND_PATH;
+    if (item instanceof paper.TextItem) return OutlineItemTypes.TEXT;
+    if (item instanceof paper.Raster) return OutlineItemTypes.IMAGE;
+    if (item instanceof paper.Shape) return OutlineItemTypes.SHAPE;
+    return OutlineItemTypes.PATH;
+};
+
+// Arrows are listed as a single item, since their arrowheads are redrawn from their path
+const _isExpandable = function (item) {
+    return (isGroup(item) || isCompoundPath(item)) && !(item.data && item.data.isArrowheadGroup) &&
+        item.hasChildren();
+};
+
+// Listed from top to bottom, the way items are stacked on the canvas
+const _getOutlineNodes = function (parent) {
+    return parent.children
+        .filter(item => !item.guide && !(item.data && item.data.isHelperItem))
+        .map(item => ({
+            id: item.id,
+            name: item.name || '',
+            type: getItemType(item),
+            visible: item.visible,
+            locked: item.locked,
+            selected: item.selected,
+            children: _isExpandable(item) ? _getOutlineNodes(item) : null
+        }))
+        .reverse();
+};
+
+/**
+ * @return {Array<object>} Tree describing the items in the active painting layer, from the top of the
+ *     stack to the bottom. Each node has the item's id, name, type, whether it is visible, locked and
+ *     selected, and its child nodes if it is a group or compound path.
+ */
+const getOutline = function () {
+    // The panel can be drawn before the canvas is set up
+    if (!paper.project) return [];
+    const layer = getActivePaintingLayer();
+    return layer ? _getOutlineNodes(layer) : [];
+};
+
+/**
+ * @param {number} id ID of an item in the active painting layer
+ * @return {?paper.Item} The item with that ID
+ */
+const getOutlineItemById = function (id) {
+    const layer = getActivePaintingLayer();
+    return (layer && layer.getItem({match: item => item.id === id})) || null;
+};
+
+/**
+ * Move an item in the outline so that it is directly above another item, in the same group.
+ * Compound paths can only hold paths, and arrows are kept together, so items can't be moved into or
+ * out of them.
+ * @param {!paper.Item} item The item to move
+ * @param {!paper.Item} target The item to put it above
+ * @return {boolean} Whether the item moved
+ */
+const moveOutlineItem = function (item, target) {
+    if (item === target || target.isDescendant(item)) return false;
+    const isFixedParent = parent => isCompoundPath(parent) || (parent.data && parent.data.isArrowheadGroup);
+    if ((isFixedParent(item.parent) || isFixedParent(target.parent)) && item.parent !== target.parent) {
+        return false;
+    }
+    if (item.previousSibling === target) return false;
+    const oldParent = item.parent;
+    const oldParentMatrix = oldParent.globalMatrix;
+    item.insertAbove(target);
+    // Keep the item where it was on the canvas if the groups are transformed differently
+    if (item.parent !== oldParent) {
+        item.transform(item.parent.globalMatrix.inverted().append(oldParentMatrix));
+    }
+    return true;
+};
+
+export {
+    OutlineItemTypes,
+    getItemType,
+    getOutline,
+    getOutlineItemById,
+    moveOutlineItem
+};
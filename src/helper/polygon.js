@@ -0,0 +1,49 @@
+import paper from '@scratch/paper';
+import {MAX_INNER_RADIUS} from '../reducers/polygon-mode';
+
+/**
+ * Make a regular polygon or star that fills the box dragged out between two points, in the same way
+ * that the rectangle tools size their rectangles.
+ * @param {!paper.Point} downPoint Where the drag started
+ * @param {!paper.Point} point Where the drag is now
+ * @param {!object} polygonState The polygon mode state, giving the number of sides and star settings
+ * @param {?boolean} constrain True to keep the shape from being stretched
+ * @param {?boolean} fromCenter True to center the shape on downPoint instead of the dragged box
+ * @return {paper.Path} The new path, or null if the dragged box is empty
+ */
+const makePolygon = function (downPoint, point, polygonState, constrain, fromCenter) {
+    const dimensions = point.subtract(downPoint);
+    if (constrain) {
+        dimensions.y = downPoint.y > point.y ? -Math.abs(dimensions.x) : Math.abs(dimensions.x);
+    }
+    const width = Math.abs(dimensions.x);
+    const height = Math.abs(dimensions.y);
+    if (!width || !height) return null;
+    const center = fromCenter ? downPoint : downPoint.add(dimensions.multiply(.5));
+    const bounds = new paper.Rectangle(center.x - (width / 2), center.y - (height / 2), width, height);
+
+    const {sides, isStar, innerRadius} = polygonState;
+    const polygon = isStar ?
+        new paper.Path.Star({
+            center: new paper.Point(),
+            points: sides,
+            radius1: 1,
+            radius2: innerRadius / MAX_INNER_RADIUS
+        }) :
+        new paper.Path.RegularPolygon({
+            center: new paper.Point(),
+            sides: sides,
+            radius: 1
+        });
+    if (constrain) {
+        // Scale evenly so the shape stays regular
+        polygon.fitBounds(bounds);
+    } else {
+        polygon.bounds = bounds;
+    }
+    return polygon;
+};
+
+export {
+    makePolygon
+};
@@ -0,0 +1,92 @@
+import paper from '@scratch/paper';
+import {getSelectedLeafItems} from './selection';
+
+/**
+ * Rounded rectangles are kept as paper.Shape rectangles instead of being converted to paths,
+ * so that their corner radius can still be changed after they are drawn. They are marked in their
+ * data, which is saved with the costume, so that they stay shapes when it is loaded again.
+ * @param {paper.Item} item Item to check
+ * @return {boolean} True if the item is a rectangle with an editable corner radius
+ */
+const isRoundedRect = function (item) {
+    return item.className === 'Shape' && item.type === 'rectangle' && !!(item.data && item.data.isRoundedRect);
+};
+
+/**
+ * Turn the shapes in an imported item into paths, other than rounded rectangles.
+ * @param {!paper.Item} root The imported item
+ */
+const expandImportedShapes = function (root) {
+    if (root instanceof paper.Shape) {
+        if (!isRoundedRect(root)) root.replaceWith(root.toPath(false));
+    } else if (root.children) {
+        for (const child of root.children.slice()) {
+            expandImportedShapes(child);
+        }
+    }
+};
+
+/**
+ * Shapes keep their transform instead of applying it, so their radius is drawn scaled by it.
+ * @param {!paper.Shape} rect The rounded rectangle
+ * @return {paper.Point} How much the rectangle is scaled horizontally and vertically
+ */
+const _getScaling = function (rect) {
+    return rect.scaling.abs();
+};
+
+/**
+ * @param {!paper.Shape} rect The rounded rectangle
+ * @param {!number} cornerRadius The desired corner radius, as seen on the canvas
+ * @return {paper.Size} The corner radius in the rectangle's own coordinates, limited so that the corners
+ *     don't overlap
+ */
+const _getFittedRadius = function (rect, cornerRadius) {
+    const scaling = _getScaling(rect);
+    const maxRadius = rect.size.abs().divide(2);
+    return new paper.Size(
+        Math.min(cornerRadius / scaling.x, maxRadius.width),
+        Math.min(cornerRadius / scaling.y, maxRadius.height));
+};
+
+/**
+ * @return {?number} The corner radius of the first selected rounded rectangle, or null if none are selected
+ */
+const getSelectedCornerRadius = function () {
+    for (const item of getSelectedLeafItems()) {
+        if (isRoundedRect(item)) {
+            const scaling = _getScaling(item);
+            return Math.max(item.radius.width * scaling.x, item.radius.height * scaling.y);
+        }
+    }
+    return null;
+};
+
+/**
+ * Change the corner radius of all selected rounded rectangles.
+ * @param {!number} cornerRadius The new corner radius
+ * @param {!function} onUpdateImage A callback to call when the image visibly changes
+ * @return {boolean} True if any rectangle changed
+ */
+const applyCornerRadiusToSelection = function (cornerRadius, onUpdateImage) {
+    let changed = false;
+    for (const item of getSelectedLeafItems()) {
+        if (!isRoundedRect(item)) continue;
+        const radius = _getFittedRadius(item, cornerRadius);
+        if (!item.radius.equals(radius)) {
+            item.radius = radius;
+            changed = true;
+        }
+    }
+    if (changed) {
+        onUpdateImage();
+    }
+    return changed;
+};
+
+export {
+    applyCornerRadiusToSelection,
+    expandImportedShapes,
+    getSelectedCornerRadius,
+    isRoundedRect
+};
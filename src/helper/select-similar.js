@@ -0,0 +1,126 @@
+import paper from '@scratch/paper';
+import keyMirror from 'keymirror';
+import {getAllSelectableRootItems, getSelectedRootItems, setItemSelection} from './selection';
+import {isArrowhead} from './arrowheads';
+import {isGroup} from './group';
+import {isPGTextItem} from './item';
+import {OutlineItemTypes, getItemType} from './outline';
+import {colorsMatch} from './style-path';
+
+/** What the items picked by the select similar commands have in common with the selection */
+const SimilarProperties = keyMirror({
+    FILL_COLOR: null,
+    STROKE_COLOR: null,
+    STROKE_WIDTH: null,
+    OBJECT_TYPE: null
+});
+
+// Stroke widths closer than this, in paper units, are the same width
+const WIDTH_EPSILON = 1e-2;
+
+/**
+ * @param {!paper.Item} item A root item
+ * @return {Array<paper.Item>} The items within the root item that have their own fill and stroke. Groups
+ *     are made of their children's styles, text from the glyphs of Pen Gear text, and images have none.
+ */
+const _getStyledItems = function (item) {
+    if (isPGTextItem(item)) {
+        const glyphs = [];
+        for (const child of item.children) {
+            for (const path of child.children) {
+                if (!path.data.isPGGlyphRect) glyphs.push(path);
+            }
+        }
+        return glyphs;
+    }
+    if (isGroup(item)) {
+        const styledItems = [];
+        for (const child of item.children) {
+            // Arrowheads are drawn in the color of their arrow
+            if (!isArrowhead(child)) styledItems.push(..._getStyledItems(child));
+        }
+        return styledItems;
+    }
+    if (item instanceof paper.Raster) return [];
+    return [item];
+};
+
+const _getStrokeWidth = function (item) {
+    return item.strokeColor ? item.strokeWidth : 0;
+};
+
+const _getObjectType = function (item) {
+    return isPGTextItem(item) ? OutlineItemTypes.TEXT : getItemType(item);
+};
+
+const _propertyGetters = {
+    [SimilarProperties.FILL_COLOR]: item => _getStyledItems(item).map(styledItem => styledItem.fillColor),
+    [SimilarProperties.STROKE_COLOR]: item => _getStyledItems(item).map(styledItem => styledItem.strokeColor),
+    [SimilarProperties.STROKE_WIDTH]: item => _getStyledItems(item).map(_getStrokeWidth),
+    [SimilarProperties.OBJECT_TYPE]: item => [_getObjectType(item)]
+};
+
+const _propertyMatchers = {
+    [SimilarProperties.FILL_COLOR]: colorsMatch,
+    [SimilarProperties.STROKE_COLOR]: colorsMatch,
+    [SimilarProperties.STROKE_WIDTH]: (width, otherWidth) => Math.abs(width - otherWidth) < WIDTH_EPSILON,
+    [SimilarProperties.OBJECT_TYPE]: (type, otherType) => type === otherType
+};
+
+/**
+ * Add every item that shares a property with the selected items to the selection. An item made of parts
+ * with different styles, like a group, is picked if any of its parts matches any part of the selection.
+ * @param {!SimilarProperties} property The property that picked items have in common with the selection
+ * @return {boolean} Whether any item was added to the selection
+ */
+const selectSimilar = function (property) {
+    const getValues = _propertyGetters[property];
+    const matches = _propertyMatchers[property];
+    const selectedValues = [];
+    for (const item of getSelectedRootItems()) {
+        selectedValues.push(...getValues(item));
+    }
+    let changed = false;
+    for (const item of getAllSelectableRootItems()) {
+        if (item.selected) continue;
+        if (getValues(item).some(value => selectedValues.some(selectedValue => matches(value, selectedValue)))) {
+            setItemSelection(item, true);
+            changed = true;
+        }
+    }
+    return changed;
+};
+
+/**
+ * Select every item that isn't selected, and deselect every item that is.
+ * @return {boolean} Whether there were any items to select or deselect
+ */
+const invertSelection = function () {
+    const items = getAllSelectableRootItems();
+    for (const item of items) {
+        setItemSelection(item, !item.selected);
+    }
+    return items.length > 0;
+};
+
+/**
+ * @return {boolean} Whether there is a selection to pick similar items by
+ */
+const canSelectSimilar = function () {
+    return getSelectedRootItems().length > 0;
+};
+
+/**
+ * @return {boolean} Whether there are any items to select or deselect
+ */
+const canInvertSelection = function () {
+    return getAllSelectableRootItems().length > 0;
+};
+
+export {
+    SimilarProperties,
+    canInvertSelection,
+    canSelectSimilar,
+    invertSelection,
+    selectSimilar
+};
@@ -49,6 +49,22 @@ class BoundingBoxTool {
         this._modeMap[BoundingBoxModes.MOVE] = new MoveTool(mode, setSelectedItems, clearSelectedItems, onUpdateImage);
     }
 
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap moving and scaling to the grid
+     */
+    setGrid (grid) {
+        this._modeMap[BoundingBoxModes.SCALE].setGrid(grid);
+        this._modeMap[BoundingBoxModes.MOVE].setGrid(grid);
+    }
+
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which moving and scaling snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this._modeMap[BoundingBoxModes.SCALE].setRulerGuides(rulerGuides);
+        this._modeMap[BoundingBoxModes.MOVE].setRulerGuides(rulerGuides);
+    }
+
     /**
      * Should be called if the selection changes to update the bounds of the bounding box.
      * @param {?Array<paper.Item>} selectedItems Array of selected items.
@@ -1,6 +1,10 @@
 import {clearSelection, getSelectedLeafItems} from '../selection';
+import {HandleModes, getHandleMode, moveHandle, setHandleMode} from '../handle-modes';
 
-/** Sub tool of the Reshape tool for moving handles, which adjust bezier curves. */
+/**
+ * Sub tool of the Reshape tool for moving handles, which adjust bezier curves. The other handle of the
+ * point follows along as its handle mode says, unless alt is held, which breaks the handles apart.
+ */
 class HandleTool {
     /**
      * @param {function} setSelectedItems Callback to set the set of selected items in the Redux state
@@ -37,30 +41,24 @@ class HandleTool {
                 // for later use in the snap calculation
                 if (!seg.origPoint) {
                     seg.origPoint = seg.point.clone();
+                    // Keep the handle mode the point had when the drag started, since moving one handle
+                    // can make the handles look like they have a different one
+                    seg.dragHandleMode = getHandleMode(seg);
                 }
 
-                if (seg.handleOut.selected && this.hitType === 'handle-out'){
-                    // if option is pressed or handles have been split,
-                    // they're no longer parallel and move independently
-                    if (event.modifiers.option ||
-                        !seg.handleOut.isColinear(seg.handleIn)) {
-                        seg.handleOut = seg.handleOut.add(event.delta);
-                    } else {
-                        seg.handleOut = seg.handleOut.add(event.delta);
-                        seg.handleIn = seg.handleOut.multiply(-seg.handleIn.length / seg.handleOut.length);
-                    }
+                let isHandleIn;
+                if (seg.handleOut.selected && this.hitType === 'handle-out') {
+                    isHandleIn = false;
                 } else if (seg.handleIn.selected && this.hitType === 'handle-in') {
-                    // if option is pressed or handles have been split,
-                    // they're no longer parallel and move independently
-                    if (event.modifiers.option ||
-                        !seg.handleOut.isColinear(seg.handleIn)) {
-                        seg.handleIn = seg.handleIn.add(event.delta);
-
-                    } else {
-                        seg.handleIn = seg.handleIn.add(event.delta);
-                        seg.handleOut = seg.handleIn.multiply(-seg.handleOut.length / seg.handleIn.length);
-                    }
+                    isHandleIn = true;
+                } else {
+                    continue;
+                }
+                // Alt-dragging a handle breaks it from the other one
+                if (event.modifiers.alt) {
+                    seg.dragHandleMode = HandleModes.BROKEN;
                 }
+                moveHandle(seg, isHandleIn, event.delta, seg.dragHandleMode);
             }
         }
     }
@@ -75,7 +73,11 @@ class HandleTool {
                 if (seg.origPoint && !seg.equals(seg.origPoint)) {
                     moved = true;
                 }
+                if (seg.dragHandleMode && seg.dragHandleMode !== getHandleMode(seg)) {
+                    setHandleMode(seg, seg.dragHandleMode);
+                }
                 seg.origPoint = null;
+                seg.dragHandleMode = null;
             }
         }
         if (moved) {
@@ -1,7 +1,11 @@
+import paper from '@scratch/paper';
 import Modes from '../../lib/modes';
+import {snapToGrid} from '../grid';
+import {drawSmartGuides, removeSmartGuides} from '../guides';
 import {isGroup} from '../group';
 import {isCompoundPathItem, getRootItem} from '../item';
 import {snapDeltaToAngle} from '../math';
+import {getSmartGuideTargets, snapBoundsToSmartGuides} from '../snapping';
 import {clearSelection, cloneSelection, getSelectedLeafItems, getSelectedRootItems, setItemSelection}
     from '../selection';
 
@@ -22,6 +26,11 @@ class MoveTool {
         this.selectedItems = null;
         this.onUpdateImage = onUpdateImage;
         this.boundsPath = null;
+        this.grid = null;
+        this.rulerGuides = null;
+        // Bounds of the selection when the drag started, which snap to the grid and to smart guides
+        this.origBounds = null;
+        this.smartGuideTargets = null;
     }
 
     /**
@@ -58,6 +67,11 @@ class MoveTool {
         }
         if (hitProperties.clone) cloneSelection(hitProperties.subselect, this.onUpdateImage);
         this.selectedItems = this.mode === Modes.RESHAPE ? getSelectedLeafItems() : getSelectedRootItems();
+        this.origBounds = this.selectedItems.length ?
+            this.selectedItems.reduce((bounds, selectedItem) => bounds.unite(selectedItem.bounds),
+                this.selectedItems[0].bounds) :
+            null;
+        this.smartGuideTargets = getSmartGuideTargets(this.selectedItems, this.rulerGuides);
         if (this.boundsPath) {
             this.selectedItems.push(this.boundsPath);
         }
@@ -65,6 +79,18 @@ class MoveTool {
     setBoundsPath (boundsPath) {
         this.boundsPath = boundsPath;
     }
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap the selection to the grid while dragging
+     */
+    setGrid (grid) {
+        this.grid = grid;
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which the selection snaps to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
+    }
     /**
      * Sets the selection state of an item.
      * @param {!paper.Item} item Item to select or deselect
@@ -89,7 +115,18 @@ class MoveTool {
         this.setSelectedItems();
     }
     onMouseDrag (event) {
-        const dragVector = event.point.subtract(event.downPoint);
+        let dragVector = event.point.subtract(event.downPoint);
+        if (!event.modifiers.shift && this.origBounds) {
+            const origTopLeft = this.origBounds.topLeft;
+            dragVector = snapToGrid(origTopLeft.add(dragVector), this.grid).subtract(origTopLeft);
+            // Smart guides take precedence over the grid when an edge or center is close enough
+            const snapResult = snapBoundsToSmartGuides(
+                new paper.Rectangle(origTopLeft.add(dragVector), this.origBounds.size), this.smartGuideTargets);
+            dragVector = dragVector.add(snapResult.offset);
+            drawSmartGuides(snapResult.guides, new paper.Rectangle(origTopLeft.add(dragVector), this.origBounds.size));
+        } else {
+            removeSmartGuides();
+        }
         for (const item of this.selectedItems) {
             // add the position of the item before the drag started
             // for later use in the snap calculation
@@ -114,6 +151,9 @@ class MoveTool {
             item.data.origPos = null;
         }
         this.selectedItems = null;
+        this.origBounds = null;
+        this.smartGuideTargets = null;
+        removeSmartGuides();
 
         if (moved) {
             this.onUpdateImage();
@@ -1,5 +1,6 @@
 import paper from '@scratch/paper';
 import {snapDeltaToAngle} from '../math';
+import {snapPoint} from '../snapping';
 import {clearSelection, getSelectedLeafItems, getSelectedSegments} from '../selection';
 import {HANDLE_RATIO} from '../math';
 
@@ -30,6 +31,24 @@ class PointTool {
         this.setSelectedItems = setSelectedItems;
         this.clearSelectedItems = clearSelectedItems;
         this.onUpdateImage = onUpdateImage;
+        this.grid = null;
+        this.rulerGuides = null;
+        /** Position of the clicked point when the drag started, which is what snaps to the grid */
+        this.origDragPoint = null;
+    }
+
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap dragged points to the grid
+     */
+    setGrid (grid) {
+        this.grid = grid;
+    }
+
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which dragged points snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
     }
 
     /**
@@ -59,6 +78,7 @@ class PointTool {
             hitProperties.hitResult.segment.selected = true;
         }
         
+        this.origDragPoint = hitProperties.hitResult.segment.point.clone();
         this.selectedItems = getSelectedLeafItems();
     }
     /**
@@ -145,6 +165,9 @@ class PointTool {
         this.deleteOnMouseUp = null;
         
         const dragVector = event.point.subtract(event.downPoint);
+        const snappedDragVector = this.origDragPoint ?
+            snapPoint(this.origDragPoint.add(dragVector), this.grid, this.rulerGuides).subtract(this.origDragPoint) :
+            null;
         
         const selectedSegments = getSelectedSegments();
         for (const seg of selectedSegments) {
@@ -156,6 +179,8 @@ class PointTool {
 
             if (event.modifiers.shift) {
                 seg.point = seg.origPoint.add(snapDeltaToAngle(dragVector, Math.PI / 4));
+            } else if (snappedDragVector) {
+                seg.point = seg.origPoint.add(snappedDragVector);
             } else {
                 seg.point = seg.point.add(event.delta);
             }
@@ -189,6 +214,7 @@ class PointTool {
             this.deleteOnMouseUp = null;
         }
         this.selectedItems = null;
+        this.origDragPoint = null;
         this.setSelectedItems();
         if (moved) {
             this.onUpdateImage();
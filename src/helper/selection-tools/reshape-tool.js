@@ -3,6 +3,7 @@ import log from '../../log/log';
 import keyMirror from 'keymirror';
 
 import Modes from '../../lib/modes';
+import {updateSelectedArrowheads} from '../arrowheads';
 import {getHoveredItem} from '../hover';
 import {getRootItem, isPGTextItem} from '../item';
 import {getSelectedLeafItems, getSelectedSegments} from '../selection';
@@ -23,8 +24,8 @@ const ReshapeModes = keyMirror({
  * paper.Tool to handle reshape mode, which allows manipulation of control points and
  * handles of path items. Can be used to select items within groups and points within items.
  * Reshape is made up of 4 tools:
- * - Selection box tool, which is activated by clicking an empty area. Draws a box and selects
- *   points and curves inside it
+ * - Selection box tool, which is activated by clicking an empty area. Draws a box, or a freehand
+ *   lasso, and selects points and curves inside it
  * - Move tool, which translates items
  * - Point tool, which translates, adds and removes points
  * - Handle tool, which translates handles, changing the shape of curves
@@ -133,6 +134,28 @@ class ReshapeTool extends paper.Tool {
     setPrevHoveredItemId (prevHoveredItemId) {
         this.prevHoveredItemId = prevHoveredItemId;
     }
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap dragged shapes and points to the grid
+     */
+    setGrid (grid) {
+        this._modeMap[ReshapeModes.FILL].setGrid(grid);
+        this._modeMap[ReshapeModes.POINT].setGrid(grid);
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which dragged shapes and points
+     *     snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this._modeMap[ReshapeModes.FILL].setRulerGuides(rulerGuides);
+        this._modeMap[ReshapeModes.POINT].setRulerGuides(rulerGuides);
+    }
+    /**
+     * @param {boolean} lassoSelect Whether dragging over an empty area selects with a freehand lasso
+     *     rather than a box. Holding alt while starting the drag does the other one.
+     */
+    setLassoSelect (lassoSelect) {
+        this._modeMap[ReshapeModes.SELECTION_BOX].setLassoSelect(lassoSelect);
+    }
     handleMouseDown (event) {
         if (event.event.button > 0) return; // only first mouse button
         this.active = true;
@@ -157,7 +180,7 @@ class ReshapeTool extends paper.Tool {
             hitResults = paper.project.hitTestAll(event.point, this.getHitOptions());
         }
         if (hitResults.length === 0) {
-            this._modeMap[ReshapeModes.SELECTION_BOX].onMouseDown(event.modifiers.shift);
+            this._modeMap[ReshapeModes.SELECTION_BOX].onMouseDown(event.modifiers.shift, event.modifiers.alt);
             return;
         }
 
@@ -224,6 +247,8 @@ class ReshapeTool extends paper.Tool {
     handleMouseDrag (event) {
         if (event.event.button > 0 || !this.active) return; // only first mouse button
         this._modeMap[this.mode].onMouseDrag(event);
+        // Arrowheads follow the ends of the paths being reshaped
+        if (this.mode !== ReshapeModes.SELECTION_BOX) updateSelectedArrowheads();
     }
     handleMouseUp (event) {
         if (event.event.button > 0 || !this.active) return; // only first mouse button
@@ -264,6 +289,7 @@ class ReshapeTool extends paper.Tool {
                     seg.point = seg.point.add(translation);
                 }
             }
+            updateSelectedArrowheads();
         }
     }
     handleKeyUp (event) {
@@ -1,4 +1,5 @@
 import paper from '@scratch/paper';
+import {addItemRotation} from '../transform';
 
 /**
  * Tool to handle rotation when dragging the rotation handle in the bounding box tool.
@@ -43,6 +44,7 @@ class RotateTool {
             }
 
             item.rotate(rotAngle - this.prevRot, this.rotGroupPivot);
+            addItemRotation(item, rotAngle - this.prevRot);
         }
 
         this.prevRot = rotAngle;
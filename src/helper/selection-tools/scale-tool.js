@@ -1,5 +1,10 @@
 import paper from '@scratch/paper';
+import {updateSelectedArrowheads} from '../arrowheads';
 import {getItems} from '../selection';
+import {snapToGrid} from '../grid';
+import {drawSmartGuides, removeSmartGuides} from '../guides';
+import {getSmartGuideTargets, snapToSmartGuides} from '../snapping';
+import {scaleItemRotation} from '../transform';
 
 /**
  * Tool to handle scaling items by pulling on the handles around the edges of the bounding
@@ -21,6 +26,22 @@ class ScaleTool {
         // Lowest item above all scale items in z index
         this.itemToInsertBelow = null;
         this.onUpdateImage = onUpdateImage;
+        this.grid = null;
+        this.rulerGuides = null;
+        this.smartGuideTargets = null;
+    }
+
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap the dragged handle to the grid
+     */
+    setGrid (grid) {
+        this.grid = grid;
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which the selection snaps to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
     }
 
     /**
@@ -42,6 +63,7 @@ class ScaleTool {
         this.lastSx = 1;
         this.lastSy = 1;
         this.boundsPath = boundsPath;
+        this.smartGuideTargets = getSmartGuideTargets(selectedItems, this.rulerGuides);
 
         // Set itemGroup
         // get item to insert below so that scaled items stay in same z position
@@ -86,7 +108,18 @@ class ScaleTool {
         }
 
         this.corner = this.corner.add(event.delta);
-        const size = this.corner.subtract(this.pivot);
+        let corner = snapToGrid(this.corner, this.grid);
+        let smartGuides = null;
+        if (!event.modifiers.shift) {
+            // Only snap the edges that move. Smart guides take precedence over the grid.
+            const snapResult = snapToSmartGuides({
+                x: Math.abs(modOrigSize.x) > 0.0000001 ? [corner.x] : [],
+                y: Math.abs(modOrigSize.y) > 0.0000001 ? [corner.y] : []
+            }, this.smartGuideTargets);
+            corner = corner.add(snapResult.offset);
+            smartGuides = snapResult.guides;
+        }
+        const size = corner.subtract(this.pivot);
         let sx = 1.0;
         let sy = 1.0;
         if (Math.abs(modOrigSize.x) > 0.0000001) {
@@ -106,10 +139,15 @@ class ScaleTool {
         this.itemGroup.scale(sx / this.lastSx, sy / this.lastSy, this.pivot);
         this.lastSx = sx;
         this.lastSy = sy;
+        // Stretched arrowheads are redrawn to fit the stretched paths
+        updateSelectedArrowheads();
+        drawSmartGuides(smartGuides, this.boundsPath.bounds);
     }
     onMouseUp () {
         if (!this.active) return;
 
+        const scaleX = this.lastSx;
+        const scaleY = this.lastSy;
         this.pivot = null;
         this.origPivot = null;
         this.corner = null;
@@ -118,6 +156,8 @@ class ScaleTool {
         this.lastSx = 1;
         this.lastSy = 1;
         this.centered = false;
+        this.smartGuideTargets = null;
+        removeSmartGuides();
 
         if (!this.itemGroup) {
             return;
@@ -125,12 +165,13 @@ class ScaleTool {
         this.boundsPath.remove();
         this.boundsPath = null;
         
-        // mark text items as scaled (for later use on font size calc)
         for (let i = 0; i < this.itemGroup.children.length; i++) {
             const child = this.itemGroup.children[i];
+            // mark text items as scaled (for later use on font size calc)
             if (child.data.isPGTextItem) {
                 child.data.wasScaled = true;
             }
+            scaleItemRotation(child, scaleX, scaleY);
         }
 
         if (this.itemToInsertBelow) {
@@ -61,6 +61,25 @@ class SelectTool extends paper.Tool {
     setPrevHoveredItemId (prevHoveredItemId) {
         this.prevHoveredItemId = prevHoveredItemId;
     }
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap moving and scaling to the grid
+     */
+    setGrid (grid) {
+        this.boundingBoxTool.setGrid(grid);
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which moving and scaling snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this.boundingBoxTool.setRulerGuides(rulerGuides);
+    }
+    /**
+     * @param {boolean} lassoSelect Whether dragging over an empty area selects with a freehand lasso
+     *     rather than a box. Holding alt while starting the drag does the other one.
+     */
+    setLassoSelect (lassoSelect) {
+        this.selectionBoxTool.setLassoSelect(lassoSelect);
+    }
     /**
      * Should be called if the selection changes to update the bounds of the bounding box.
      * @param {Array<paper.Item>} selectedItems Array of selected items.
@@ -103,7 +122,7 @@ class SelectTool extends paper.Tool {
                 event.modifiers.shift,
                 this.getHitOptions(false /* preseelectedOnly */))) {
             this.selectionBoxMode = true;
-            this.selectionBoxTool.onMouseDown(event.modifiers.shift);
+            this.selectionBoxTool.onMouseDown(event.modifiers.shift, event.modifiers.alt);
         }
     }
     handleMouseMove (event) {
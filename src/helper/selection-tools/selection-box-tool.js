@@ -1,7 +1,13 @@
-import {rectSelect} from '../guides';
-import {clearSelection, processRectangularSelection} from '../selection';
+import paper from '@scratch/paper';
+import {lassoSelect, rectSelect} from '../guides';
+import {getRaster} from '../layer';
+import {clearSelection, processRectangularSelection, setItemSelection} from '../selection';
+import {ART_BOARD_WIDTH, ART_BOARD_HEIGHT} from '../view';
 
-/** Tool to handle drag selection. A dotted line box appears and everything enclosed is selected. */
+/**
+ * Tool to handle drag selection. A dotted line box appears and everything enclosed is selected. In lasso
+ * mode, a dotted line follows the mouse instead, and everything inside the shape it draws is selected.
+ */
 class SelectionBoxTool {
     /**
      * @param {!Modes} mode Current paint editor mode
@@ -10,34 +16,95 @@ class SelectionBoxTool {
      */
     constructor (mode, setSelectedItems, clearSelectedItems) {
         this.selectionRect = null;
+        this.selectionLasso = null;
         this.mode = mode;
         this.setSelectedItems = setSelectedItems;
         this.clearSelectedItems = clearSelectedItems;
+        this.lassoSelect = false;
+        this.lasso = false;
+    }
+    /**
+     * @param {boolean} enabled Whether to select with a freehand lasso rather than a box
+     */
+    setLassoSelect (enabled) {
+        this.lassoSelect = enabled;
     }
     /**
      * @param {boolean} multiselect Whether to multiselect on mouse down (e.g. shift key held)
+     * @param {?boolean} toggleLasso Whether to select with a lasso if set to select with a box, or the other
+     *     way around, for this drag only (e.g. alt key held)
      */
-    onMouseDown (multiselect) {
+    onMouseDown (multiselect, toggleLasso) {
         if (!multiselect) {
             clearSelection(this.clearSelectedItems);
             this.clearSelectedItems();
         }
+        this.lasso = toggleLasso ? !this.lassoSelect : this.lassoSelect;
     }
     onMouseDrag (event) {
         if (event.event.button > 0) return; // only first mouse button
+        if (this.lasso) {
+            if (!this.selectionLasso) {
+                this.selectionLasso = lassoSelect(event.downPoint);
+            }
+            this.selectionLasso.add(event.point);
+            return;
+        }
         this.selectionRect = rectSelect(event);
         // Remove this rect on the next drag and up event
         this.selectionRect.removeOnDrag();
     }
     onMouseUp (event) {
         if (event.event.button > 0) return; // only first mouse button
-        if (this.selectionRect) {
+        if (this.selectionLasso) {
+            this.selectionLasso.closed = true;
+            processRectangularSelection(event, this.selectionLasso, this.mode);
+            this.selectionLasso.remove();
+            this.selectionLasso = null;
+            this.setSelectedItems();
+        } else if (this.selectionRect) {
             processRectangularSelection(event, this.selectionRect, this.mode);
             this.selectionRect.remove();
             this.selectionRect = null;
             this.setSelectedItems();
         }
     }
+    /**
+     * Lift the pixels under the selection box out of the bitmap and into a new, selected raster
+     * in the painting layer, which can then be transformed like any other item.
+     * @param {!MouseEvent} event The mouse up event
+     */
+    onMouseUpBitmap (event) {
+        if (event.event.button > 0) return; // only first mouse button
+        if (this.selectionRect) {
+            const bounds = this.selectionRect.bounds;
+            const rect = new paper.Rectangle({
+                from: new paper.Point(
+                    Math.max(0, Math.round(bounds.left)),
+                    Math.max(0, Math.round(bounds.top))),
+                to: new paper.Point(
+                    Math.min(ART_BOARD_WIDTH, Math.round(bounds.right)),
+                    Math.min(ART_BOARD_HEIGHT, Math.round(bounds.bottom)))
+            });
+            this.selectionRect.remove();
+            this.selectionRect = null;
+
+            if (rect.width > 0 && rect.height > 0) {
+                const tmpCanvas = document.createElement('canvas');
+                tmpCanvas.width = rect.width;
+                tmpCanvas.height = rect.height;
+                tmpCanvas.getContext('2d').putImageData(getRaster().getImageData(rect), 0, 0);
+                getRaster().getContext(true /* modify */)
+                    .clearRect(rect.x, rect.y, rect.width, rect.height);
+
+                const selection = new paper.Raster(tmpCanvas);
+                selection.parent = paper.project.activeLayer;
+                selection.position = rect.center;
+                setItemSelection(selection, true);
+            }
+            this.setSelectedItems();
+        }
+    }
 }
 
 export default SelectionBoxTool;
@@ -7,13 +7,25 @@ import {getItemsCompoundPath, isCompoundPath, isCompoundPathChild} from './compo
 import {sortItemsByZIndex} from './math';
 
 /**
- * Wrapper for paper.project.getItems that excludes our helper items
+ * @param {!paper.Item} item Item to check
+ * @return {boolean} Whether the item, or a group or layer that it is in, is hidden or locked, so it
+ *     can't be edited
+ */
+const isLockedOrHidden = function (item) {
+    for (let parent = item; parent; parent = parent.parent) {
+        if (parent.locked || !parent.visible) return true;
+    }
+    return false;
+};
+
+/**
+ * Wrapper for paper.project.getItems that excludes our helper items, and items that are hidden or locked
  * @param {?object} options See paper.js docs for paper.Item.getItems
  * @return {Array<paper.Item>} items that match options
  */
 const getItems = function (options) {
     const newMatcher = function (item) {
-        return !(item instanceof paper.Layer) && !item.locked &&
+        return !(item instanceof paper.Layer) && !isLockedOrHidden(item) &&
             !(item.data && item.data.isHelperItem) &&
             (!options.match || options.match(item));
     };
@@ -43,13 +55,13 @@ const getAllRootItems = function (includeGuides) {
 
 /**
  * @return {Array<paper.item>} all top-level (direct descendants of a paper.Layer) items
- *     that aren't guide items or helper items.
+ *     that aren't guide items or helper items, and aren't hidden or locked.
  */
 const getAllSelectableRootItems = function () {
     const allItems = getAllRootItems();
     const selectables = [];
     for (let i = 0; i < allItems.length; i++) {
-        if (allItems[i].data && !allItems[i].data.isHelperItem) {
+        if (allItems[i].data && !allItems[i].data.isHelperItem && !isLockedOrHidden(allItems[i])) {
             selectables.push(allItems[i]);
         }
     }
@@ -73,6 +85,15 @@ const selectItemSegments = function (item, state) {
     }
 };
 
+/**
+ * @param {!paper.Item} item Group or compound path to check
+ * @return {boolean} Whether anything inside the item is locked. Selecting the item would let moving,
+ *     scaling or deleting it change the locked item too, so such an item can't be selected as a whole.
+ */
+const _hasLockedDescendant = function (item) {
+    return item.hasChildren() && Boolean(item.getItem({match: child => child.locked}));
+};
+
 const _setGroupSelection = function (root, selected, fullySelected) {
     root.fullySelected = fullySelected;
     root.selected = selected;
@@ -81,6 +102,13 @@ const _setGroupSelection = function (root, selected, fullySelected) {
         const children = root.children;
         if (children) {
             for (const child of children) {
+                // Hidden items stay out of the selection, so editing their segments or style doesn't
+                // reach them. They still move, scale and get deleted along with their group.
+                if (selected && !child.visible) {
+                    child.fullySelected = false;
+                    child.selected = false;
+                    continue;
+                }
                 if (isGroup(child)) {
                     _setGroupSelection(child, selected, fullySelected);
                 } else {
@@ -101,11 +129,13 @@ const setItemSelection = function (item, state, fullySelected) {
         // do it recursive
         setItemSelection(parentGroup, state, fullySelected);
     } else if (itemsCompoundPath) {
+        if (state && _hasLockedDescendant(itemsCompoundPath)) return;
         _setGroupSelection(itemsCompoundPath, state, fullySelected);
     } else {
         if (item.data && item.data.noSelect) {
             return;
         }
+        if (state && _hasLockedDescendant(item)) return;
         _setGroupSelection(item, state, fullySelected);
     }
     // @todo: Update toolbar state on change
@@ -151,8 +181,8 @@ const getSelectedRootItems = function () {
         }
     }
 
-    // sort items by index (0 at bottom)
-    items.sort((a, b) => parseFloat(a.index) - parseFloat(b.index));
+    // Items can be in different painting layers, so their indices alone don't give their order
+    items.sort(sortItemsByZIndex);
     return items;
 };
 
@@ -358,6 +388,7 @@ const _handleRectangularSelectionItems = function (item, event, rect, mode, root
 const _rectangularSelectionGroupLoop = function (group, rect, root, event, mode) {
     for (let i = 0; i < group.children.length; i++) {
         const child = group.children[i];
+        if (child.locked || !child.visible) continue;
         
         if (isGroup(child) || isCompoundPathItem(child)) {
             _rectangularSelectionGroupLoop(child, rect, root, event, mode);
@@ -373,7 +404,7 @@ const _rectangularSelectionGroupLoop = function (group, rect, root, event, mode)
  * selects all control points and curves within the rectangle. In select mode, this
  * selects all items and groups that intersect the rectangle
  * @param {!MouseEvent} event The mouse event to draw the rectangle
- * @param {!paper.Rect} rect The selection rectangle
+ * @param {!paper.Path} rect The selection rectangle, or the closed path of a selection lasso
  * @param {Modes} mode The mode of the paint editor when drawing the rectangle
  */
 const processRectangularSelection = function (event, rect, mode) {
@@ -419,6 +450,8 @@ const shouldShowSelectAll = function () {
 export {
     getItems,
     getAllRootItems,
+    getAllSelectableRootItems,
+    isLockedOrHidden,
     selectAllItems,
     selectAllSegments,
     clearSelection,
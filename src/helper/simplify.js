@@ -0,0 +1,177 @@
+import paper from '@scratch/paper';
+import Modes from '../lib/modes';
+import {isArrowhead} from './arrowheads';
+import {getSelectedLeafItems} from './selection';
+
+/**
+ * Paths as they were before they were last simplified, so that changing the tolerance simplifies the
+ * original path again instead of the already simplified one. A path that has been edited or had other
+ * points selected since it was simplified no longer matches its recorded result, and is simplified as
+ * it is now.
+ */
+const _originals = new WeakMap();
+
+const _getPathState = function (path) {
+    const selected = path.segments.map(segment => {
+        if (segment.selected) return 1;
+        return 0;
+    });
+    return `${path.pathData} ${selected.join('')}`;
+};
+
+// Arrowheads are redrawn from their paths, so they are left alone
+const _getSelectedPaths = function () {
+    const paths = new Set();
+    for (const item of getSelectedLeafItems()) {
+        if (isArrowhead(item)) continue;
+        if (item instanceof paper.Path) {
+            paths.add(item);
+        } else if (item instanceof paper.CompoundPath) {
+            for (const child of item.children) {
+                if (child instanceof paper.Path) paths.add(child);
+            }
+        }
+    }
+    return Array.from(paths);
+};
+
+/**
+ * @param {!paper.Path} path A path in the selection
+ * @param {!Modes} mode The current mode
+ * @param {number} minLength The fewest segments a range may have
+ * @return {Array<object>} Runs of consecutive segments to change, each with the index of its first and
+ *     last segment, from the end of the path to the start. In the select mode, the whole path is one run.
+ */
+const _getSelectedRanges = function (path, mode, minLength) {
+    const segments = path.segments;
+    if (mode !== Modes.RESHAPE || segments.every(segment => segment.selected)) {
+        return segments.length >= minLength ? [{from: 0, to: segments.length - 1, wholePath: true}] : [];
+    }
+    if (path.closed && segments[0].selected && segments[segments.length - 1].selected) {
+        // Start the path at an unselected point, so that no run wraps around the end. This doesn't
+        // change the shape of a closed path.
+        const start = segments.findIndex(segment => !segment.selected);
+        path.segments = segments.slice(start).concat(segments.slice(0, start));
+    }
+    const ranges = [];
+    let from = null;
+    path.segments.forEach((segment, index) => {
+        if (segment.selected && from === null) {
+            from = index;
+        }
+        if (from !== null && (!segment.selected || index === path.segments.length - 1)) {
+            const to = segment.selected ? index : index - 1;
+            if (to - from + 1 >= minLength) ranges.push({from: from, to: to});
+            from = null;
+        }
+    });
+    return ranges.reverse();
+};
+
+const _recordOriginal = function (path) {
+    const original = _originals.get(path);
+    if (original && original.simplifiedState === _getPathState(path)) {
+        // Start again from the path as it was before it was simplified
+        path.segments = original.segments.map(segment => segment.clone());
+        path.segments.forEach((segment, index) => {
+            segment.selected = original.selected[index];
+        });
+        return;
+    }
+    _originals.set(path, {
+        segments: path.segments.map(segment => segment.clone()),
+        selected: path.segments.map(segment => segment.selected),
+        simplifiedState: null
+    });
+};
+
+// Simplify the segments of the path from index from to index to, keeping their end points in place
+const _simplifyRange = function (path, range, tolerance) {
+    const count = range.to - range.from + 1;
+    if (range.wholePath) {
+        const simplified = path.clone({insert: false});
+        simplified.simplify(tolerance);
+        // Paths that can't lose any points, like rectangles, are better left as they are
+        if (simplified.segments.length >= count) return;
+        const selected = path.segments.every(segment => segment.selected);
+        path.segments = simplified.segments;
+        if (selected) path.fullySelected = true;
+        return;
+    }
+    const rangePath = new paper.Path({segments: path.segments.slice(range.from, range.to + 1), insert: false});
+    // The handles outside the range belong to the curves on either side of it
+    const handleIn = rangePath.firstSegment.handleIn.clone();
+    const handleOut = rangePath.lastSegment.handleOut.clone();
+    rangePath.simplify(tolerance);
+    if (rangePath.segments.length >= count) return;
+    rangePath.firstSegment.handleIn = handleIn;
+    rangePath.lastSegment.handleOut = handleOut;
+    path.removeSegments(range.from, range.to + 1);
+    const inserted = path.insertSegments(range.from, rangePath.segments);
+    // Keep the range selected, so that the tolerance can still be changed
+    for (const segment of inserted) {
+        segment.selected = true;
+    }
+};
+
+/**
+ * Reduce the number of points in the selected paths, or in the selected runs of points in the reshape
+ * mode, while keeping their shape. Each path is simplified from how it was before it was last simplified,
+ * so that the tolerance can be changed while watching the result.
+ * @param {!Modes} mode The current mode, either Modes.SELECT or Modes.RESHAPE
+ * @param {number} tolerance How far the simplified paths may stray from the original ones, in paper units
+ * @return {boolean} Whether any path changed
+ */
+const simplifySelection = function (mode, tolerance) {
+    let changed = false;
+    for (const path of _getSelectedPaths()) {
+        const pathData = path.pathData;
+        _recordOriginal(path);
+        // At least 3 points are needed for there to be any to remove
+        for (const range of _getSelectedRanges(path, mode, 3)) {
+            _simplifyRange(path, range, tolerance);
+        }
+        _originals.get(path).simplifiedState = _getPathState(path);
+        if (path.pathData !== pathData) changed = true;
+    }
+    return changed;
+};
+
+/**
+ * Smooth the selected paths, or the selected runs of points in the reshape mode, by turning their points
+ * into curves that flow into each other.
+ * @param {!Modes} mode The current mode, either Modes.SELECT or Modes.RESHAPE
+ * @return {boolean} Whether any path changed
+ */
+const smoothSelection = function (mode) {
+    let changed = false;
+    for (const path of _getSelectedPaths()) {
+        const pathData = path.pathData;
+        for (const range of _getSelectedRanges(path, mode, 1)) {
+            if (range.wholePath) {
+                path.smooth({type: 'continuous'});
+            } else {
+                path.smooth({type: 'continuous', from: range.from, to: range.to});
+            }
+        }
+        if (path.pathData !== pathData) changed = true;
+    }
+    return changed;
+};
+
+/**
+ * @param {!Modes} mode The current mode
+ * @return {boolean} Whether there are selected paths, or selected points in the reshape mode, to simplify
+ *     or smooth
+ */
+const canSimplifySelection = function (mode) {
+    if (mode === Modes.SELECT) return _getSelectedPaths().length > 0;
+    if (mode !== Modes.RESHAPE) return false;
+    return _getSelectedPaths().some(path => path.segments.some(segment => segment.selected));
+};
+
+export {
+    canSimplifySelection,
+    simplifySelection,
+    smoothSelection
+};
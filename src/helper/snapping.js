@@ -1,5 +1,10 @@
 import paper from '@scratch/paper';
-import {getItems} from './selection';
+import {getAllSelectableRootItems, getItems} from './selection';
+import {snapToGrid} from './grid';
+import {ART_BOARD_WIDTH, ART_BOARD_HEIGHT, getRotationCenter} from './view';
+
+/** Distance in screen pixels within which edges and centers snap to smart guides */
+const SMART_GUIDE_TOLERANCE = 6;
 
 /**
  * @param {paper.Point} point1 point 1
@@ -53,7 +58,118 @@ const endPointHit = function (point, tolerance, excludePath) {
     return null;
 };
 
+/**
+ * Collect the edges and centers that smart guides can snap to: those of every selectable item that
+ * isn't being transformed, the rotation center and the guides dragged out of the rulers.
+ * @param {Array<paper.Item>} excludedItems Items being moved or scaled, which shouldn't snap to themselves
+ * @param {?object} rulerGuides Ruler guides of the costume, from Redux
+ * @return {object} Snap targets, with an array of {value, bounds} for each axis. The bounds are those
+ *     of the item the value comes from, used to decide how far to draw the guide line.
+ */
+const getSmartGuideTargets = function (excludedItems, rulerGuides) {
+    const isExcluded = item => excludedItems.some(excludedItem =>
+        item === excludedItem || item.isDescendant(excludedItem) || excludedItem.isDescendant(item));
+    const targets = {x: [], y: []};
+    for (const item of getAllSelectableRootItems()) {
+        if (item.selected || isExcluded(item)) continue;
+        const bounds = item.bounds;
+        if (!bounds.width && !bounds.height) continue;
+        for (const x of [bounds.left, bounds.center.x, bounds.right]) {
+            targets.x.push({value: x, bounds: bounds});
+        }
+        for (const y of [bounds.top, bounds.center.y, bounds.bottom]) {
+            targets.y.push({value: y, bounds: bounds});
+        }
+    }
+    const center = getRotationCenter();
+    const artBoardBounds = new paper.Rectangle(0, 0, ART_BOARD_WIDTH, ART_BOARD_HEIGHT);
+    targets.x.push({value: center.x, bounds: artBoardBounds});
+    targets.y.push({value: center.y, bounds: artBoardBounds});
+    if (rulerGuides) {
+        for (const x of rulerGuides.vertical) {
+            targets.x.push({value: x, bounds: artBoardBounds});
+        }
+        for (const y of rulerGuides.horizontal) {
+            targets.y.push({value: y, bounds: artBoardBounds});
+        }
+    }
+    return targets;
+};
+
+// Closest pair of a value and a target within the tolerance, if any
+const _getClosestTarget = function (values, targets, tolerance) {
+    let closest = null;
+    for (const value of values) {
+        for (const target of targets) {
+            const offset = target.value - value;
+            if (Math.abs(offset) <= tolerance && (!closest || Math.abs(offset) < Math.abs(closest.offset))) {
+                closest = {offset: offset, target: target};
+            }
+        }
+    }
+    return closest;
+};
+
+/**
+ * Snap values on each axis to the nearest smart guide target within the tolerance.
+ * @param {!object} values Candidate values to snap, with an array of numbers for each of x and y.
+ *     Leave an axis empty to keep it from snapping.
+ * @param {!object} targets Snap targets from getSmartGuideTargets
+ * @return {object} offset: paper.Point to add to snap the values, and guides: the targets that were
+ *     snapped to for x and y, or null where nothing was in range
+ */
+const snapToSmartGuides = function (values, targets) {
+    const tolerance = SMART_GUIDE_TOLERANCE / paper.view.zoom;
+    const closestX = _getClosestTarget(values.x, targets.x, tolerance);
+    const closestY = _getClosestTarget(values.y, targets.y, tolerance);
+    return {
+        offset: new paper.Point(closestX ? closestX.offset : 0, closestY ? closestY.offset : 0),
+        guides: {
+            x: closestX ? closestX.target : null,
+            y: closestY ? closestY.target : null
+        }
+    };
+};
+
+/**
+ * Snap the edges and centers of a rectangle to smart guides.
+ * @param {!paper.Rectangle} bounds Bounds of the items being moved
+ * @param {!object} targets Snap targets from getSmartGuideTargets
+ * @return {object} See snapToSmartGuides
+ */
+const snapBoundsToSmartGuides = function (bounds, targets) {
+    return snapToSmartGuides({
+        x: [bounds.left, bounds.center.x, bounds.right],
+        y: [bounds.top, bounds.center.y, bounds.bottom]
+    }, targets);
+};
+
+/**
+ * Snap a point being drawn or dragged to the grid, if snapping to the grid is on, and then to any ruler
+ * guide within the snapping distance. Ruler guides take precedence over the grid.
+ * @param {!paper.Point} point A point in paper coordinates
+ * @param {?object} grid Grid state from Redux
+ * @param {?object} rulerGuides Ruler guides of the costume, from Redux
+ * @return {paper.Point} The snapped point
+ */
+const snapPoint = function (point, grid, rulerGuides) {
+    const gridPoint = snapToGrid(point, grid);
+    if (!rulerGuides) return gridPoint;
+    const tolerance = SMART_GUIDE_TOLERANCE / paper.view.zoom;
+    const toTargets = positions => positions.map(position => ({value: position}));
+    const closestX = _getClosestTarget([point.x], toTargets(rulerGuides.vertical), tolerance);
+    const closestY = _getClosestTarget([point.y], toTargets(rulerGuides.horizontal), tolerance);
+    return new paper.Point(
+        closestX ? closestX.target.value : gridPoint.x,
+        closestY ? closestY.target.value : gridPoint.y
+    );
+};
+
 export {
     endPointHit,
+    getSmartGuideTargets,
+    snapBoundsToSmartGuides,
+    snapPoint,
+    snapToSmartGuides,
     touching
 };
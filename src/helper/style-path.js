@@ -1,24 +1,143 @@
 import paper from '@scratch/paper';
-import {getSelectedLeafItems} from './selection';
-import {isPGTextItem, isPointTextItem} from './item';
+import {getSelectedLeafItems, getSelectedRootItems} from './selection';
+import {getRootItem, isPGTextItem, isPointTextItem} from './item';
 import {isGroup} from './group';
 import {getItems} from './selection';
+import {hasArrowheads, isArrowhead, setArrowheads, updateArrowheads} from './arrowheads';
+import GradientTypes from '../lib/gradient-types';
+import {isGradient} from '../lib/gradient-types';
+import {getDashArray, getDashPattern} from '../lib/stroke-styles';
 
 const MIXED = 'scratch-paint/style-path/mixed';
 
-// Check if the item color matches the incoming color. If the item color is a gradient, we assume
-// that the incoming color never matches, since we don't support gradients yet.
+// Check if the item color matches the incoming color, which is either a CSS color string or an
+// object describing a gradient, as made by createGradientObject.
 const _colorMatch = function (itemColor, incomingColor) {
-    // @todo check whether the gradient has changed when we support gradients
-    if (itemColor && itemColor.type === 'gradient') return false;
-    // Either both are null or both are the same color when converted to CSS.
-    return (!itemColor && !incomingColor) ||
-            (itemColor && incomingColor && itemColor.toCSS() === new paper.Color(incomingColor).toCSS());
+    if (!itemColor || !incomingColor) {
+        // Both must be null
+        return !itemColor && !incomingColor;
+    }
+    if (itemColor.type === 'gradient' || typeof incomingColor !== 'string') {
+        return itemColor.equals(new paper.Color(incomingColor));
+    }
+    // Both are the same color when converted to CSS.
+    return itemColor.toCSS() === new paper.Color(incomingColor).toCSS();
+};
+
+/**
+ * Make a gradient which spans the given bounds.
+ * @param {!object} fillGradient The gradient state. See reducers/fill-gradient.js
+ * @param {!string} fillGradient.gradientType One of GradientTypes, other than SOLID
+ * @param {!number} fillGradient.angle Direction of LINEAR gradients, in degrees clockwise from pointing right
+ * @param {!Array<object>} fillGradient.stops Color stops, each with a color (null for transparent) and
+ *     an offset from 0 to 1
+ * @param {!paper.Rectangle} bounds The area which the gradient should cover
+ * @return {object} Gradient color, which can be assigned to a paper item's fillColor
+ */
+const createGradientObject = function (fillGradient, bounds) {
+    const stops = fillGradient.stops.map(stop => [stop.color === null ? 'rgba(0,0,0,0)' : stop.color, stop.offset]);
+    let origin;
+    let destination;
+    switch (fillGradient.gradientType) {
+    case GradientTypes.HORIZONTAL:
+        origin = bounds.leftCenter;
+        destination = bounds.rightCenter;
+        break;
+    case GradientTypes.VERTICAL:
+        origin = bounds.topCenter;
+        destination = bounds.bottomCenter;
+        break;
+    case GradientTypes.RADIAL:
+        origin = bounds.center;
+        destination = bounds.center.add(Math.max(Math.abs(bounds.width), Math.abs(bounds.height)) / 2, 0);
+        break;
+    default: {
+        // Linear gradients reach from corner to corner of the bounds along their direction
+        const direction = new paper.Point({angle: fillGradient.angle, length: 1});
+        const halfLength = Math.abs(direction.x * bounds.width / 2) + Math.abs(direction.y * bounds.height / 2);
+        origin = bounds.center.subtract(direction.multiply(halfLength));
+        destination = bounds.center.add(direction.multiply(halfLength));
+    }
+    }
+    return {
+        gradient: {
+            stops: stops,
+            radial: fillGradient.gradientType === GradientTypes.RADIAL
+        },
+        origin: origin,
+        destination: destination
+    };
+};
+
+// Hex for opaque colors, rgba() for semi-transparent ones
+const _colorToString = function (color) {
+    if (color.alpha < 1) {
+        const {red, green, blue} = color;
+        return `rgba(${[red, green, blue].map(channel => Math.round(channel * 255)).join(', ')}, ${color.alpha})`;
+    }
+    return color.toCSS(true /* hex */);
+};
+
+/**
+ * Describe a paper gradient color as gradient state, the reverse of createGradientObject.
+ * @param {!paper.Color} color A gradient color
+ * @return {object} The gradient's type, angle and stops. See reducers/fill-gradient.js
+ */
+const _getGradientState = function (color) {
+    const stops = color.gradient.stops.map(stop => ({
+        color: stop.color.alpha === 0 ? null : _colorToString(stop.color),
+        offset: stop.offset === null ? 0 : stop.offset
+    }));
+    const angle = Math.round(color.destination.subtract(color.origin).angle);
+    let gradientType = GradientTypes.LINEAR;
+    if (color.gradient.radial) {
+        gradientType = GradientTypes.RADIAL;
+    } else if (angle === 0) {
+        gradientType = GradientTypes.HORIZONTAL;
+    } else if (angle === 90) {
+        gradientType = GradientTypes.VERTICAL;
+    }
+    return {
+        gradientType: gradientType,
+        angle: (angle + 360) % 360,
+        stops: stops
+    };
+};
+
+/**
+ * Whether two item colors look the same. Gradients match when they have the same type, angle and stops,
+ * wherever they are placed on their items, and fully transparent colors match no color.
+ * @param {?paper.Color} color An item's fill or stroke color
+ * @param {?paper.Color} otherColor Another item's fill or stroke color
+ * @return {boolean} Whether the colors match
+ */
+const colorsMatch = function (color, otherColor) {
+    const itemColor = color && color.alpha === 0 ? null : color;
+    const incomingColor = otherColor && otherColor.alpha === 0 ? null : otherColor;
+    if (itemColor && incomingColor && (itemColor.type === 'gradient' || incomingColor.type === 'gradient')) {
+        return itemColor.type === incomingColor.type &&
+            JSON.stringify(_getGradientState(itemColor)) === JSON.stringify(_getGradientState(incomingColor));
+    }
+    return _colorMatch(itemColor, incomingColor && incomingColor.toCSS());
+};
+
+/**
+ * @param {?string} colorString CSS color, used if there is no gradient
+ * @param {?object} fillGradient The gradient state. See reducers/fill-gradient.js
+ * @param {!paper.Item} item The item to be filled
+ * @return {?(string|object)} The fill for the item: a CSS color, or a gradient spanning the item
+ */
+const _getFillForItem = function (colorString, fillGradient, item) {
+    if (fillGradient && isGradient(fillGradient.gradientType)) {
+        return createGradientObject(fillGradient, item.internalBounds);
+    }
+    return colorString;
 };
 
 // Selected items and currently active text edit items respond to color changes.
+// Arrowheads are left out, since they follow the style of their path.
 const _getColorStateListeners = function (textEditTargetId) {
-    const items = getSelectedLeafItems();
+    const items = getSelectedLeafItems().filter(item => !isArrowhead(item));
     if (textEditTargetId) {
         const matches = getItems({
             match: item => item.id === textEditTargetId
@@ -34,9 +153,10 @@ const _getColorStateListeners = function (textEditTargetId) {
  * Called when setting fill color
  * @param {string} colorString New color, css format
  * @param {?string} textEditTargetId paper.Item.id of text editing target, if any
+ * @param {?object} fillGradient The gradient state. If it is a gradient, it's used instead of colorString.
  * @return {boolean} Whether the color application actually changed visibly.
  */
-const applyFillColorToSelection = function (colorString, textEditTargetId) {
+const applyFillColorToSelection = function (colorString, textEditTargetId, fillGradient) {
     const items = _getColorStateListeners(textEditTargetId);
     let changed = false;
     for (let item of items) {
@@ -45,9 +165,10 @@ const applyFillColorToSelection = function (colorString, textEditTargetId) {
         } else if (item.parent instanceof paper.CompoundPath) {
             item = item.parent;
         }
-        if (!_colorMatch(item.fillColor, colorString)) {
+        const fill = _getFillForItem(colorString, fillGradient, item);
+        if (!_colorMatch(item.fillColor, fill)) {
             changed = true;
-            item.fillColor = colorString;
+            item.fillColor = fill;
         }
     }
     return changed;
@@ -94,6 +215,9 @@ const applyStrokeColorToSelection = function (colorString, textEditTargetId) {
         } else if (!_colorMatch(item.strokeColor, colorString)) {
             changed = true;
             item.strokeColor = colorString;
+            if (hasArrowheads(item)) {
+                updateArrowheads(item);
+            }
         }
     }
     return changed;
@@ -115,32 +239,125 @@ const applyStrokeWidthToSelection = function (value, textEditTargetId) {
         if (isGroup(item)) {
             continue;
         } else if (item.strokeWidth !== value) {
+            // Keep dashes in proportion to the stroke
+            if (item.dashArray && item.dashArray.length && item.strokeWidth && value) {
+                const scale = value / item.strokeWidth;
+                item.dashArray = item.dashArray.map(length => length * scale);
+            }
             item.strokeWidth = value;
+            if (hasArrowheads(item)) {
+                updateArrowheads(item);
+            }
+            changed = true;
+        }
+    }
+    return changed;
+};
+
+/**
+ * Called when setting the dash pattern, caps, joins or arrowheads of strokes
+ * @param {!object} strokeStyle The stroke style properties to change. See reducers/stroke-style.js
+ * @param {?string} strokeStyle.dashPattern One of DashPatterns
+ * @param {?string} strokeStyle.strokeCap One of StrokeCaps
+ * @param {?string} strokeStyle.strokeJoin One of StrokeJoins
+ * @param {?boolean} strokeStyle.startArrowhead Whether lines have an arrowhead at their first point
+ * @param {?boolean} strokeStyle.endArrowhead Whether lines have an arrowhead at their last point
+ * @param {?string} textEditTargetId paper.Item.id of text editing target, if any
+ * @return {boolean} Whether the style application actually changed visibly.
+ */
+const applyStrokeStyleToSelection = function (strokeStyle, textEditTargetId) {
+    let changed = false;
+    const items = _getColorStateListeners(textEditTargetId);
+    for (let item of items) {
+        if (item.parent instanceof paper.CompoundPath) {
+            item = item.parent;
+        }
+        if (isGroup(item) || isPGTextItem(item)) continue;
+        if (strokeStyle.dashPattern && item.strokeWidth &&
+                getDashPattern(item.dashArray, item.strokeWidth) !== strokeStyle.dashPattern) {
+            item.dashArray = getDashArray(strokeStyle.dashPattern, item.strokeWidth);
+            changed = true;
+        }
+        if (strokeStyle.strokeCap && item.strokeCap !== strokeStyle.strokeCap) {
+            item.strokeCap = strokeStyle.strokeCap;
+            changed = true;
+        }
+        if (strokeStyle.strokeJoin && item.strokeJoin !== strokeStyle.strokeJoin) {
+            item.strokeJoin = strokeStyle.strokeJoin;
+            changed = true;
+        }
+        if (typeof strokeStyle.startArrowhead === 'boolean' && !item.closed &&
+                setArrowheads(item, strokeStyle.startArrowhead, strokeStyle.endArrowhead)) {
+            changed = true;
+        } else if (hasArrowheads(item)) {
+            // Caps change where the arrowheads sit
+            updateArrowheads(item);
+        }
+    }
+    return changed;
+};
+
+/**
+ * Called when setting the opacity of the selection. Opacity belongs to whole items, so it's set on
+ * the selected root items rather than on each shape in a selected group.
+ * @param {number} opacity New opacity, from 0 to 100
+ * @return {boolean} Whether the opacity application actually changed visibly.
+ */
+const applyOpacityToSelection = function (opacity) {
+    let changed = false;
+    for (const item of getSelectedRootItems()) {
+        if (item.opacity !== opacity / 100) {
+            item.opacity = opacity / 100;
             changed = true;
         }
     }
     return changed;
 };
 
+/**
+ * Get the opacity of the selection, from the root items that the selected items belong to
+ * @param {!Array<paper.Item>} selectedItems Selected paper items
+ * @return {?number} Opacity from 0 to 100, or null if the items have different opacities
+ */
+const getOpacityFromSelection = function (selectedItems) {
+    let selectionOpacity;
+    for (const item of selectedItems) {
+        const opacity = Math.round(getRootItem(item).opacity * 100);
+        if (typeof selectionOpacity === 'undefined') {
+            selectionOpacity = opacity;
+        } else if (opacity !== selectionOpacity) {
+            return null;
+        }
+    }
+    return selectionOpacity;
+};
+
 /**
  * Get state of colors and stroke width for selection
  * @param {!Array<paper.Item>} selectedItems Selected paper items
- * @return {object} Object of strokeColor, strokeWidth, fillColor of the selection.
+ * @return {object} Object of strokeColor, strokeWidth, fillColor, fillGradient of the selection.
  *     Gives MIXED when there are mixed values for a color, and null for transparent.
  *     Gives null when there are mixed values for stroke width.
+ *     fillGradient is null when the fills are solid, and MIXED when they are different gradients or
+ *     a mix of gradients and solid colors. For gradient fills, fillColor is the color of the first stop.
  */
 const getColorsFromSelection = function (selectedItems) {
     let selectionFillColorString;
+    let selectionFillGradientString;
     let selectionStrokeColorString;
     let selectionStrokeWidth;
     let firstChild = true;
 
     for (let item of selectedItems) {
+        if (isArrowhead(item)) {
+            continue;
+        }
         if (item.parent instanceof paper.CompoundPath) {
             // Compound path children inherit fill and stroke color from their parent.
             item = item.parent;
         }
         let itemFillColorString;
+        let itemFillGradientString;
         let itemStrokeColorString;
 
         // handle pgTextItems differently by going through their children
@@ -179,7 +396,9 @@ const getColorsFromSelection = function (selectedItems) {
                 if (isPointTextItem(item) && item.fillColor.toCSS() === 'rgba(0,0,0,0)') {
                     itemFillColorString = null;
                 } else if (item.fillColor.type === 'gradient') {
-                    itemFillColorString = MIXED;
+                    const gradientState = _getGradientState(item.fillColor);
+                    itemFillGradientString = JSON.stringify(gradientState);
+                    itemFillColorString = gradientState.stops[0].color;
                 } else {
                     itemFillColorString = item.fillColor.toCSS();
                 }
@@ -195,12 +414,16 @@ const getColorsFromSelection = function (selectedItems) {
             if (firstChild) {
                 firstChild = false;
                 selectionFillColorString = itemFillColorString;
+                selectionFillGradientString = itemFillGradientString;
                 selectionStrokeColorString = itemStrokeColorString;
                 selectionStrokeWidth = item.strokeWidth;
             }
             if (itemFillColorString !== selectionFillColorString) {
                 selectionFillColorString = MIXED;
             }
+            if (itemFillGradientString !== selectionFillGradientString) {
+                selectionFillGradientString = MIXED;
+            }
             if (itemStrokeColorString !== selectionStrokeColorString) {
                 selectionStrokeColorString = MIXED;
             }
@@ -209,30 +432,88 @@ const getColorsFromSelection = function (selectedItems) {
             }
         }
     }
+    let selectionFillGradient = null;
+    if (selectionFillGradientString === MIXED) {
+        selectionFillGradient = MIXED;
+    } else if (selectionFillGradientString) {
+        selectionFillGradient = JSON.parse(selectionFillGradientString);
+    }
     return {
         fillColor: selectionFillColorString ? selectionFillColorString : null,
+        fillGradient: selectionFillGradient,
         strokeColor: selectionStrokeColorString ? selectionStrokeColorString : null,
         strokeWidth: selectionStrokeWidth || (selectionStrokeWidth === null) ? selectionStrokeWidth : 0
     };
 };
 
+/**
+ * Get the stroke style of the selection
+ * @param {!Array<paper.Item>} selectedItems Selected paper items
+ * @return {object} Object of dashPattern, strokeCap, strokeJoin, startArrowhead and endArrowhead of the
+ *     selection. Each is null when the selection has mixed values for it, and dashPattern is also null
+ *     when an item has a dash array that isn't one of DashPatterns.
+ */
+const getStrokeStyleFromSelection = function (selectedItems) {
+    const selectionStyle = {};
+    let firstChild = true;
+    for (let item of selectedItems) {
+        if (isArrowhead(item)) continue;
+        if (item.parent instanceof paper.CompoundPath) {
+            item = item.parent;
+        }
+        if (isGroup(item) || isPGTextItem(item)) continue;
+        const arrowheads = item.data && item.data.arrowheads;
+        const itemStyle = {
+            dashPattern: getDashPattern(item.dashArray, item.strokeWidth),
+            strokeCap: item.strokeCap,
+            strokeJoin: item.strokeJoin,
+            startArrowhead: !!(arrowheads && arrowheads.start),
+            endArrowhead: !!(arrowheads && arrowheads.end)
+        };
+        for (const key in itemStyle) {
+            if (firstChild) {
+                selectionStyle[key] = itemStyle[key];
+            } else if (selectionStyle[key] !== itemStyle[key]) {
+                selectionStyle[key] = null;
+            }
+        }
+        firstChild = false;
+    }
+    return selectionStyle;
+};
+
 const styleBlob = function (path, options) {
     if (options.isEraser) {
         path.fillColor = 'white';
     } else if (options.fillColor) {
-        path.fillColor = options.fillColor;
+        path.fillColor = _getFillForItem(options.fillColor, options.fillGradient, path);
     } else {
         // Make sure something visible is drawn
         path.fillColor = 'black';
     }
 };
 
-const stylePath = function (path, strokeColor, strokeWidth) {
+// Give a new path the dash pattern, caps and joins of the stroke style. See reducers/stroke-style.js
+const _styleStroke = function (path, strokeStyle) {
+    if (!strokeStyle) return;
+    if (strokeStyle.dashPattern && path.strokeWidth) {
+        path.dashArray = getDashArray(strokeStyle.dashPattern, path.strokeWidth);
+    }
+    if (strokeStyle.strokeCap) {
+        path.strokeCap = strokeStyle.strokeCap;
+    }
+    if (strokeStyle.strokeJoin) {
+        path.strokeJoin = strokeStyle.strokeJoin;
+    }
+};
+
+const stylePath = function (path, strokeColor, strokeWidth, strokeStyle) {
     // Make sure a visible line is drawn
     path.setStrokeColor(
         (strokeColor === MIXED || strokeColor === null) ? 'black' : strokeColor);
     path.setStrokeWidth(
         strokeWidth === null || strokeWidth === 0 ? 1 : strokeWidth);
+    _styleStroke(path, strokeStyle);
 };
 
 const styleCursorPreview = function (path, options) {
@@ -249,16 +530,23 @@ const styleCursorPreview = function (path, options) {
 };
 
 const styleShape = function (path, options) {
-    path.fillColor = options.fillColor;
+    path.fillColor = _getFillForItem(options.fillColor, options.fillGradient, path);
     path.strokeColor = options.strokeColor;
     path.strokeWidth = options.strokeWidth;
+    _styleStroke(path, options.strokeStyle);
 };
 
 export {
     applyFillColorToSelection,
+    applyOpacityToSelection,
     applyStrokeColorToSelection,
+    applyStrokeStyleToSelection,
     applyStrokeWidthToSelection,
+    colorsMatch,
+    createGradientObject,
     getColorsFromSelection,
+    getOpacityFromSelection,
+    getStrokeStyleFromSelection,
     MIXED,
     styleBlob,
     styleShape,
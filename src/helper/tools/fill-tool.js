@@ -1,6 +1,8 @@
 import paper from '@scratch/paper';
 import {getHoveredItem} from '../hover';
 import {expandBy} from '../math';
+import {createGradientObject} from '../style-path';
+import {isGradient} from '../../lib/gradient-types';
 
 class FillTool extends paper.Tool {
     static get TOLERANCE () {
@@ -24,6 +26,8 @@ class FillTool extends paper.Tool {
 
         // Color to fill with
         this.fillColor = null;
+        // Gradient to fill with, if its type isn't SOLID. See reducers/fill-gradient.js
+        this.fillGradient = null;
         // The path that's being hovered over.
         this.fillItem = null;
         // If we're hovering over a hole in a compound path, we can't just recolor it. This is the
@@ -48,7 +52,7 @@ class FillTool extends paper.Tool {
                     (hitResult.item.hasFill() || hitResult.item.closed || isAlmostClosedPath(hitResult.item))) {
                     return true;
                 }
-                if (hitResult.item instanceof paper.PointText) {
+                if (hitResult.item instanceof paper.PointText || hitResult.item instanceof paper.Shape) {
                     return true;
                 }
             },
@@ -59,6 +63,9 @@ class FillTool extends paper.Tool {
     setFillColor (fillColor) {
         this.fillColor = fillColor;
     }
+    setFillGradient (fillGradient) {
+        this.fillGradient = fillGradient;
+    }
     /**
      * To be called when the hovered item changes. When the select tool hovers over a
      * new item, it compares against this to see if a hover item change event needs to
@@ -96,7 +103,7 @@ class FillTool extends paper.Tool {
             this.fillItem = hitItem;
             this.fillItemOrigColor = hitItem.fillColor;
             if (hitItem.parent instanceof paper.CompoundPath && hitItem.area < 0) { // hole
-                if (!this.fillColor) {
+                if (!this._hasFill()) {
                     // Hole filled with transparent is no-op
                     this.fillItem = null;
                     this.fillItemOrigColor = null;
@@ -114,7 +121,13 @@ class FillTool extends paper.Tool {
             } else if (this.fillItem.parent instanceof paper.CompoundPath) {
                 this.fillItemOrigColor = hitItem.parent.fillColor;
             }
-            this._setFillItemColor(this.fillColor);
+            if (this._hasGradient()) {
+                // Size the gradient to the item it fills
+                const bounds = this._getFillTarget().internalBounds;
+                this._setFillItemColor(createGradientObject(this.fillGradient, bounds));
+            } else {
+                this._setFillItemColor(this.fillColor);
+            }
         }
     }
     handleMouseUp (event) {
@@ -134,7 +147,7 @@ class FillTool extends paper.Tool {
             } else if (this.addedFillItem) {
                 // Fill in a hole.
                 this.addedFillItem.data.noHover = false;
-            } else if (!this.fillColor &&
+            } else if (!this._hasFill() &&
                     this.fillItem.data &&
                     this.fillItem.data.origItem) {
                 // Filling a hole filler with transparent returns it to being gone
@@ -158,14 +171,22 @@ class FillTool extends paper.Tool {
                 item.strokeColor.alpha === 0 ||
                 item.strokeWidth === 0;
     }
-    _setFillItemColor (color) {
+    _hasGradient () {
+        return !!this.fillGradient && isGradient(this.fillGradient.gradientType);
+    }
+    _hasFill () {
+        return !!this.fillColor || this._hasGradient();
+    }
+    _getFillTarget () {
         if (this.addedFillItem) {
-            this.addedFillItem.fillColor = color;
+            return this.addedFillItem;
         } else if (this.fillItem.parent instanceof paper.CompoundPath) {
-            this.fillItem.parent.fillColor = color;
-        } else {
-            this.fillItem.fillColor = color;
+            return this.fillItem.parent;
         }
+        return this.fillItem;
+    }
+    _setFillItemColor (color) {
+        this._getFillTarget().fillColor = color;
     }
     deactivateTool () {
         if (this.fillItem) {
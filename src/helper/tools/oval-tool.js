@@ -2,6 +2,7 @@ import paper from '@scratch/paper';
 import Modes from '../../lib/modes';
 import {styleShape} from '../style-path';
 import {clearSelection} from '../selection';
+import {snapPoint} from '../snapping';
 import BoundingBoxTool from '../selection-tools/bounding-box-tool';
 import NudgeTool from '../selection-tools/nudge-tool';
 
@@ -35,6 +36,8 @@ class OvalTool extends paper.Tool {
 
         this.oval = null;
         this.colorState = null;
+        this.grid = null;
+        this.rulerGuides = null;
         this.isBoundingBoxMode = null;
         this.active = false;
     }
@@ -61,6 +64,21 @@ class OvalTool extends paper.Tool {
     setColorState (colorState) {
         this.colorState = colorState;
     }
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap drawing, moving and scaling to the grid
+     */
+    setGrid (grid) {
+        this.grid = grid;
+        this.boundingBoxTool.setGrid(grid);
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which drawing, moving and scaling
+     *     snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
+        this.boundingBoxTool.setRulerGuides(rulerGuides);
+    }
     handleMouseDown (event) {
         if (event.event.button > 0) return; // only first mouse button
         this.active = true;
@@ -85,10 +103,10 @@ class OvalTool extends paper.Tool {
             return;
         }
 
-        const downPoint = new paper.Point(event.downPoint.x, event.downPoint.y);
-        const point = new paper.Point(event.point.x, event.point.y);
+        const downPoint = snapPoint(new paper.Point(event.downPoint.x, event.downPoint.y), this.grid, this.rulerGuides);
+        const point = snapPoint(new paper.Point(event.point.x, event.point.y), this.grid, this.rulerGuides);
         if (event.modifiers.shift) {
-            this.oval.size = new paper.Point(event.downPoint.x - event.point.x, event.downPoint.x - event.point.x);
+            this.oval.size = new paper.Point(downPoint.x - point.x, downPoint.x - point.x);
         } else {
             this.oval.size = downPoint.subtract(point);
         }
@@ -97,7 +115,8 @@ class OvalTool extends paper.Tool {
         } else {
             this.oval.position = downPoint.subtract(this.oval.size.multiply(0.5));
         }
-        
+        // Restyle so that gradients stretch to fit the new size
+        styleShape(this.oval, this.colorState);
     }
     handleMouseUp (event) {
         if (event.event.button > 0 || !this.active) return; // only first mouse button
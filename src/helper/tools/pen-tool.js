@@ -0,0 +1,245 @@
+import paper from '@scratch/paper';
+import {MIXED, stylePath, styleShape} from '../style-path';
+import {endPointHit, snapPoint, touching} from '../snapping';
+import {drawHitPoint, getGuideColor, removeHitPoint, setDefaultGuideStyle} from '../guides';
+import {getGuideLayer} from '../layer';
+import {snapDeltaToAngle} from '../math';
+
+/**
+ * Tool for drawing Bézier paths one point at a time. Clicking places a corner point, and dragging
+ * pulls out symmetric handles to make a smooth point. Clicking the start point closes the path, and
+ * dragging there only bends the closing curve, unless alt is held to make the start point smooth.
+ * Clicking the end point of another open path joins onto it. Enter, escape or clicking the last point
+ * again finishes an open path.
+ */
+class PenTool extends paper.Tool {
+    static get SNAP_TOLERANCE () {
+        return 6;
+    }
+    /**
+     * @param {!function} onUpdateImage A callback to call when the image visibly changes
+     */
+    constructor (onUpdateImage) {
+        super();
+        this.onUpdateImage = onUpdateImage;
+
+        // We have to set these functions instead of just declaring them because
+        // paper.js tools hook up the listeners in the setter functions.
+        this.onMouseDown = this.handleMouseDown;
+        this.onMouseMove = this.handleMouseMove;
+        this.onMouseDrag = this.handleMouseDrag;
+        this.onMouseUp = this.handleMouseUp;
+        this.onKeyDown = this.handleKeyDown;
+
+        // The path being drawn
+        this.path = null;
+        // Number of segments the path had before this tool touched it
+        this.startSegmentCount = 0;
+        // The segment whose handles are pulled out by dragging
+        this.dragSegment = null;
+        // Whether dragging sets both handles of dragSegment, or only the outgoing one
+        this.dragSymmetric = true;
+        // Whether dragSegment is the start point of the path being closed, whose outgoing handle was
+        // already drawn, so dragging sets only its incoming handle
+        this.dragClosing = false;
+        // End point of another path to join the path being drawn to once the mouse is released
+        this.joinResult = null;
+        // Guide showing where the next curve will go
+        this.previewPath = null;
+        this.colorState = null;
+        this.grid = null;
+        this.rulerGuides = null;
+        this.active = false;
+    }
+    setColorState (colorState) {
+        this.colorState = colorState;
+    }
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap the points being drawn to the grid
+     */
+    setGrid (grid) {
+        this.grid = grid;
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which the points being drawn
+     *     snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
+    }
+    /**
+     * @param {!paper.Point} point Point to check for end points near
+     * @return {object} data about the end point that clicking the given point would close or join
+     *     the path to, in the format returned by endPointHit, or null if there is none.
+     */
+    getHitResult (point) {
+        if (this.path && this.path.segments.length > 1 &&
+                touching(this.path.firstSegment.point, point, PenTool.SNAP_TOLERANCE)) {
+            return {
+                path: this.path,
+                segment: this.path.firstSegment,
+                isFirst: true
+            };
+        }
+        return endPointHit(point, PenTool.SNAP_TOLERANCE, this.path);
+    }
+    /**
+     * @param {!paper.Point} point Point where the mouse is
+     * @param {!boolean} shift Whether the shift key is held
+     * @return {paper.Point} Where the next point of the path would go, snapped to the grid and ruler guides.
+     *     With shift, it's at a multiple of 45 degrees from the last point instead.
+     */
+    getNextPoint (point, shift) {
+        if (!shift || !this.path) return snapPoint(point, this.grid, this.rulerGuides);
+        const lastPoint = this.path.lastSegment.point;
+        return lastPoint.add(snapDeltaToAngle(point.subtract(lastPoint), Math.PI / 4));
+    }
+    handleMouseMove (event) {
+        const hitResult = this.getHitResult(event.point);
+        if (hitResult) {
+            drawHitPoint(hitResult.segment.point);
+        } else {
+            removeHitPoint();
+        }
+        if (this.path) {
+            this.drawPreview(hitResult ?
+                hitResult.segment.point :
+                this.getNextPoint(event.point, event.modifiers.shift));
+        }
+    }
+    handleMouseDown (event) {
+        if (event.event.button > 0) return; // only first mouse button
+        this.active = true;
+        this.removePreview();
+        removeHitPoint();
+
+        const hitResult = this.getHitResult(event.point);
+        this.dragSymmetric = true;
+        this.dragClosing = false;
+        if (!this.path) {
+            if (hitResult) {
+                // Continue an open path from the end that was clicked
+                this.path = hitResult.path;
+                if (hitResult.isFirst) {
+                    this.path.reverse();
+                }
+                // Don't bend the curve that's already there
+                this.dragSymmetric = false;
+            } else {
+                this.path = new paper.Path({segments: [this.getNextPoint(event.point, false)]});
+                stylePath(
+                    this.path, this.colorState.strokeColor, this.colorState.strokeWidth, this.colorState.strokeStyle);
+            }
+            this.startSegmentCount = this.path.segments.length;
+            this.dragSegment = this.path.lastSegment;
+        } else if (this.path.segments.length > 1 &&
+                touching(this.path.lastSegment.point, event.point, PenTool.SNAP_TOLERANCE)) {
+            // Clicking the last point again finishes the path
+            this.finishPath();
+        } else if (hitResult && hitResult.path === this.path) {
+            this.path.closed = true;
+            this.dragSegment = this.path.firstSegment;
+            this.dragClosing = true;
+        } else if (hitResult) {
+            this.joinResult = hitResult;
+            this.dragSegment = this.path.add(hitResult.segment.point);
+        } else {
+            this.dragSegment = this.path.add(this.getNextPoint(event.point, event.modifiers.shift));
+        }
+    }
+    handleMouseDrag (event) {
+        if (event.event.button > 0 || !this.active || !this.dragSegment) return; // only first mouse button
+
+        let handle = event.point.subtract(this.dragSegment.point);
+        if (event.modifiers.shift) {
+            handle = snapDeltaToAngle(handle, Math.PI / 4);
+        }
+        if (this.dragClosing && !event.modifiers.alt) {
+            // Leave the first curve alone
+            this.dragSegment.handleIn = handle.multiply(-1);
+            return;
+        }
+        this.dragSegment.handleOut = handle;
+        if (this.dragSymmetric) {
+            this.dragSegment.handleIn = handle.multiply(-1);
+        }
+    }
+    handleMouseUp (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+        this.active = false;
+        this.dragSegment = null;
+        this.dragClosing = false;
+
+        if (this.joinResult) {
+            const otherPath = this.joinResult.path;
+            if (!this.joinResult.isFirst) {
+                otherPath.reverse();
+            }
+            // Overlapping end points are merged into one, which keeps the handle we just pulled out
+            this.path.join(otherPath);
+            this.joinResult = null;
+            this.finishPath();
+        } else if (this.path && this.path.closed) {
+            this.finishPath();
+        }
+    }
+    handleKeyDown (event) {
+        if (this.path && (event.key === 'enter' || event.key === 'escape')) {
+            this.finishPath();
+        }
+    }
+    drawPreview (point) {
+        this.removePreview();
+        const lastSegment = this.path.lastSegment;
+        this.previewPath = new paper.Path({
+            segments: [
+                new paper.Segment(lastSegment.point, null, lastSegment.handleOut),
+                point
+            ]
+        });
+        setDefaultGuideStyle(this.previewPath);
+        this.previewPath.strokeColor = getGuideColor();
+        this.previewPath.parent = getGuideLayer();
+        this.previewPath.data.isHelperItem = true;
+    }
+    removePreview () {
+        if (this.previewPath) {
+            this.previewPath.remove();
+            this.previewPath = null;
+        }
+    }
+    finishPath () {
+        if (!this.path) return;
+        this.removePreview();
+        removeHitPoint();
+
+        const path = this.path;
+        this.path = null;
+        this.dragSegment = null;
+        this.joinResult = null;
+        this.active = false;
+        if (path.segments.length < 2) {
+            // Single click, not a path
+            path.remove();
+            return;
+        }
+        if (path.closed) {
+            // Closed shapes get filled
+            const {fillColor} = this.colorState;
+            if (fillColor && fillColor !== MIXED) {
+                styleShape(path, this.colorState);
+            }
+        } else if (path.segments.length === this.startSegmentCount) {
+            // Continued an existing path without adding anything
+            return;
+        }
+        this.onUpdateImage();
+    }
+    deactivateTool () {
+        this.finishPath();
+        this.removePreview();
+        removeHitPoint();
+    }
+}
+
+export default PenTool;
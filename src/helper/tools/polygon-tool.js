@@ -0,0 +1,149 @@
+import paper from '@scratch/paper';
+import Modes from '../../lib/modes';
+import {styleShape} from '../style-path';
+import {makePolygon} from '../polygon';
+import {clearSelection} from '../selection';
+import {snapPoint} from '../snapping';
+import BoundingBoxTool from '../selection-tools/bounding-box-tool';
+import NudgeTool from '../selection-tools/nudge-tool';
+
+/**
+ * Tool for drawing regular polygons and stars.
+ */
+class PolygonTool extends paper.Tool {
+    static get TOLERANCE () {
+        return 6;
+    }
+    /**
+     * @param {function} setSelectedItems Callback to set the set of selected items in the Redux state
+     * @param {function} clearSelectedItems Callback to clear the set of selected items in the Redux state
+     * @param {!function} onUpdateImage A callback to call when the image visibly changes
+     */
+    constructor (setSelectedItems, clearSelectedItems, onUpdateImage) {
+        super();
+        this.setSelectedItems = setSelectedItems;
+        this.clearSelectedItems = clearSelectedItems;
+        this.onUpdateImage = onUpdateImage;
+        this.boundingBoxTool = new BoundingBoxTool(Modes.POLYGON, setSelectedItems, clearSelectedItems, onUpdateImage);
+        const nudgeTool = new NudgeTool(this.boundingBoxTool, onUpdateImage);
+        
+        // We have to set these functions instead of just declaring them because
+        // paper.js tools hook up the listeners in the setter functions.
+        this.onMouseDown = this.handleMouseDown;
+        this.onMouseDrag = this.handleMouseDrag;
+        this.onMouseUp = this.handleMouseUp;
+        this.onKeyUp = nudgeTool.onKeyUp;
+        this.onKeyDown = nudgeTool.onKeyDown;
+
+        this.polygon = null;
+        this.colorState = null;
+        this.polygonState = null;
+        this.grid = null;
+        this.rulerGuides = null;
+        this.isBoundingBoxMode = null;
+        this.active = false;
+    }
+    getHitOptions () {
+        return {
+            segments: true,
+            stroke: true,
+            curves: true,
+            fill: true,
+            guide: false,
+            match: hitResult =>
+                (hitResult.item.data && hitResult.item.data.isHelperItem) ||
+                hitResult.item.selected, // Allow hits on bounding box and selected only
+            tolerance: PolygonTool.TOLERANCE / paper.view.zoom
+        };
+    }
+    /**
+     * Should be called if the selection changes to update the bounds of the bounding box.
+     * @param {Array<paper.Item>} selectedItems Array of selected items.
+     */
+    onSelectionChanged (selectedItems) {
+        this.boundingBoxTool.onSelectionChanged(selectedItems);
+    }
+    setColorState (colorState) {
+        this.colorState = colorState;
+    }
+    /**
+     * @param {object} polygonState The number of sides and star settings of shapes to draw
+     */
+    setPolygonState (polygonState) {
+        this.polygonState = polygonState;
+    }
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap drawing, moving and scaling to the grid
+     */
+    setGrid (grid) {
+        this.grid = grid;
+        this.boundingBoxTool.setGrid(grid);
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which drawing, moving and scaling
+     *     snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
+        this.boundingBoxTool.setRulerGuides(rulerGuides);
+    }
+    handleMouseDown (event) {
+        if (event.event.button > 0) return; // only first mouse button
+        this.active = true;
+
+        if (this.boundingBoxTool.onMouseDown(event, false /* clone */, false /* multiselect */, this.getHitOptions())) {
+            this.isBoundingBoxMode = true;
+        } else {
+            this.isBoundingBoxMode = false;
+            clearSelection(this.clearSelectedItems);
+        }
+    }
+    handleMouseDrag (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+
+        if (this.isBoundingBoxMode) {
+            this.boundingBoxTool.onMouseDrag(event);
+            return;
+        }
+
+        if (this.polygon) {
+            this.polygon.remove();
+        }
+
+        const downPoint = snapPoint(event.downPoint, this.grid, this.rulerGuides);
+        const point = snapPoint(event.point, this.grid, this.rulerGuides);
+        this.polygon = makePolygon(downPoint, point, this.polygonState, event.modifiers.shift, event.modifiers.alt);
+        if (this.polygon) {
+            styleShape(this.polygon, this.colorState);
+        }
+    }
+    handleMouseUp (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+        
+        if (this.isBoundingBoxMode) {
+            this.boundingBoxTool.onMouseUp(event);
+            this.isBoundingBoxMode = null;
+            return;
+        }
+
+        if (this.polygon) {
+            const tolerance = PolygonTool.TOLERANCE / paper.view.zoom;
+            if (this.polygon.bounds.width < tolerance && this.polygon.bounds.height < tolerance) {
+                // Tiny shape created unintentionally?
+                this.polygon.remove();
+                this.polygon = null;
+            } else {
+                this.polygon.selected = true;
+                this.setSelectedItems();
+                this.onUpdateImage();
+                this.polygon = null;
+            }
+        }
+        this.active = false;
+    }
+    deactivateTool () {
+        this.boundingBoxTool.removeBoundsPath();
+    }
+}
+
+export default PolygonTool;
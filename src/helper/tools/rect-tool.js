@@ -2,6 +2,7 @@ import paper from '@scratch/paper';
 import Modes from '../../lib/modes';
 import {styleShape} from '../style-path';
 import {clearSelection} from '../selection';
+import {snapPoint} from '../snapping';
 import BoundingBoxTool from '../selection-tools/bounding-box-tool';
 import NudgeTool from '../selection-tools/nudge-tool';
 
@@ -35,6 +36,8 @@ class RectTool extends paper.Tool {
 
         this.rect = null;
         this.colorState = null;
+        this.grid = null;
+        this.rulerGuides = null;
         this.isBoundingBoxMode = null;
         this.active = false;
     }
@@ -61,6 +64,21 @@ class RectTool extends paper.Tool {
     setColorState (colorState) {
         this.colorState = colorState;
     }
+    /**
+     * @param {?object} grid Grid state from Redux, used to snap drawing, moving and scaling to the grid
+     */
+    setGrid (grid) {
+        this.grid = grid;
+        this.boundingBoxTool.setGrid(grid);
+    }
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which drawing, moving and scaling
+     *     snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
+        this.boundingBoxTool.setRulerGuides(rulerGuides);
+    }
     handleMouseDown (event) {
         if (event.event.button > 0) return; // only first mouse button
         this.active = true;
@@ -84,18 +102,20 @@ class RectTool extends paper.Tool {
             this.rect.remove();
         }
 
-        const dimensions = event.point.subtract(event.downPoint);
-        const rect = new paper.Rectangle(event.downPoint, event.point);
+        const downPoint = snapPoint(event.downPoint, this.grid, this.rulerGuides);
+        const point = snapPoint(event.point, this.grid, this.rulerGuides);
+        const dimensions = point.subtract(downPoint);
+        const rect = new paper.Rectangle(downPoint, point);
         if (event.modifiers.shift) {
             rect.height = rect.width;
-            dimensions.y = event.downPoint.y > event.point.y ? -Math.abs(rect.width) : Math.abs(rect.width);
+            dimensions.y = downPoint.y > point.y ? -Math.abs(rect.width) : Math.abs(rect.width);
         }
         this.rect = new paper.Path.Rectangle(rect);
         
         if (event.modifiers.alt) {
-            this.rect.position = event.downPoint;
+            this.rect.position = downPoint;
         } else {
-            this.rect.position = event.downPoint.add(dimensions.multiply(.5));
+            this.rect.position = downPoint.add(dimensions.multiply(.5));
         }
         
         styleShape(this.rect, this.colorState);
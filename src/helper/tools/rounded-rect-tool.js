@@ -1,53 +1,163 @@
 import paper from '@scratch/paper';
-import log from '../../log/log';
+import Modes from '../../lib/modes';
+import {styleShape} from '../style-path';
+import {clearSelection} from '../selection';
+import {snapPoint} from '../snapping';
+import BoundingBoxTool from '../selection-tools/bounding-box-tool';
+import NudgeTool from '../selection-tools/nudge-tool';
 
 /**
- * Tool for drawing rounded rectangles
+ * Tool for drawing rounded rectangles. They stay paper.Shape rectangles after being drawn,
+ * so that their corner radius can be changed later. See helper/rounded-rect.js
  */
 class RoundedRectTool extends paper.Tool {
+    static get TOLERANCE () {
+        return 6;
+    }
     /**
-     * @param {function} setHoveredItem Callback to set the hovered item
-     * @param {function} clearHoveredItem Callback to clear the hovered item
      * @param {function} setSelectedItems Callback to set the set of selected items in the Redux state
      * @param {function} clearSelectedItems Callback to clear the set of selected items in the Redux state
      * @param {!function} onUpdateImage A callback to call when the image visibly changes
      */
-    constructor (setHoveredItem, clearHoveredItem, setSelectedItems, clearSelectedItems, onUpdateImage) {
+    constructor (setSelectedItems, clearSelectedItems, onUpdateImage) {
         super();
-        this.setHoveredItem = setHoveredItem;
-        this.clearHoveredItem = clearHoveredItem;
         this.setSelectedItems = setSelectedItems;
         this.clearSelectedItems = clearSelectedItems;
         this.onUpdateImage = onUpdateImage;
-        this.prevHoveredItemId = null;
+        this.boundingBoxTool = new BoundingBoxTool(
+            Modes.ROUNDED_RECT, setSelectedItems, clearSelectedItems, onUpdateImage);
+        const nudgeTool = new NudgeTool(this.boundingBoxTool, onUpdateImage);
         
         // We have to set these functions instead of just declaring them because
         // paper.js tools hook up the listeners in the setter functions.
         this.onMouseDown = this.handleMouseDown;
-        this.onMouseMove = this.handleMouseMove;
         this.onMouseDrag = this.handleMouseDrag;
         this.onMouseUp = this.handleMouseUp;
+        this.onKeyUp = nudgeTool.onKeyUp;
+        this.onKeyDown = nudgeTool.onKeyDown;
+
+        this.rect = null;
+        this.colorState = null;
+        this.cornerRadius = 0;
+        this.grid = null;
+        this.rulerGuides = null;
+        this.isBoundingBoxMode = null;
+        this.active = false;
+    }
+    getHitOptions () {
+        return {
+            segments: true,
+            stroke: true,
+            curves: true,
+            fill: true,
+            guide: false,
+            match: hitResult =>
+                (hitResult.item.data && hitResult.item.data.isHelperItem) ||
+                hitResult.item.selected, // Allow hits on bounding box and selected only
+            tolerance: RoundedRectTool.TOLERANCE / paper.view.zoom
+        };
+    }
+    /**
+     * Should be called if the selection changes to update the bounds of the bounding box.
+     * @param {Array<paper.Item>} selectedItems Array of selected items.
+     */
+    onSelectionChanged (selectedItems) {
+        this.boundingBoxTool.onSelectionChanged(selectedItems);
+    }
+    setColorState (colorState) {
+        this.colorState = colorState;
+    }
+    /**
+     * @param {number} cornerRadius Corner radius of rectangles to draw
+     */
+    setCornerRadius (cornerRadius) {
+        this.cornerRadius = cornerRadius;
     }
     /**
-     * To be called when the hovered item changes. When the select tool hovers over a
-     * new item, it compares against this to see if a hover item change event needs to
-     * be fired.
-     * @param {paper.Item} prevHoveredItemId ID of the highlight item that indicates the mouse is
-     *     over a given item currently
+     * @param {?object} grid Grid state from Redux, used to snap drawing, moving and scaling to the grid
      */
-    setPrevHoveredItemId (prevHoveredItemId) {
-        this.prevHoveredItemId = prevHoveredItemId;
+    setGrid (grid) {
+        this.grid = grid;
+        this.boundingBoxTool.setGrid(grid);
     }
-    handleMouseDown () {
-        log.warn('Rounded Rectangle tool not yet implemented');
+    /**
+     * @param {?object} rulerGuides Ruler guides of the costume from Redux, which drawing, moving and scaling
+     *     snap to
+     */
+    setRulerGuides (rulerGuides) {
+        this.rulerGuides = rulerGuides;
+        this.boundingBoxTool.setRulerGuides(rulerGuides);
     }
-    handleMouseMove () {
+    handleMouseDown (event) {
+        if (event.event.button > 0) return; // only first mouse button
+        this.active = true;
+
+        if (this.boundingBoxTool.onMouseDown(event, false /* clone */, false /* multiselect */, this.getHitOptions())) {
+            this.isBoundingBoxMode = true;
+        } else {
+            this.isBoundingBoxMode = false;
+            clearSelection(this.clearSelectedItems);
+        }
     }
-    handleMouseDrag () {
+    handleMouseDrag (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+
+        if (this.isBoundingBoxMode) {
+            this.boundingBoxTool.onMouseDrag(event);
+            return;
+        }
+
+        if (this.rect) {
+            this.rect.remove();
+        }
+
+        const downPoint = snapPoint(event.downPoint, this.grid, this.rulerGuides);
+        const point = snapPoint(event.point, this.grid, this.rulerGuides);
+        const dimensions = point.subtract(downPoint);
+        const rect = new paper.Rectangle(downPoint, point);
+        if (event.modifiers.shift) {
+            rect.height = rect.width;
+            dimensions.y = downPoint.y > point.y ? -Math.abs(rect.width) : Math.abs(rect.width);
+        }
+        this.rect = new paper.Shape.Rectangle({
+            rectangle: rect,
+            radius: this.cornerRadius,
+            data: {isRoundedRect: true}
+        });
+        
+        if (event.modifiers.alt) {
+            this.rect.position = downPoint;
+        } else {
+            this.rect.position = downPoint.add(dimensions.multiply(.5));
+        }
+        
+        styleShape(this.rect, this.colorState);
     }
-    handleMouseUp () {
+    handleMouseUp (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+        
+        if (this.isBoundingBoxMode) {
+            this.boundingBoxTool.onMouseUp(event);
+            this.isBoundingBoxMode = null;
+            return;
+        }
+
+        if (this.rect) {
+            if (this.rect.size.width * this.rect.size.height < RoundedRectTool.TOLERANCE / paper.view.zoom) {
+                // Tiny rectangle created unintentionally?
+                this.rect.remove();
+                this.rect = null;
+            } else {
+                this.rect.selected = true;
+                this.setSelectedItems();
+                this.onUpdateImage();
+                this.rect = null;
+            }
+        }
+        this.active = false;
     }
     deactivateTool () {
+        this.boundingBoxTool.removeBoundsPath();
     }
 }
 
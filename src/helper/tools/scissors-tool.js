@@ -0,0 +1,97 @@
+import paper from '@scratch/paper';
+import {cutPathAt, getCutLocation, sliceWithKnife} from '../cut';
+import {drawHitPoint, getGuideColor, removeHitPoint, setDefaultGuideStyle} from '../guides';
+import {getGuideLayer} from '../layer';
+
+/**
+ * Tool for cutting paths apart. Clicking a path cuts it in two there, or opens it if it is closed, like
+ * scissors. Dragging draws a knife line, which slices the selected closed shapes into separate shapes
+ * wherever it goes all of the way across them. With nothing selected, the knife cuts nothing.
+ */
+class ScissorsTool extends paper.Tool {
+    static get TOLERANCE () {
+        return 6;
+    }
+    /**
+     * @param {!function} setSelectedItems Callback to set the set of selected items in the Redux state
+     * @param {!function} onUpdateImage A callback to call when the image visibly changes
+     */
+    constructor (setSelectedItems, onUpdateImage) {
+        super();
+        this.setSelectedItems = setSelectedItems;
+        this.onUpdateImage = onUpdateImage;
+
+        // We have to set these functions instead of just declaring them because
+        // paper.js tools hook up the listeners in the setter functions.
+        this.onMouseDown = this.handleMouseDown;
+        this.onMouseMove = this.handleMouseMove;
+        this.onMouseDrag = this.handleMouseDrag;
+        this.onMouseUp = this.handleMouseUp;
+
+        // Guide showing the knife line being dragged
+        this.knifePath = null;
+        this.active = false;
+    }
+    getTolerance () {
+        return ScissorsTool.TOLERANCE / paper.view.zoom;
+    }
+    handleMouseMove (event) {
+        const location = getCutLocation(event.point, this.getTolerance());
+        if (location) {
+            drawHitPoint(location.point);
+        } else {
+            removeHitPoint();
+        }
+    }
+    handleMouseDown (event) {
+        if (event.event.button > 0) return; // only first mouse button
+        this.active = true;
+        this.removeKnifePath();
+    }
+    handleMouseDrag (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+        if (!this.knifePath) {
+            // Small wobbles while clicking shouldn't turn the click into a knife line
+            if (event.point.getDistance(event.downPoint) < this.getTolerance()) return;
+            removeHitPoint();
+            this.knifePath = new paper.Path({segments: [event.downPoint]});
+            setDefaultGuideStyle(this.knifePath);
+            this.knifePath.strokeColor = getGuideColor();
+            this.knifePath.parent = getGuideLayer();
+            this.knifePath.data.isHelperItem = true;
+        }
+        this.knifePath.add(event.point);
+    }
+    handleMouseUp (event) {
+        if (event.event.button > 0 || !this.active) return; // only first mouse button
+        this.active = false;
+
+        if (this.knifePath) {
+            const knife = this.knifePath;
+            this.knifePath = null;
+            knife.remove();
+            if (sliceWithKnife(knife)) {
+                this.setSelectedItems();
+                this.onUpdateImage();
+            }
+            return;
+        }
+        const location = getCutLocation(event.point, this.getTolerance());
+        if (location && cutPathAt(location)) {
+            removeHitPoint();
+            this.onUpdateImage();
+        }
+    }
+    removeKnifePath () {
+        if (this.knifePath) {
+            this.knifePath.remove();
+            this.knifePath = null;
+        }
+    }
+    deactivateTool () {
+        this.removeKnifePath();
+        removeHitPoint();
+    }
+}
+
+export default ScissorsTool;
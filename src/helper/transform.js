@@ -0,0 +1,216 @@
+import paper from '@scratch/paper';
+import {getSelectedRootItems} from './selection';
+import {getRotationCenter, setRotationCenter} from './view';
+
+// Costumes are imported at 2x (see paper-canvas.jsx), so a stage unit is 2 paper units
+const STAGE_SCALE = 2;
+
+// Sizes below this, in paper units, can't be scaled back up
+const MIN_SIZE = 1e-6;
+
+// Keep angles in (-180, 180], the range of Scratch directions relative to pointing right
+const _normalizeAngle = function (angle) {
+    angle %= 360;
+    if (angle > 180) angle -= 360;
+    if (angle <= -180) angle += 360;
+    return angle;
+};
+
+/**
+ * @param {!paper.Item} item A root item
+ * @return {number} How far the item has been rotated, in degrees clockwise. Paths apply their
+ *     transforms to their segments, so this is tracked in the item's data as it is rotated.
+ */
+const getItemRotation = function (item) {
+    return (item.data && typeof item.data.rotation === 'number') ? item.data.rotation : 0;
+};
+
+/**
+ * Record that an item has been rotated, so that its rotation can be shown.
+ * @param {!paper.Item} item A root item which was rotated
+ * @param {number} angle The angle it was rotated by, in degrees clockwise
+ */
+const addItemRotation = function (item, angle) {
+    item.data.rotation = _normalizeAngle(getItemRotation(item) + angle);
+};
+
+/**
+ * Update an item's recorded rotation after it was scaled along the page's axes. Flipping an item mirrors
+ * its rotation. Stretching a rotated item skews it, so then there is no rotation left to keep.
+ * @param {!paper.Item} item A root item which was scaled
+ * @param {number} scaleX How much it was scaled horizontally. Negative if it was flipped.
+ * @param {number} scaleY How much it was scaled vertically. Negative if it was flipped.
+ */
+const scaleItemRotation = function (item, scaleX, scaleY) {
+    const rotation = getItemRotation(item);
+    if (!rotation) return;
+    const sizeX = Math.abs(scaleX);
+    const sizeY = Math.abs(scaleY);
+    if (Math.abs(sizeX - sizeY) > MIN_SIZE * Math.max(sizeX, sizeY)) {
+        delete item.data.rotation;
+    } else if (scaleX * scaleY < 0) {
+        item.data.rotation = _normalizeAngle(-rotation);
+    } else if (scaleX < 0) {
+        item.data.rotation = _normalizeAngle(rotation + 180);
+    }
+};
+
+const _getSelectionBounds = function (items) {
+    let bounds = null;
+    for (const item of items) {
+        bounds = bounds ? bounds.unite(item.bounds) : item.bounds.clone();
+    }
+    return bounds;
+};
+
+/**
+ * @param {!Array<paper.Item>} items Root items
+ * @return {?number} The rotation that all of the items share, or null if they have been rotated differently
+ */
+const _getSharedRotation = function (items) {
+    const rotation = getItemRotation(items[0]);
+    return items.every(item => getItemRotation(item) === rotation) ? rotation : null;
+};
+
+/**
+ * @param {!Array<paper.Item>} items Root items which share a rotation
+ * @param {number} rotation The items' rotation, in degrees clockwise
+ * @param {!paper.Point} center The point the items are turned about
+ * @return {paper.Rectangle} The bounds of the items in their own frame, as if they were turned back by
+ *     their rotation
+ */
+const _getUnrotatedBounds = function (items, rotation, center) {
+    if (!rotation) return _getSelectionBounds(items);
+    const matrix = new paper.Matrix().rotate(-rotation, center);
+    let bounds = null;
+    for (const item of items) {
+        const itemBounds = item.getBounds(matrix);
+        bounds = bounds ? bounds.unite(itemBounds) : itemBounds;
+    }
+    return bounds;
+};
+
+const _round = function (value) {
+    return Math.round(value * 100) / 100;
+};
+
+/**
+ * Get the position, size and rotation of the selection in Scratch stage units, which are the units a
+ * sprite's position is given in: the origin is the costume's rotation center and y points up.
+ * @return {?object} The center x and y, width, height and rotation in degrees clockwise of the
+ *     selected items, or null if nothing is selected. The width and height are measured along the
+ *     selection's rotation. If the selected items have been rotated differently, the rotation is 0 and
+ *     resizable is false, since there is no single direction to resize them along.
+ */
+const getSelectionTransform = function () {
+    // The panel can be drawn before the canvas is set up
+    if (!paper.project) return null;
+    const items = getSelectedRootItems();
+    if (!items.length) return null;
+    const bounds = _getSelectionBounds(items);
+    const center = bounds.center.subtract(getRotationCenter());
+    const rotation = _getSharedRotation(items);
+    const size = _getUnrotatedBounds(items, rotation || 0, bounds.center).size;
+    return {
+        x: _round(center.x / STAGE_SCALE),
+        y: _round(-center.y / STAGE_SCALE),
+        width: _round(size.width / STAGE_SCALE),
+        height: _round(size.height / STAGE_SCALE),
+        rotation: rotation === null ? 0 : _round(rotation),
+        resizable: rotation !== null
+    };
+};
+
+/**
+ * Move, resize and rotate the selected items so that the selection has the given position, size and
+ * rotation, about the center of the selection. Values which are left out are not changed.
+ * @param {!object} transform New values for the selection, in the units of getSelectionTransform
+ * @param {number} [transform.x] Center x
+ * @param {number} [transform.y] Center y
+ * @param {number} [transform.width] Width
+ * @param {number} [transform.height] Height
+ * @param {number} [transform.rotation] Rotation in degrees clockwise
+ * @return {boolean} Whether anything changed
+ */
+const setSelectionTransform = function (transform) {
+    const items = getSelectedRootItems();
+    if (!items.length) return false;
+    const current = getSelectionTransform();
+    const bounds = _getSelectionBounds(items);
+    let changed = false;
+
+    // Scale first, since resizing is about the current center
+    const resize = (size, currentSize, paperSize) => {
+        if (!current.resizable || typeof size !== 'number' || size === currentSize || paperSize <= MIN_SIZE) {
+            return 1;
+        }
+        return Math.max(size * STAGE_SCALE, MIN_SIZE) / paperSize;
+    };
+    // Rotated items are resized along their rotation, so that they aren't skewed
+    const rotation = current.resizable ? getItemRotation(items[0]) : 0;
+    const unrotatedBounds = _getUnrotatedBounds(items, rotation, bounds.center);
+    const scaleX = resize(transform.width, current.width, unrotatedBounds.width);
+    const scaleY = resize(transform.height, current.height, unrotatedBounds.height);
+    if (scaleX !== 1 || scaleY !== 1) {
+        const matrix = new paper.Matrix()
+            .rotate(rotation, bounds.center)
+            .scale(scaleX, scaleY, unrotatedBounds.center)
+            .rotate(-rotation, bounds.center);
+        for (const item of items) {
+            item.transform(matrix);
+            // mark text items as scaled (for later use on font size calc)
+            if (item.data.isPGTextItem) {
+                item.data.wasScaled = true;
+            }
+        }
+        changed = true;
+    }
+
+    if (typeof transform.rotation === 'number' && transform.rotation !== current.rotation) {
+        const angle = transform.rotation - current.rotation;
+        for (const item of items) {
+            item.rotate(angle, bounds.center);
+            addItemRotation(item, angle);
+        }
+        changed = true;
+    }
+
+    // Rotating changes the bounds, so move the center back to where it was, or to the new position
+    const target = bounds.center.clone();
+    if (typeof transform.x === 'number' && transform.x !== current.x) {
+        target.x = getRotationCenter().x + (transform.x * STAGE_SCALE);
+    }
+    if (typeof transform.y === 'number' && transform.y !== current.y) {
+        target.y = getRotationCenter().y - (transform.y * STAGE_SCALE);
+    }
+    const delta = target.subtract(_getSelectionBounds(items).center);
+    if (delta.length > MIN_SIZE) {
+        for (const item of items) {
+            item.translate(delta);
+        }
+        changed = true;
+    }
+    return changed;
+};
+
+/**
+ * Move the costume's rotation center to the center of the selection.
+ * @return {boolean} Whether the rotation center moved
+ */
+const centerRotationOnSelection = function () {
+    const items = getSelectedRootItems();
+    if (!items.length) return false;
+    const center = _getSelectionBounds(items).center;
+    if (center.equals(getRotationCenter())) return false;
+    setRotationCenter(center);
+    return true;
+};
+
+export {
+    addItemRotation,
+    centerRotationOnSelection,
+    getItemRotation,
+    getSelectionTransform,
+    scaleItemRotation,
+    setSelectionTransform
+};
@@ -1,7 +1,8 @@
 // undo functionality
 // modifed from https://github.com/memononen/stylii
 import paper from '@scratch/paper';
-import {hideGuideLayers, showGuideLayers, getRaster} from '../helper/layer';
+import {getActivePaintingLayer, getPaintingLayers, hideGuideLayers, showGuideLayers, getRaster} from '../helper/layer';
+import {getRotationCenter, setRotationCenter} from '../helper/view';
 import Formats from '../lib/format';
 import {isVector, isBitmap} from '../lib/format';
 import log from '../log/log';
@@ -15,15 +16,20 @@ const performSnapshot = function (dispatchPerformSnapshot, format) {
     if (!format) {
         log.error('Format must be specified.');
     }
+    // The rotation center is kept in the guide layers, so read it before they are hidden
+    const rotationCenter = getRotationCenter();
     const guideLayers = hideGuideLayers();
     dispatchPerformSnapshot({
         json: paper.project.exportJSON({asString: false}),
-        paintEditorFormat: format
+        paintEditorFormat: format,
+        rotationCenter: rotationCenter
     });
     showGuideLayers(guideLayers);
 };
 
 const _restore = function (entry, setSelectedItems, onUpdateImage) {
+    // Keep drawing into the same layer, if it still exists in the restored state
+    const activeLayerIndex = getPaintingLayers().indexOf(getActivePaintingLayer());
     for (let i = paper.project.layers.length - 1; i >= 0; i--) {
         const layer = paper.project.layers[i];
         if (!layer.data.isBackgroundGuideLayer) {
@@ -32,6 +38,11 @@ const _restore = function (entry, setSelectedItems, onUpdateImage) {
         }
     }
     paper.project.importJSON(entry.json);
+    if (entry.rotationCenter) {
+        setRotationCenter(entry.rotationCenter);
+    }
+    const paintingLayers = getPaintingLayers();
+    paintingLayers[Math.min(activeLayerIndex, paintingLayers.length - 1)].activate();
 
     setSelectedItems();
     getRaster().onLoad = function () {
@@ -9,6 +9,38 @@ const SVG_ART_BOARD_HEIGHT = 360;
 const ART_BOARD_WIDTH = 480 * 2;
 const ART_BOARD_HEIGHT = 360 * 2;
 
+// The crosshair drawn at the costume's rotation center
+const _getRotationCenterMarker = () => {
+    if (!paper.project) return null;
+    const backgroundGuideLayer = paper.project.layers.find(layer => layer.data.isBackgroundGuideLayer);
+    if (!backgroundGuideLayer) return null;
+    return backgroundGuideLayer.children.find(item => item.data.isRotationCenter) || null;
+};
+
+/**
+ * Costumes are imported with their rotation center at the center of the art board, and it can then be
+ * moved to choose a different one. While the guide layers are hidden, this is the center of the art board.
+ * @return {paper.Point} The costume's rotation center
+ */
+const getRotationCenter = () => {
+    const marker = _getRotationCenterMarker();
+    return marker ? marker.position.clone() : new paper.Point(ART_BOARD_WIDTH / 2, ART_BOARD_HEIGHT / 2);
+};
+
+/**
+ * @param {!paper.Point} point The new rotation center of the costume
+ */
+const setRotationCenter = point => {
+    const marker = _getRotationCenterMarker();
+    if (marker) {
+        marker.position = point;
+    }
+};
+
+const resetRotationCenter = () => {
+    setRotationCenter(new paper.Point(ART_BOARD_WIDTH / 2, ART_BOARD_HEIGHT / 2));
+};
+
 const _clampViewBounds = () => {
     const {left, right, top, bottom} = paper.project.view.bounds;
     if (left < 0) {
@@ -75,8 +107,11 @@ export {
     ART_BOARD_WIDTH,
     SVG_ART_BOARD_WIDTH,
     SVG_ART_BOARD_HEIGHT,
+    getRotationCenter,
     pan,
+    resetRotationCenter,
     resetZoom,
+    setRotationCenter,
     zoomOnSelection,
     zoomOnFixedPoint
 };
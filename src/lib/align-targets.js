@@ -0,0 +1,10 @@
+import keyMirror from 'keymirror';
+
+// What selected items are aligned to
+const AlignTargets = keyMirror({
+    SELECTION: null,
+    ARTBOARD: null,
+    ROTATION_CENTER: null
+});
+
+export default AlignTargets;
@@ -0,0 +1,45 @@
+import keyMirror from 'keymirror';
+
+const GradientTypes = keyMirror({
+    SOLID: null,
+    LINEAR: null,
+    RADIAL: null,
+    HORIZONTAL: null,
+    VERTICAL: null
+});
+
+const isGradient = function (gradientType) {
+    return !!gradientType && gradientType !== GradientTypes.SOLID;
+};
+
+/**
+ * Make a CSS background which previews a gradient.
+ * @param {!string} gradientType One of GradientTypes
+ * @param {!Array<object>} stops Color stops, each with a color (null for transparent) and an offset from 0 to 1
+ * @param {number} angle Direction of LINEAR gradients, in degrees clockwise from pointing right
+ * @return {string} CSS background. For SOLID, the color of the first stop.
+ */
+const getCSSGradient = function (gradientType, stops, angle) {
+    const cssStops = stops
+        .map(stop => `${stop.color === null ? 'transparent' : stop.color} ${stop.offset * 100}%`)
+        .join(', ');
+    switch (gradientType) {
+    case GradientTypes.LINEAR:
+        // CSS angles start from pointing up
+        return `linear-gradient(${angle + 90}deg, ${cssStops})`;
+    case GradientTypes.RADIAL:
+        return `radial-gradient(${cssStops})`;
+    case GradientTypes.HORIZONTAL:
+        return `linear-gradient(to right, ${cssStops})`;
+    case GradientTypes.VERTICAL:
+        return `linear-gradient(to bottom, ${cssStops})`;
+    default:
+        return stops[0].color === null ? 'white' : stops[0].color;
+    }
+};
+
+export {
+    GradientTypes as default,
+    getCSSGradient,
+    isGradient
+};
@@ -5,18 +5,24 @@ const Modes = keyMirror({
     BIT_LINE: null,
     BIT_OVAL: null,
     BIT_RECT: null,
+    BIT_POLYGON: null,
     BIT_TEXT: null,
     BIT_FILL: null,
     BIT_ERASER: null,
+    BIT_SELECT: null,
+    BIT_MAGIC_WAND: null,
     BRUSH: null,
     ERASER: null,
     LINE: null,
+    PEN: null,
     FILL: null,
     SELECT: null,
     RESHAPE: null,
+    SCISSORS: null,
     OVAL: null,
     RECT: null,
     ROUNDED_RECT: null,
+    POLYGON: null,
     TEXT: null
 });
 
@@ -25,9 +31,12 @@ const BitmapModes = keyMirror({
     BIT_LINE: null,
     BIT_OVAL: null,
     BIT_RECT: null,
+    BIT_POLYGON: null,
     BIT_TEXT: null,
     BIT_FILL: null,
-    BIT_ERASER: null
+    BIT_ERASER: null,
+    BIT_SELECT: null,
+    BIT_MAGIC_WAND: null
 });
 
 export {
@@ -0,0 +1,64 @@
+import keyMirror from 'keymirror';
+
+const DashPatterns = keyMirror({
+    SOLID: null,
+    DASHED: null,
+    DOTTED: null,
+    DASH_DOT: null
+});
+
+// Values are the ones paper.js uses for strokeCap and strokeJoin
+const StrokeCaps = {
+    BUTT: 'butt',
+    ROUND: 'round',
+    SQUARE: 'square'
+};
+
+const StrokeJoins = {
+    MITER: 'miter',
+    ROUND: 'round',
+    BEVEL: 'bevel'
+};
+
+// Lengths of the dashes and gaps of each pattern, in multiples of the stroke width, so that
+// patterns keep their look when the stroke width changes.
+const DASH_RATIOS = {
+    [DashPatterns.SOLID]: [],
+    [DashPatterns.DASHED]: [3, 2],
+    [DashPatterns.DOTTED]: [1, 1],
+    [DashPatterns.DASH_DOT]: [3, 2, 1, 2]
+};
+
+/**
+ * @param {!string} dashPattern One of DashPatterns
+ * @param {!number} strokeWidth Width of the stroke to dash
+ * @return {Array<number>} The dash array for paper.Item.dashArray
+ */
+const getDashArray = function (dashPattern, strokeWidth) {
+    return DASH_RATIOS[dashPattern].map(ratio => ratio * strokeWidth);
+};
+
+/**
+ * @param {Array<number>} dashArray A paper.Item.dashArray
+ * @param {!number} strokeWidth Width of the dashed stroke
+ * @return {?string} The one of DashPatterns that the dash array was made from, or null if it's a custom dash array
+ */
+const getDashPattern = function (dashArray, strokeWidth) {
+    if (!dashArray || dashArray.length === 0) return DashPatterns.SOLID;
+    for (const dashPattern in DASH_RATIOS) {
+        const ratios = DASH_RATIOS[dashPattern];
+        if (ratios.length === dashArray.length &&
+                ratios.every((ratio, i) => Math.abs((ratio * strokeWidth) - dashArray[i]) < 1e-3)) {
+            return dashPattern;
+        }
+    }
+    return null;
+};
+
+export {
+    DashPatterns,
+    StrokeCaps,
+    StrokeJoins,
+    getDashArray,
+    getDashPattern
+};
@@ -0,0 +1,32 @@
+import log from '../log/log';
+import AlignTargets from '../lib/align-targets';
+
+const CHANGE_ALIGN_TARGET = 'scratch-paint/align-target/CHANGE_ALIGN_TARGET';
+const initialState = AlignTargets.SELECTION;
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case CHANGE_ALIGN_TARGET:
+        if (!(action.alignTarget in AlignTargets)) {
+            log.warn(`Align target does not exist: ${action.alignTarget}`);
+            return state;
+        }
+        return action.alignTarget;
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+const changeAlignTarget = function (alignTarget) {
+    return {
+        type: CHANGE_ALIGN_TARGET,
+        alignTarget: alignTarget
+    };
+};
+
+export {
+    reducer as default,
+    changeAlignTarget
+};
@@ -0,0 +1,51 @@
+import log from '../log/log';
+
+// Tolerance is how far, from 0 to 100, a color may be from the clicked color and still be filled by
+// the bitmap paint bucket, or selected by the magic wand. Feathering partially fills the pixels just
+// outside of the filled area.
+const CHANGE_BIT_FILL_TOLERANCE = 'scratch-paint/bit-fill-mode/CHANGE_BIT_FILL_TOLERANCE';
+const CHANGE_BIT_FILL_FEATHER = 'scratch-paint/bit-fill-mode/CHANGE_BIT_FILL_FEATHER';
+const MAX_TOLERANCE = 100;
+const initialState = {tolerance: 0, feather: false};
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case CHANGE_BIT_FILL_TOLERANCE:
+        if (typeof action.tolerance !== 'number' || isNaN(action.tolerance)) {
+            log.warn(`Invalid fill tolerance: ${action.tolerance}`);
+            return state;
+        }
+        return {...state, tolerance: Math.min(MAX_TOLERANCE, Math.max(0, action.tolerance))};
+    case CHANGE_BIT_FILL_FEATHER:
+        if (typeof action.feather !== 'boolean') {
+            log.warn(`Invalid fill feather: ${action.feather}`);
+            return state;
+        }
+        return {...state, feather: action.feather};
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+const changeBitFillTolerance = function (tolerance) {
+    return {
+        type: CHANGE_BIT_FILL_TOLERANCE,
+        tolerance: tolerance
+    };
+};
+
+const changeBitFillFeather = function (feather) {
+    return {
+        type: CHANGE_BIT_FILL_FEATHER,
+        feather: feather
+    };
+};
+
+export {
+    reducer as default,
+    changeBitFillFeather,
+    changeBitFillTolerance,
+    MAX_TOLERANCE
+};
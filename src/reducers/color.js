@@ -1,12 +1,16 @@
 import {combineReducers} from 'redux';
 import eyeDropperReducer from './eye-dropper';
 import fillColorReducer from './fill-color';
+import fillGradientReducer from './fill-gradient';
 import strokeColorReducer from './stroke-color';
+import strokeStyleReducer from './stroke-style';
 import strokeWidthReducer from './stroke-width';
 
 export default combineReducers({
     eyeDropper: eyeDropperReducer,
     fillColor: fillColorReducer,
+    fillGradient: fillGradientReducer,
     strokeColor: strokeColorReducer,
+    strokeStyle: strokeStyleReducer,
     strokeWidth: strokeWidthReducer
 });
@@ -0,0 +1,33 @@
+import log from '../log/log';
+
+// Whether the bitmap rectangle and oval tools draw filled shapes, or outlines as thick as the bitmap
+// brush size.
+const SET_FILLED = 'scratch-paint/fill-bitmap-shapes/SET_FILLED';
+const initialState = true;
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case SET_FILLED:
+        if (typeof action.filled !== 'boolean') {
+            log.warn(`Invalid value for shapes filled: ${action.filled}`);
+            return state;
+        }
+        return action.filled;
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+const setShapesFilled = function (filled) {
+    return {
+        type: SET_FILLED,
+        filled: filled
+    };
+};
+
+export {
+    reducer as default,
+    setShapesFilled
+};
@@ -5,15 +5,23 @@ import {getColorsFromSelection} from '../helper/style-path';
 const CHANGE_FILL_COLOR = 'scratch-paint/fill-color/CHANGE_FILL_COLOR';
 const DEFAULT_COLOR = '#9966FF';
 const initialState = DEFAULT_COLOR;
-// Matches hex colors
-const regExp = /^#([0-9a-f]{3}){1,2}$/i;
+// Matches hex colors, and rgba() colors for semi-transparent ones
+const regExp = /^(#([0-9a-f]{3}){1,2}|rgba\((\s*\d{1,3}\s*,){3}\s*(0|1|0?\.\d+)\s*\))$/i;
+
+/**
+ * @param {?string} color A color from the color picker
+ * @return {boolean} Whether the color is a hex or rgba() color that the color reducers accept
+ */
+const isValidColor = function (color) {
+    return regExp.test(color);
+};
 
 const reducer = function (state, action) {
     if (typeof state === 'undefined') state = initialState;
     switch (action.type) {
     case CHANGE_FILL_COLOR:
-        if (!regExp.test(action.fillColor) && action.fillColor !== null) {
-            log.warn(`Invalid hex color code: ${action.fillColor}`);
+        if (!isValidColor(action.fillColor) && action.fillColor !== null) {
+            log.warn(`Invalid color: ${action.fillColor}`);
             return state;
         }
         return action.fillColor;
@@ -39,5 +47,7 @@ const changeFillColor = function (fillColor) {
 export {
     reducer as default,
     changeFillColor,
-    DEFAULT_COLOR
+    CHANGE_FILL_COLOR,
+    DEFAULT_COLOR,
+    isValidColor
 };
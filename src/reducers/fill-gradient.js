@@ -0,0 +1,163 @@
+import log from '../log/log';
+import {CHANGE_SELECTED_ITEMS} from './selected-items';
+import {CHANGE_FILL_COLOR, DEFAULT_COLOR, isValidColor} from './fill-color';
+import GradientTypes from '../lib/gradient-types';
+import {getColorsFromSelection, MIXED} from '../helper/style-path';
+
+// The fill gradient has two or more color stops, one of which is active. The active stop is the one
+// shown in the color picker, so its color is always the fill color.
+const CHANGE_GRADIENT_TYPE = 'scratch-paint/fill-gradient/CHANGE_GRADIENT_TYPE';
+const CHANGE_GRADIENT_ANGLE = 'scratch-paint/fill-gradient/CHANGE_GRADIENT_ANGLE';
+const SELECT_GRADIENT_STOP = 'scratch-paint/fill-gradient/SELECT_GRADIENT_STOP';
+const ADD_GRADIENT_STOP = 'scratch-paint/fill-gradient/ADD_GRADIENT_STOP';
+const REMOVE_GRADIENT_STOP = 'scratch-paint/fill-gradient/REMOVE_GRADIENT_STOP';
+const CHANGE_GRADIENT_STOP_OFFSET = 'scratch-paint/fill-gradient/CHANGE_GRADIENT_STOP_OFFSET';
+const initialState = {
+    gradientType: GradientTypes.SOLID,
+    // Direction of LINEAR gradients, in degrees clockwise from pointing right
+    angle: 45,
+    stops: [
+        {color: DEFAULT_COLOR, offset: 0},
+        {color: '#FFFFFF', offset: 1}
+    ],
+    activeStop: 0
+};
+
+const changeActiveStop = function (state, newProps) {
+    const stops = state.stops.slice();
+    stops[state.activeStop] = {...stops[state.activeStop], ...newProps};
+    return {...state, stops: stops};
+};
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case CHANGE_GRADIENT_TYPE:
+        if (!(action.gradientType in GradientTypes)) {
+            log.warn(`Gradient type does not exist: ${action.gradientType}`);
+            return state;
+        }
+        return {...state, gradientType: action.gradientType};
+    case CHANGE_GRADIENT_ANGLE:
+        if (typeof action.angle !== 'number' || isNaN(action.angle)) {
+            log.warn(`Invalid gradient angle: ${action.angle}`);
+            return state;
+        }
+        return {...state, angle: ((action.angle % 360) + 360) % 360};
+    case SELECT_GRADIENT_STOP:
+        if (!Number.isInteger(action.index) || action.index < 0 || action.index >= state.stops.length) {
+            log.warn(`Invalid gradient stop index: ${action.index}`);
+            return state;
+        }
+        return {...state, activeStop: action.index};
+    case ADD_GRADIENT_STOP: {
+        // Split the gap between the active stop and its neighbor with a stop of the same color
+        const stops = state.stops.slice();
+        const active = stops[state.activeStop];
+        const isLast = state.activeStop === stops.length - 1;
+        const neighbor = stops[isLast ? state.activeStop - 1 : state.activeStop + 1];
+        const index = isLast ? state.activeStop : state.activeStop + 1;
+        stops.splice(index, 0, {color: active.color, offset: (active.offset + neighbor.offset) / 2});
+        return {...state, stops: stops, activeStop: index};
+    }
+    case REMOVE_GRADIENT_STOP: {
+        if (state.stops.length <= 2) {
+            log.warn('Gradients must have at least 2 stops');
+            return state;
+        }
+        const stops = state.stops.slice();
+        stops.splice(state.activeStop, 1);
+        return {...state, stops: stops, activeStop: Math.max(0, state.activeStop - 1)};
+    }
+    case CHANGE_GRADIENT_STOP_OFFSET: {
+        if (typeof action.offset !== 'number' || isNaN(action.offset)) {
+            log.warn(`Invalid gradient stop offset: ${action.offset}`);
+            return state;
+        }
+        // Keep the stops in order
+        const prev = state.stops[state.activeStop - 1];
+        const next = state.stops[state.activeStop + 1];
+        const min = prev ? prev.offset : 0;
+        const max = next ? next.offset : 1;
+        return changeActiveStop(state, {offset: Math.min(max, Math.max(min, action.offset))});
+    }
+    case CHANGE_FILL_COLOR:
+        if (!isValidColor(action.fillColor) && action.fillColor !== null) {
+            return state;
+        }
+        return changeActiveStop(state, {color: action.fillColor});
+    case CHANGE_SELECTED_ITEMS: {
+        // Don't change state if no selection
+        if (!action.selectedItems || !action.selectedItems.length) {
+            return state;
+        }
+        const {fillColor, fillGradient} = getColorsFromSelection(action.selectedItems);
+        if (fillGradient === MIXED) {
+            return state;
+        } else if (fillGradient) {
+            return {...state, ...fillGradient, activeStop: 0};
+        } else if (fillColor === MIXED) {
+            return {...state, gradientType: GradientTypes.SOLID};
+        }
+        return changeActiveStop(
+            {...state, gradientType: GradientTypes.SOLID, activeStop: 0}, {color: fillColor});
+    }
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+const changeGradientType = function (gradientType) {
+    return {
+        type: CHANGE_GRADIENT_TYPE,
+        gradientType: gradientType
+    };
+};
+
+const changeGradientAngle = function (angle) {
+    return {
+        type: CHANGE_GRADIENT_ANGLE,
+        angle: angle
+    };
+};
+
+const selectGradientStop = function (index) {
+    return {
+        type: SELECT_GRADIENT_STOP,
+        index: index
+    };
+};
+
+const addGradientStop = function () {
+    return {
+        type: ADD_GRADIENT_STOP
+    };
+};
+
+const removeGradientStop = function () {
+    return {
+        type: REMOVE_GRADIENT_STOP
+    };
+};
+
+/**
+ * @param {number} offset New position of the active stop, from 0 (start of the gradient) to 1 (end)
+ * @return {object} Redux action to move the active stop
+ */
+const changeGradientStopOffset = function (offset) {
+    return {
+        type: CHANGE_GRADIENT_STOP_OFFSET,
+        offset: offset
+    };
+};
+
+export {
+    reducer as default,
+    addGradientStop,
+    changeGradientAngle,
+    changeGradientStopOffset,
+    changeGradientType,
+    removeGradientStop,
+    selectGradientStop
+};
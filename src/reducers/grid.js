@@ -0,0 +1,108 @@
+import log from '../log/log';
+
+const SET_SHOW_GRID = 'scratch-paint/grid/SET_SHOW_GRID';
+const SET_SNAP_TO_GRID = 'scratch-paint/grid/SET_SNAP_TO_GRID';
+const CHANGE_GRID_SPACING = 'scratch-paint/grid/CHANGE_GRID_SPACING';
+const CHANGE_GRID_SUBDIVISIONS = 'scratch-paint/grid/CHANGE_GRID_SUBDIVISIONS';
+
+// Spacing is in costume pixels
+const MIN_GRID_SPACING = 4;
+const MAX_GRID_SPACING = 240;
+const MAX_GRID_SUBDIVISIONS = 8;
+const initialState = {
+    showGrid: false,
+    snapToGrid: false,
+    spacing: 40,
+    subdivisions: 4
+};
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case SET_SHOW_GRID:
+        if (typeof action.showGrid !== 'boolean') {
+            log.warn(`Invalid show grid value: ${action.showGrid}`);
+            return state;
+        }
+        return {...state, showGrid: action.showGrid};
+    case SET_SNAP_TO_GRID:
+        if (typeof action.snapToGrid !== 'boolean') {
+            log.warn(`Invalid snap to grid value: ${action.snapToGrid}`);
+            return state;
+        }
+        return {...state, snapToGrid: action.snapToGrid};
+    case CHANGE_GRID_SPACING:
+        if (typeof action.spacing !== 'number' || isNaN(action.spacing)) {
+            log.warn(`Invalid grid spacing: ${action.spacing}`);
+            return state;
+        }
+        return {...state, spacing: Math.min(MAX_GRID_SPACING, Math.max(MIN_GRID_SPACING, action.spacing))};
+    case CHANGE_GRID_SUBDIVISIONS:
+        if (typeof action.subdivisions !== 'number' || isNaN(action.subdivisions)) {
+            log.warn(`Invalid grid subdivisions: ${action.subdivisions}`);
+            return state;
+        }
+        return {
+            ...state,
+            subdivisions: Math.min(MAX_GRID_SUBDIVISIONS, Math.max(1, Math.round(action.subdivisions)))
+        };
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+/**
+ * @param {boolean} showGrid Whether to draw the grid over the art board
+ * @return {object} Redux action to show or hide the grid
+ */
+const setShowGrid = function (showGrid) {
+    return {
+        type: SET_SHOW_GRID,
+        showGrid: showGrid
+    };
+};
+
+/**
+ * @param {boolean} snapToGrid Whether moving, scaling, reshaping and drawing shapes should snap to the grid
+ * @return {object} Redux action to turn snapping to the grid on or off
+ */
+const setSnapToGrid = function (snapToGrid) {
+    return {
+        type: SET_SNAP_TO_GRID,
+        snapToGrid: snapToGrid
+    };
+};
+
+/**
+ * @param {number} spacing Distance between the main lines of the grid, in costume pixels
+ * @return {object} Redux action to change the grid spacing
+ */
+const changeGridSpacing = function (spacing) {
+    return {
+        type: CHANGE_GRID_SPACING,
+        spacing: spacing
+    };
+};
+
+/**
+ * @param {number} subdivisions Number of cells each cell between the main lines of the grid is split into
+ * @return {object} Redux action to change the grid subdivisions
+ */
+const changeGridSubdivisions = function (subdivisions) {
+    return {
+        type: CHANGE_GRID_SUBDIVISIONS,
+        subdivisions: subdivisions
+    };
+};
+
+export {
+    reducer as default,
+    changeGridSpacing,
+    changeGridSubdivisions,
+    setShowGrid,
+    setSnapToGrid,
+    MAX_GRID_SPACING,
+    MAX_GRID_SUBDIVISIONS,
+    MIN_GRID_SPACING
+};
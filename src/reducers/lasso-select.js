@@ -0,0 +1,33 @@
+import log from '../log/log';
+
+// Whether dragging over an empty area in the select and reshape modes draws a freehand lasso to select
+// with, rather than a rectangle.
+const SET_LASSO_SELECT = 'scratch-paint/lasso-select/SET_LASSO_SELECT';
+const initialState = false;
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case SET_LASSO_SELECT:
+        if (typeof action.lassoSelect !== 'boolean') {
+            log.warn(`Invalid value for lasso select: ${action.lassoSelect}`);
+            return state;
+        }
+        return action.lassoSelect;
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+const setLassoSelect = function (lassoSelect) {
+    return {
+        type: SET_LASSO_SELECT,
+        lassoSelect: lassoSelect
+    };
+};
+
+export {
+    reducer as default,
+    setLassoSelect
+};
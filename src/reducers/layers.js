@@ -0,0 +1,36 @@
+import log from '../log/log';
+const SET_LAYERS = 'scratch-paint/layers/SET_LAYERS';
+const initialState = [];
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case SET_LAYERS:
+        if (!action.layers || !(action.layers instanceof Array)) {
+            log.warn(`No layers or wrong format provided: ${action.layers}`);
+            return state;
+        }
+        return action.layers;
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+/**
+ * Set the layers shown in the layers panel
+ * @param {Array<object>} layers Descriptions of the painting layers from bottom to top, each with
+ *     the layer's id, name, and whether it is visible, locked and active
+ * @return {object} Redux action to change the layers.
+ */
+const setLayers = function (layers) {
+    return {
+        type: SET_LAYERS,
+        layers: layers
+    };
+};
+
+export {
+    reducer as default,
+    setLayers
+};
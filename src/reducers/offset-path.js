@@ -0,0 +1,59 @@
+import log from '../log/log';
+import {StrokeJoins} from '../lib/stroke-styles';
+
+// How far, in paper units, offset path grows shapes outward. Negative distances shrink them.
+const CHANGE_OFFSET_DISTANCE = 'scratch-paint/offset-path/CHANGE_OFFSET_DISTANCE';
+const CHANGE_OFFSET_JOIN = 'scratch-paint/offset-path/CHANGE_OFFSET_JOIN';
+const MAX_OFFSET_DISTANCE = 100;
+const initialState = {
+    distance: 10,
+    join: StrokeJoins.ROUND
+};
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case CHANGE_OFFSET_DISTANCE:
+        if (typeof action.distance !== 'number' || isNaN(action.distance)) {
+            log.warn(`Invalid offset distance: ${action.distance}`);
+            return state;
+        }
+        return {
+            ...state,
+            distance: Math.min(MAX_OFFSET_DISTANCE, Math.max(-MAX_OFFSET_DISTANCE, action.distance))
+        };
+    case CHANGE_OFFSET_JOIN:
+        if (action.join !== StrokeJoins.ROUND && action.join !== StrokeJoins.MITER) {
+            log.warn(`Invalid offset join: ${action.join}`);
+            return state;
+        }
+        return {
+            ...state,
+            join: action.join
+        };
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+const changeOffsetDistance = function (distance) {
+    return {
+        type: CHANGE_OFFSET_DISTANCE,
+        distance: distance
+    };
+};
+
+const changeOffsetJoin = function (join) {
+    return {
+        type: CHANGE_OFFSET_JOIN,
+        join: join
+    };
+};
+
+export {
+    reducer as default,
+    changeOffsetDistance,
+    changeOffsetJoin,
+    MAX_OFFSET_DISTANCE
+};
@@ -0,0 +1,45 @@
+import log from '../log/log';
+import {CHANGE_SELECTED_ITEMS} from './selected-items';
+import {getOpacityFromSelection} from '../helper/style-path';
+
+const CHANGE_OPACITY = 'scratch-paint/opacity/CHANGE_OPACITY';
+const MAX_OPACITY = 100;
+const initialState = MAX_OPACITY;
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case CHANGE_OPACITY:
+        if (typeof action.opacity !== 'number' || isNaN(action.opacity)) {
+            log.warn(`Invalid opacity: ${action.opacity}`);
+            return state;
+        }
+        return Math.min(MAX_OPACITY, Math.max(0, action.opacity));
+    case CHANGE_SELECTED_ITEMS:
+        // Don't change state if no selection
+        if (!action.selectedItems || !action.selectedItems.length) {
+            return state;
+        }
+        return getOpacityFromSelection(action.selectedItems);
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+/**
+ * @param {number} opacity Opacity of the selected items, from 0 (invisible) to 100 (opaque)
+ * @return {object} Redux action to change the opacity
+ */
+const changeOpacity = function (opacity) {
+    return {
+        type: CHANGE_OPACITY,
+        opacity: opacity
+    };
+};
+
+export {
+    reducer as default,
+    changeOpacity,
+    MAX_OPACITY
+};
@@ -0,0 +1,69 @@
+import log from '../log/log';
+
+// Settings for the polygon tools. Sides is the number of sides of a polygon, or the number of points
+// of a star. Inner radius is the size of a star's inner corners, from 0 to 100 percent of its outer radius.
+const CHANGE_POLYGON_SIDES = 'scratch-paint/polygon-mode/CHANGE_POLYGON_SIDES';
+const CHANGE_POLYGON_IS_STAR = 'scratch-paint/polygon-mode/CHANGE_POLYGON_IS_STAR';
+const CHANGE_POLYGON_INNER_RADIUS = 'scratch-paint/polygon-mode/CHANGE_POLYGON_INNER_RADIUS';
+const MIN_SIDES = 3;
+const MAX_SIDES = 20;
+const MAX_INNER_RADIUS = 100;
+const initialState = {sides: 5, isStar: false, innerRadius: 50};
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case CHANGE_POLYGON_SIDES:
+        if (typeof action.sides !== 'number' || isNaN(action.sides)) {
+            log.warn(`Invalid polygon sides: ${action.sides}`);
+            return state;
+        }
+        return {...state, sides: Math.min(MAX_SIDES, Math.max(MIN_SIDES, Math.round(action.sides)))};
+    case CHANGE_POLYGON_IS_STAR:
+        if (typeof action.isStar !== 'boolean') {
+            log.warn(`Invalid polygon is star: ${action.isStar}`);
+            return state;
+        }
+        return {...state, isStar: action.isStar};
+    case CHANGE_POLYGON_INNER_RADIUS:
+        if (typeof action.innerRadius !== 'number' || isNaN(action.innerRadius)) {
+            log.warn(`Invalid polygon inner radius: ${action.innerRadius}`);
+            return state;
+        }
+        return {...state, innerRadius: Math.min(MAX_INNER_RADIUS, Math.max(1, action.innerRadius))};
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+const changePolygonSides = function (sides) {
+    return {
+        type: CHANGE_POLYGON_SIDES,
+        sides: sides
+    };
+};
+
+const changePolygonIsStar = function (isStar) {
+    return {
+        type: CHANGE_POLYGON_IS_STAR,
+        isStar: isStar
+    };
+};
+
+const changePolygonInnerRadius = function (innerRadius) {
+    return {
+        type: CHANGE_POLYGON_INNER_RADIUS,
+        innerRadius: innerRadius
+    };
+};
+
+export {
+    reducer as default,
+    changePolygonInnerRadius,
+    changePolygonIsStar,
+    changePolygonSides,
+    MAX_INNER_RADIUS,
+    MAX_SIDES,
+    MIN_SIDES
+};
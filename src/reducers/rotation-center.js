@@ -0,0 +1,40 @@
+import paper from '@scratch/paper';
+import log from '../log/log';
+
+const UPDATE_ROTATION_CENTER = 'scratch-paint/rotation-center/UPDATE_ROTATION_CENTER';
+const initialState = null;
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case UPDATE_ROTATION_CENTER:
+        if (!(action.rotationCenter instanceof paper.Point)) {
+            log.warn(`Rotation center should be a paper.Point.`);
+            return state;
+        }
+        if (state && state.equals(action.rotationCenter)) {
+            return state;
+        }
+        return action.rotationCenter;
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+/**
+ * Set the rotation center shown in the editor, which is kept by the crosshair in the background guide layer.
+ * @param {paper.Point} point The costume's rotation center, in paper coordinates
+ * @return {object} Redux action to set the rotation center
+ */
+const updateRotationCenter = function (point) {
+    return {
+        type: UPDATE_ROTATION_CENTER,
+        rotationCenter: point.clone()
+    };
+};
+
+export {
+    reducer as default,
+    updateRotationCenter
+};
@@ -0,0 +1,34 @@
+import log from '../log/log';
+
+// Corner radius, in paper units, of rectangles drawn by the rounded rectangle tool
+const CHANGE_CORNER_RADIUS = 'scratch-paint/rounded-rect-mode/CHANGE_CORNER_RADIUS';
+const MAX_CORNER_RADIUS = 100;
+const initialState = {cornerRadius: 10};
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case CHANGE_CORNER_RADIUS:
+        if (typeof action.cornerRadius !== 'number' || isNaN(action.cornerRadius)) {
+            log.warn(`Invalid corner radius: ${action.cornerRadius}`);
+            return state;
+        }
+        return {cornerRadius: Math.min(MAX_CORNER_RADIUS, Math.max(0, action.cornerRadius))};
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+const changeCornerRadius = function (cornerRadius) {
+    return {
+        type: CHANGE_CORNER_RADIUS,
+        cornerRadius: cornerRadius
+    };
+};
+
+export {
+    reducer as default,
+    changeCornerRadius,
+    MAX_CORNER_RADIUS
+};
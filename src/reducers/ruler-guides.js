@@ -0,0 +1,151 @@
+import log from '../log/log';
+
+const SET_RULER_GUIDES_IMAGE_ID = 'scratch-paint/ruler-guides/SET_RULER_GUIDES_IMAGE_ID';
+const ADD_RULER_GUIDE = 'scratch-paint/ruler-guides/ADD_RULER_GUIDE';
+const MOVE_RULER_GUIDE = 'scratch-paint/ruler-guides/MOVE_RULER_GUIDE';
+const REMOVE_RULER_GUIDE = 'scratch-paint/ruler-guides/REMOVE_RULER_GUIDE';
+
+// Shared so that costumes without guides don't cause updates when switching between them
+const NO_GUIDES = {horizontal: [], vertical: []};
+// Guides are kept for each costume, by the ID of the image being edited
+const initialState = {
+    imageId: null,
+    guidesByImageId: {}
+};
+
+/**
+ * @param {!object} state Ruler guides state from Redux
+ * @return {object} Guides of the costume being edited. horizontal holds the y positions of horizontal
+ *     guides and vertical holds the x positions of vertical guides, in paper coordinates.
+ */
+const getRulerGuides = function (state) {
+    return state.guidesByImageId[state.imageId] || NO_GUIDES;
+};
+
+const _setRulerGuides = function (state, horizontal, positions) {
+    const guides = getRulerGuides(state);
+    return {
+        ...state,
+        guidesByImageId: {
+            ...state.guidesByImageId,
+            [state.imageId]: horizontal ? {...guides, horizontal: positions} : {...guides, vertical: positions}
+        }
+    };
+};
+
+const _isValidIndex = function (state, horizontal, index) {
+    const guides = getRulerGuides(state);
+    return typeof index === 'number' && index >= 0 &&
+        index < (horizontal ? guides.horizontal : guides.vertical).length;
+};
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case SET_RULER_GUIDES_IMAGE_ID:
+        if (typeof action.imageId !== 'string' && action.imageId !== null) {
+            log.warn(`Invalid image ID for ruler guides: ${action.imageId}`);
+            return state;
+        }
+        return {...state, imageId: action.imageId};
+    case ADD_RULER_GUIDE: {
+        if (typeof action.position !== 'number' || isNaN(action.position)) {
+            log.warn(`Invalid ruler guide position: ${action.position}`);
+            return state;
+        }
+        const guides = getRulerGuides(state);
+        const positions = action.horizontal ? guides.horizontal : guides.vertical;
+        return _setRulerGuides(state, action.horizontal, positions.concat(action.position));
+    }
+    case MOVE_RULER_GUIDE: {
+        if (typeof action.position !== 'number' || isNaN(action.position)) {
+            log.warn(`Invalid ruler guide position: ${action.position}`);
+            return state;
+        }
+        if (!_isValidIndex(state, action.horizontal, action.index)) {
+            log.warn(`No ruler guide at index ${action.index}`);
+            return state;
+        }
+        const guides = getRulerGuides(state);
+        const positions = (action.horizontal ? guides.horizontal : guides.vertical).slice();
+        positions[action.index] = action.position;
+        return _setRulerGuides(state, action.horizontal, positions);
+    }
+    case REMOVE_RULER_GUIDE: {
+        if (!_isValidIndex(state, action.horizontal, action.index)) {
+            log.warn(`No ruler guide at index ${action.index}`);
+            return state;
+        }
+        const guides = getRulerGuides(state);
+        const positions = (action.horizontal ? guides.horizontal : guides.vertical)
+            .filter((position, index) => index !== action.index);
+        return _setRulerGuides(state, action.horizontal, positions);
+    }
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+/**
+ * @param {?string} imageId ID of the costume being edited, whose guides are shown
+ * @return {object} Redux action to switch to the guides of another costume
+ */
+const setRulerGuidesImageId = function (imageId) {
+    return {
+        type: SET_RULER_GUIDES_IMAGE_ID,
+        imageId: imageId
+    };
+};
+
+/**
+ * @param {boolean} horizontal True for a horizontal guide, dragged from the top ruler, false for a
+ *     vertical guide, dragged from the left ruler
+ * @param {number} position Y position of a horizontal guide or x position of a vertical guide, in
+ *     paper coordinates
+ * @return {object} Redux action to add a guide to the costume being edited
+ */
+const addRulerGuide = function (horizontal, position) {
+    return {
+        type: ADD_RULER_GUIDE,
+        horizontal: !!horizontal,
+        position: position
+    };
+};
+
+/**
+ * @param {boolean} horizontal Whether the guide is horizontal
+ * @param {number} index Index of the guide among the guides with the same orientation
+ * @param {number} position New position of the guide, in paper coordinates
+ * @return {object} Redux action to move a guide of the costume being edited
+ */
+const moveRulerGuide = function (horizontal, index, position) {
+    return {
+        type: MOVE_RULER_GUIDE,
+        horizontal: !!horizontal,
+        index: index,
+        position: position
+    };
+};
+
+/**
+ * @param {boolean} horizontal Whether the guide is horizontal
+ * @param {number} index Index of the guide among the guides with the same orientation
+ * @return {object} Redux action to remove a guide from the costume being edited
+ */
+const removeRulerGuide = function (horizontal, index) {
+    return {
+        type: REMOVE_RULER_GUIDE,
+        horizontal: !!horizontal,
+        index: index
+    };
+};
+
+export {
+    reducer as default,
+    addRulerGuide,
+    getRulerGuides,
+    moveRulerGuide,
+    removeRulerGuide,
+    setRulerGuidesImageId
+};
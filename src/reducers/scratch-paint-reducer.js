@@ -1,33 +1,59 @@
 import {combineReducers} from 'redux';
 import modeReducer from './modes';
+import alignTargetReducer from './align-target';
 import bitBrushSizeReducer from './bit-brush-size';
 import bitEraserSizeReducer from './bit-eraser-size';
+import bitFillModeReducer from './bit-fill-mode';
 import brushModeReducer from './brush-mode';
 import eraserModeReducer from './eraser-mode';
 import colorReducer from './color';
 import clipboardReducer from './clipboard';
+import fillBitmapShapesReducer from './fill-bitmap-shapes';
 import fontReducer from './font';
 import formatReducer from './format';
+import gridReducer from './grid';
 import hoverReducer from './hover';
+import lassoSelectReducer from './lasso-select';
+import layersReducer from './layers';
 import modalsReducer from './modals';
+import offsetPathReducer from './offset-path';
+import opacityReducer from './opacity';
+import polygonModeReducer from './polygon-mode';
+import rotationCenterReducer from './rotation-center';
+import roundedRectModeReducer from './rounded-rect-mode';
+import rulerGuidesReducer from './ruler-guides';
 import selectedItemReducer from './selected-items';
+import simplifyReducer from './simplify';
 import textEditTargetReducer from './text-edit-target';
 import viewBoundsReducer from './view-bounds';
 import undoReducer from './undo';
 
 export default combineReducers({
     mode: modeReducer,
+    alignTarget: alignTargetReducer,
     bitBrushSize: bitBrushSizeReducer,
     bitEraserSize: bitEraserSizeReducer,
+    bitFillMode: bitFillModeReducer,
     brushMode: brushModeReducer,
     color: colorReducer,
     clipboard: clipboardReducer,
     eraserMode: eraserModeReducer,
+    fillBitmapShapes: fillBitmapShapesReducer,
     font: fontReducer,
     format: formatReducer,
+    grid: gridReducer,
     hoveredItemId: hoverReducer,
+    lassoSelect: lassoSelectReducer,
+    layers: layersReducer,
     modals: modalsReducer,
+    offsetPath: offsetPathReducer,
+    opacity: opacityReducer,
+    polygonMode: polygonModeReducer,
+    rotationCenter: rotationCenterReducer,
+    roundedRectMode: roundedRectModeReducer,
+    rulerGuides: rulerGuidesReducer,
     selectedItems: selectedItemReducer,
+    simplify: simplifyReducer,
     textEditTarget: textEditTargetReducer,
     undo: undoReducer,
     viewBounds: viewBoundsReducer
@@ -0,0 +1,38 @@
+import log from '../log/log';
+
+// How far, in paper units, simplified paths may stray from the paths they replace
+const CHANGE_SIMPLIFY_TOLERANCE = 'scratch-paint/simplify/CHANGE_SIMPLIFY_TOLERANCE';
+const MIN_SIMPLIFY_TOLERANCE = 1;
+const MAX_SIMPLIFY_TOLERANCE = 20;
+const initialState = {tolerance: 3};
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case CHANGE_SIMPLIFY_TOLERANCE:
+        if (typeof action.tolerance !== 'number' || isNaN(action.tolerance)) {
+            log.warn(`Invalid simplify tolerance: ${action.tolerance}`);
+            return state;
+        }
+        return {
+            tolerance: Math.min(MAX_SIMPLIFY_TOLERANCE, Math.max(MIN_SIMPLIFY_TOLERANCE, action.tolerance))
+        };
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+const changeSimplifyTolerance = function (tolerance) {
+    return {
+        type: CHANGE_SIMPLIFY_TOLERANCE,
+        tolerance: tolerance
+    };
+};
+
+export {
+    reducer as default,
+    changeSimplifyTolerance,
+    MAX_SIMPLIFY_TOLERANCE,
+    MIN_SIMPLIFY_TOLERANCE
+};
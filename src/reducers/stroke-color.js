@@ -1,18 +1,17 @@
 import log from '../log/log';
 import {CHANGE_SELECTED_ITEMS} from './selected-items';
+import {isValidColor} from './fill-color';
 import {getColorsFromSelection} from '../helper/style-path';
 
 const CHANGE_STROKE_COLOR = 'scratch-paint/stroke-color/CHANGE_STROKE_COLOR';
 const initialState = '#000';
-// Matches hex colors
-const regExp = /^#([0-9a-f]{3}){1,2}$/i;
 
 const reducer = function (state, action) {
     if (typeof state === 'undefined') state = initialState;
     switch (action.type) {
     case CHANGE_STROKE_COLOR:
-        if (!regExp.test(action.strokeColor) && action.strokeColor !== null) {
-            log.warn(`Invalid hex color code: ${action.fillColor}`);
+        if (!isValidColor(action.strokeColor) && action.strokeColor !== null) {
+            log.warn(`Invalid color: ${action.strokeColor}`);
             return state;
         }
         return action.strokeColor;
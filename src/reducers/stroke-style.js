@@ -0,0 +1,108 @@
+import log from '../log/log';
+import {CHANGE_SELECTED_ITEMS} from './selected-items';
+import {DashPatterns, StrokeCaps, StrokeJoins} from '../lib/stroke-styles';
+import {getStrokeStyleFromSelection} from '../helper/style-path';
+
+const CHANGE_DASH_PATTERN = 'scratch-paint/stroke-style/CHANGE_DASH_PATTERN';
+const CHANGE_STROKE_CAP = 'scratch-paint/stroke-style/CHANGE_STROKE_CAP';
+const CHANGE_STROKE_JOIN = 'scratch-paint/stroke-style/CHANGE_STROKE_JOIN';
+const CHANGE_ARROWHEADS = 'scratch-paint/stroke-style/CHANGE_ARROWHEADS';
+const initialState = {
+    dashPattern: DashPatterns.SOLID,
+    strokeCap: StrokeCaps.BUTT,
+    strokeJoin: StrokeJoins.MITER,
+    startArrowhead: false,
+    endArrowhead: false
+};
+
+const _isValue = (values, value) => Object.keys(values).some(key => values[key] === value);
+
+const reducer = function (state, action) {
+    if (typeof state === 'undefined') state = initialState;
+    switch (action.type) {
+    case CHANGE_DASH_PATTERN:
+        if (!(action.dashPattern in DashPatterns)) {
+            log.warn(`Dash pattern does not exist: ${action.dashPattern}`);
+            return state;
+        }
+        return {...state, dashPattern: action.dashPattern};
+    case CHANGE_STROKE_CAP:
+        if (!_isValue(StrokeCaps, action.strokeCap)) {
+            log.warn(`Stroke cap does not exist: ${action.strokeCap}`);
+            return state;
+        }
+        return {...state, strokeCap: action.strokeCap};
+    case CHANGE_STROKE_JOIN:
+        if (!_isValue(StrokeJoins, action.strokeJoin)) {
+            log.warn(`Stroke join does not exist: ${action.strokeJoin}`);
+            return state;
+        }
+        return {...state, strokeJoin: action.strokeJoin};
+    case CHANGE_ARROWHEADS:
+        if (typeof action.startArrowhead !== 'boolean' || typeof action.endArrowhead !== 'boolean') {
+            log.warn(`Invalid arrowheads: ${action.startArrowhead}, ${action.endArrowhead}`);
+            return state;
+        }
+        return {...state, startArrowhead: action.startArrowhead, endArrowhead: action.endArrowhead};
+    case CHANGE_SELECTED_ITEMS: {
+        // Don't change state if no selection
+        if (!action.selectedItems || !action.selectedItems.length) {
+            return state;
+        }
+        // Mixed values come back as null. Keep the current value for those.
+        const selectionStyle = getStrokeStyleFromSelection(action.selectedItems);
+        const newState = {...state};
+        for (const key in selectionStyle) {
+            if (selectionStyle[key] !== null) {
+                newState[key] = selectionStyle[key];
+            }
+        }
+        return newState;
+    }
+    default:
+        return state;
+    }
+};
+
+// Action creators ==================================
+const changeDashPattern = function (dashPattern) {
+    return {
+        type: CHANGE_DASH_PATTERN,
+        dashPattern: dashPattern
+    };
+};
+
+const changeStrokeCap = function (strokeCap) {
+    return {
+        type: CHANGE_STROKE_CAP,
+        strokeCap: strokeCap
+    };
+};
+
+const changeStrokeJoin = function (strokeJoin) {
+    return {
+        type: CHANGE_STROKE_JOIN,
+        strokeJoin: strokeJoin
+    };
+};
+
+/**
+ * @param {boolean} startArrowhead Whether lines get an arrowhead at their first point
+ * @param {boolean} endArrowhead Whether lines get an arrowhead at their last point
+ * @return {object} Redux action to change the arrowheads
+ */
+const changeArrowheads = function (startArrowhead, endArrowhead) {
+    return {
+        type: CHANGE_ARROWHEADS,
+        startArrowhead: startArrowhead,
+        endArrowhead: endArrowhead
+    };
+};
+
+export {
+    reducer as default,
+    changeArrowheads,
+    changeDashPattern,
+    changeStrokeCap,
+    changeStrokeJoin
+};
@@ -0,0 +1,30 @@
+/* eslint-env jest */
+import alignTargetReducer from '../../src/reducers/align-target';
+import {changeAlignTarget} from '../../src/reducers/align-target';
+import AlignTargets from '../../src/lib/align-targets';
+
+test('initialState', () => {
+    let defaultState;
+
+    expect(alignTargetReducer(defaultState /* state */, {type: 'anything'} /* action */))
+        .toBe(AlignTargets.SELECTION);
+});
+
+test('changeAlignTarget', () => {
+    let defaultState;
+
+    expect(alignTargetReducer(defaultState /* state */, changeAlignTarget(AlignTargets.ARTBOARD) /* action */))
+        .toBe(AlignTargets.ARTBOARD);
+    expect(alignTargetReducer(AlignTargets.ARTBOARD /* state */,
+        changeAlignTarget(AlignTargets.ROTATION_CENTER) /* action */))
+        .toBe(AlignTargets.ROTATION_CENTER);
+});
+
+test('invalidChangeAlignTarget', () => {
+    const origState = AlignTargets.ARTBOARD;
+
+    expect(alignTargetReducer(origState /* state */, changeAlignTarget('invalid argument') /* action */))
+        .toBe(origState);
+    expect(alignTargetReducer(origState /* state */, changeAlignTarget() /* action */))
+        .toBe(origState);
+});
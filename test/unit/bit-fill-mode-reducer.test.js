@@ -0,0 +1,43 @@
+/* eslint-env jest */
+import bitFillModeReducer from '../../src/reducers/bit-fill-mode';
+import {changeBitFillFeather, changeBitFillTolerance, MAX_TOLERANCE} from '../../src/reducers/bit-fill-mode';
+
+test('initialState', () => {
+    let defaultState;
+
+    expect(bitFillModeReducer(defaultState /* state */, {type: 'anything'} /* action */))
+        .toEqual({tolerance: 0, feather: false});
+});
+
+test('changeBitFillTolerance', () => {
+    let defaultState;
+
+    expect(bitFillModeReducer(defaultState /* state */, changeBitFillTolerance(30) /* action */).tolerance)
+        .toBe(30);
+    expect(bitFillModeReducer(defaultState /* state */, changeBitFillTolerance(-5) /* action */).tolerance)
+        .toBe(0);
+    expect(bitFillModeReducer(defaultState /* state */, changeBitFillTolerance(MAX_TOLERANCE + 1) /* action */)
+        .tolerance).toBe(MAX_TOLERANCE);
+    expect(bitFillModeReducer({tolerance: 0, feather: true} /* state */, changeBitFillTolerance(30) /* action */))
+        .toEqual({tolerance: 30, feather: true});
+});
+
+test('changeBitFillFeather', () => {
+    let defaultState;
+
+    expect(bitFillModeReducer(defaultState /* state */, changeBitFillFeather(true) /* action */))
+        .toEqual({tolerance: 0, feather: true});
+    expect(bitFillModeReducer({tolerance: 30, feather: true} /* state */, changeBitFillFeather(false) /* action */))
+        .toEqual({tolerance: 30, feather: false});
+});
+
+test('invalidChangeBitFillMode', () => {
+    const origState = {tolerance: 30, feather: true};
+
+    expect(bitFillModeReducer(origState /* state */, changeBitFillTolerance('invalid argument') /* action */))
+        .toBe(origState);
+    expect(bitFillModeReducer(origState /* state */, changeBitFillTolerance() /* action */))
+        .toBe(origState);
+    expect(bitFillModeReducer(origState /* state */, changeBitFillFeather('invalid argument') /* action */))
+        .toBe(origState);
+});
@@ -0,0 +1,25 @@
+/* eslint-env jest */
+import fillBitmapShapesReducer from '../../src/reducers/fill-bitmap-shapes';
+import {setShapesFilled} from '../../src/reducers/fill-bitmap-shapes';
+
+test('initialState', () => {
+    let defaultState;
+
+    expect(fillBitmapShapesReducer(defaultState /* state */, {type: 'anything'} /* action */)).toBe(true);
+});
+
+test('setShapesFilled', () => {
+    let defaultState;
+
+    expect(fillBitmapShapesReducer(defaultState /* state */, setShapesFilled(false) /* action */)).toBe(false);
+    expect(fillBitmapShapesReducer(false /* state */, setShapesFilled(true) /* action */)).toBe(true);
+});
+
+test('invalidSetShapesFilled', () => {
+    const origState = false;
+
+    expect(fillBitmapShapesReducer(origState /* state */, setShapesFilled('invalid argument') /* action */))
+        .toBe(origState);
+    expect(fillBitmapShapesReducer(origState /* state */, setShapesFilled() /* action */))
+        .toBe(origState);
+});
@@ -27,6 +27,11 @@ test('changeFillColor', () => {
         .toEqual(newFillColor);
     expect(fillColorReducer('#010' /* state */, changeFillColor(newFillColor) /* action */))
         .toEqual(newFillColor);
+
+    // rgba color
+    newFillColor = 'rgba(250, 202, 222, 0.5)';
+    expect(fillColorReducer(defaultState /* state */, changeFillColor(newFillColor) /* action */))
+        .toEqual(newFillColor);
 });
 
 test('changefillColorViaSelectedItems', () => {
@@ -64,4 +69,8 @@ test('invalidChangeFillColor', () => {
         .toBe(origState);
     expect(fillColorReducer(origState /* state */, changeFillColor('invalid argument') /* action */))
         .toBe(origState);
+    expect(fillColorReducer(origState /* state */, changeFillColor('rgba(1, 2, 3)') /* action */))
+        .toBe(origState);
+    expect(fillColorReducer(origState /* state */, changeFillColor('rgba(1, 2, 3, 2)') /* action */))
+        .toBe(origState);
 });
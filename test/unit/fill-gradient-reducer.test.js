@@ -0,0 +1,117 @@
+/* eslint-env jest */
+import fillGradientReducer from '../../src/reducers/fill-gradient';
+import {
+    addGradientStop,
+    changeGradientAngle,
+    changeGradientStopOffset,
+    changeGradientType,
+    removeGradientStop,
+    selectGradientStop
+} from '../../src/reducers/fill-gradient';
+import {changeFillColor} from '../../src/reducers/fill-color';
+import {setSelectedItems} from '../../src/reducers/selected-items';
+import GradientTypes from '../../src/lib/gradient-types';
+import {mockPaperRootItem} from '../__mocks__/paperMocks';
+
+const threeStops = {
+    gradientType: GradientTypes.LINEAR,
+    angle: 0,
+    stops: [
+        {color: '#000000', offset: 0},
+        {color: '#ff0000', offset: 0.5},
+        {color: '#ffffff', offset: 1}
+    ],
+    activeStop: 1
+};
+
+test('initialState', () => {
+    let defaultState;
+
+    const state = fillGradientReducer(defaultState /* state */, {type: 'anything'} /* action */);
+    expect(state.gradientType).toBe(GradientTypes.SOLID);
+    expect(state.stops.length).toBe(2);
+    expect(state.activeStop).toBe(0);
+});
+
+test('changeGradientType', () => {
+    let defaultState;
+
+    expect(fillGradientReducer(defaultState /* state */, changeGradientType(GradientTypes.RADIAL) /* action */)
+        .gradientType).toBe(GradientTypes.RADIAL);
+    expect(fillGradientReducer(threeStops /* state */, changeGradientType(GradientTypes.SOLID) /* action */)
+        .gradientType).toBe(GradientTypes.SOLID);
+});
+
+test('changeGradientAngle', () => {
+    expect(fillGradientReducer(threeStops /* state */, changeGradientAngle(90) /* action */).angle).toBe(90);
+    expect(fillGradientReducer(threeStops /* state */, changeGradientAngle(400) /* action */).angle).toBe(40);
+    expect(fillGradientReducer(threeStops /* state */, changeGradientAngle(-90) /* action */).angle).toBe(270);
+});
+
+test('selectGradientStop', () => {
+    expect(fillGradientReducer(threeStops /* state */, selectGradientStop(2) /* action */).activeStop).toBe(2);
+});
+
+test('addGradientStop', () => {
+    // Splits the gap after the active stop
+    let state = fillGradientReducer(threeStops /* state */, addGradientStop() /* action */);
+    expect(state.stops.length).toBe(4);
+    expect(state.activeStop).toBe(2);
+    expect(state.stops[2]).toEqual({color: '#ff0000', offset: 0.75});
+
+    // Splits the gap before the last stop
+    state = fillGradientReducer({...threeStops, activeStop: 2} /* state */, addGradientStop() /* action */);
+    expect(state.activeStop).toBe(2);
+    expect(state.stops[2]).toEqual({color: '#ffffff', offset: 0.75});
+    expect(state.stops[3]).toEqual({color: '#ffffff', offset: 1});
+});
+
+test('removeGradientStop', () => {
+    const state = fillGradientReducer(threeStops /* state */, removeGradientStop() /* action */);
+    expect(state.stops.length).toBe(2);
+    expect(state.stops[1].color).toBe('#ffffff');
+    expect(state.activeStop).toBe(0);
+
+    // Can't remove below 2 stops
+    expect(fillGradientReducer(state /* state */, removeGradientStop() /* action */)).toBe(state);
+});
+
+test('changeGradientStopOffset', () => {
+    expect(fillGradientReducer(threeStops /* state */, changeGradientStopOffset(0.25) /* action */)
+        .stops[1].offset).toBe(0.25);
+    // Stops stay in order
+    expect(fillGradientReducer(threeStops /* state */, changeGradientStopOffset(2) /* action */)
+        .stops[1].offset).toBe(1);
+    expect(fillGradientReducer({...threeStops, activeStop: 2} /* state */, changeGradientStopOffset(0.1) /* action */)
+        .stops[2].offset).toBe(0.5);
+});
+
+test('changeFillColorChangesActiveStop', () => {
+    let state = fillGradientReducer(threeStops /* state */, changeFillColor('#00ff00') /* action */);
+    expect(state.stops[1].color).toBe('#00ff00');
+    expect(state.stops[0].color).toBe('#000000');
+
+    state = fillGradientReducer(threeStops /* state */, changeFillColor(null) /* action */);
+    expect(state.stops[1].color).toBe(null);
+});
+
+test('solidSelectionClearsGradient', () => {
+    const selectedItems = [mockPaperRootItem({fillColor: '#00ff00'})];
+    const state = fillGradientReducer(threeStops /* state */, setSelectedItems(selectedItems) /* action */);
+    expect(state.gradientType).toBe(GradientTypes.SOLID);
+    expect(state.activeStop).toBe(0);
+    expect(state.stops[0].color).toBe('#00ff00');
+});
+
+test('invalidChangeGradient', () => {
+    expect(fillGradientReducer(threeStops /* state */, changeGradientType('invalid argument') /* action */))
+        .toBe(threeStops);
+    expect(fillGradientReducer(threeStops /* state */, changeGradientAngle('invalid argument') /* action */))
+        .toBe(threeStops);
+    expect(fillGradientReducer(threeStops /* state */, selectGradientStop(3) /* action */))
+        .toBe(threeStops);
+    expect(fillGradientReducer(threeStops /* state */, changeGradientStopOffset() /* action */))
+        .toBe(threeStops);
+    expect(fillGradientReducer(threeStops /* state */, changeFillColor('invalid argument') /* action */))
+        .toBe(threeStops);
+});
@@ -0,0 +1,64 @@
+/* eslint-env jest */
+import gridReducer from '../../src/reducers/grid';
+import {
+    changeGridSpacing,
+    changeGridSubdivisions,
+    setShowGrid,
+    setSnapToGrid,
+    MAX_GRID_SPACING,
+    MAX_GRID_SUBDIVISIONS,
+    MIN_GRID_SPACING
+} from '../../src/reducers/grid';
+
+test('initialState', () => {
+    let defaultState;
+
+    const state = gridReducer(defaultState /* state */, {type: 'anything'} /* action */);
+    expect(state.showGrid).toBe(false);
+    expect(state.snapToGrid).toBe(false);
+    expect(state.spacing).toBeGreaterThanOrEqual(MIN_GRID_SPACING);
+    expect(state.subdivisions).toBeGreaterThanOrEqual(1);
+});
+
+test('changeGrid', () => {
+    let defaultState;
+
+    let state = gridReducer(defaultState /* state */, setShowGrid(true) /* action */);
+    expect(state.showGrid).toBe(true);
+    state = gridReducer(state /* state */, setSnapToGrid(true) /* action */);
+    expect(state.snapToGrid).toBe(true);
+    expect(state.showGrid).toBe(true);
+    state = gridReducer(state /* state */, changeGridSpacing(25) /* action */);
+    expect(state.spacing).toBe(25);
+    state = gridReducer(state /* state */, changeGridSubdivisions(5) /* action */);
+    expect(state.subdivisions).toBe(5);
+    expect(state.spacing).toBe(25);
+});
+
+test('clampGrid', () => {
+    let defaultState;
+
+    let state = gridReducer(defaultState /* state */, changeGridSpacing(0) /* action */);
+    expect(state.spacing).toBe(MIN_GRID_SPACING);
+    state = gridReducer(state /* state */, changeGridSpacing(10000) /* action */);
+    expect(state.spacing).toBe(MAX_GRID_SPACING);
+    state = gridReducer(state /* state */, changeGridSubdivisions(0) /* action */);
+    expect(state.subdivisions).toBe(1);
+    state = gridReducer(state /* state */, changeGridSubdivisions(100) /* action */);
+    expect(state.subdivisions).toBe(MAX_GRID_SUBDIVISIONS);
+    state = gridReducer(state /* state */, changeGridSubdivisions(2.6) /* action */);
+    expect(state.subdivisions).toBe(3);
+});
+
+test('invalidChangeGrid', () => {
+    const origState = {showGrid: false, snapToGrid: false, spacing: 40, subdivisions: 4};
+
+    expect(gridReducer(origState /* state */, setShowGrid('yes') /* action */))
+        .toBe(origState);
+    expect(gridReducer(origState /* state */, setSnapToGrid() /* action */))
+        .toBe(origState);
+    expect(gridReducer(origState /* state */, changeGridSpacing('wide') /* action */))
+        .toBe(origState);
+    expect(gridReducer(origState /* state */, changeGridSubdivisions(NaN) /* action */))
+        .toBe(origState);
+});
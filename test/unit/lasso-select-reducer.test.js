@@ -0,0 +1,25 @@
+/* eslint-env jest */
+import lassoSelectReducer from '../../src/reducers/lasso-select';
+import {setLassoSelect} from '../../src/reducers/lasso-select';
+
+test('initialState', () => {
+    let defaultState;
+
+    expect(lassoSelectReducer(defaultState /* state */, {type: 'anything'} /* action */)).toBe(false);
+});
+
+test('setLassoSelect', () => {
+    let defaultState;
+
+    expect(lassoSelectReducer(defaultState /* state */, setLassoSelect(true) /* action */)).toBe(true);
+    expect(lassoSelectReducer(true /* state */, setLassoSelect(false) /* action */)).toBe(false);
+});
+
+test('invalidSetLassoSelect', () => {
+    const origState = true;
+
+    expect(lassoSelectReducer(origState /* state */, setLassoSelect('invalid argument') /* action */))
+        .toBe(origState);
+    expect(lassoSelectReducer(origState /* state */, setLassoSelect() /* action */))
+        .toBe(origState);
+});
@@ -0,0 +1,32 @@
+/* eslint-env jest */
+import layersReducer from '../../src/reducers/layers';
+import {setLayers} from '../../src/reducers/layers';
+
+test('initialState', () => {
+    let defaultState;
+
+    expect(layersReducer(defaultState /* state */, {type: 'anything'} /* action */)).toHaveLength(0);
+});
+
+test('setLayers', () => {
+    let defaultState;
+
+    const layers1 = [{id: 1, name: '', visible: true, locked: false, active: true}];
+    const layers2 = [
+        {id: 1, name: '', visible: true, locked: false, active: false},
+        {id: 5, name: 'Outline', visible: false, locked: true, active: true}
+    ];
+    expect(layersReducer(defaultState /* state */, setLayers(layers1) /* action */))
+        .toEqual(layers1);
+    expect(layersReducer(layers1 /* state */, setLayers(layers2) /* action */))
+        .toEqual(layers2);
+});
+
+test('invalidSetLayers', () => {
+    const origState = [{id: 1, name: '', visible: true, locked: false, active: true}];
+
+    expect(layersReducer(origState /* state */, setLayers() /* action */))
+        .toBe(origState);
+    expect(layersReducer(origState /* state */, setLayers('notAnArray') /* action */))
+        .toBe(origState);
+});
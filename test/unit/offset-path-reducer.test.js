@@ -0,0 +1,41 @@
+/* eslint-env jest */
+import offsetPathReducer from '../../src/reducers/offset-path';
+import {changeOffsetDistance, changeOffsetJoin, MAX_OFFSET_DISTANCE} from '../../src/reducers/offset-path';
+
+test('initialState', () => {
+    let defaultState;
+
+    expect(offsetPathReducer(defaultState /* state */, {type: 'anything'} /* action */))
+        .toEqual({distance: 10, join: 'round'});
+});
+
+test('changeOffsetDistance', () => {
+    let defaultState;
+
+    expect(offsetPathReducer(defaultState /* state */, changeOffsetDistance(-8) /* action */))
+        .toEqual({distance: -8, join: 'round'});
+    expect(offsetPathReducer(defaultState /* state */, changeOffsetDistance(MAX_OFFSET_DISTANCE + 1) /* action */))
+        .toEqual({distance: MAX_OFFSET_DISTANCE, join: 'round'});
+    expect(offsetPathReducer(defaultState /* state */, changeOffsetDistance(-MAX_OFFSET_DISTANCE - 1) /* action */))
+        .toEqual({distance: -MAX_OFFSET_DISTANCE, join: 'round'});
+});
+
+test('changeOffsetJoin', () => {
+    const origState = {distance: 8, join: 'round'};
+
+    expect(offsetPathReducer(origState /* state */, changeOffsetJoin('miter') /* action */))
+        .toEqual({distance: 8, join: 'miter'});
+});
+
+test('invalidChangeOffsetPath', () => {
+    const origState = {distance: 8, join: 'round'};
+
+    expect(offsetPathReducer(origState /* state */, changeOffsetDistance('invalid argument') /* action */))
+        .toBe(origState);
+    expect(offsetPathReducer(origState /* state */, changeOffsetDistance(NaN) /* action */))
+        .toBe(origState);
+    expect(offsetPathReducer(origState /* state */, changeOffsetJoin('bevel') /* action */))
+        .toBe(origState);
+    expect(offsetPathReducer(origState /* state */, changeOffsetJoin() /* action */))
+        .toBe(origState);
+});
@@ -0,0 +1,51 @@
+/* eslint-env jest */
+import opacityReducer from '../../src/reducers/opacity';
+import {MAX_OPACITY, changeOpacity} from '../../src/reducers/opacity';
+import {setSelectedItems} from '../../src/reducers/selected-items';
+import {mockPaperRootItem} from '../__mocks__/paperMocks';
+
+const mockItemWithOpacity = function (opacity) {
+    return {...mockPaperRootItem({}), opacity: opacity};
+};
+
+test('initialState', () => {
+    let defaultState;
+
+    expect(opacityReducer(defaultState /* state */, {type: 'anything'} /* action */)).toEqual(MAX_OPACITY);
+});
+
+test('changeOpacity', () => {
+    let defaultState;
+
+    expect(opacityReducer(defaultState /* state */, changeOpacity(40) /* action */))
+        .toEqual(40);
+    expect(opacityReducer(40 /* state */, changeOpacity(-1) /* action */))
+        .toEqual(0);
+    expect(opacityReducer(40 /* state */, changeOpacity(150) /* action */))
+        .toEqual(MAX_OPACITY);
+});
+
+test('changeOpacityViaSelectedItems', () => {
+    let defaultState;
+
+    let selectedItems = [mockItemWithOpacity(.5)];
+    expect(opacityReducer(defaultState /* state */, setSelectedItems(selectedItems) /* action */))
+        .toEqual(50);
+    selectedItems = [mockItemWithOpacity(.5), mockItemWithOpacity(.5)];
+    expect(opacityReducer(defaultState /* state */, setSelectedItems(selectedItems) /* action */))
+        .toEqual(50);
+    selectedItems = [mockItemWithOpacity(.5), mockItemWithOpacity(1)];
+    expect(opacityReducer(defaultState /* state */, setSelectedItems(selectedItems) /* action */))
+        .toEqual(null); // null indicates mixed for opacity
+    expect(opacityReducer(40 /* state */, setSelectedItems([]) /* action */))
+        .toEqual(40);
+});
+
+test('invalidChangeOpacity', () => {
+    const origState = 40;
+
+    expect(opacityReducer(origState /* state */, changeOpacity('invalid argument') /* action */))
+        .toBe(origState);
+    expect(opacityReducer(origState /* state */, changeOpacity() /* action */))
+        .toBe(origState);
+});
@@ -0,0 +1,59 @@
+/* eslint-env jest */
+import polygonModeReducer from '../../src/reducers/polygon-mode';
+import {changePolygonInnerRadius, changePolygonIsStar, changePolygonSides, MAX_INNER_RADIUS, MAX_SIDES, MIN_SIDES}
+    from '../../src/reducers/polygon-mode';
+
+test('initialState', () => {
+    let defaultState;
+
+    expect(polygonModeReducer(defaultState /* state */, {type: 'anything'} /* action */))
+        .toEqual({sides: 5, isStar: false, innerRadius: 50});
+});
+
+test('changePolygonSides', () => {
+    let defaultState;
+
+    expect(polygonModeReducer(defaultState /* state */, changePolygonSides(6) /* action */).sides)
+        .toBe(6);
+    expect(polygonModeReducer(defaultState /* state */, changePolygonSides(7.6) /* action */).sides)
+        .toBe(8);
+    expect(polygonModeReducer(defaultState /* state */, changePolygonSides(1) /* action */).sides)
+        .toBe(MIN_SIDES);
+    expect(polygonModeReducer(defaultState /* state */, changePolygonSides(MAX_SIDES + 1) /* action */).sides)
+        .toBe(MAX_SIDES);
+    expect(polygonModeReducer({sides: 5, isStar: true, innerRadius: 30} /* state */, changePolygonSides(6)))
+        .toEqual({sides: 6, isStar: true, innerRadius: 30});
+});
+
+test('changePolygonIsStar', () => {
+    let defaultState;
+
+    expect(polygonModeReducer(defaultState /* state */, changePolygonIsStar(true) /* action */))
+        .toEqual({sides: 5, isStar: true, innerRadius: 50});
+    expect(polygonModeReducer({sides: 6, isStar: true, innerRadius: 30} /* state */, changePolygonIsStar(false)))
+        .toEqual({sides: 6, isStar: false, innerRadius: 30});
+});
+
+test('changePolygonInnerRadius', () => {
+    let defaultState;
+
+    expect(polygonModeReducer(defaultState /* state */, changePolygonInnerRadius(30) /* action */).innerRadius)
+        .toBe(30);
+    expect(polygonModeReducer(defaultState /* state */, changePolygonInnerRadius(0) /* action */).innerRadius)
+        .toBe(1);
+    expect(polygonModeReducer(defaultState /* state */, changePolygonInnerRadius(MAX_INNER_RADIUS + 1))
+        .innerRadius).toBe(MAX_INNER_RADIUS);
+});
+
+test('invalidChangePolygonMode', () => {
+    const origState = {sides: 6, isStar: true, innerRadius: 30};
+
+    expect(polygonModeReducer(origState /* state */, changePolygonSides('invalid argument') /* action */))
+        .toBe(origState);
+    expect(polygonModeReducer(origState /* state */, changePolygonSides() /* action */))
+        .toBe(origState);
+    expect(polygonModeReducer(origState /* state */, changePolygonIsStar('invalid argument') /* action */))
+        .toBe(origState);
+    expect(polygonModeReducer(origState /* state */, changePolygonInnerRadius(NaN) /* action */))
+        .toBe(origState);
+});
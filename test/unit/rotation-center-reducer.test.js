@@ -0,0 +1,28 @@
+/* eslint-env jest */
+import paper from '@scratch/paper';
+import rotationCenterReducer from '../../src/reducers/rotation-center';
+import {updateRotationCenter} from '../../src/reducers/rotation-center';
+
+test('initialState', () => {
+    let defaultState;
+    expect(rotationCenterReducer(defaultState /* state */, {type: 'anything'} /* action */)).toBeNull();
+});
+
+test('updateRotationCenter', () => {
+    let defaultState;
+    const center = new paper.Point(480, 360);
+    const newState = rotationCenterReducer(defaultState /* state */, updateRotationCenter(center) /* action */);
+    expect(newState.equals(center)).toBe(true);
+    // The point is copied, so moving the original doesn't change the state
+    center.x = 0;
+    expect(newState.x).toBe(480);
+    // Updating to the same point keeps the state
+    expect(rotationCenterReducer(newState /* state */, updateRotationCenter(new paper.Point(480, 360))))
+        .toBe(newState);
+});
+
+test('invalidUpdateRotationCenter', () => {
+    const origState = new paper.Point(480, 360);
+    const invalidAction = {type: 'scratch-paint/rotation-center/UPDATE_ROTATION_CENTER', rotationCenter: null};
+    expect(rotationCenterReducer(origState /* state */, invalidAction /* action */)).toBe(origState);
+});
@@ -0,0 +1,32 @@
+/* eslint-env jest */
+import roundedRectModeReducer from '../../src/reducers/rounded-rect-mode';
+import {changeCornerRadius, MAX_CORNER_RADIUS} from '../../src/reducers/rounded-rect-mode';
+
+test('initialState', () => {
+    let defaultState;
+
+    expect(roundedRectModeReducer(defaultState /* state */, {type: 'anything'} /* action */))
+        .toEqual({cornerRadius: 10});
+});
+
+test('changeCornerRadius', () => {
+    let defaultState;
+
+    expect(roundedRectModeReducer(defaultState /* state */, changeCornerRadius(25) /* action */))
+        .toEqual({cornerRadius: 25});
+    expect(roundedRectModeReducer(defaultState /* state */, changeCornerRadius(0) /* action */))
+        .toEqual({cornerRadius: 0});
+    expect(roundedRectModeReducer(defaultState /* state */, changeCornerRadius(-5) /* action */))
+        .toEqual({cornerRadius: 0});
+    expect(roundedRectModeReducer(defaultState /* state */, changeCornerRadius(MAX_CORNER_RADIUS + 1) /* action */))
+        .toEqual({cornerRadius: MAX_CORNER_RADIUS});
+});
+
+test('invalidChangeCornerRadius', () => {
+    const origState = {cornerRadius: 25};
+
+    expect(roundedRectModeReducer(origState /* state */, changeCornerRadius('invalid argument') /* action */))
+        .toBe(origState);
+    expect(roundedRectModeReducer(origState /* state */, changeCornerRadius() /* action */))
+        .toBe(origState);
+});
@@ -0,0 +1,64 @@
+/* eslint-env jest */
+import rulerGuidesReducer from '../../src/reducers/ruler-guides';
+import {
+    addRulerGuide,
+    getRulerGuides,
+    moveRulerGuide,
+    removeRulerGuide,
+    setRulerGuidesImageId
+} from '../../src/reducers/ruler-guides';
+
+test('initialState', () => {
+    let defaultState;
+
+    const state = rulerGuidesReducer(defaultState /* state */, {type: 'anything'} /* action */);
+    expect(state.imageId).toBeNull();
+    expect(getRulerGuides(state)).toEqual({horizontal: [], vertical: []});
+});
+
+test('addMoveAndRemoveGuides', () => {
+    let defaultState;
+
+    let state = rulerGuidesReducer(defaultState /* state */, setRulerGuidesImageId('costume1') /* action */);
+    state = rulerGuidesReducer(state /* state */, addRulerGuide(true /* horizontal */, 100) /* action */);
+    state = rulerGuidesReducer(state /* state */, addRulerGuide(false /* horizontal */, 40) /* action */);
+    state = rulerGuidesReducer(state /* state */, addRulerGuide(true /* horizontal */, 300) /* action */);
+    expect(getRulerGuides(state)).toEqual({horizontal: [100, 300], vertical: [40]});
+
+    state = rulerGuidesReducer(state /* state */, moveRulerGuide(true /* horizontal */, 1, 250) /* action */);
+    expect(getRulerGuides(state)).toEqual({horizontal: [100, 250], vertical: [40]});
+
+    state = rulerGuidesReducer(state /* state */, removeRulerGuide(true /* horizontal */, 0) /* action */);
+    expect(getRulerGuides(state)).toEqual({horizontal: [250], vertical: [40]});
+});
+
+test('guidesPerCostume', () => {
+    let defaultState;
+
+    let state = rulerGuidesReducer(defaultState /* state */, setRulerGuidesImageId('costume1') /* action */);
+    state = rulerGuidesReducer(state /* state */, addRulerGuide(false /* horizontal */, 40) /* action */);
+    state = rulerGuidesReducer(state /* state */, setRulerGuidesImageId('costume2') /* action */);
+    expect(getRulerGuides(state)).toEqual({horizontal: [], vertical: []});
+    state = rulerGuidesReducer(state /* state */, addRulerGuide(true /* horizontal */, 10) /* action */);
+    state = rulerGuidesReducer(state /* state */, setRulerGuidesImageId('costume1') /* action */);
+    expect(getRulerGuides(state)).toEqual({horizontal: [], vertical: [40]});
+});
+
+test('invalidChangeGuides', () => {
+    let defaultState;
+
+    let state = rulerGuidesReducer(defaultState /* state */, setRulerGuidesImageId('costume1') /* action */);
+    state = rulerGuidesReducer(state /* state */, addRulerGuide(true /* horizontal */, 100) /* action */);
+    const origState = state;
+
+    expect(rulerGuidesReducer(origState /* state */, setRulerGuidesImageId(5) /* action */))
+        .toBe(origState);
+    expect(rulerGuidesReducer(origState /* state */, addRulerGuide(true /* horizontal */, 'top') /* action */))
+        .toBe(origState);
+    expect(rulerGuidesReducer(origState /* state */, moveRulerGuide(true /* horizontal */, 3, 10) /* action */))
+        .toBe(origState);
+    expect(rulerGuidesReducer(origState /* state */, moveRulerGuide(true /* horizontal */, 0, NaN) /* action */))
+        .toBe(origState);
+    expect(rulerGuidesReducer(origState /* state */, removeRulerGuide(false /* horizontal */, 0) /* action */))
+        .toBe(origState);
+});
@@ -0,0 +1,32 @@
+/* eslint-env jest */
+import simplifyReducer from '../../src/reducers/simplify';
+import {changeSimplifyTolerance, MAX_SIMPLIFY_TOLERANCE, MIN_SIMPLIFY_TOLERANCE} from '../../src/reducers/simplify';
+
+test('initialState', () => {
+    let defaultState;
+
+    expect(simplifyReducer(defaultState /* state */, {type: 'anything'} /* action */))
+        .toEqual({tolerance: 3});
+});
+
+test('changeSimplifyTolerance', () => {
+    let defaultState;
+
+    expect(simplifyReducer(defaultState /* state */, changeSimplifyTolerance(8) /* action */))
+        .toEqual({tolerance: 8});
+    expect(simplifyReducer(defaultState /* state */, changeSimplifyTolerance(0) /* action */))
+        .toEqual({tolerance: MIN_SIMPLIFY_TOLERANCE});
+    expect(simplifyReducer(defaultState /* state */, changeSimplifyTolerance(MAX_SIMPLIFY_TOLERANCE + 1) /* action */))
+        .toEqual({tolerance: MAX_SIMPLIFY_TOLERANCE});
+});
+
+test('invalidChangeSimplifyTolerance', () => {
+    const origState = {tolerance: 8};
+
+    expect(simplifyReducer(origState /* state */, changeSimplifyTolerance('invalid argument') /* action */))
+        .toBe(origState);
+    expect(simplifyReducer(origState /* state */, changeSimplifyTolerance(NaN) /* action */))
+        .toBe(origState);
+    expect(simplifyReducer(origState /* state */, changeSimplifyTolerance() /* action */))
+        .toBe(origState);
+});
@@ -27,6 +27,11 @@ test('changeStrokeColor', () => {
         .toEqual(newStrokeColor);
     expect(strokeColorReducer('#010' /* state */, changeStrokeColor(newStrokeColor) /* action */))
         .toEqual(newStrokeColor);
+
+    // rgba color
+    newStrokeColor = 'rgba(0, 0, 0, .25)';
+    expect(strokeColorReducer(defaultState /* state */, changeStrokeColor(newStrokeColor) /* action */))
+        .toEqual(newStrokeColor);
 });
 
 test('changeStrokeColorViaSelectedItems', () => {
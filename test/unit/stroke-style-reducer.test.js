@@ -0,0 +1,87 @@
+/* eslint-env jest */
+import strokeStyleReducer from '../../src/reducers/stroke-style';
+import {
+    changeArrowheads,
+    changeDashPattern,
+    changeStrokeCap,
+    changeStrokeJoin
+} from '../../src/reducers/stroke-style';
+import {setSelectedItems} from '../../src/reducers/selected-items';
+import {DashPatterns, StrokeCaps, StrokeJoins} from '../../src/lib/stroke-styles';
+import {mockPaperRootItem} from '../__mocks__/paperMocks';
+
+const mockStrokedItem = function (strokeStyle) {
+    return {
+        ...mockPaperRootItem({strokeColor: '#000000', strokeWidth: 4}),
+        strokeCap: StrokeCaps.BUTT,
+        strokeJoin: StrokeJoins.MITER,
+        dashArray: [],
+        ...strokeStyle
+    };
+};
+
+test('initialState', () => {
+    let defaultState;
+
+    const state = strokeStyleReducer(defaultState /* state */, {type: 'anything'} /* action */);
+    expect(state.dashPattern).toBe(DashPatterns.SOLID);
+    expect(state.strokeCap).toBe(StrokeCaps.BUTT);
+    expect(state.strokeJoin).toBe(StrokeJoins.MITER);
+    expect(state.startArrowhead).toBe(false);
+    expect(state.endArrowhead).toBe(false);
+});
+
+test('changeStrokeStyle', () => {
+    let defaultState;
+
+    let state = strokeStyleReducer(defaultState /* state */, changeDashPattern(DashPatterns.DOTTED) /* action */);
+    expect(state.dashPattern).toBe(DashPatterns.DOTTED);
+    state = strokeStyleReducer(state /* state */, changeStrokeCap(StrokeCaps.ROUND) /* action */);
+    expect(state.strokeCap).toBe(StrokeCaps.ROUND);
+    state = strokeStyleReducer(state /* state */, changeStrokeJoin(StrokeJoins.BEVEL) /* action */);
+    expect(state.strokeJoin).toBe(StrokeJoins.BEVEL);
+    state = strokeStyleReducer(state /* state */, changeArrowheads(false, true) /* action */);
+    expect(state.startArrowhead).toBe(false);
+    expect(state.endArrowhead).toBe(true);
+    expect(state.dashPattern).toBe(DashPatterns.DOTTED);
+});
+
+test('changeStrokeStyleViaSelectedItems', () => {
+    let defaultState;
+
+    let selectedItems = [mockStrokedItem({strokeCap: StrokeCaps.SQUARE, dashArray: [12, 8]})];
+    let state = strokeStyleReducer(defaultState /* state */, setSelectedItems(selectedItems) /* action */);
+    expect(state.strokeCap).toBe(StrokeCaps.SQUARE);
+    expect(state.dashPattern).toBe(DashPatterns.DASHED);
+
+    // Mixed values keep the current state
+    selectedItems = [mockStrokedItem({strokeJoin: StrokeJoins.ROUND}), mockStrokedItem()];
+    state = strokeStyleReducer(state /* state */, setSelectedItems(selectedItems) /* action */);
+    expect(state.strokeCap).toBe(StrokeCaps.BUTT);
+    expect(state.strokeJoin).toBe(StrokeJoins.MITER);
+    expect(state.dashPattern).toBe(DashPatterns.SOLID);
+
+    selectedItems = [mockStrokedItem({data: {arrowheads: {start: true, end: false}}})];
+    state = strokeStyleReducer(state /* state */, setSelectedItems(selectedItems) /* action */);
+    expect(state.startArrowhead).toBe(true);
+    expect(state.endArrowhead).toBe(false);
+});
+
+test('invalidChangeStrokeStyle', () => {
+    const origState = {
+        dashPattern: DashPatterns.SOLID,
+        strokeCap: StrokeCaps.BUTT,
+        strokeJoin: StrokeJoins.MITER,
+        startArrowhead: false,
+        endArrowhead: false
+    };
+
+    expect(strokeStyleReducer(origState /* state */, changeDashPattern('wavy') /* action */))
+        .toBe(origState);
+    expect(strokeStyleReducer(origState /* state */, changeStrokeCap('pointy') /* action */))
+        .toBe(origState);
+    expect(strokeStyleReducer(origState /* state */, changeStrokeJoin() /* action */))
+        .toBe(origState);
+    expect(strokeStyleReducer(origState /* state */, changeArrowheads('yes', 1) /* action */))
+        .toBe(origState);
+});